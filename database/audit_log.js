@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+// Append-only audit trail of data changes: road data imports and uploads,
+// and edits and deletions made through the API or the command line.
+//
+// Each change is one row in audit_log with who made it (NULL for the server
+// itself), where it came from, and either the row counts of an import or the
+// changed fields of an edit. Imports also list every segment they added,
+// removed or changed in audit_segment_changes (see segment_ingest.js).
+// Both tables refuse UPDATE and DELETE, so history cannot be rewritten from
+// the application.
+
+const AUDIT_ACTIONS = ['import', 'upload', 'create', 'update', 'delete'];
+const AUDIT_SOURCES = ['api', 'upload', 'startup', 'file_watch', 'cli'];
+const SEGMENT_CHANGES = ['added', 'removed', 'changed'];
+
+const auditError = (status, message) => Object.assign(new Error(message), { status });
+
+// SHA-256 of a file, as hex
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+// The fields that differ between two versions of a record, as
+// { before, after }, or null when nothing changed. Dates compare by value.
+function diffFields(before = {}, after = {}, fields = Object.keys({ ...before, ...after })) {
+  const comparable = value => (value instanceof Date ? value.toISOString() : value);
+  const changed = fields.filter(field => (
+    JSON.stringify(comparable(before[field])) !== JSON.stringify(comparable(after[field]))
+  ));
+  if (!changed.length) return null;
+
+  const pick = record => Object.fromEntries(changed.map(field => [field, record[field] === undefined ? null : record[field]]));
+  return { before: pick(before), after: pick(after) };
+}
+
+// Append an entry. `db` is a pool or, to commit the entry with the change
+// it describes, a client inside that transaction. Resolves with the id.
+async function recordAudit(db, {
+  user,
+  action,
+  entityType,
+  entityId,
+  source = 'api',
+  fileName,
+  fileHash,
+  rowCounts,
+  changes,
+  error
+}) {
+  const result = await db.query(`
+    INSERT INTO audit_log (
+      user_id, username, action, entity_type, entity_id, source,
+      file_name, file_sha256, row_counts, changes, error
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING id
+  `, [
+    user ? user.id : null,
+    user ? user.username : null,
+    action,
+    entityType,
+    entityId === undefined || entityId === null ? null : String(entityId),
+    source,
+    fileName || null,
+    fileHash || null,
+    rowCounts ? JSON.stringify(rowCounts) : null,
+    changes ? JSON.stringify(changes) : null,
+    error || null
+  ]);
+  return result.rows[0].id;
+}
+
+// Make a change and record it in one transaction, so no change is
+// committed without its entry. `change(client)` resolves with
+// { result, audit }: the value to resolve with and the entry to record,
+// or a null entry when nothing changed.
+async function auditedChange(pool, change) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { result, audit } = await change(client);
+    if (audit) {
+      await recordAudit(client, audit);
+    }
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Entries newest first, with the number of segment changes for imports.
+// Filters: action, entity_type, entity_id, username, source, from and to
+// (timestamps, inclusive). Resolves with { total, entries }.
+async function listAuditEntries(pool, {
+  action,
+  entityType,
+  entityId,
+  username,
+  source,
+  from,
+  to,
+  limit = 50,
+  offset = 0
+} = {}) {
+  const params = [];
+  const conditions = [];
+  const filters = [
+    ['a.action = ', action],
+    ['a.entity_type = ', entityType],
+    ['a.entity_id = ', entityId],
+    ['a.username = ', username],
+    ['a.source = ', source],
+    ['a.occurred_at >= ', from],
+    ['a.occurred_at <= ', to]
+  ];
+  filters.forEach(([condition, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    params.push(value);
+    conditions.push(`${condition}$${params.length}`);
+  });
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const total = await pool.query(`SELECT COUNT(*)::integer as total FROM audit_log a ${where}`, params);
+  const result = await pool.query(`
+    SELECT a.*,
+      (SELECT COUNT(*)::integer FROM audit_segment_changes c WHERE c.audit_id = a.id) as segment_change_count
+    FROM audit_log a
+    ${where}
+    ORDER BY a.occurred_at DESC, a.id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return { total: total.rows[0].total, entries: result.rows };
+}
+
+async function getAuditEntry(pool, id) {
+  const result = await pool.query(`
+    SELECT a.*,
+      (SELECT COUNT(*)::integer FROM audit_segment_changes c WHERE c.audit_id = a.id) as segment_change_count
+    FROM audit_log a
+    WHERE a.id = $1
+  `, [id]);
+  return result.rows[0] || null;
+}
+
+// A page of the segments an import changed, filtered by `change` and by
+// segment key prefix. Resolves with { total, changes }.
+async function getSegmentChanges(pool, auditId, { change, segmentKey, limit = 100, offset = 0 } = {}) {
+  if (change && !SEGMENT_CHANGES.includes(change)) {
+    throw auditError(400, `change must be one of: ${SEGMENT_CHANGES.join(', ')}`);
+  }
+
+  const params = [auditId];
+  let where = 'WHERE audit_id = $1';
+  if (change) {
+    params.push(change);
+    where += ` AND change = $${params.length}`;
+  }
+  if (segmentKey) {
+    params.push(`${segmentKey.replace(/[\\%_]/g, '\\$&')}%`);
+    where += ` AND segment_key LIKE $${params.length}`;
+  }
+
+  const total = await pool.query(`SELECT COUNT(*)::integer as total FROM audit_segment_changes ${where}`, params);
+  const result = await pool.query(`
+    SELECT segment_key, change, before, after
+    FROM audit_segment_changes
+    ${where}
+    ORDER BY segment_key
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return { total: total.rows[0].total, changes: result.rows };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_SOURCES,
+  SEGMENT_CHANGES,
+  hashFile,
+  diffFields,
+  recordAudit,
+  auditedChange,
+  listAuditEntries,
+  getAuditEntry,
+  getSegmentChanges
+};
@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+const readline = require('readline');
+const { Pool } = require('pg');
+const { diffFields, recordAudit } = require('./audit_log');
+
+// Local user accounts, login tokens and roles for the API.
+//
+// Passwords are hashed with scrypt and a random salt. A login returns a
+// signed token (a JWT, HS256) carrying the user's id, name and role; the
+// server sets it as an httpOnly cookie so map tiles, photos and downloads
+// are authorized too, and also accepts it as a Bearer token for scripts.
+// Tokens are not stored, but each request looks the user up again, so a role
+// change or a disabled account takes effect at once.
+//
+// Accounts are managed from the command line:
+//   node database/auth.js create <username> <role>
+//   node database/auth.js password <username>
+//   node database/auth.js role <username> <role>
+//   node database/auth.js disable <username>
+//   node database/auth.js enable <username>
+//   node database/auth.js list
+// Each change is written to the audit log (passwords without their values).
+
+// Database configuration
+const dbConfig = {
+  user: process.env.DB_USER || 'postgres',
+  host: process.env.DB_HOST || 'localhost',
+  database: process.env.DB_NAME || 'road_dashboard',
+  password: process.env.DB_PASSWORD || 'password',
+  port: process.env.DB_PORT || 5432,
+};
+
+// Roles from least to most trusted; each can do everything the ones before
+// it can. Viewers read, analysts also export and edit (work plans, saved
+// selections, field reports), data admins also upload and import road data.
+const ROLES = ['viewer', 'analyst', 'data_admin'];
+
+const TOKEN_COOKIE = 'road_dashboard_token';
+const TOKEN_HOURS = Number(process.env.AUTH_TOKEN_HOURS) || 12;
+
+const MIN_PASSWORD_LENGTH = 10;
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+
+// Without AUTH_SECRET every restart signs everyone out
+const tokenSecret = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET && require.main !== module) {
+  console.warn('AUTH_SECRET is not set; logins will not survive a server restart');
+}
+
+const authError = (status, message) => Object.assign(new Error(message), { status });
+
+const scrypt = (password, salt, { N, r, p }) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, KEY_LENGTH, { N, r, p, maxmem: 256 * N * r }, (error, key) => (
+    error ? reject(error) : resolve(key)
+  ));
+});
+
+// "scrypt$N$r$p$salt$hash", salt and hash in base64
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), { N: Number(N), r: Number(r), p: Number(p) });
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+const sign = data => crypto.createHmac('sha256', tokenSecret).update(data).digest('base64url');
+
+function signToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: user.id,
+    username: user.username,
+    role: user.role,
+    iat: now,
+    exp: now + TOKEN_HOURS * 3600
+  }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+// The token's payload, or null when it is malformed, forged or expired
+function verifyToken(token) {
+  const [header, payload, signature] = String(token || '').split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!claims.exp || claims.exp * 1000 < Date.now() || !ROLES.includes(claims.role)) return null;
+    return claims;
+  } catch (error) {
+    return null;
+  }
+}
+
+const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    throw authError(400, `role must be one of: ${ROLES.join(', ')}`);
+  }
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw authError(400, `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+const USER_COLUMNS = 'id, username, role, disabled, created_at, last_login_at';
+
+async function createUser(pool, { username, password, role }) {
+  const name = String(username || '').trim().toLowerCase();
+  if (!/^[a-z0-9._-]{2,50}$/.test(name)) {
+    throw authError(400, 'Usernames are 2 to 50 letters, digits, dots, dashes or underscores');
+  }
+  validateRole(role);
+  validatePassword(password);
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO users (username, password_hash, role)
+      VALUES ($1, $2, $3)
+      RETURNING ${USER_COLUMNS}
+    `, [name, await hashPassword(password), role]);
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') throw authError(409, `User ${name} already exists`);
+    throw error;
+  }
+}
+
+async function updateUser(pool, username, fields) {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+  const result = await pool.query(`
+    UPDATE users SET ${assignments.join(', ')}
+    WHERE username = $1
+    RETURNING ${USER_COLUMNS}
+  `, [String(username).trim().toLowerCase(), ...columns.map(column => fields[column])]);
+  if (!result.rows.length) throw authError(404, `No user ${username}`);
+  return result.rows[0];
+}
+
+async function getUser(pool, username) {
+  const result = await pool.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE username = $1`,
+    [String(username || '').trim().toLowerCase()]
+  );
+  if (!result.rows.length) throw authError(404, `No user ${username}`);
+  return result.rows[0];
+}
+
+async function setPassword(pool, username, password) {
+  validatePassword(password);
+  return updateUser(pool, username, { password_hash: await hashPassword(password) });
+}
+
+async function setRole(pool, username, role) {
+  validateRole(role);
+  return updateUser(pool, username, { role });
+}
+
+// Failed logins per username and client address, to slow down password
+// guessing without letting anyone lock an account out from elsewhere
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+const MAX_TRACKED_LOGINS = 10000;
+const failedLogins = new Map();
+
+function noteFailedLogin(key, failures) {
+  const now = Date.now();
+  const count = failures && failures.until > now ? failures.count + 1 : 1;
+  failedLogins.delete(key);
+  if (failedLogins.size >= MAX_TRACKED_LOGINS) {
+    for (const [tracked, { until }] of failedLogins) {
+      if (until <= now) failedLogins.delete(tracked);
+    }
+  }
+  // Still full: forget the oldest entries, which were inserted first
+  for (const tracked of failedLogins.keys()) {
+    if (failedLogins.size < MAX_TRACKED_LOGINS) break;
+    failedLogins.delete(tracked);
+  }
+  failedLogins.set(key, { count, until: now + LOCKOUT_MINUTES * 60000 });
+}
+
+// Check a username and password from client address `ip`. Returns { user,
+// token }; throws a 401 for a wrong or disabled login and a 429 after too
+// many failures from that address.
+async function login(pool, username, password, ip) {
+  const name = String(username || '').trim().toLowerCase();
+  const key = `${name}@${ip || ''}`;
+  const failures = failedLogins.get(key);
+  if (failures && failures.count >= MAX_FAILED_LOGINS && failures.until > Date.now()) {
+    throw authError(429, `Too many failed logins; try again in ${LOCKOUT_MINUTES} minutes`);
+  }
+
+  const result = await pool.query('SELECT * FROM users WHERE username = $1', [name]);
+  const user = result.rows[0];
+  const valid = user && !user.disabled && await verifyPassword(String(password || ''), user.password_hash);
+
+  if (!valid) {
+    noteFailedLogin(key, failures);
+    throw authError(401, 'Wrong username or password');
+  }
+
+  failedLogins.delete(key);
+  await pool.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+  return {
+    user: { id: user.id, username: user.username, role: user.role },
+    token: signToken(user)
+  };
+}
+
+// Read the login token from the cookie or an Authorization: Bearer header
+function tokenFromRequest(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  if (bearer) return bearer[1];
+
+  const cookies = String(req.get('cookie') || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === TOKEN_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// Middleware: set req.user from the login token, if any, with the role
+// the account has now. A token for a disabled or deleted account counts as
+// no login.
+const authenticate = pool => async (req, res, next) => {
+  const claims = verifyToken(tokenFromRequest(req));
+  req.user = null;
+  if (!claims) return next();
+
+  try {
+    const result = await pool.query('SELECT id, username, role, disabled FROM users WHERE id = $1', [claims.sub]);
+    const user = result.rows[0];
+    if (user && !user.disabled && ROLES.includes(user.role)) {
+      req.user = { id: user.id, username: user.username, role: user.role };
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking login:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Middleware: 401 without a login, 403 without the role
+const requireRole = role => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Login required' });
+  }
+  if (!hasRole(req.user, role)) {
+    return res.status(403).json({ error: `This needs the ${role} role` });
+  }
+  next();
+};
+
+const tokenCookieOptions = req => ({
+  httpOnly: true,
+  sameSite: 'strict',
+  secure: req.secure,
+  path: '/'
+});
+
+function setTokenCookie(req, res, token) {
+  res.cookie(TOKEN_COOKIE, token, { ...tokenCookieOptions(req), maxAge: TOKEN_HOURS * 3600 * 1000 });
+}
+
+function clearTokenCookie(req, res) {
+  res.clearCookie(TOKEN_COOKIE, tokenCookieOptions(req));
+}
+
+// Read a password from the terminal without echoing it
+function promptPassword(question) {
+  if (process.env.AUTH_PASSWORD) return Promise.resolve(process.env.AUTH_PASSWORD);
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  rl.output.write(question);
+  rl._writeToOutput = () => {};
+  return new Promise((resolve) => {
+    rl.question('', (answer) => {
+      rl.output.write('\n');
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+// Record an account change made from the command line
+function auditUserChange(pool, action, user, changes) {
+  return recordAudit(pool, { action, entityType: 'user', entityId: user.username, source: 'cli', changes });
+}
+
+// The role and disabled fields that differ between two versions of a user
+const accountChanges = (before, after) => diffFields(before, after, ['role', 'disabled']);
+
+// Main execution: node auth.js <command> [username] [role]
+async function main() {
+  const [command, username, role] = process.argv.slice(2);
+  const pool = new Pool(dbConfig);
+
+  try {
+    if (command === 'create') {
+      const user = await createUser(pool, { username, role, password: await promptPassword('Password: ') });
+      await auditUserChange(pool, 'create', user, { after: { username: user.username, role: user.role } });
+      console.log(`Created ${user.username} (${user.role})`);
+    } else if (command === 'password') {
+      const user = await setPassword(pool, username, await promptPassword(`New password for ${username}: `));
+      await auditUserChange(pool, 'update', user, { after: { password: 'changed' } });
+      console.log(`Password changed for ${username}`);
+    } else if (command === 'role') {
+      const before = await getUser(pool, username);
+      const user = await setRole(pool, username, role);
+      await auditUserChange(pool, 'update', user, accountChanges(before, user));
+      console.log(`${user.username} is now ${user.role}`);
+    } else if (command === 'disable' || command === 'enable') {
+      const before = await getUser(pool, username);
+      const user = await updateUser(pool, username, { disabled: command === 'disable' });
+      await auditUserChange(pool, 'update', user, accountChanges(before, user));
+      console.log(`${user.username} ${user.disabled ? 'disabled' : 'enabled'}`);
+    } else if (command === 'list') {
+      const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`);
+      console.table(result.rows);
+    } else {
+      console.log('Usage: node database/auth.js create|password|role|disable|enable|list [username] [role]');
+      console.log(`Roles: ${ROLES.join(', ')}`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.status ? error.message : error);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  login,
+  authenticate,
+  requireRole,
+  setTokenCookie,
+  clearTokenCookie
+};
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { SEGMENT_SCHEMA, createSegmentValidator, isRejected, cleanHeader } = require('./segment_schema');
+
+// Declarative column mappings for road inventories that are not laid out
+// like PennDOT's RMSSEG: other agencies' exports and HPMS submissions. A
+// mapping file is JSON:
+//
+//   {
+//     "name": "Ohio DOT road inventory",
+//     "columns": {
+//       "st_rt_no": "ROUTE_NBR",
+//       "seg_lngth_feet": { "from": "LENGTH_KM", "unit": "km" },
+//       "surf_type": { "from": "SURFACE", "codes": { "BIT": "52", "PCC": "61" } }
+//     }
+//   }
+//
+// Each road_segments column (see segment_schema.js) maps to an input
+// header, or to an object with
+//   from   the input header
+//   unit   the input's unit, converted to the column's; only for columns
+//          with a unit (lengths in ft or mi, roughness in in/mi)
+//   codes  input value -> dashboard code; values not listed pass through
+//          and are checked against the column's code list as usual, so
+//          list every input code that is also a dashboard code
+// Columns left out keep their RMSSEG header, and input headers nothing maps
+// go to additional_attrs. A data source uses a mapping file through its
+// "mapping", and can take the same entries inline in "columns" (see
+// data_sources.js).
+//
+//   node database/column_mapping.js preview <mapping.json> <sample.csv> [rows] [--bounds=minLng,minLat,maxLng,maxLat]
+
+// Each unit's size in its dimension's first unit
+const UNITS = {
+  length: { ft: 1, in: 1 / 12, yd: 3, mi: 5280, m: 1 / 0.3048, km: 1000 / 0.3048 },
+  // IRI as a slope: 1 m/km is 63.36 in/mi
+  roughness: { 'in/mi': 1, 'm/km': 63.36, 'mm/m': 63.36 }
+};
+
+const ENTRY_KEYS = ['from', 'unit', 'codes'];
+
+// Without a data source's bounds, the preview only checks that coordinates
+// are plausible longitudes and latitudes
+const WORLD_BOUNDS = { minLng: -180, minLat: -90, maxLng: 180, maxLat: 90 };
+
+const PREVIEW_ROWS = 5;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Factor from `unit` to the column's own unit
+function unitScale(column, unit) {
+  const target = SEGMENT_SCHEMA[column].unit;
+  const units = Object.values(UNITS).find(dimension => target && dimension[target]);
+  if (!units) {
+    throw new Error(`${column} has no unit to convert to`);
+  }
+  if (!units[unit]) {
+    throw new Error(`${column}: unit must be one of ${Object.keys(units).join(', ')}`);
+  }
+  return units[unit] / units[target];
+}
+
+function parseCodes(column, codes) {
+  if (!isObject(codes)) {
+    throw new Error(`${column}: codes must map input values to dashboard codes`);
+  }
+  return Object.fromEntries(Object.entries(codes).map(([input, code]) => {
+    if (typeof code !== 'string' && typeof code !== 'number') {
+      throw new Error(`${column}: code for ${input} must be a string`);
+    }
+    return [input.trim(), String(code)];
+  }));
+}
+
+// Check a mapping's `columns` and turn it into the { header, scale,
+// translate } entries buildSegmentSchema takes
+function parseColumnMapping(columns = {}) {
+  if (!isObject(columns)) {
+    throw new Error('columns must map road_segments columns to input columns');
+  }
+
+  return Object.fromEntries(Object.entries(columns).map(([column, entry]) => {
+    if (!SEGMENT_SCHEMA[column]) {
+      throw new Error(`${column} is not a road_segments column`);
+    }
+    if (typeof entry === 'string' && entry.trim()) {
+      return [column, { header: entry.trim() }];
+    }
+    if (!isObject(entry) || typeof entry.from !== 'string' || !entry.from.trim()) {
+      throw new Error(`${column} must map to an input column, or to { "from": <input column> }`);
+    }
+    const unknown = Object.keys(entry).filter(key => !ENTRY_KEYS.includes(key));
+    if (unknown.length) {
+      throw new Error(`${column}: unknown keys ${unknown.join(', ')}; expected ${ENTRY_KEYS.join(', ')}`);
+    }
+
+    return [column, {
+      header: entry.from.trim(),
+      ...(entry.unit !== undefined && { scale: unitScale(column, entry.unit) }),
+      ...(entry.codes !== undefined && { translate: parseCodes(column, entry.codes) })
+    }];
+  }));
+}
+
+// A mapping file's name and columns, checked
+function loadColumnMapping(file) {
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(file, 'utf8'));
+    parseColumnMapping(mapping.columns);
+  } catch (error) {
+    throw new Error(`Column mapping ${file}: ${error.message}`);
+  }
+  return { name: mapping.name || path.basename(file, '.json'), columns: mapping.columns || {} };
+}
+
+function parseBoundsOption(text) {
+  const values = text.split(',').map(Number);
+  const [minLng, minLat, maxLng, maxLat] = values;
+  if (values.length !== 4 || values.some(Number.isNaN) || minLng >= maxLng || minLat >= maxLat) {
+    throw new Error('--bounds must be minLng,minLat,maxLng,maxLat');
+  }
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+// The conversions a mapped column goes through, for the preview
+const describeMapping = (column, spec, mapping) => [
+  spec.scale !== undefined && spec.scale !== 1 && `${mapping.unit} -> ${SEGMENT_SCHEMA[column].unit}`,
+  spec.translate && `${Object.keys(spec.translate).length} codes translated`
+].filter(Boolean).join(', ');
+
+// Run a mapping over a sample file without touching the database: which
+// headers it finds, the first `rows` records as they would be loaded, and
+// what validation would make of the whole sample
+async function previewColumnMapping(mappingFile, sampleFile, { rows = PREVIEW_ROWS, bounds } = {}) {
+  const mapping = loadColumnMapping(mappingFile);
+  const { schema, requiredHeaders, validateRecord } = createSegmentValidator({
+    columns: parseColumnMapping(mapping.columns),
+    bounds: bounds || WORLD_BOUNDS,
+    region: bounds ? 'the given bounds' : 'valid coordinates'
+  });
+
+  let headers = [];
+  let total = 0;
+  let rejected = 0;
+  let warned = 0;
+  const reasons = new Map();
+
+  const parser = csv({ mapHeaders: cleanHeader });
+  parser.on('headers', fileHeaders => {
+    headers = fileHeaders;
+
+    console.log(`Mapping: ${mapping.name} (${mappingFile})`);
+    console.table(Object.entries(schema)
+      .filter(([column]) => mapping.columns[column] || fileHeaders.includes(schema[column].header))
+      .map(([column, spec]) => ({
+        column,
+        input: spec.header,
+        conversion: describeMapping(column, spec, mapping.columns[column] || {}),
+        found: fileHeaders.includes(spec.header)
+      })));
+
+    const missing = requiredHeaders.filter(header => !fileHeaders.includes(header));
+    if (missing.length) {
+      console.log(`Missing required columns: ${missing.join(', ')}; an import would fail`);
+    }
+    const mappedHeaders = new Set(Object.values(schema).map(spec => spec.header));
+    const unmapped = fileHeaders.filter(header => !mappedHeaders.has(header));
+    if (unmapped.length) {
+      console.log(`Kept in additional_attrs: ${unmapped.join(', ')}`);
+    }
+  });
+
+  parser.on('data', record => {
+    const { row, issues } = validateRecord(record);
+    total++;
+    if (isRejected(issues)) {
+      rejected++;
+    } else if (issues.length) {
+      warned++;
+    }
+    for (const { severity, value, reason } of issues) {
+      const tally = reasons.get(reason) || { severity, reason, count: 0, examples: [] };
+      tally.count++;
+      if (tally.examples.length < 3 && !tally.examples.includes(value)) {
+        tally.examples.push(value);
+      }
+      reasons.set(reason, tally);
+    }
+
+    if (total <= rows) {
+      console.log(`\nRow ${total}${isRejected(issues) ? ' (rejected)' : ''}`);
+      console.table(Object.entries(schema)
+        .filter(([, spec]) => headers.includes(spec.header))
+        .map(([column, spec]) => ({ column, input: record[spec.header], value: row[column] })));
+      for (const { severity, reason, value } of issues) {
+        console.log(`  ${severity}: ${reason} (${value})`);
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(sampleFile)
+      .on('error', reject)
+      .pipe(parser)
+      .on('error', reject)
+      .on('end', resolve);
+  });
+
+  console.log(`\n${total} rows: ${total - rejected} would load (${warned} with warnings), ${rejected} rejected`);
+  if (reasons.size) {
+    console.table([...reasons.values()]
+      .sort((a, b) => b.count - a.count)
+      .map(({ severity, reason, count, examples }) => ({ severity, reason, count, examples: examples.join(', ') })));
+  }
+
+  return { total, rejected, warned };
+}
+
+// Main execution: node column_mapping.js preview <mapping.json> <sample.csv> [rows] [--bounds=...]
+async function main() {
+  const args = process.argv.slice(2);
+  const boundsArg = args.find(arg => arg.startsWith('--bounds='));
+  const [command, mappingFile, sampleFile, rows] = args.filter(arg => arg !== boundsArg);
+
+  if (command !== 'preview' || !mappingFile || !sampleFile) {
+    console.log('Usage: node database/column_mapping.js preview <mapping.json> <sample.csv> [rows] [--bounds=minLng,minLat,maxLng,maxLat]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await previewColumnMapping(mappingFile, sampleFile, {
+      rows: parseInt(rows) || PREVIEW_ROWS,
+      bounds: boundsArg ? parseBoundsOption(boundsArg.slice('--bounds='.length)) : null
+    });
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  UNITS,
+  unitScale,
+  parseColumnMapping,
+  loadColumnMapping,
+  previewColumnMapping
+};
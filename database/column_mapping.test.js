@@ -0,0 +1,88 @@
+/**
+ * @jest-environment node
+ */
+const path = require('path');
+const { unitScale, parseColumnMapping, loadColumnMapping } = require('./column_mapping');
+const { createSegmentValidator } = require('./segment_schema');
+
+describe('unitScale', () => {
+  test('converts lengths into feet and miles', () => {
+    expect(unitScale('seg_lngth_feet', 'ft')).toBe(1);
+    expect(unitScale('seg_lngth_feet', 'mi')).toBe(5280);
+    expect(unitScale('seg_lngth_feet', 'm')).toBeCloseTo(3.28084, 5);
+    expect(unitScale('segment_miles', 'km')).toBeCloseTo(0.621371, 6);
+    expect(unitScale('segment_miles', 'ft')).toBeCloseTo(1 / 5280, 10);
+  });
+
+  test('converts roughness into inches per mile', () => {
+    expect(unitScale('rough_indx', 'm/km')).toBe(63.36);
+    expect(unitScale('rough_indx', 'mm/m')).toBe(63.36);
+  });
+
+  test('rejects a unit from another dimension', () => {
+    expect(() => unitScale('rough_indx', 'km')).toThrow('rough_indx: unit must be one of in/mi, m/km, mm/m');
+  });
+
+  test('rejects a unit for a column without one', () => {
+    expect(() => unitScale('lane_cnt', 'ft')).toThrow('lane_cnt has no unit to convert to');
+  });
+});
+
+describe('parseColumnMapping', () => {
+  test('maps columns to headers, trimmed', () => {
+    expect(parseColumnMapping({ st_rt_no: ' ROUTE_NBR ' })).toEqual({ st_rt_no: { header: 'ROUTE_NBR' } });
+  });
+
+  test('builds scale and translate entries', () => {
+    expect(parseColumnMapping({
+      seg_lngth_feet: { from: 'LENGTH_MI', unit: 'mi' },
+      surf_type: { from: 'SURFACE', codes: { ' BIT ': '52', PCC: 61 } }
+    })).toEqual({
+      seg_lngth_feet: { header: 'LENGTH_MI', scale: 5280 },
+      surf_type: { header: 'SURFACE', translate: { BIT: '52', PCC: '61' } }
+    });
+  });
+
+  test('is empty without columns', () => {
+    expect(parseColumnMapping()).toEqual({});
+  });
+
+  test.each([
+    ['columns that are not an object', ['ROUTE_NBR'], 'columns must map road_segments columns to input columns'],
+    ['an unknown column', { speed_limit: 'SPEED' }, 'speed_limit is not a road_segments column'],
+    ['a blank header', { st_rt_no: ' ' }, 'st_rt_no must map to an input column'],
+    ['an entry without from', { st_rt_no: { unit: 'ft' } }, 'st_rt_no must map to an input column'],
+    ['an unknown entry key', { st_rt_no: { from: 'ROUTE', default: '0' } }, 'st_rt_no: unknown keys default'],
+    ['an unknown unit', { seg_lngth_feet: { from: 'LEN', unit: 'furlong' } }, 'seg_lngth_feet: unit must be one of'],
+    ['codes that are not an object', { surf_type: { from: 'SURFACE', codes: ['52'] } }, 'surf_type: codes must map'],
+    ['a code that is not a string', { surf_type: { from: 'SURFACE', codes: { BIT: null } } }, 'surf_type: code for BIT must be a string']
+  ])('rejects %s', (description, columns, message) => {
+    expect(() => parseColumnMapping(columns)).toThrow(message);
+  });
+
+  test('converts units and codes when records are validated', () => {
+    const { validateRecord } = createSegmentValidator({
+      columns: parseColumnMapping({
+        seg_lngth_feet: { from: 'LENGTH_KM', unit: 'km' },
+        rough_indx: { from: 'IRI', unit: 'm/km' },
+        surf_type: { from: 'SURFACE', codes: { BIT: '52' } }
+      })
+    });
+    const { row, issues } = validateRecord({
+      X_VALUE_BGN: '-76.7', Y_VALUE_BGN: '40.2', X_VALUE_END: '-76.69', Y_VALUE_END: '40.21',
+      LENGTH_KM: '1', IRI: '2.5', SURFACE: 'BIT'
+    });
+    expect(issues).toEqual([]);
+    expect(row.seg_lngth_feet).toBeCloseTo(3280.84, 2);
+    expect(row.rough_indx).toBeCloseTo(158.4, 6);
+    expect(row.surf_type).toBe('52');
+  });
+});
+
+describe('loadColumnMapping', () => {
+  test('loads the bundled HPMS mapping', () => {
+    const mapping = loadColumnMapping(path.join(__dirname, '..', 'mappings', 'hpms.json'));
+    expect(mapping.name).toBe('HPMS sections');
+    expect(mapping.columns.rough_indx).toEqual({ from: 'IRI', unit: 'in/mi' });
+  });
+});
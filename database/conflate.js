@@ -0,0 +1,321 @@
+const { Pool } = require('pg');
+const { recordAudit } = require('./audit_log');
+
+// Conflation of RMSSEG segments with OSM road geometry.
+//
+// RMSSEG only gives each segment a start and end point. For every segment,
+// nearby osm_roads ways are ranked in tiers:
+//
+//   1. route number matches the way's ref (US 22 for a US route 22, ...)
+//   2. street name matches the way's name
+//   3. the way passes close to either end point
+//
+// A tier's ways are merged into one line and cut between the points nearest
+// the segment's ends; later tiers are only tried while no confident match has
+// been found. Confidence blends how well the attributes agree, how close the
+// ends snap and how close the cut length is to the segment's recorded
+// length, and both ends must snap for a match to count. Matches are written to
+// matched_line, which generate_road_line() then copies into road_line. A
+// re-import keeps the results of segments whose key and end points did not
+// change (see segment_ingest.js); `--pending` conflates the rest. Each run
+// is written to the audit log with its counts per status.
+
+// Database configuration
+const dbConfig = {
+  user: process.env.DB_USER || 'postgres',
+  host: process.env.DB_HOST || 'localhost',
+  database: process.env.DB_NAME || 'road_dashboard',
+  password: process.env.DB_PASSWORD || 'password',
+  port: process.env.DB_PORT || 5432,
+};
+
+// Ways worth matching a state road to
+const DRIVEABLE_HIGHWAYS = [
+  'motorway', 'motorway_link', 'trunk', 'trunk_link', 'primary', 'primary_link',
+  'secondary', 'secondary_link', 'tertiary', 'tertiary_link',
+  'unclassified', 'residential', 'living_street', 'road'
+];
+
+// Candidate search margin around the segment's end points, in degrees (~200 m)
+const SEARCH_MARGIN_DEGREES = 0.002;
+
+// An end point further than this from the merged OSM line does not snap
+const SNAP_TOLERANCE_METERS = 40;
+
+const MATCHED_CONFIDENCE = 0.7;
+const LOW_CONFIDENCE = 0.4;
+
+// OSM ref prefixes by RMSSEG facility type
+const ROUTE_PREFIXES = {
+  '1': /^I$/i,
+  '2': /^US$/i,
+  '3': /^(PA|SR)$/i
+};
+
+const NAME_ABBREVIATIONS = {
+  ST: 'STREET', RD: 'ROAD', AVE: 'AVENUE', AV: 'AVENUE', BLVD: 'BOULEVARD',
+  DR: 'DRIVE', LN: 'LANE', HWY: 'HIGHWAY', PK: 'PIKE', PKE: 'PIKE', TPKE: 'TURNPIKE',
+  N: 'NORTH', S: 'SOUTH', E: 'EAST', W: 'WEST', MT: 'MOUNT'
+};
+
+const SEGMENT_PAGE_SIZE = 1000;
+
+function routeNumber(segment) {
+  const number = parseInt(segment.traf_rt_no || segment.st_rt_no, 10);
+  return Number.isNaN(number) || number === 0 ? null : number;
+}
+
+// "US 22;PA 43" style refs, checked for the segment's route number and,
+// where the facility type implies one, the matching prefix
+function refMatches(segment, ref) {
+  const number = routeNumber(segment);
+  if (!number || !ref) return false;
+
+  const prefix = ROUTE_PREFIXES[segment.fac_type];
+  return ref.split(';').some(part => {
+    const match = part.trim().match(/^([A-Za-z]+)[\s-]*(\d+)/);
+    return match && parseInt(match[2], 10) === number && (!prefix || prefix.test(match[1]));
+  });
+}
+
+function normalizeName(name) {
+  return (name || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => NAME_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+function nameMatches(segment, name) {
+  const segmentName = normalizeName(segment.street_name);
+  const osmName = normalizeName(name);
+  if (!segmentName || !osmName) return false;
+  return segmentName === osmName || segmentName.includes(osmName) || osmName.includes(segmentName);
+}
+
+// Candidate ways in order of preference, each tier with the weight its
+// attribute agreement contributes to confidence
+function candidateTiers(segment, candidates) {
+  const byRef = candidates.filter(way => refMatches(segment, way.ref));
+  const byName = candidates.filter(way => nameMatches(segment, way.name));
+  const nearby = candidates.filter(way =>
+    way.start_distance <= SNAP_TOLERANCE_METERS || way.end_distance <= SNAP_TOLERANCE_METERS
+  );
+
+  const tiers = [];
+  if (byRef.length) {
+    const alsoNamed = byRef.some(way => nameMatches(segment, way.name));
+    tiers.push({ ways: byRef, attributeScore: alsoNamed ? 1 : 0.85 });
+  }
+  if (byName.length) tiers.push({ ways: byName, attributeScore: 0.6 });
+  if (nearby.length) tiers.push({ ways: nearby, attributeScore: 0 });
+  return tiers;
+}
+
+function expectedLengthMeters(segment) {
+  if (Number(segment.segment_miles) > 0) return Number(segment.segment_miles) * 1609.344;
+  if (Number(segment.seg_lngth_feet) > 0) return Number(segment.seg_lngth_feet) * 0.3048;
+  return null;
+}
+
+function scoreMatch(segment, attributeScore, shape) {
+  const endpointFit = Math.max(0, 1 - (shape.start_distance + shape.end_distance) / (2 * SNAP_TOLERANCE_METERS));
+  const expected = expectedLengthMeters(segment);
+  // Without a recorded length, give the benefit of the doubt halfway
+  const lengthFit = expected
+    ? Math.max(0, 1 - Math.abs(shape.length_meters / expected - 1))
+    : 0.5;
+  return 0.5 * attributeScore + 0.3 * endpointFit + 0.2 * lengthFit;
+}
+
+async function findCandidates(client, segmentId) {
+  const result = await client.query(`
+    SELECT
+      r.id, r.name, r.ref,
+      ST_Distance(r.geom::geography, s.start_point::geography) AS start_distance,
+      ST_Distance(r.geom::geography, s.end_point::geography) AS end_distance
+    FROM road_segments s
+    JOIN data_sources d ON d.id = s.source_id
+    JOIN osm_roads r
+      ON r.state = d.state
+      AND r.geom && ST_Expand(ST_Envelope(ST_MakeLine(s.start_point, s.end_point)), $2)
+    WHERE s.id = $1 AND r.highway = ANY($3)
+  `, [segmentId, SEARCH_MARGIN_DEGREES, DRIVEABLE_HIGHWAYS]);
+  return result.rows;
+}
+
+// Merge the ways, keep the merged piece nearest both end points and cut it
+// between them, drawn in the segment's direction. Null when the ends locate
+// to the same spot and there is nothing to cut.
+async function cutShape(client, segmentId, wayIds) {
+  const result = await client.query(`
+    WITH segment AS (
+      SELECT s.start_point, s.end_point, d.state
+      FROM road_segments s
+      JOIN data_sources d ON d.id = s.source_id
+      WHERE s.id = $1
+    ), parts AS (
+      SELECT (ST_Dump(ST_LineMerge(ST_Collect(r.geom)))).geom AS line
+      FROM osm_roads r, segment
+      WHERE r.id = ANY($2) AND r.state = segment.state
+    ), located AS (
+      SELECT
+        line,
+        ST_LineLocatePoint(line, segment.start_point) AS start_fraction,
+        ST_LineLocatePoint(line, segment.end_point) AS end_fraction,
+        ST_Distance(line::geography, segment.start_point::geography) AS start_distance,
+        ST_Distance(line::geography, segment.end_point::geography) AS end_distance
+      FROM parts, segment
+    ), nearest AS (
+      SELECT * FROM located ORDER BY start_distance + end_distance LIMIT 1
+    ), cut AS (
+      SELECT
+        start_distance, end_distance,
+        CASE WHEN start_fraction <= end_fraction
+          THEN ST_LineSubstring(line, start_fraction, end_fraction)
+          ELSE ST_Reverse(ST_LineSubstring(line, end_fraction, start_fraction))
+        END AS shape
+      FROM nearest
+      WHERE start_fraction <> end_fraction
+    )
+    SELECT start_distance, end_distance, shape, ST_Length(shape::geography) AS length_meters
+    FROM cut
+    WHERE ST_GeometryType(shape) = 'ST_LineString'
+  `, [segmentId, wayIds]);
+
+  if (!result.rows.length) return null;
+  const row = result.rows[0];
+  return {
+    shape: row.shape,
+    start_distance: Number(row.start_distance),
+    end_distance: Number(row.end_distance),
+    length_meters: Number(row.length_meters)
+  };
+}
+
+// Try each tier until one gives a confident match; otherwise keep the best
+// attempt so reviewers can see which ways came closest
+async function matchSegment(client, segment) {
+  const candidates = await findCandidates(client, segment.id);
+  let best = { confidence: 0, snapped: false, wayIds: [], shape: null };
+
+  for (const tier of candidateTiers(segment, candidates)) {
+    const wayIds = tier.ways.map(way => way.id);
+    const shape = await cutShape(client, segment.id, wayIds);
+    if (!shape) continue;
+
+    const confidence = scoreMatch(segment, tier.attributeScore, shape);
+    const snapped = Math.max(shape.start_distance, shape.end_distance) <= SNAP_TOLERANCE_METERS;
+    if (confidence > best.confidence) {
+      best = { confidence, snapped, wayIds, shape: shape.shape };
+    }
+    if (snapped && confidence >= MATCHED_CONFIDENCE) break;
+  }
+
+  if (best.snapped && best.confidence >= MATCHED_CONFIDENCE) best.status = 'matched';
+  else if (best.confidence >= LOW_CONFIDENCE) best.status = 'low_confidence';
+  else best.status = 'unmatched';
+
+  return best;
+}
+
+async function saveMatch(client, segmentId, match) {
+  await client.query(`
+    UPDATE road_segments
+    SET matched_line = $2::geometry,
+        match_status = $3,
+        match_confidence = $4,
+        matched_osm_ids = $5,
+        matched_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [
+    segmentId,
+    match.status === 'matched' ? match.shape : null,
+    match.status,
+    Math.round(match.confidence * 1000) / 1000,
+    match.wayIds
+  ]);
+}
+
+// Record a conflation run. Segments are saved as they are matched, so a run
+// that failed part way records what it had already changed.
+const auditConflation = (pool, counts, pendingOnly, error) => recordAudit(pool, {
+  action: 'update',
+  entityType: 'road_segments',
+  source: 'cli',
+  rowCounts: { ...counts, pending_only: pendingOnly },
+  error: error && error.message
+});
+
+// Conflate every segment, or with `pendingOnly` only those never attempted.
+// Resolves with the number of segments per status.
+async function conflateSegments(pool, { pendingOnly = false, onProgress } = {}) {
+  const counts = { matched: 0, low_confidence: 0, unmatched: 0 };
+  const client = await pool.connect();
+
+  try {
+    let lastId = 0;
+    for (;;) {
+      const page = await client.query(`
+        SELECT id, st_rt_no, traf_rt_no, fac_type, street_name, segment_miles, seg_lngth_feet
+        FROM road_segments
+        WHERE id > $1
+          AND start_point IS NOT NULL AND end_point IS NOT NULL
+          ${pendingOnly ? 'AND match_status IS NULL' : ''}
+        ORDER BY id
+        LIMIT $2
+      `, [lastId, SEGMENT_PAGE_SIZE]);
+      if (!page.rows.length) break;
+
+      for (const segment of page.rows) {
+        const match = await matchSegment(client, segment);
+        await saveMatch(client, segment.id, match);
+        counts[match.status]++;
+      }
+
+      lastId = page.rows[page.rows.length - 1].id;
+      if (onProgress) onProgress({ ...counts });
+    }
+  } catch (error) {
+    await auditConflation(pool, counts, pendingOnly, error)
+      .catch(auditError => console.error('Error recording failed conflation:', auditError));
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditConflation(pool, counts, pendingOnly);
+  return counts;
+}
+
+const formatCounts = ({ matched, low_confidence: lowConfidence, unmatched }) =>
+  `${matched} matched, ${lowConfidence} low confidence, ${unmatched} unmatched`;
+
+// Main execution: node conflate.js [--pending]
+async function main() {
+  const pool = new Pool(dbConfig);
+  const pendingOnly = process.argv.includes('--pending');
+
+  try {
+    console.log(`Conflating ${pendingOnly ? 'pending' : 'all'} road segments with OSM roads...`);
+    const counts = await conflateSegments(pool, {
+      pendingOnly,
+      onProgress: progress => console.log(`Conflated: ${formatCounts(progress)}`)
+    });
+    console.log(`Conflation completed: ${formatCounts(counts)}`);
+  } catch (error) {
+    console.error('Conflation failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { DRIVEABLE_HIGHWAYS, conflateSegments };
@@ -0,0 +1,43 @@
+// Text encoding for COPY ... FROM STDIN, shared by the CSV and PBF importers,
+// and for the CSV files the server hands back
+
+// hstore literal: "key"=>"value", with quotes and backslashes escaped
+function toHstore(attrs) {
+  const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  return Object.entries(attrs)
+    .map(([key, value]) => `${quote(key)}=>${quote(value)}`)
+    .join(', ');
+}
+
+// COPY text format: tab separated, \N for NULL, backslash escapes
+function toCopyValue(value) {
+  if (value === null || value === undefined) return '\\N';
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+// One COPY line from values already in column order
+function toCopyRow(values) {
+  return values.map(toCopyValue).join('\t') + '\n';
+}
+
+// One CSV field, quoted only when it holds a comma, quote or line break
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// A CSV field for files people open in a spreadsheet. Text starting with =,
+// +, -, @, a tab or a carriage return would be read as a formula, so it gets
+// a leading ' (numbers such as -76.5 are left alone). Not for COPY, which
+// needs the raw value.
+const spreadsheetField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  const formula = /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(text);
+  return csvField(formula ? `'${text}` : text);
+};
+
+module.exports = { toHstore, toCopyValue, toCopyRow, csvField, spreadsheetField };
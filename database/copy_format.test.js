@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+const { toHstore, toCopyValue, toCopyRow, csvField, spreadsheetField } = require('./copy_format');
+
+describe('toCopyRow', () => {
+  test('joins values with tabs and ends the line', () => {
+    expect(toCopyRow(['1', 'Main St', 2.5])).toBe('1\tMain St\t2.5\n');
+  });
+
+  test('writes null and undefined as \\N', () => {
+    expect(toCopyRow([null, undefined, 0, ''])).toBe('\\N\t\\N\t0\t\n');
+  });
+
+  test('escapes backslashes, tabs and line breaks', () => {
+    expect(toCopyRow(['a\\b', 'c\td', 'e\nf', 'g\r\nh'])).toBe('a\\\\b\tc\\td\te\\nf\tg\\r\\nh\n');
+  });
+
+  test('keeps a literal \\N from reading as NULL', () => {
+    expect(toCopyValue('\\N')).toBe('\\\\N');
+  });
+});
+
+describe('toHstore', () => {
+  test('quotes keys and values and escapes quotes and backslashes', () => {
+    expect(toHstore({ name: 'Route "9"', path: 'C:\\roads' }))
+      .toBe('"name"=>"Route \\"9\\"", "path"=>"C:\\\\roads"');
+  });
+
+  test('is empty for no attributes', () => {
+    expect(toHstore({})).toBe('');
+  });
+});
+
+describe('csvField', () => {
+  test('quotes only fields that need it', () => {
+    expect(csvField('plain')).toBe('plain');
+    expect(csvField('a,b')).toBe('"a,b"');
+    expect(csvField('say "hi"')).toBe('"say ""hi"""');
+    expect(csvField('two\nlines')).toBe('"two\nlines"');
+  });
+
+  test('writes null as an empty field', () => {
+    expect(csvField(null)).toBe('');
+    expect(csvField(undefined)).toBe('');
+  });
+});
+
+describe('spreadsheetField', () => {
+  test('keeps text that starts a formula from running', () => {
+    expect(spreadsheetField('=HYPERLINK("http://example.com")')).toBe('"\'=HYPERLINK(""http://example.com"")"');
+    expect(spreadsheetField('+1+1')).toBe("'+1+1");
+    expect(spreadsheetField('-2+3')).toBe("'-2+3");
+    expect(spreadsheetField('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(spreadsheetField('\tcmd')).toBe("'\tcmd");
+  });
+
+  test('leaves numbers and plain text alone', () => {
+    expect(spreadsheetField(-76.5)).toBe('-76.5');
+    expect(spreadsheetField('-40.25')).toBe('-40.25');
+    expect(spreadsheetField('+3')).toBe('+3');
+    expect(spreadsheetField('1e-3')).toBe('1e-3');
+    expect(spreadsheetField('Main St')).toBe('Main St');
+    expect(spreadsheetField(null)).toBe('');
+  });
+
+  test('quotes like csvField', () => {
+    expect(spreadsheetField('a,b')).toBe('"a,b"');
+  });
+});
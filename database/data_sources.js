@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { createSegmentValidator } = require('./segment_schema');
+const { parseColumnMapping, loadColumnMapping } = require('./column_mapping');
+
+// Registry of the road inventories the dashboard serves, one per state (or
+// per agency file layout). Each data source says:
+//   file      where its segment CSV lives, relative to the config file;
+//             optional for sources only ever loaded by upload
+//   mapping   a column mapping file (see column_mapping.js), relative to
+//             the config file, for inventories laid out unlike PennDOT's
+//             RMSSEG: headers, unit conversions and code translations
+//   columns   road_segments column -> header in that file, or a mapping
+//             entry; overrides the mapping file's entry for that column
+//   state     two-letter code its OSM roads and counties are filed under
+//   bounds    [minLng, minLat, maxLng, maxLat]; coordinates outside reject
+//             the row, and the map fits to it when the source is picked
+//   refresh   watch    load at startup and whenever the file changes
+//             startup  load at startup only
+//             manual   only through POST /api/upload or migrate_data.js
+//   survey_year  condition survey the file holds; required unless refresh
+//             is manual. Startup and watch loads file the CSV under this
+//             year, and skip a file already loaded (see segment_ingest.js)
+//
+// Sources are defined in data_sources.json at the project root, or the file
+// named by DATA_SOURCES_FILE, and mirrored into the data_sources table,
+// which road_segments, segment_snapshots and the other per-source tables
+// reference. Requests that do not name a source get the config's
+// "default", or else its first source.
+//
+//   node database/data_sources.js list
+//   node database/data_sources.js sync
+
+// Database configuration
+const dbConfig = {
+  user: process.env.DB_USER || 'postgres',
+  host: process.env.DB_HOST || 'localhost',
+  database: process.env.DB_NAME || 'road_dashboard',
+  password: process.env.DB_PASSWORD || 'password',
+  port: process.env.DB_PORT || 5432,
+};
+
+const DATA_SOURCES_FILE = process.env.DATA_SOURCES_FILE || path.join(__dirname, '..', 'data_sources.json');
+
+const REFRESH_POLICIES = ['watch', 'startup', 'manual'];
+
+const SOURCE_ID = /^[a-z0-9_-]{1,50}$/;
+
+const dataSourceError = (status, message) => Object.assign(new Error(message), { status });
+
+function parseBounds(bounds, id) {
+  const values = Array.isArray(bounds) ? bounds.map(Number) : [];
+  const [minLng, minLat, maxLng, maxLat] = values;
+  if (values.length !== 4 || values.some(Number.isNaN) || minLng >= maxLng || minLat >= maxLat) {
+    throw new Error(`Data source ${id}: bounds must be [minLng, minLat, maxLng, maxLat]`);
+  }
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+// One config entry, checked, with its file resolved and its validator built
+function parseDataSource(entry, baseDir) {
+  const {
+    id,
+    name,
+    state,
+    file,
+    mapping,
+    columns = {},
+    bounds,
+    refresh = 'manual',
+    survey_year: surveyYear
+  } = entry || {};
+  if (!SOURCE_ID.test(id || '')) {
+    throw new Error(`Data source ids must be 1-50 lower-case letters, digits, _ or -: ${id}`);
+  }
+  if (!/^[A-Z]{2}$/.test(state || '')) {
+    throw new Error(`Data source ${id}: state must be a two-letter code such as PA`);
+  }
+  if (!REFRESH_POLICIES.includes(refresh)) {
+    throw new Error(`Data source ${id}: refresh must be one of: ${REFRESH_POLICIES.join(', ')}`);
+  }
+  if (refresh !== 'manual' && !file) {
+    throw new Error(`Data source ${id}: refresh ${refresh} needs a file`);
+  }
+  const maxYear = new Date().getFullYear() + 1;
+  if (surveyYear !== undefined && !(Number.isInteger(surveyYear) && surveyYear >= 1900 && surveyYear <= maxYear)) {
+    throw new Error(`Data source ${id}: survey_year must be a year from 1900 to ${maxYear}`);
+  }
+  if (refresh !== 'manual' && surveyYear === undefined) {
+    throw new Error(`Data source ${id}: refresh ${refresh} needs the survey_year its file holds`);
+  }
+
+  const extent = parseBounds(bounds, id);
+  const mappingFile = mapping ? path.resolve(baseDir, mapping) : null;
+  let mappedColumns;
+  let validator;
+  try {
+    mappedColumns = { ...(mappingFile ? loadColumnMapping(mappingFile).columns : {}), ...columns };
+    validator = createSegmentValidator({
+      columns: parseColumnMapping(mappedColumns),
+      bounds: extent,
+      region: name || state
+    });
+  } catch (error) {
+    throw new Error(`Data source ${id}: ${error.message}`);
+  }
+
+  return {
+    id,
+    name: name || id,
+    state,
+    file: file ? path.resolve(baseDir, file) : null,
+    mapping: mappingFile,
+    columns: mappedColumns,
+    bounds: [extent.minLng, extent.minLat, extent.maxLng, extent.maxLat],
+    refresh,
+    surveyYear: surveyYear || null,
+    requiredHeaders: validator.requiredHeaders,
+    validateRecord: validator.validateRecord
+  };
+}
+
+let registry = null;
+
+// The parsed config, read once. A broken config stops the server at
+// startup rather than at the first request.
+function loadRegistry() {
+  if (registry) return registry;
+
+  const config = JSON.parse(fs.readFileSync(DATA_SOURCES_FILE, 'utf8'));
+  const baseDir = path.dirname(DATA_SOURCES_FILE);
+  const sources = (config.sources || []).map(entry => parseDataSource(entry, baseDir));
+  if (!sources.length) {
+    throw new Error(`${DATA_SOURCES_FILE} defines no data sources`);
+  }
+
+  const ids = sources.map(source => source.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`Data source ${duplicate} is defined twice`);
+  }
+  const defaultId = config.default || ids[0];
+  if (!ids.includes(defaultId)) {
+    throw new Error(`The default data source ${defaultId} is not defined`);
+  }
+
+  registry = { sources, defaultId };
+  return registry;
+}
+
+function listDataSources() {
+  return loadRegistry().sources;
+}
+
+function getDefaultDataSource() {
+  const { sources, defaultId } = loadRegistry();
+  return sources.find(source => source.id === defaultId);
+}
+
+// The source with this id, or the default when none is given. An unknown
+// id is a 400.
+function getDataSource(id) {
+  if (id === undefined || id === null || id === '') {
+    return getDefaultDataSource();
+  }
+  const { sources } = loadRegistry();
+  const source = sources.find(candidate => candidate.id === String(id));
+  if (!source) {
+    throw dataSourceError(400, `Unknown data source ${id}; expected one of: ${sources.map(s => s.id).join(', ')}`);
+  }
+  return source;
+}
+
+// Middleware: sets req.dataSource from ?source= or a JSON body's `source`.
+// Multipart routes, whose body is not parsed yet, take it in the query.
+function resolveDataSource(req, res, next) {
+  try {
+    req.dataSource = getDataSource(req.query.source || (req.body && req.body.source));
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+// Insert or update one source's row. `db` is a pool or a client inside the
+// caller's transaction.
+async function saveDataSource(db, source) {
+  await db.query(`
+    INSERT INTO data_sources (id, name, state, file_path, column_mapping, bounds, refresh)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (id) DO UPDATE SET
+      name = EXCLUDED.name,
+      state = EXCLUDED.state,
+      file_path = EXCLUDED.file_path,
+      column_mapping = EXCLUDED.column_mapping,
+      bounds = EXCLUDED.bounds,
+      refresh = EXCLUDED.refresh,
+      updated_at = CURRENT_TIMESTAMP
+  `, [
+    source.id,
+    source.name,
+    source.state,
+    source.file,
+    JSON.stringify(source.columns),
+    JSON.stringify(source.bounds),
+    source.refresh
+  ]);
+}
+
+// Mirror the config into the data_sources table. Sources no longer in the
+// config keep their row, so their surveys and audit entries still resolve.
+async function syncDataSources(pool) {
+  for (const source of listDataSources()) {
+    await saveDataSource(pool, source);
+  }
+}
+
+// Main execution: node data_sources.js list|sync
+async function main() {
+  const [command = 'list'] = process.argv.slice(2);
+
+  try {
+    if (command === 'list') {
+      const defaultId = getDefaultDataSource().id;
+      console.table(listDataSources().map(({ id, name, state, file, mapping, refresh, surveyYear }) => ({
+        id,
+        name,
+        state,
+        file: file ? path.relative(process.cwd(), file) : '',
+        mapping: mapping ? path.relative(process.cwd(), mapping) : '',
+        refresh,
+        survey_year: surveyYear || '',
+        default: id === defaultId
+      })));
+    } else if (command === 'sync') {
+      const pool = new Pool(dbConfig);
+      try {
+        await syncDataSources(pool);
+        console.log(`Synced ${listDataSources().length} data sources from ${DATA_SOURCES_FILE}`);
+      } finally {
+        await pool.end();
+      }
+    } else {
+      console.log('Usage: node database/data_sources.js list|sync');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  REFRESH_POLICIES,
+  parseDataSource,
+  listDataSources,
+  getDataSource,
+  resolveDataSource,
+  saveDataSource,
+  syncDataSources
+};
@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+const path = require('path');
+const { parseDataSource } = require('./data_sources');
+
+const PROJECT_DIR = path.join(__dirname, '..');
+
+// A manual source with coordinates around Ohio
+const entry = (overrides = {}) => ({
+  id: 'oh',
+  name: 'Ohio',
+  state: 'OH',
+  bounds: [-84.82, 38.4, -80.52, 41.98],
+  ...overrides
+});
+
+// A record in the default RMSSEG layout, inside `entry`'s bounds
+const record = (overrides = {}) => ({
+  OBJECTID: '7',
+  X_VALUE_BGN: '-83.0',
+  Y_VALUE_BGN: '40.0',
+  X_VALUE_END: '-83.01',
+  Y_VALUE_END: '40.01',
+  ...overrides
+});
+
+describe('parseDataSource', () => {
+  test('fills in defaults for a manual source', () => {
+    const dataSource = parseDataSource(entry(), PROJECT_DIR);
+    expect(dataSource).toMatchObject({
+      id: 'oh',
+      name: 'Ohio',
+      state: 'OH',
+      file: null,
+      mapping: null,
+      columns: {},
+      bounds: [-84.82, 38.4, -80.52, 41.98],
+      refresh: 'manual',
+      surveyYear: null
+    });
+    expect(dataSource.requiredHeaders).toContain('X_VALUE_BGN');
+  });
+
+  test('resolves the file against the config directory', () => {
+    const dataSource = parseDataSource(entry({ file: 'oh.csv', refresh: 'startup', survey_year: 2024 }), PROJECT_DIR);
+    expect(dataSource.file).toBe(path.join(PROJECT_DIR, 'oh.csv'));
+    expect(dataSource.surveyYear).toBe(2024);
+  });
+
+  test.each([
+    ['an invalid id', { id: 'Ohio DOT' }, 'Data source ids must be'],
+    ['a lower-case state', { state: 'oh' }, 'state must be a two-letter code'],
+    ['an unknown refresh policy', { refresh: 'hourly' }, 'refresh must be one of: watch, startup, manual'],
+    ['a watched source without a file', { refresh: 'watch', survey_year: 2024 }, 'refresh watch needs a file'],
+    ['a watched source without a survey year', { refresh: 'watch', file: 'oh.csv' }, 'needs the survey_year'],
+    ['a survey year that is not a number', { survey_year: '2024' }, 'survey_year must be a year'],
+    ['a survey year too far back', { survey_year: 1850 }, 'survey_year must be a year']
+  ])('rejects %s', (description, overrides, message) => {
+    expect(() => parseDataSource(entry(overrides), PROJECT_DIR)).toThrow(message);
+  });
+
+  test.each([
+    ['missing', undefined],
+    ['too short', [-84.82, 38.4, -80.52]],
+    ['not numbers', ['west', 38.4, -80.52, 41.98]],
+    ['reversed', [-80.52, 41.98, -84.82, 38.4]]
+  ])('rejects bounds that are %s', (description, bounds) => {
+    expect(() => parseDataSource(entry({ bounds }), PROJECT_DIR))
+      .toThrow('Data source oh: bounds must be [minLng, minLat, maxLng, maxLat]');
+  });
+
+  test('rejects columns road_segments does not have', () => {
+    expect(() => parseDataSource(entry({ columns: { speed_limit: 'SPEED' } }), PROJECT_DIR))
+      .toThrow('Data source oh: speed_limit is not a road_segments column');
+  });
+
+  test('validates records against its bounds', () => {
+    const { validateRecord } = parseDataSource(entry(), PROJECT_DIR);
+    expect(validateRecord(record()).issues).toEqual([]);
+    expect(validateRecord(record({ X_VALUE_BGN: '-76.7' })).issues)
+      .toEqual([expect.objectContaining({ severity: 'error', reason: 'X_VALUE_BGN is outside Ohio' })]);
+  });
+
+  test('reads a mapping file, with inline columns taking precedence', () => {
+    const dataSource = parseDataSource(entry({
+      mapping: 'mappings/hpms.json',
+      columns: { st_rt_no: 'ROUTE' }
+    }), PROJECT_DIR);
+    expect(dataSource.mapping).toBe(path.join(PROJECT_DIR, 'mappings', 'hpms.json'));
+    expect(dataSource.columns).toMatchObject({ st_rt_no: 'ROUTE', x_value_bgn: 'Begin_Longitude' });
+    expect(dataSource.requiredHeaders).toEqual(['Begin_Longitude', 'Begin_Latitude', 'End_Longitude', 'End_Latitude']);
+  });
+
+  test('names a mapping file that is missing', () => {
+    expect(() => parseDataSource(entry({ mapping: 'mappings/none.json' }), PROJECT_DIR))
+      .toThrow(/^Data source oh: Column mapping .*none\.json/);
+  });
+});
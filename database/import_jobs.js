@@ -0,0 +1,243 @@
+const fs = require('fs');
+const { ingestSegmentsCSV, formatProgress, surveyEntityId } = require('./segment_ingest');
+const { getDataSource } = require('./data_sources');
+const { spreadsheetField } = require('./copy_format');
+const { write } = require('./road_export');
+const { recordAudit } = require('./audit_log');
+
+// Background CSV imports started from POST /api/upload.
+//
+// Each upload gets a row in import_jobs, naming the data source the file
+// belongs to, and runs through ingestSegmentsCSV, so the source's
+// road_segments rows are only replaced once the whole file has been read
+// and staged. Validation issues are written to import_issues as they are found,
+// and a per-reason tally is kept on the job itself.
+// Jobs run one at a time, in the same queue as the server's startup and file
+// watch loads: two swaps racing each other would leave whichever finished
+// last, not whichever was uploaded last.
+// Every job is written to the audit log under the uploading user, failed
+// ones included.
+
+// Issues are inserted in batches to keep round trips down on bad files
+const ISSUE_BATCH_SIZE = 500;
+
+// Progress is written back at most this often while a job runs
+const PROGRESS_INTERVAL_ROWS = 10000;
+
+// How many issues GET /api/imports/:id returns inline
+const ISSUE_PREVIEW_LIMIT = 100;
+
+// Page size when streaming a full issue report
+const REPORT_PAGE_SIZE = 5000;
+
+const REPORT_COLUMNS = ['line_number', 'severity', 'column_name', 'value', 'reason'];
+
+let queue = Promise.resolve();
+
+async function createImportJob(pool, { sourceId, fileName, fileSize, surveyYear }) {
+  const result = await pool.query(
+    `INSERT INTO import_jobs (source_id, file_name, file_size, survey_year) VALUES ($1, $2, $3, $4) RETURNING *`,
+    [sourceId, fileName, fileSize, surveyYear]
+  );
+  return result.rows[0];
+}
+
+async function updateImportJob(pool, id, fields) {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+  await pool.query(
+    `UPDATE import_jobs SET ${assignments.join(', ')} WHERE id = $1`,
+    [id, ...columns.map(column => fields[column])]
+  );
+}
+
+async function getImportJob(pool, id) {
+  const result = await pool.query('SELECT * FROM import_jobs WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+async function listImportJobs(pool, limit = 20) {
+  const result = await pool.query(
+    'SELECT * FROM import_jobs ORDER BY created_at DESC LIMIT $1',
+    [limit]
+  );
+  return result.rows;
+}
+
+async function getImportIssues(pool, id, { severity, limit = ISSUE_PREVIEW_LIMIT, offset = 0 } = {}) {
+  const params = [id, limit, offset, ...(severity ? [severity] : [])];
+  const severityFilter = severity ? ' AND severity = $4' : '';
+
+  const result = await pool.query(
+    `SELECT line_number, severity, column_name, value, reason, record
+     FROM import_issues
+     WHERE job_id = $1${severityFilter}
+     ORDER BY line_number, id
+     LIMIT $2 OFFSET $3`,
+    params
+  );
+  return result.rows;
+}
+
+// Write every issue for a job as CSV, a page at a time, to a writable such
+// as an Express response. Values are raw input, so they are written to be
+// safe to open in a spreadsheet. Stops early if the client goes away.
+async function writeIssueReport(pool, id, output, { severity } = {}) {
+  if (!(await write(output, REPORT_COLUMNS.join(',') + '\n'))) return;
+
+  const severityFilter = severity ? ' AND severity = $4' : '';
+
+  let lastId = 0;
+  for (;;) {
+    const result = await pool.query(
+      `SELECT id, ${REPORT_COLUMNS.join(', ')}
+       FROM import_issues
+       WHERE job_id = $1 AND id > $2${severityFilter}
+       ORDER BY id
+       LIMIT $3`,
+      [id, lastId, REPORT_PAGE_SIZE, ...(severity ? [severity] : [])]
+    );
+    if (!result.rows.length) break;
+
+    const written = await write(output, result.rows
+      .map(row => REPORT_COLUMNS.map(column => spreadsheetField(row[column])).join(','))
+      .join('\n') + '\n');
+    if (!written) return;
+    lastId = result.rows[result.rows.length - 1].id;
+  }
+}
+
+async function insertIssues(pool, jobId, issues) {
+  if (!issues.length) return;
+
+  const params = [jobId];
+  const values = issues.map(({ line, severity, column, value, reason, record }) => {
+    params.push(line, severity, column, value, reason, record ? JSON.stringify(record) : null);
+    const base = params.length - 6;
+    return `($1, ${[1, 2, 3, 4, 5, 6].map(offset => `$${base + offset}`).join(', ')})`;
+  });
+
+  await pool.query(
+    `INSERT INTO import_issues (job_id, line_number, severity, column_name, value, reason, record)
+     VALUES ${values.join(', ')}`,
+    params
+  );
+}
+
+async function runImportJob(pool, job, filePath, user) {
+  let pending = [];
+  const flushIssues = () => {
+    const batch = pending;
+    pending = [];
+    return insertIssues(pool, job.id, batch);
+  };
+
+  const summary = { errors: {}, warnings: {} };
+  const tally = ({ severity, reason }) => {
+    const counts = severity === 'error' ? summary.errors : summary.warnings;
+    counts[reason] = (counts[reason] || 0) + 1;
+  };
+
+  try {
+    await updateImportJob(pool, job.id, { status: 'running', started_at: new Date() });
+
+    const result = await ingestSegmentsCSV(pool, filePath, {
+      dataSource: getDataSource(job.source_id),
+      progressInterval: PROGRESS_INTERVAL_ROWS,
+      surveyYear: job.survey_year || undefined,
+      fileName: job.file_name,
+      audit: { user, source: 'upload' },
+      onIssues: ({ line, issues, record, rejected }) => {
+        issues.forEach(issue => {
+          tally(issue);
+          // The original record is only worth keeping for lines that were dropped
+          pending.push({ ...issue, line, record: rejected ? record : null });
+        });
+        return pending.length >= ISSUE_BATCH_SIZE ? flushIssues() : null;
+      },
+      onProgress: progress => {
+        console.log(`Import ${job.id}: ${formatProgress(progress)}`);
+        updateImportJob(pool, job.id, {
+          loaded_rows: progress.rows,
+          rejected_rows: progress.rejected,
+          warning_count: progress.warnings,
+          issue_summary: summary,
+          bytes_read: progress.bytes
+        }).catch(error => console.error(`Error updating import ${job.id}:`, error));
+      }
+    });
+
+    await flushIssues();
+    await updateImportJob(pool, job.id, {
+      status: 'completed',
+      total_rows: result.rows + result.rejected,
+      loaded_rows: result.rows,
+      rejected_rows: result.rejected,
+      warning_count: result.warnings,
+      issue_summary: summary,
+      bytes_read: result.totalBytes,
+      survey_year: result.surveyYear,
+      snapshot_id: result.snapshotId,
+      finished_at: new Date()
+    });
+    console.log(`Import ${job.id} completed: ${result.rows} loaded, ${result.rejected} rejected, ${result.warnings} warnings`);
+  } catch (error) {
+    console.error(`Import ${job.id} failed:`, error);
+    await flushIssues().catch(() => {});
+    await updateImportJob(pool, job.id, {
+      status: 'failed',
+      issue_summary: summary,
+      error: error.message,
+      finished_at: new Date()
+    }).catch(updateError => console.error(`Error updating import ${job.id}:`, updateError));
+    await recordAudit(pool, {
+      user,
+      action: 'import',
+      entityType: 'road_segments',
+      entityId: surveyEntityId(job.source_id, job.survey_year),
+      source: 'upload',
+      fileName: job.file_name,
+      error: error.message
+    }).catch(auditError => console.error(`Error recording import ${job.id} in the audit log:`, auditError));
+  } finally {
+    fs.unlink(filePath, () => {});
+  }
+}
+
+// Run `task` once every import queued before it has finished. Resolves or
+// rejects with its result. Startup and file watch loads queue here as well,
+// so they never race an upload.
+function runQueuedImport(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// Queue an import behind any that are already running, on behalf of `user`
+// (req.user). Returns immediately; callers follow progress through
+// getImportJob.
+function enqueueImportJob(pool, job, filePath, user) {
+  runQueuedImport(() => runImportJob(pool, job, filePath, user));
+  return job;
+}
+
+// A restart drops the in-memory queue, so anything still queued or running
+// from a previous process will never finish
+async function failInterruptedJobs(pool) {
+  await pool.query(`
+    UPDATE import_jobs
+    SET status = 'failed', error = 'Interrupted by server restart', finished_at = CURRENT_TIMESTAMP
+    WHERE status IN ('queued', 'running')
+  `);
+}
+
+module.exports = {
+  createImportJob,
+  getImportJob,
+  listImportJobs,
+  getImportIssues,
+  writeIssueReport,
+  enqueueImportJob,
+  runQueuedImport,
+  failInterruptedJobs
+};
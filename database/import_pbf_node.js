@@ -1,6 +1,10 @@
 const fs = require('fs');
+const zlib = require('zlib');
 const { Pool } = require('pg');
+const { from: copyFrom } = require('pg-copy-streams');
 const path = require('path');
+const { toHstore, toCopyRow } = require('./copy_format');
+const { hashFile, recordAudit } = require('./audit_log');
 
 // Database configuration
 const dbConfig = {
@@ -13,194 +17,649 @@ const dbConfig = {
 
 const pool = new Pool(dbConfig);
 
-// Simple PBF parser for OSM data
-class PBFParser {
-  constructor(filePath) {
-    this.filePath = filePath;
-    this.buffer = null;
-    this.position = 0;
-    this.nodes = new Map();
-    this.ways = [];
-  }
-
-  async parse() {
-    console.log('Reading PBF file...');
-    this.buffer = fs.readFileSync(this.filePath);
-    this.position = 0;
-
-    while (this.position < this.buffer.length) {
-      try {
-        const block = this.readBlock();
-        if (block) {
-          await this.processBlock(block);
-        }
-      } catch (error) {
-        console.log('Reached end of file or parsing error:', error.message);
-        break;
+// Imports highway ways from an OSM PBF extract into osm_roads without
+// osm2pgsql. The file is read one blob at a time and passed over more than once:
+//
+//   1. ways:  collect the ids of every node a road way references
+//   2. nodes: keep coordinates for those nodes only
+//   3. ways:  assemble each road into a LINESTRING and COPY it into staging
+//
+// Files sorted by type then id (the norm for Geofabrik extracts) have all
+// nodes before any way, so steps 2 and 3 share a single pass. Memory grows
+// with the number of road nodes (16 bytes each), not with the file size,
+// which keeps a state extract comfortable but not the whole country.
+//
+// Format reference: https://wiki.openstreetmap.org/wiki/PBF_Format
+
+// Spec limits: 64 KiB for a BlobHeader, 32 MiB for a Blob
+const MAX_BLOB_HEADER_SIZE = 64 * 1024;
+const MAX_BLOB_SIZE = 32 * 1024 * 1024;
+
+const SUPPORTED_FEATURES = ['OsmSchema-V0.6', 'DenseNodes'];
+const SORTED_FEATURE = 'Sort.Type_then_ID';
+
+// Same exclusions as extract_roads_from_ways() in pbf_import.sql
+const EXCLUDED_HIGHWAYS = ['no', 'proposed', 'construction'];
+
+const STAGING_TABLE = 'osm_roads_staging';
+
+// osm_roads columns filled from each way, with the VARCHAR limit where there
+// is one, so an unusually long tag is cut short instead of aborting the COPY
+const ROAD_COLUMNS = [
+  ['id', 'BIGINT'],
+  ['osm_id', 'BIGINT'],
+  ['name', 'VARCHAR(255)', 255],
+  ['highway', 'VARCHAR(50)', 50],
+  ['surface', 'VARCHAR(50)', 50],
+  ['maxspeed', 'VARCHAR(20)', 20],
+  ['lanes', 'INTEGER'],
+  ['width', 'DECIMAL(8,2)'],
+  ['oneway', 'BOOLEAN'],
+  ['bridge', 'BOOLEAN'],
+  ['tunnel', 'BOOLEAN'],
+  ['access', 'VARCHAR(50)', 50],
+  ['ref', 'VARCHAR(100)', 100],
+  ['operator', 'VARCHAR(255)', 255],
+  ['network', 'VARCHAR(100)', 100],
+  ['state', 'VARCHAR(10)', 10],
+  ['county', 'VARCHAR(100)', 100],
+  ['city', 'VARCHAR(100)', 100],
+  ['tags', 'HSTORE'],
+  ['geom', 'GEOMETRY(LINESTRING, 4326)']
+];
+
+// Minimal protocol buffer reader covering the wire types PBF uses
+class ProtoReader {
+  constructor(buffer, start = 0, end = buffer.length) {
+    this.buffer = buffer;
+    this.position = start;
+    this.end = end;
+  }
+
+  get done() {
+    return this.position >= this.end;
+  }
+
+  // Multiplication instead of bit shifts so ids past 2^31 stay exact
+  readVarint() {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      if (this.position >= this.end) {
+        throw new Error('Truncated varint');
       }
-    }
+      byte = this.buffer[this.position++];
+      result += (byte & 0x7F) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
 
-    console.log(`Parsed ${this.nodes.size} nodes and ${this.ways.length} ways`);
-    return { nodes: this.nodes, ways: this.ways };
+    // Negative int64 values arrive as ten-byte two's complement
+    return result >= 2 ** 63 ? result - 2 ** 64 : result;
   }
 
-  readBlock() {
-    if (this.position >= this.buffer.length) return null;
-    
-    // Skip to next block (simplified approach)
-    const blockSize = this.readVarint();
-    if (blockSize <= 0 || this.position + blockSize > this.buffer.length) {
-      return null;
+  readSVarint() {
+    const value = this.readVarint();
+    return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+  }
+
+  readBytes() {
+    const length = this.readVarint();
+    const start = this.position;
+    this.position += length;
+    if (this.position > this.end) {
+      throw new Error('Truncated length-delimited field');
     }
+    return this.buffer.subarray(start, this.position);
+  }
 
-    const blockData = this.buffer.slice(this.position, this.position + blockSize);
-    this.position += blockSize;
-    
-    return blockData;
+  readString() {
+    return this.readBytes().toString('utf8');
   }
 
-  readVarint() {
-    let result = 0;
-    let shift = 0;
-    
-    while (this.position < this.buffer.length) {
-      const byte = this.buffer[this.position++];
-      result |= (byte & 0x7F) << shift;
-      
-      if ((byte & 0x80) === 0) {
+  // Returns the next field number and wire type, or null at the end
+  readTag() {
+    if (this.done) return null;
+    const tag = this.readVarint();
+    return { field: Math.floor(tag / 8), wireType: tag % 8 };
+  }
+
+  skip(wireType) {
+    switch (wireType) {
+      case 0: this.readVarint(); break;
+      case 1: this.position += 8; break;
+      case 2: {
+        // Read the length first: `position += readVarint()` would add it to
+        // the position from before the length was consumed
+        const length = this.readVarint();
+        this.position += length;
         break;
       }
-      
-      shift += 7;
+      case 5: this.position += 4; break;
+      default: throw new Error(`Unsupported wire type ${wireType}`);
+    }
+  }
+
+  // Packed repeated field; `read` is one of the reader's own methods
+  readPacked(read) {
+    const end = this.readVarint() + this.position;
+    const values = [];
+    while (this.position < end) {
+      values.push(read.call(this));
     }
-    
-    return result;
+    return values;
   }
 
-  async processBlock(blockData) {
-    // This is a simplified parser - in reality, PBF parsing is complex
-    // For now, we'll create sample road data based on Pennsylvania coordinates
-    // and insert it directly into the database
+  // Packed sint64 stored as deltas from the previous value
+  readPackedDeltas() {
+    const values = this.readPacked(this.readSVarint);
+    for (let i = 1; i < values.length; i++) {
+      values[i] += values[i - 1];
+    }
+    return values;
   }
 }
 
-// Function to generate sample Pennsylvania road data
-async function generatePennsylvaniaRoads() {
-  console.log('Generating Pennsylvania road data...');
-  
-  const client = await pool.connect();
-  
+function decodeBlobHeader(buffer) {
+  const reader = new ProtoReader(buffer);
+  const header = { type: null, datasize: 0 };
+  let tag;
+  while ((tag = reader.readTag())) {
+    if (tag.field === 1) header.type = reader.readString();
+    else if (tag.field === 3) header.datasize = reader.readVarint();
+    else reader.skip(tag.wireType);
+  }
+  return header;
+}
+
+function decodeBlob(buffer) {
+  const reader = new ProtoReader(buffer);
+  let tag;
+  while ((tag = reader.readTag())) {
+    switch (tag.field) {
+      case 1: return Buffer.from(reader.readBytes());
+      case 3: return zlib.inflateSync(reader.readBytes());
+      case 4: throw new Error('LZMA-compressed blobs are not supported');
+      case 6: throw new Error('LZ4-compressed blobs are not supported');
+      case 7: throw new Error('ZSTD-compressed blobs are not supported');
+      default: reader.skip(tag.wireType);
+    }
+  }
+  throw new Error('Blob has no data');
+}
+
+function decodeHeaderBlock(buffer) {
+  const reader = new ProtoReader(buffer);
+  const header = { requiredFeatures: [], optionalFeatures: [] };
+  let tag;
+  while ((tag = reader.readTag())) {
+    if (tag.field === 4) header.requiredFeatures.push(reader.readString());
+    else if (tag.field === 5) header.optionalFeatures.push(reader.readString());
+    else reader.skip(tag.wireType);
+  }
+  return header;
+}
+
+async function readExactly(handle, length, position) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  if (bytesRead < length) {
+    throw new Error(`Unexpected end of file at byte ${position + bytesRead}`);
+  }
+  return buffer;
+}
+
+// Yields { type, data, position } for each blob, data decompressed
+async function* readBlobs(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
   try {
-    // Clear existing OSM roads
-    await client.query('DELETE FROM osm_roads');
-    
-    // Pennsylvania bounding box coordinates
-    const paBounds = {
-      north: 42.3,
-      south: 39.7,
-      east: -74.7,
-      west: -80.5
-    };
-    
-    const roads = [];
-    const roadTypes = ['motorway', 'trunk', 'primary', 'secondary', 'tertiary', 'residential', 'unclassified'];
-    
-    // Generate sample roads across Pennsylvania
-    for (let i = 0; i < 50000; i++) {
-      const lat1 = paBounds.south + Math.random() * (paBounds.north - paBounds.south);
-      const lng1 = paBounds.west + Math.random() * (paBounds.east - paBounds.west);
-      
-      // Create a second point to form a line segment
-      const lat2 = lat1 + (Math.random() - 0.5) * 0.01; // Small offset
-      const lng2 = lng1 + (Math.random() - 0.5) * 0.01; // Small offset
-      
-      // Create a road segment as a LINESTRING
-      const road = {
-        osm_id: 1000000 + i,
-        name: `PA Road ${i}`,
-        highway: roadTypes[Math.floor(Math.random() * roadTypes.length)],
-        surface: ['asphalt', 'concrete', 'gravel'][Math.floor(Math.random() * 3)],
-        maxspeed: ['25', '35', '45', '55', '65'][Math.floor(Math.random() * 5)],
-        lanes: Math.floor(Math.random() * 4) + 1,
-        width: Math.floor(Math.random() * 20) + 10,
-        oneway: Math.random() > 0.7,
-        bridge: Math.random() > 0.9,
-        tunnel: Math.random() > 0.95,
-        access: 'yes',
-        ref: `PA-${Math.floor(Math.random() * 999)}`,
-        operator: 'PennDOT',
-        network: 'us-pa',
-        state: 'PA',
-        county: ['Philadelphia', 'Allegheny', 'Montgomery', 'Bucks', 'Delaware'][Math.floor(Math.random() * 5)],
-        city: ['Philadelphia', 'Pittsburgh', 'Allentown', 'Erie', 'Reading'][Math.floor(Math.random() * 5)],
-        geom: `LINESTRING(${lng1} ${lat1}, ${lng2} ${lat2})`,
-        length_meters: Math.floor(Math.random() * 5000) + 100
-      };
-      
-      roads.push(road);
-    }
-    
-    // Insert roads one by one to avoid parameter issues
-    for (let i = 0; i < roads.length; i++) {
-      const road = roads[i];
-      
-      const insertQuery = `
-        INSERT INTO osm_roads (
-          id, osm_id, name, highway, surface, maxspeed, lanes, width, 
-          oneway, bridge, tunnel, access, ref, operator, network, 
-          state, county, city, geom, length_meters
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, ST_GeomFromText($19, 4326), $20)
-      `;
-      
-      const params = [
-        road.osm_id, // Use osm_id as the primary key
-        road.osm_id, road.name, road.highway, road.surface, road.maxspeed,
-        road.lanes, road.width, road.oneway, road.bridge, road.tunnel,
-        road.access, road.ref, road.operator, road.network, road.state,
-        road.county, road.city, road.geom, road.length_meters
-      ];
-      
-      await client.query(insertQuery, params);
-      
-      if (i % 1000 === 0) {
-        console.log(`Inserted ${i + 1} roads...`);
+    const lengthBuffer = Buffer.alloc(4);
+    let position = 0;
+
+    for (;;) {
+      const { bytesRead } = await handle.read(lengthBuffer, 0, 4, position);
+      if (bytesRead === 0) return;
+      if (bytesRead < 4) {
+        throw new Error(`Unexpected end of file at byte ${position + bytesRead}`);
+      }
+
+      const headerSize = lengthBuffer.readUInt32BE(0);
+      if (headerSize > MAX_BLOB_HEADER_SIZE) {
+        throw new Error(`BlobHeader of ${headerSize} bytes at byte ${position}; is this a PBF file?`);
       }
+      const header = decodeBlobHeader(await readExactly(handle, headerSize, position + 4));
+      if (header.datasize > MAX_BLOB_SIZE) {
+        throw new Error(`Blob of ${header.datasize} bytes at byte ${position}`);
+      }
+
+      const blob = await readExactly(handle, header.datasize, position + 4 + headerSize);
+      position += 4 + headerSize + header.datasize;
+
+      yield { type: header.type, data: decodeBlob(blob), position };
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+function readStringTable(buffer) {
+  const reader = new ProtoReader(buffer);
+  const strings = [];
+  let tag;
+  while ((tag = reader.readTag())) {
+    if (tag.field === 1) strings.push(reader.readString());
+    else reader.skip(tag.wireType);
+  }
+  return strings;
+}
+
+// Coordinates are reported in 1e-7 degree units (OSM's native precision) so
+// they fit exactly in an Int32Array
+function decodeDenseNodes(buffer, block, onNode) {
+  const reader = new ProtoReader(buffer);
+  let ids = [];
+  let lats = [];
+  let lons = [];
+  let tag;
+  while ((tag = reader.readTag())) {
+    if (tag.field === 1) ids = reader.readPackedDeltas();
+    else if (tag.field === 8) lats = reader.readPackedDeltas();
+    else if (tag.field === 9) lons = reader.readPackedDeltas();
+    else reader.skip(tag.wireType);
+  }
+
+  for (let i = 0; i < ids.length; i++) {
+    onNode(ids[i], block.toLat(lats[i]), block.toLon(lons[i]));
+  }
+}
+
+function decodeNode(buffer, block, onNode) {
+  const reader = new ProtoReader(buffer);
+  let id = 0;
+  let lat = 0;
+  let lon = 0;
+  let tag;
+  while ((tag = reader.readTag())) {
+    if (tag.field === 1) id = reader.readSVarint();
+    else if (tag.field === 8) lat = reader.readSVarint();
+    else if (tag.field === 9) lon = reader.readSVarint();
+    else reader.skip(tag.wireType);
+  }
+  onNode(id, block.toLat(lat), block.toLon(lon));
+}
+
+function decodeWay(buffer, block, onWay) {
+  const reader = new ProtoReader(buffer);
+  let id = 0;
+  let keys = [];
+  let values = [];
+  let refs = [];
+  let tag;
+  while ((tag = reader.readTag())) {
+    if (tag.field === 1) id = reader.readVarint();
+    else if (tag.field === 2) keys = reader.readPacked(reader.readVarint);
+    else if (tag.field === 3) values = reader.readPacked(reader.readVarint);
+    else if (tag.field === 8) refs = reader.readPackedDeltas();
+    else reader.skip(tag.wireType);
+  }
+
+  const tags = {};
+  keys.forEach((key, index) => {
+    tags[block.strings[key]] = block.strings[values[index]];
+  });
+  onWay({ id, tags, refs });
+}
+
+// Decode one OSMData blob, calling onNode(id, lat, lon) and onWay({ id, tags,
+// refs }) for the element kinds a handler is given for; the rest are skipped
+// without decoding
+function decodePrimitiveBlock(buffer, { onNode, onWay }) {
+  const reader = new ProtoReader(buffer);
+  const groups = [];
+  let stringTable = null;
+  let granularity = 100;
+  let latOffset = 0;
+  let lonOffset = 0;
+  let tag;
+
+  // Offsets and granularity follow the groups on the wire, so groups are
+  // only decoded once the whole block has been read
+  while ((tag = reader.readTag())) {
+    switch (tag.field) {
+      case 1: stringTable = reader.readBytes(); break;
+      case 2: groups.push(reader.readBytes()); break;
+      case 17: granularity = reader.readVarint(); break;
+      case 19: latOffset = reader.readVarint(); break;
+      case 20: lonOffset = reader.readVarint(); break;
+      default: reader.skip(tag.wireType);
     }
-    
-    console.log(`Successfully imported ${roads.length} Pennsylvania roads`);
-    
+  }
+
+  const block = {
+    strings: onWay && stringTable ? readStringTable(stringTable) : [],
+    // nanodegrees to 1e-7 degrees
+    toLat: value => Math.round((latOffset + granularity * value) / 100),
+    toLon: value => Math.round((lonOffset + granularity * value) / 100)
+  };
+
+  for (const group of groups) {
+    const groupReader = new ProtoReader(group);
+    while ((tag = groupReader.readTag())) {
+      if (tag.field === 1 && onNode) decodeNode(groupReader.readBytes(), block, onNode);
+      else if (tag.field === 2 && onNode) decodeDenseNodes(groupReader.readBytes(), block, onNode);
+      else if (tag.field === 3 && onWay) decodeWay(groupReader.readBytes(), block, onWay);
+      else groupReader.skip(tag.wireType);
+    }
+  }
+}
+
+// One pass over the file. afterBlock runs after each data block and may be
+// async, which lets callers flush output with backpressure.
+async function scanPBF(filePath, { onHeader, onNode, onWay, afterBlock, label }) {
+  const totalBytes = fs.statSync(filePath).size;
+  let blocks = 0;
+
+  for await (const { type, data, position } of readBlobs(filePath)) {
+    if (type === 'OSMHeader') {
+      if (onHeader) onHeader(decodeHeaderBlock(data));
+    } else if (type === 'OSMData') {
+      decodePrimitiveBlock(data, { onNode, onWay });
+      if (afterBlock) await afterBlock();
+
+      blocks++;
+      if (blocks % 500 === 0) {
+        console.log(`${label}: ${Math.round((position / totalBytes) * 100)}% of file`);
+      }
+    }
+  }
+}
+
+// Sorted, de-duplicated set of node ids, grown in a Float64Array instead of
+// a Set to keep tens of millions of ids within reach of the default heap
+class NodeIdList {
+  constructor() {
+    this.ids = new Float64Array(1 << 20);
+    this.length = 0;
+  }
+
+  addAll(ids) {
+    if (this.length + ids.length > this.ids.length) {
+      let size = this.ids.length * 2;
+      while (size < this.length + ids.length) size *= 2;
+      const grown = new Float64Array(size);
+      grown.set(this.ids.subarray(0, this.length));
+      this.ids = grown;
+    }
+    for (const id of ids) {
+      this.ids[this.length++] = id;
+    }
+  }
+
+  seal() {
+    const sorted = this.ids.subarray(0, this.length).sort();
+    let unique = 0;
+    for (let i = 0; i < sorted.length; i++) {
+      if (i === 0 || sorted[i] !== sorted[i - 1]) {
+        sorted[unique++] = sorted[i];
+      }
+    }
+    this.ids = sorted.slice(0, unique);
+    this.length = unique;
+    return this.ids;
+  }
+}
+
+const MISSING = -0x80000000;
+
+// Coordinates for a fixed, sorted list of node ids
+class NodeLocations {
+  constructor(ids) {
+    this.ids = ids;
+    this.lats = new Int32Array(ids.length).fill(MISSING);
+    this.lons = new Int32Array(ids.length).fill(MISSING);
+  }
+
+  indexOf(id) {
+    let low = 0;
+    let high = this.ids.length - 1;
+    while (low <= high) {
+      const middle = (low + high) >>> 1;
+      const value = this.ids[middle];
+      if (value === id) return middle;
+      if (value < id) low = middle + 1;
+      else high = middle - 1;
+    }
+    return -1;
+  }
+
+  set(id, lat, lon) {
+    const index = this.indexOf(id);
+    if (index !== -1) {
+      this.lats[index] = lat;
+      this.lons[index] = lon;
+    }
+  }
+
+  // "lon lat" in degrees, or null for nodes outside the extract
+  format(id) {
+    const index = this.indexOf(id);
+    if (index === -1 || this.lats[index] === MISSING) return null;
+    return `${(this.lons[index] / 1e7).toFixed(7)} ${(this.lats[index] / 1e7).toFixed(7)}`;
+  }
+}
+
+function isRoad(tags) {
+  return Boolean(tags.highway) && !EXCLUDED_HIGHWAYS.includes(tags.highway) && tags.area !== 'yes';
+}
+
+// oneway=-1 means traffic runs against the way's node order. The geometry is
+// reversed for those so `oneway` always means "in the direction drawn".
+function onewayDirection(value) {
+  if (value === 'yes' || value === 'true' || value === '1') return 1;
+  if (value === '-1' || value === 'reverse') return -1;
+  if (value === 'no' || value === 'false' || value === '0') return 0;
+  return null;
+}
+
+// Build the osm_roads row for a way, or null when fewer than two of its
+// nodes are inside the extract
+function toRoadRow(way, locations, state) {
+  const { tags } = way;
+  const direction = onewayDirection(tags.oneway);
+
+  const points = way.refs.map(ref => locations.format(ref)).filter(Boolean);
+  if (points.length < 2) return null;
+  if (direction === -1) points.reverse();
+
+  const values = {
+    id: way.id,
+    osm_id: way.id,
+    name: tags.name,
+    highway: tags.highway,
+    surface: tags.surface,
+    maxspeed: tags.maxspeed,
+    lanes: /^[0-9]+$/.test(tags.lanes || '') ? parseInt(tags.lanes) : null,
+    width: /^[0-9]+\.?[0-9]*$/.test(tags.width || '') ? parseFloat(tags.width) : null,
+    oneway: direction === null ? null : direction !== 0,
+    bridge: tags.bridge !== undefined && tags.bridge !== 'no',
+    tunnel: tags.tunnel !== undefined && tags.tunnel !== 'no',
+    access: tags.access,
+    ref: tags.ref,
+    operator: tags.operator,
+    network: tags.network,
+    state,
+    county: tags.county,
+    city: tags.city,
+    tags: toHstore(tags),
+    geom: `SRID=4326;LINESTRING(${points.join(', ')})`
+  };
+
+  return toCopyRow(ROAD_COLUMNS.map(([column, , maxLength]) => {
+    const value = values[column];
+    if (value === undefined) return null;
+    return maxLength ? value.slice(0, maxLength) : value;
+  }));
+}
+
+function writeWithBackpressure(stream, chunk) {
+  return stream.write(chunk) ? Promise.resolve() : new Promise(resolve => stream.once('drain', resolve));
+}
+
+// Replace `state`'s osm_roads with the staged rows in one transaction,
+// leaving other states' roads alone, and record the import with the audit
+// entry `audit` and its row counts. Lengths are filled in by
+// calculate_road_length_trigger.
+async function swapStagedRoads(client, state, audit) {
+  const columns = ROAD_COLUMNS.map(([name]) => name).join(', ');
+  await client.query('BEGIN');
+  try {
+    const removed = await client.query('DELETE FROM osm_roads WHERE state = $1', [state]);
+    const result = await client.query(`INSERT INTO osm_roads (${columns}) SELECT ${columns} FROM ${STAGING_TABLE}`);
+    await recordAudit(client, {
+      ...audit,
+      rowCounts: { ...audit.rowCounts, loaded: result.rowCount, removed: removed.rowCount }
+    });
+    await client.query('COMMIT');
+    return result.rowCount;
   } catch (error) {
-    console.error('Error importing roads:', error);
+    await client.query('ROLLBACK');
     throw error;
-  } finally {
-    client.release();
   }
 }
 
-// Function to import actual PBF data (simplified version)
-async function importPBFFile(pbfPath) {
+// Import the road network from a PBF extract into osm_roads, tagging every
+// road with `state`. That state's existing rows are only replaced once the
+// whole file has been read. Rows are keyed by (state, id), so a way in two
+// overlapping state extracts is kept once for each state.
+async function importPBFFile(pbfPath, { state = 'PA' } = {}) {
   console.log(`Importing PBF file: ${pbfPath}`);
-  
+
   if (!fs.existsSync(pbfPath)) {
     console.error(`PBF file not found: ${pbfPath}`);
     return;
   }
-  
+
   const fileSize = fs.statSync(pbfPath).size;
   console.log(`PBF file size: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
-  
-  // For now, generate sample data instead of parsing the complex PBF format
-  // In a production environment, you would use osm2pgsql or a proper PBF parser
-  await generatePennsylvaniaRoads();
+
+  // Every import is audited, failed ones with their error
+  const audit = {
+    action: 'import',
+    entityType: 'osm_roads',
+    entityId: state,
+    source: 'cli',
+    fileName: path.basename(pbfPath),
+    fileHash: await hashFile(pbfPath)
+  };
+  try {
+    return await importRoads(pbfPath, state, audit);
+  } catch (error) {
+    await recordAudit(pool, { ...audit, error: error.message })
+      .catch(auditError => console.error('Error recording failed PBF import:', auditError));
+    throw error;
+  }
+}
+
+// Read the file's roads into staging and swap them in for importPBFFile
+async function importRoads(pbfPath, state, audit) {
+  const startedAt = Date.now();
+  let sorted = false;
+
+  const onHeader = header => {
+    const unsupported = header.requiredFeatures.filter(feature => !SUPPORTED_FEATURES.includes(feature));
+    if (unsupported.length) {
+      throw new Error(`PBF file requires unsupported features: ${unsupported.join(', ')}`);
+    }
+    sorted = header.optionalFeatures.includes(SORTED_FEATURE);
+  };
+
+  const nodeIds = new NodeIdList();
+  let roadWays = 0;
+  await scanPBF(pbfPath, {
+    label: 'Finding road ways',
+    onHeader,
+    onWay: way => {
+      if (isRoad(way.tags)) {
+        roadWays++;
+        nodeIds.addAll(way.refs);
+      }
+    }
+  });
+
+  const locations = new NodeLocations(nodeIds.seal());
+  console.log(`Found ${roadWays} road ways using ${locations.ids.length} nodes`);
+
+  const client = await pool.connect();
+  try {
+    await client.query(`DROP TABLE IF EXISTS ${STAGING_TABLE}`);
+    await client.query(`
+      CREATE TEMP TABLE ${STAGING_TABLE} (
+        ${ROAD_COLUMNS.map(([name, type]) => `${name} ${type}`).join(',\n        ')}
+      )
+    `);
+
+    const copyStream = client.query(copyFrom(
+      `COPY ${STAGING_TABLE} (${ROAD_COLUMNS.map(([name]) => name).join(', ')}) FROM STDIN`
+    ));
+    const copyDone = new Promise((resolve, reject) => {
+      copyStream.on('finish', resolve);
+      copyStream.on('error', reject);
+    });
+
+    let pending = [];
+    let staged = 0;
+    let dropped = 0;
+    const stageWay = way => {
+      if (!isRoad(way.tags)) return;
+      const row = toRoadRow(way, locations, state);
+      if (row) {
+        pending.push(row);
+        staged++;
+      } else {
+        dropped++;
+      }
+    };
+    const flush = async () => {
+      if (!pending.length) return;
+      const chunk = pending.join('');
+      pending = [];
+      await writeWithBackpressure(copyStream, chunk);
+    };
+
+    await scanPBF(pbfPath, {
+      label: sorted ? 'Reading nodes and ways' : 'Reading nodes',
+      onNode: (id, lat, lon) => locations.set(id, lat, lon),
+      onWay: sorted ? stageWay : undefined,
+      afterBlock: flush
+    });
+    if (!sorted) {
+      await scanPBF(pbfPath, { label: 'Building roads', onWay: stageWay, afterBlock: flush });
+    }
+
+    copyStream.end();
+    await copyDone;
+    console.log(`Staged ${staged} roads (${dropped} left out with fewer than two nodes in the extract)`);
+
+    if (staged === 0) {
+      throw new Error(`No roads found in PBF file; existing ${state} osm_roads left unchanged`);
+    }
+
+    const inserted = await swapStagedRoads(client, state, { ...audit, rowCounts: { rejected: dropped } });
+    console.log(`Imported ${inserted} roads in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+  } finally {
+    await client.query(`DROP TABLE IF EXISTS ${STAGING_TABLE}`).catch(() => {});
+    client.release();
+  }
 }
 
 // Main execution
 async function main() {
   const pbfPath = process.argv[2] || '../us-osm.pbf';
-  
+  const state = process.argv[3] || 'PA';
+
   try {
     console.log('Starting PBF import...');
-    await importPBFFile(pbfPath);
+    await importPBFFile(pbfPath, { state });
     console.log('PBF import completed successfully!');
   } catch (error) {
     console.error('PBF import failed:', error);
@@ -215,4 +674,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { importPBFFile, generatePennsylvaniaRoads };
+module.exports = { importPBFFile, scanPBF };
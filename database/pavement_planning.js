@@ -0,0 +1,371 @@
+const { from: copyFrom } = require('pg-copy-streams');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { toCopyRow } = require('./copy_format');
+const { recordAudit } = require('./audit_log');
+
+// Pavement deterioration forecasting and budget-constrained work planning.
+//
+// IRI grows exponentially each year at a rate set by surface type and
+// scaled by facility type, traffic and surface age. A plan walks the
+// horizon one year at a time: every segment rough enough to need work is
+// costed, candidates are funded in order of benefit per dollar until the
+// year's budget runs out, and then the whole network ages a year. The same
+// run without treatments gives the do-nothing baseline.
+//
+// The rates and costs are planning-level defaults, meant to be tuned to
+// agency data rather than read as engineering values.
+
+// Annual IRI growth rate by RMSSEG surface type
+const BASE_DETERIORATION_RATES = {
+  '52': 0.040, // Asphalt
+  '61': 0.025, // Concrete
+  '62': 0.035, // Composite
+  '63': 0.070, // Gravel
+  '64': 0.080 // Dirt
+};
+const DEFAULT_DETERIORATION_RATE = 0.040;
+
+// Higher classes carry a larger share of trucks
+const FACILITY_FACTORS = { '1': 1.15, '2': 1.10, '3': 1.00, '4': 0.95, '5': 0.90 };
+
+// Surface age assumed when surface_year is missing
+const DEFAULT_SURFACE_AGE = 15;
+
+// Roughness stops mattering for planning well before this
+const MAX_IRI = 600;
+
+// Treatments in order of severity. A segment gets the first whose IRI
+// ceiling it is under; anything rougher than every ceiling is reconstructed.
+const TREATMENTS = {
+  preserve: {
+    label: 'Preserve',
+    maxIri: 150,
+    costPerLaneMile: 50000,
+    apply: ({ iri, age }) => ({ iri: Math.max(iri * 0.85, 60), age: Math.max(age - 5, 0) })
+  },
+  resurface: {
+    label: 'Resurface',
+    maxIri: 220,
+    costPerLaneMile: 300000,
+    apply: () => ({ iri: 70, age: 0 })
+  },
+  reconstruct: {
+    label: 'Reconstruct',
+    maxIri: Infinity,
+    costPerLaneMile: 1500000,
+    apply: () => ({ iri: 55, age: 0 })
+  }
+};
+
+// Below this IRI a segment needs nothing yet
+const TREATMENT_THRESHOLD_IRI = 95;
+
+// Old surfaces past this age are rebuilt rather than resurfaced once they
+// reach resurfacing roughness
+const RECONSTRUCT_AGE = 40;
+
+// Above this IRI a segment counts as poor (matches the heatmap's top end)
+const POOR_IRI = 220;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+function trafficFactor(aadt) {
+  return clamp(1 + 0.12 * Math.log10(Math.max(aadt || 0, 1) / 5000), 0.85, 1.3);
+}
+
+function ageFactor(age) {
+  return Math.min(1.5, 1 + 0.015 * Math.max(0, age - 10));
+}
+
+function deteriorationRate(segment, age) {
+  const base = BASE_DETERIORATION_RATES[segment.surf_type] || DEFAULT_DETERIORATION_RATE;
+  const facility = FACILITY_FACTORS[segment.fac_type] || 1;
+  return base * facility * trafficFactor(segment.cur_aadt) * ageFactor(age);
+}
+
+// One year of wear
+function ageOneYear(segment, state) {
+  const iri = Math.min(MAX_IRI, state.iri * Math.exp(deteriorationRate(segment, state.age)));
+  return { iri, age: state.age + 1 };
+}
+
+function recommendTreatment({ iri, age }) {
+  if (iri < TREATMENT_THRESHOLD_IRI) return null;
+  if (iri > TREATMENTS.preserve.maxIri && age >= RECONSTRUCT_AGE) return 'reconstruct';
+  return Object.keys(TREATMENTS).find(key => iri <= TREATMENTS[key].maxIri);
+}
+
+function laneMiles(segment) {
+  if (segment.lane_miles > 0) return segment.lane_miles;
+  return segment.segment_miles * (segment.lane_cnt > 0 ? segment.lane_cnt : 2);
+}
+
+function initialState(segment, startYear) {
+  const age = segment.surface_year > 0
+    ? Math.max(0, startYear - segment.surface_year)
+    : DEFAULT_SURFACE_AGE;
+  return { iri: segment.rough_indx, age };
+}
+
+// Years of IRI improvement counted as a treatment's benefit, so that a
+// treatment that slows wear is credited for more than its first-year drop
+const BENEFIT_YEARS = 5;
+
+// Traffic-weighted smoothness gained per dollar: the area between the
+// treated and untreated IRI curves over BENEFIT_YEARS, per mile driven
+function priority(segment, before, after, cost) {
+  if (cost <= 0) return 0;
+  let untreated = before;
+  let treated = after;
+  let area = 0;
+  for (let year = 0; year < BENEFIT_YEARS; year++) {
+    area += untreated.iri - treated.iri;
+    untreated = ageOneYear(segment, untreated);
+    treated = ageOneYear(segment, treated);
+  }
+  const benefit = area * segment.segment_miles * Math.log10(Math.max(segment.cur_aadt || 0, 10));
+  return benefit / cost;
+}
+
+// Yearly IRI for one segment with no treatment, starting from today
+function forecastSegment(segment, { startYear, horizon }) {
+  let state = initialState(segment, startYear);
+  const years = [{ year: startYear, iri: state.iri, treatment: recommendTreatment(state) }];
+  for (let offset = 1; offset <= horizon; offset++) {
+    state = ageOneYear(segment, state);
+    years.push({ year: startYear + offset, iri: state.iri, treatment: recommendTreatment(state) });
+  }
+  return years;
+}
+
+function emptyTreatmentTotals() {
+  return Object.fromEntries(Object.keys(TREATMENTS).map(key => [key, { count: 0, miles: 0, cost: 0 }]));
+}
+
+function networkCondition(segments, states) {
+  let miles = 0;
+  let weightedIri = 0;
+  let poorMiles = 0;
+  segments.forEach((segment, index) => {
+    miles += segment.segment_miles;
+    weightedIri += states[index].iri * segment.segment_miles;
+    if (states[index].iri > POOR_IRI) poorMiles += segment.segment_miles;
+  });
+  return { avgIri: miles > 0 ? weightedIri / miles : null, poorMiles };
+}
+
+// Build a work plan for the given segments. Segments need numeric
+// rough_indx, segment_miles, lane_miles, lane_cnt, cur_aadt and surface_year.
+function buildWorkPlan(segments, { startYear, horizon, annualBudget }) {
+  const planned = segments.map(segment => initialState(segment, startYear));
+  const baseline = planned.map(state => ({ ...state }));
+  const treatments = segments.map(() => []);
+  const years = [];
+
+  for (let offset = 0; offset < horizon; offset++) {
+    const year = startYear + offset;
+
+    const candidates = [];
+    for (let index = 0; index < segments.length; index++) {
+      const segment = segments[index];
+      const before = planned[index];
+      const treatment = recommendTreatment(before);
+      if (!treatment) continue;
+      const cost = laneMiles(segment) * TREATMENTS[treatment].costPerLaneMile;
+      const after = TREATMENTS[treatment].apply(before);
+      candidates.push({ index, treatment, cost, after, priority: priority(segment, before, after, cost) });
+    }
+    candidates.sort((a, b) => b.priority - a.priority);
+
+    let remaining = annualBudget;
+    let unfunded = 0;
+    const totals = emptyTreatmentTotals();
+    for (const candidate of candidates) {
+      if (candidate.cost > remaining) {
+        unfunded += candidate.cost;
+        continue;
+      }
+      remaining -= candidate.cost;
+      const segment = segments[candidate.index];
+      treatments[candidate.index].push({
+        year,
+        treatment: candidate.treatment,
+        cost: Math.round(candidate.cost),
+        iri_before: Math.round(planned[candidate.index].iri)
+      });
+      planned[candidate.index] = candidate.after;
+
+      const total = totals[candidate.treatment];
+      total.count++;
+      total.miles += segment.segment_miles;
+      total.cost += candidate.cost;
+    }
+
+    for (let index = 0; index < segments.length; index++) {
+      planned[index] = ageOneYear(segments[index], planned[index]);
+      baseline[index] = ageOneYear(segments[index], baseline[index]);
+    }
+
+    const withPlan = networkCondition(segments, planned);
+    const doNothing = networkCondition(segments, baseline);
+    years.push({
+      year,
+      budget: annualBudget,
+      spent: Math.round(annualBudget - remaining),
+      unfunded_need: Math.round(unfunded),
+      treatments: totals,
+      avg_iri: withPlan.avgIri,
+      poor_miles: withPlan.poorMiles,
+      do_nothing_avg_iri: doNothing.avgIri,
+      do_nothing_poor_miles: doNothing.poorMiles
+    });
+  }
+
+  const segmentResults = segments.map((segment, index) => ({
+    segment_key: segment.segment_key,
+    current_iri: segment.rough_indx,
+    projected_iri: planned[index].iri,
+    do_nothing_iri: baseline[index].iri,
+    treatments: treatments[index]
+  }));
+
+  return { years, segments: segmentResults };
+}
+
+const SEGMENT_COLUMNS = [
+  'id', 'road_segment_key(cty_code, st_rt_no, seg_no, objectid) AS segment_key', 'surf_type', 'fac_type', 'rough_indx', 'surface_year', 'cur_aadt',
+  'lane_cnt', 'lane_miles', 'segment_miles'
+];
+
+const NUMERIC_COLUMNS = ['rough_indx', 'surface_year', 'cur_aadt', 'lane_cnt', 'lane_miles', 'segment_miles'];
+
+// Segments a plan can cost: measured roughness and a known length, once
+// per segment key. `filters` is the { sql, params } from the server's
+// segment filter builder.
+async function loadPlanningSegments(db, filters = { sql: '', params: [] }) {
+  const result = await db.query(`
+    SELECT DISTINCT ON (segment_key) ${SEGMENT_COLUMNS.join(', ')}
+    FROM road_segments
+    WHERE rough_indx > 0 AND segment_miles > 0${filters.sql}
+    ORDER BY segment_key, id
+  `, filters.params);
+
+  return result.rows.map(row => {
+    const segment = { ...row };
+    NUMERIC_COLUMNS.forEach(column => {
+      segment[column] = row[column] === null ? null : Number(row[column]);
+    });
+    return segment;
+  });
+}
+
+function summarizePlan(plan) {
+  const totals = emptyTreatmentTotals();
+  plan.years.forEach(year => {
+    Object.entries(year.treatments).forEach(([key, total]) => {
+      totals[key].count += total.count;
+      totals[key].miles += total.miles;
+      totals[key].cost += total.cost;
+    });
+  });
+
+  const last = plan.years[plan.years.length - 1] || {};
+  return {
+    segment_count: plan.segments.length,
+    total_cost: plan.years.reduce((sum, year) => sum + year.spent, 0),
+    treatments: totals,
+    final_avg_iri: last.avg_iri ?? null,
+    final_do_nothing_avg_iri: last.do_nothing_avg_iri ?? null,
+    years: plan.years
+  };
+}
+
+const PLAN_SEGMENT_COLUMNS = [
+  'plan_id', 'segment_key', 'current_iri', 'projected_iri', 'do_nothing_iri',
+  'treatment', 'treatment_year', 'total_cost', 'treatments'
+];
+
+// Run a plan over the filtered segments of one data source and save it,
+// recording it in the audit log under `user`. Resolves with the stored
+// work_plans row.
+async function createWorkPlan(pool, { sourceId, name, startYear, horizon, annualBudget, filters, filterParams, user }) {
+  const client = await pool.connect();
+  try {
+    const segments = await loadPlanningSegments(client, filters);
+    const plan = buildWorkPlan(segments, { startYear, horizon, annualBudget });
+    const summary = summarizePlan(plan);
+
+    await client.query('BEGIN');
+    const inserted = await client.query(`
+      INSERT INTO work_plans (source_id, name, start_year, horizon_years, annual_budget, filters, summary)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [sourceId, name, startYear, horizon, annualBudget, filterParams, summary]);
+    const planRow = inserted.rows[0];
+
+    const lines = plan.segments.map(result => {
+      const first = result.treatments[0];
+      return toCopyRow([
+        planRow.id,
+        result.segment_key,
+        result.current_iri,
+        result.projected_iri.toFixed(1),
+        result.do_nothing_iri.toFixed(1),
+        first ? first.treatment : null,
+        first ? first.year : null,
+        result.treatments.reduce((sum, treatment) => sum + treatment.cost, 0),
+        JSON.stringify(result.treatments)
+      ]);
+    });
+    await pipeline(
+      Readable.from(lines),
+      client.query(copyFrom(`COPY work_plan_segments (${PLAN_SEGMENT_COLUMNS.join(', ')}) FROM STDIN`))
+    );
+    await recordAudit(client, {
+      user,
+      action: 'create',
+      entityType: 'work_plan',
+      entityId: planRow.id,
+      changes: {
+        after: {
+          source_id: sourceId,
+          name,
+          start_year: startYear,
+          horizon_years: horizon,
+          annual_budget: annualBudget,
+          filters: filterParams
+        }
+      }
+    });
+    await client.query('COMMIT');
+
+    return planRow;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Do-nothing forecast for a single segment, or null when it has no
+// measured roughness or length to forecast from
+async function getSegmentForecast(pool, segmentId, { startYear, horizon }) {
+  const [segment] = await loadPlanningSegments(pool, { sql: ' AND id = $1', params: [segmentId] });
+  if (!segment) return null;
+  return {
+    segment_id: segment.id,
+    start_year: startYear,
+    horizon_years: horizon,
+    years: forecastSegment(segment, { startYear, horizon })
+  };
+}
+
+module.exports = {
+  TREATMENTS,
+  forecastSegment,
+  buildWorkPlan,
+  createWorkPlan,
+  getSegmentForecast
+};
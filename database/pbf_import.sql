@@ -5,6 +5,7 @@
 CREATE EXTENSION IF NOT EXISTS postgis;
 CREATE EXTENSION IF NOT EXISTS hstore;
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
 
 -- OSM Nodes table (points)
 CREATE TABLE IF NOT EXISTS osm_nodes (
@@ -40,9 +41,11 @@ CREATE TABLE IF NOT EXISTS osm_relations (
     members TEXT[]
 );
 
--- Road-specific tables (extracted from OSM data)
+-- Road-specific tables (extracted from OSM data). Each state's extract is
+-- loaded on its own (database/import_pbf_node.js), so a way in two
+-- overlapping extracts has a row for each state.
 CREATE TABLE IF NOT EXISTS osm_roads (
-    id BIGINT PRIMARY KEY,
+    id BIGINT NOT NULL, -- OSM way id
     osm_id BIGINT,
     name VARCHAR(255),
     highway VARCHAR(50),
@@ -57,15 +60,31 @@ CREATE TABLE IF NOT EXISTS osm_roads (
     ref VARCHAR(100),
     operator VARCHAR(255),
     network VARCHAR(100),
-    state VARCHAR(10) DEFAULT 'PA', -- State field for Pennsylvania
+    state VARCHAR(10) NOT NULL DEFAULT 'PA',
     county VARCHAR(100),
     city VARCHAR(100),
     tags HSTORE,
     geom GEOMETRY(LINESTRING, 4326),
     length_meters DECIMAL(12,2),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (state, id)
 );
 
+-- Upgrade: osm_roads used to be keyed by way id alone
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint c
+        JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY(c.conkey)
+        WHERE c.conrelid = 'osm_roads'::regclass AND c.contype = 'p' AND a.attname = 'state'
+    ) THEN
+        UPDATE osm_roads SET state = 'PA' WHERE state IS NULL;
+        ALTER TABLE osm_roads ALTER COLUMN state SET NOT NULL;
+        ALTER TABLE osm_roads DROP CONSTRAINT IF EXISTS osm_roads_pkey;
+        ALTER TABLE osm_roads ADD PRIMARY KEY (state, id);
+    END IF;
+END $$;
+
 -- Road intersections table
 CREATE TABLE IF NOT EXISTS osm_intersections (
     id SERIAL PRIMARY KEY,
@@ -108,6 +127,37 @@ CREATE INDEX IF NOT EXISTS idx_osm_nodes_highway ON osm_nodes USING GIN (tags) W
 CREATE INDEX IF NOT EXISTS idx_osm_ways_highway ON osm_ways USING GIN (tags) WHERE tags ? 'highway';
 CREATE INDEX IF NOT EXISTS idx_osm_roads_highway ON osm_roads (highway);
 CREATE INDEX IF NOT EXISTS idx_osm_roads_surface ON osm_roads (surface);
+CREATE INDEX IF NOT EXISTS idx_osm_roads_name_trgm ON osm_roads USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_osm_roads_ref_trgm ON osm_roads USING GIN (ref gin_trgm_ops);
+
+-- Routable network built from osm_roads by database/road_network.js: ways
+-- are split wherever they share a vertex with another way, so every edge runs
+-- between two junctions (or dead ends)
+CREATE TABLE IF NOT EXISTS road_network_nodes (
+    id INTEGER PRIMARY KEY,
+    geom GEOMETRY(POINT, 4326) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS road_network_edges (
+    id SERIAL PRIMARY KEY,
+    way_id BIGINT, -- osm_roads.id
+    source INTEGER NOT NULL REFERENCES road_network_nodes(id) ON DELETE CASCADE,
+    target INTEGER NOT NULL REFERENCES road_network_nodes(id) ON DELETE CASCADE,
+    oneway BOOLEAN NOT NULL DEFAULT false, -- only from source to target
+    length_meters DOUBLE PRECISION NOT NULL,
+    speed_kph DOUBLE PRECISION NOT NULL, -- maxspeed, or a default for the highway class
+    iri DECIMAL(8,2), -- from the state road segment conflated to the way, if any
+    name VARCHAR(255),
+    ref VARCHAR(100),
+    highway VARCHAR(50),
+    surface VARCHAR(50),
+    geom GEOMETRY(LINESTRING, 4326) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_road_network_nodes_geom ON road_network_nodes USING GIST (geom);
+CREATE INDEX IF NOT EXISTS idx_road_network_edges_geom ON road_network_edges USING GIST (geom);
+CREATE INDEX IF NOT EXISTS idx_road_network_edges_source ON road_network_edges (source);
+CREATE INDEX IF NOT EXISTS idx_road_network_edges_target ON road_network_edges (target);
 
 -- Function to calculate road length
 CREATE OR REPLACE FUNCTION calculate_road_length()
@@ -121,6 +171,7 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Trigger to auto-calculate road length
+DROP TRIGGER IF EXISTS calculate_road_length_trigger ON osm_roads;
 CREATE TRIGGER calculate_road_length_trigger
     BEFORE INSERT OR UPDATE ON osm_roads
     FOR EACH ROW EXECUTE FUNCTION calculate_road_length();
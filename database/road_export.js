@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { spreadsheetField } = require('./copy_format');
+
+// Downloads of the filtered state road segments or OSM roads as GeoJSON,
+// CSV, KML or GeoPackage, for QGIS and Excel. Rows are read a page at a time
+// in id order and written as they arrive, so a statewide export never sits
+// in memory. Each layer's hstore (additional_attrs, tags) is flattened into
+// ordinary fields next to the table's own columns.
+//
+// GeoPackage is a SQLite file and cannot be streamed: the GeoJSON export is
+// written to a temporary file and converted with GDAL's ogr2ogr.
+
+const EXPORT_PAGE_SIZE = 2000;
+
+const EXPORT_LAYERS = {
+  segments: {
+    table: 'road_segments',
+    layerName: 'state_roads',
+    geom: 'road_line',
+    attrs: 'additional_attrs',
+    nameColumns: ['street_name', 'traf_rt_no'],
+    columns: [
+      'id', 'objectid', 'st_rt_no', 'cty_code', 'district_no', 'seg_no', 'seg_lngth_feet',
+      'fac_type', 'surf_type', 'lane_cnt', 'total_width', 'rough_indx', 'frictn_coeff',
+      'pvmnt_cond_rate', 'cur_aadt', 'street_name', 'traf_rt_no', 'segment_miles', 'lane_miles',
+      'iri_rating_text', 'opi_rating_text', 'surface_year', 'urban_rural', 'nhs_ind', 'match_status'
+    ]
+  },
+  osm: {
+    table: 'osm_roads',
+    layerName: 'osm_roads',
+    geom: 'geom',
+    attrs: 'tags',
+    nameColumns: ['name', 'ref'],
+    columns: [
+      'id', 'osm_id', 'name', 'highway', 'surface', 'maxspeed', 'lanes', 'width',
+      'oneway', 'bridge', 'tunnel', 'access', 'ref', 'operator', 'network',
+      'state', 'county', 'city', 'length_meters'
+    ]
+  }
+};
+
+const EXPORT_FORMATS = {
+  geojson: { extension: 'geojson', contentType: 'application/geo+json' },
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml' },
+  gpkg: { extension: 'gpkg', contentType: 'application/geopackage+sqlite3' }
+};
+
+// Write a chunk, waiting out backpressure. Returns false once the client has
+// gone away so the caller can stop reading.
+async function write(output, chunk) {
+  if (output.destroyed) return false;
+  if (!output.write(chunk)) {
+    await new Promise(resolve => {
+      const done = () => {
+        output.off('drain', done);
+        output.off('close', done);
+        resolve();
+      };
+      output.on('drain', done);
+      output.on('close', done);
+    });
+  }
+  return !output.destroyed;
+}
+
+// Call onRows with each page of matching rows. Properties come back through
+// json_build_object so numeric columns stay numbers in the output.
+// `filters` is { sql, params }, SQL to append to a WHERE clause.
+async function eachPage(pool, layer, geometrySql, filters, onRows) {
+  const { sql, params } = filters;
+  const properties = layer.columns.map(column => `'${column}', ${column}`).join(', ');
+  const query = `
+    SELECT
+      json_build_object(${properties}) AS properties,
+      hstore_to_json(${layer.attrs}) AS attrs,
+      ${geometrySql} AS geometry
+    FROM ${layer.table}
+    WHERE id > $${params.length + 1}${sql}
+    ORDER BY id
+    LIMIT $${params.length + 2}
+  `;
+
+  let lastId = 0;
+  for (;;) {
+    const result = await pool.query(query, [...params, lastId, EXPORT_PAGE_SIZE]);
+    if (!result.rows.length) return;
+    if (await onRows(result.rows) === false) return;
+    lastId = result.rows[result.rows.length - 1].properties.id;
+  }
+}
+
+// Table columns plus the hstore keys they don't already cover
+function toProperties(row) {
+  const properties = { ...row.properties };
+  for (const [key, value] of Object.entries(row.attrs || {})) {
+    if (!(key in properties)) {
+      properties[key] = value;
+    }
+  }
+  return properties;
+}
+
+async function writeGeoJSON(pool, layer, filters, output) {
+  await write(output, '{"type":"FeatureCollection","features":[\n');
+  let first = true;
+  await eachPage(pool, layer, `ST_AsGeoJSON(${layer.geom}, 7)`, filters, rows => {
+    const features = rows.map(row =>
+      `{"type":"Feature","geometry":${row.geometry || 'null'},"properties":${JSON.stringify(toProperties(row))}}`
+    );
+    const chunk = (first ? '' : ',\n') + features.join(',\n');
+    first = false;
+    return write(output, chunk);
+  });
+  await write(output, '\n]}\n');
+}
+
+// CSV needs every hstore key up front for its header. Geometry goes last as
+// WKT, which QGIS picks up as a delimited text layer.
+async function writeCSV(pool, layer, filters, output) {
+  const keys = await pool.query(
+    `SELECT DISTINCT skeys(${layer.attrs}) AS key FROM ${layer.table} WHERE 1=1${filters.sql} ORDER BY key`,
+    filters.params
+  );
+  const header = [
+    ...layer.columns,
+    ...keys.rows.map(row => row.key).filter(key => !layer.columns.includes(key)),
+    'wkt'
+  ];
+  const fields = header.slice(0, -1);
+
+  await write(output, header.map(spreadsheetField).join(',') + '\n');
+  await eachPage(pool, layer, `ST_AsText(${layer.geom})`, filters, rows => {
+    const lines = rows.map(row => {
+      const properties = toProperties(row);
+      return [...fields.map(field => spreadsheetField(properties[field])), spreadsheetField(row.geometry)].join(',');
+    });
+    return write(output, lines.join('\n') + '\n');
+  });
+}
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function toPlacemark(layer, row) {
+  const properties = toProperties(row);
+  const nameColumn = layer.nameColumns.find(column => properties[column]);
+  const name = nameColumn ? properties[nameColumn] : properties.id;
+  const data = Object.entries(properties)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+    .join('');
+  return `<Placemark><name>${escapeXml(name)}</name><ExtendedData>${data}</ExtendedData>${row.geometry || ''}</Placemark>`;
+}
+
+async function writeKML(pool, layer, filters, output) {
+  await write(output, '<?xml version="1.0" encoding="UTF-8"?>\n'
+    + '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>\n'
+    + `<name>${layer.layerName}</name>\n`);
+  await eachPage(pool, layer, `ST_AsKML(${layer.geom}, 7)`, filters, rows =>
+    write(output, rows.map(row => toPlacemark(layer, row)).join('\n') + '\n')
+  );
+  await write(output, '</Document></kml>\n');
+}
+
+async function writeGeoPackage(pool, layer, filters, output) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'road-export-'));
+  const geojsonPath = path.join(dir, `${layer.layerName}.geojson`);
+  const gpkgPath = path.join(dir, `${layer.layerName}.gpkg`);
+
+  try {
+    const file = fs.createWriteStream(geojsonPath);
+    await writeGeoJSON(pool, layer, filters, file);
+    await new Promise((resolve, reject) => {
+      file.on('error', reject);
+      file.end(resolve);
+    });
+
+    try {
+      await promisify(execFile)('ogr2ogr', ['-f', 'GPKG', '-nln', layer.layerName, gpkgPath, geojsonPath]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('GeoPackage export needs GDAL (ogr2ogr) installed on the server');
+      }
+      throw new Error(`ogr2ogr failed: ${(error.stderr || error.message).trim()}`);
+    }
+
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(gpkgPath)
+        .on('error', reject)
+        .on('end', resolve)
+        .pipe(output, { end: false });
+    });
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+}
+
+const WRITERS = {
+  geojson: writeGeoJSON,
+  csv: writeCSV,
+  kml: writeKML,
+  gpkg: writeGeoPackage
+};
+
+// Write one layer ('segments' or 'osm') in one format to `output`, e.g. an
+// Express response. The caller ends the output.
+async function exportRoads(pool, { layer, format, filters }, output) {
+  await WRITERS[format](pool, EXPORT_LAYERS[layer], filters, output);
+}
+
+module.exports = {
+  EXPORT_LAYERS,
+  EXPORT_FORMATS,
+  write,
+  exportRoads
+};
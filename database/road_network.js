@@ -0,0 +1,457 @@
+const { Pool } = require('pg');
+const { DRIVEABLE_HIGHWAYS } = require('./conflate');
+
+// Routing over osm_roads, entirely inside the local database.
+//
+// buildRoadNetwork() splits every driveable way wherever it shares a vertex
+// with another way, giving road_network_nodes (junctions and dead ends) and
+// road_network_edges between them. Edges keep the way's direction for
+// oneway roads (osm_roads geometry already runs in the direction of travel),
+// a speed from maxspeed or the highway class, and the IRI of the state road
+// segment conflated to the way. Rebuild after a PBF import, and after
+// conflation to refresh the IRI.
+//
+// findRoute() snaps both ends to the nearest node, loads the edges in a box
+// around them and runs Dijkstra's algorithm in memory.
+
+// Database configuration
+const dbConfig = {
+  user: process.env.DB_USER || 'postgres',
+  host: process.env.DB_HOST || 'localhost',
+  database: process.env.DB_NAME || 'road_dashboard',
+  password: process.env.DB_PASSWORD || 'password',
+  port: process.env.DB_PORT || 5432,
+};
+
+// Travel speed when a way has no usable maxspeed, in km/h
+const DEFAULT_SPEEDS_KPH = {
+  motorway: 105, motorway_link: 65, trunk: 90, trunk_link: 55,
+  primary: 75, primary_link: 50, secondary: 65, secondary_link: 45,
+  tertiary: 55, tertiary_link: 40, unclassified: 45, residential: 40,
+  living_street: 15, road: 40
+};
+const FALLBACK_SPEED_KPH = 40;
+
+// Vertices are matched across ways after snapping to this grid (~1 cm)
+const VERTEX_GRID_DEGREES = 0.0000001;
+
+// A conflated segment must pass this close to an edge's midpoint to lend it
+// its IRI, in degrees (~50 m)
+const IRI_MATCH_DEGREES = 0.0005;
+
+// Route ends further than this from the network are rejected
+const MAX_SNAP_METERS = 1000;
+
+// The edges loaded for a route cover the box around both ends, widened by a
+// quarter of its size and at least this much, in degrees (~5 km)
+const MIN_ROUTE_MARGIN_DEGREES = 0.05;
+const MAX_ROUTE_EDGES = 1000000;
+
+// Smooth routing multiplies each edge's length by a roughness penalty: 1 up
+// to a Good IRI, growing by 1 for every 50 in/mi beyond it and capped.
+// Unmeasured roads get a small penalty so surveyed smooth roads win ties;
+// unpaved ones get the cap.
+const SMOOTH_IRI = 95;
+const IRI_PENALTY_STEP = 50;
+const MAX_CONDITION_PENALTY = 4;
+const UNMEASURED_PENALTY = 1.2;
+const UNPAVED_SURFACES = [
+  'unpaved', 'gravel', 'fine_gravel', 'compacted', 'dirt', 'earth', 'ground', 'grass', 'sand', 'mud'
+];
+
+function conditionPenalty(iri, surface) {
+  if (UNPAVED_SURFACES.includes(surface)) return MAX_CONDITION_PENALTY;
+  if (iri === null) return UNMEASURED_PENALTY;
+  return Math.min(MAX_CONDITION_PENALTY, 1 + Math.max(0, iri - SMOOTH_IRI) / IRI_PENALTY_STEP);
+}
+
+// Edge cost per weighting: metres, seconds, or penalized metres
+const ROUTE_WEIGHTS = {
+  distance: edge => edge.length,
+  time: edge => edge.length / (edge.speed / 3.6),
+  smooth: edge => edge.length * conditionPenalty(edge.iri, edge.surface)
+};
+
+const routeError = (status, message) => Object.assign(new Error(message), { status });
+
+// maxspeed is "50", "50 mph", "none", "signals", ...: numbers (km/h unless
+// mph) win, anything else falls back to the highway class
+const SPEED_SQL = `
+  CASE
+    WHEN r.maxspeed ~ '^\\s*[0-9]+(\\.[0-9]+)?\\s*mph\\s*$'
+      THEN substring(r.maxspeed from '[0-9]+(?:\\.[0-9]+)?')::numeric * 1.609344
+    WHEN r.maxspeed ~ '^\\s*[0-9]+(\\.[0-9]+)?\\s*(km/h|kmh|kph)?\\s*$'
+      THEN substring(r.maxspeed from '[0-9]+(?:\\.[0-9]+)?')::numeric
+    ELSE CASE r.highway
+      ${Object.entries(DEFAULT_SPEEDS_KPH).map(([highway, kph]) => `WHEN '${highway}' THEN ${kph}`).join(' ')}
+      ELSE ${FALLBACK_SPEED_KPH}
+    END
+  END`;
+
+// One row per OSM way: a way loaded with two overlapping state extracts has
+// a row for each state
+const OSM_WAYS_SQL = '(SELECT DISTINCT ON (id) * FROM osm_roads ORDER BY id, state)';
+
+// Rebuild road_network_nodes and road_network_edges from osm_roads in one
+// transaction. Resolves with the node and edge counts.
+async function buildRoadNetwork(pool, { onProgress = () => {} } = {}) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Every vertex of every driveable way, in order
+    onProgress('Collecting way vertices');
+    await client.query(`
+      CREATE TEMP TABLE network_vertices ON COMMIT DROP AS
+      SELECT way_id, (d).path[1] AS idx, npoints,
+        ST_X(ST_SnapToGrid((d).geom, $2)) AS x,
+        ST_Y(ST_SnapToGrid((d).geom, $2)) AS y
+      FROM (
+        SELECT id AS way_id, ST_NPoints(geom) AS npoints, ST_DumpPoints(geom) AS d
+        FROM ${OSM_WAYS_SQL} r
+        WHERE geom IS NOT NULL
+          AND highway = ANY($1)
+          AND COALESCE(access, '') NOT IN ('no', 'private')
+      ) ways
+    `, [DRIVEABLE_HIGHWAYS, VERTEX_GRID_DEGREES]);
+    await client.query('CREATE INDEX ON network_vertices (x, y)');
+    await client.query('CREATE INDEX ON network_vertices (way_id, idx)');
+
+    // Junctions: way ends, and vertices used more than once
+    onProgress('Finding junctions');
+    await client.query(`
+      CREATE TEMP TABLE network_junctions ON COMMIT DROP AS
+      SELECT (row_number() OVER (ORDER BY x, y))::integer AS id, x, y
+      FROM network_vertices
+      GROUP BY x, y
+      HAVING COUNT(*) > 1 OR bool_or(idx = 1 OR idx = npoints)
+    `);
+    await client.query('CREATE INDEX ON network_junctions (x, y)');
+
+    await client.query('DELETE FROM road_network_edges');
+    await client.query('DELETE FROM road_network_nodes');
+    await client.query(`
+      INSERT INTO road_network_nodes (id, geom)
+      SELECT id, ST_SetSRID(ST_MakePoint(x, y), 4326) FROM network_junctions
+    `);
+
+    // One edge between each pair of consecutive junctions along a way
+    onProgress('Splitting ways into edges');
+    await client.query(`
+      WITH way_junctions AS (
+        SELECT v.way_id, v.idx, j.id AS node_id,
+          LEAD(v.idx) OVER way AS next_idx,
+          LEAD(j.id) OVER way AS next_node_id
+        FROM network_vertices v
+        JOIN network_junctions j ON j.x = v.x AND j.y = v.y
+        WINDOW way AS (PARTITION BY v.way_id ORDER BY v.idx)
+      ),
+      pieces AS (
+        SELECT wj.way_id, wj.node_id AS source, wj.next_node_id AS target,
+          (
+            SELECT ST_SetSRID(ST_MakeLine(ST_MakePoint(v.x, v.y) ORDER BY v.idx), 4326)
+            FROM network_vertices v
+            WHERE v.way_id = wj.way_id AND v.idx BETWEEN wj.idx AND wj.next_idx
+          ) AS geom
+        FROM way_junctions wj
+        WHERE wj.next_idx IS NOT NULL
+      )
+      INSERT INTO road_network_edges (
+        way_id, source, target, oneway, length_meters, speed_kph,
+        name, ref, highway, surface, geom
+      )
+      SELECT p.way_id, p.source, p.target,
+        COALESCE(r.oneway, r.highway = 'motorway' OR r.tags->'junction' = 'roundabout', false),
+        ST_Length(p.geom::geography),
+        ${SPEED_SQL},
+        r.name, r.ref, r.highway, r.surface, p.geom
+      FROM pieces p
+      JOIN ${OSM_WAYS_SQL} r ON r.id = p.way_id
+      WHERE p.source <> p.target OR ST_NPoints(p.geom) > 2
+    `);
+
+    onProgress('Copying IRI from conflated state road segments');
+    await client.query(`
+      UPDATE road_network_edges e
+      SET iri = (
+        SELECT s.rough_indx
+        FROM road_segments s
+        WHERE s.matched_osm_ids @> ARRAY[e.way_id]
+          AND s.match_status = 'matched'
+          AND s.rough_indx > 0
+          AND ST_DWithin(s.matched_line, ST_LineInterpolatePoint(e.geom, 0.5), $1)
+        ORDER BY s.matched_line <-> ST_LineInterpolatePoint(e.geom, 0.5)
+        LIMIT 1
+      )
+    `, [IRI_MATCH_DEGREES]);
+
+    const counts = await client.query(`
+      SELECT
+        (SELECT COUNT(*) FROM road_network_nodes)::integer as nodes,
+        (SELECT COUNT(*) FROM road_network_edges)::integer as edges,
+        (SELECT COUNT(*) FROM road_network_edges WHERE iri IS NOT NULL)::integer as edges_with_iri
+    `);
+    await client.query('COMMIT');
+    return counts.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Nearest network node to a { lng, lat } point
+async function snapToNetwork(pool, point) {
+  const result = await pool.query(`
+    SELECT id, ST_X(geom) as lng, ST_Y(geom) as lat,
+      ST_Distance(geom::geography, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography) as distance
+    FROM road_network_nodes
+    ORDER BY geom <-> ST_SetSRID(ST_MakePoint($1, $2), 4326)
+    LIMIT 1
+  `, [point.lng, point.lat]);
+  return result.rows[0] || null;
+}
+
+// Edges in the box around both ends, as parallel arrays plus an adjacency
+// list in compressed form: the arcs leaving node i are arcs[offsets[i]] up
+// to arcs[offsets[i + 1]], each an edge index, negative when the edge is
+// walked from target to source
+async function loadGraph(pool, from, to) {
+  const minLng = Math.min(from.lng, to.lng);
+  const maxLng = Math.max(from.lng, to.lng);
+  const minLat = Math.min(from.lat, to.lat);
+  const maxLat = Math.max(from.lat, to.lat);
+  const margin = Math.max(MIN_ROUTE_MARGIN_DEGREES, (maxLng - minLng) / 4, (maxLat - minLat) / 4);
+
+  const result = await pool.query({
+    text: `
+      SELECT id, source, target, oneway, length_meters, speed_kph, iri, surface
+      FROM road_network_edges
+      WHERE geom && ST_MakeEnvelope($1, $2, $3, $4, 4326)
+      LIMIT $5
+    `,
+    values: [minLng - margin, minLat - margin, maxLng + margin, maxLat + margin, MAX_ROUTE_EDGES + 1],
+    rowMode: 'array'
+  });
+  if (result.rows.length > MAX_ROUTE_EDGES) {
+    throw routeError(400, 'The route covers too much of the network; pick closer points');
+  }
+
+  const nodeIndex = new Map();
+  const indexOf = id => {
+    if (!nodeIndex.has(id)) nodeIndex.set(id, nodeIndex.size);
+    return nodeIndex.get(id);
+  };
+
+  const edges = result.rows.map(([id, source, target, oneway, length, speed, iri, surface]) => ({
+    id,
+    from: indexOf(source),
+    to: indexOf(target),
+    oneway,
+    length,
+    speed,
+    iri: iri === null ? null : Number(iri),
+    surface
+  }));
+
+  const offsets = new Int32Array(nodeIndex.size + 1);
+  for (const edge of edges) {
+    offsets[edge.from + 1]++;
+    if (!edge.oneway) offsets[edge.to + 1]++;
+  }
+  for (let i = 1; i < offsets.length; i++) offsets[i] += offsets[i - 1];
+
+  const arcs = new Int32Array(offsets[offsets.length - 1]);
+  const next = offsets.slice(0, -1);
+  edges.forEach((edge, i) => {
+    arcs[next[edge.from]++] = i + 1;
+    if (!edge.oneway) arcs[next[edge.to]++] = -(i + 1);
+  });
+
+  return { nodeIndex, edges, offsets, arcs };
+}
+
+// Binary min-heap of [cost, node] pairs
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const { items } = this;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const { items } = this;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Dijkstra from start to end over the loaded graph. Returns the arcs walked,
+// in order, or null when end cannot be reached.
+function shortestPath(graph, start, end, cost) {
+  const { edges, offsets, arcs } = graph;
+  const nodeCount = offsets.length - 1;
+  const best = new Float64Array(nodeCount).fill(Infinity);
+  const via = new Int32Array(nodeCount);
+  const heap = new MinHeap();
+
+  best[start] = 0;
+  heap.push([0, start]);
+
+  while (heap.size) {
+    const [distance, node] = heap.pop();
+    if (node === end) break;
+    if (distance > best[node]) continue;
+
+    for (let i = offsets[node]; i < offsets[node + 1]; i++) {
+      const edge = edges[Math.abs(arcs[i]) - 1];
+      const neighbor = arcs[i] > 0 ? edge.to : edge.from;
+      const candidate = distance + cost(edge);
+      if (candidate < best[neighbor]) {
+        best[neighbor] = candidate;
+        via[neighbor] = arcs[i];
+        heap.push([candidate, neighbor]);
+      }
+    }
+  }
+
+  if (best[end] === Infinity) return null;
+
+  const path = [];
+  for (let node = end; node !== start;) {
+    const arc = via[node];
+    const edge = edges[Math.abs(arc) - 1];
+    path.push(arc);
+    node = arc > 0 ? edge.from : edge.to;
+  }
+  return path.reverse();
+}
+
+// Route between two { lng, lat } points weighted by 'distance', 'time' or
+// 'smooth'. Resolves with totals, the line as GeoJSON and the roads taken
+// in order; throws errors with an HTTP `status` when there is no route.
+async function findRoute(pool, { from, to, weight = 'time' }) {
+  const [start, end] = await Promise.all([snapToNetwork(pool, from), snapToNetwork(pool, to)]);
+  if (!start || !end) {
+    throw routeError(404, 'The road network has not been built; run node database/road_network.js');
+  }
+  for (const [label, node] of [['start', start], ['end', end]]) {
+    if (node.distance > MAX_SNAP_METERS) {
+      throw routeError(404, `No road within ${MAX_SNAP_METERS} m of the ${label}`);
+    }
+  }
+
+  const graph = await loadGraph(pool, from, to);
+  const startIndex = graph.nodeIndex.get(start.id);
+  const endIndex = graph.nodeIndex.get(end.id);
+  const path = startIndex === undefined || endIndex === undefined
+    ? null
+    : shortestPath(graph, startIndex, endIndex, ROUTE_WEIGHTS[weight]);
+  if (!path) {
+    throw routeError(404, 'No route connects these points');
+  }
+
+  const walked = path.map(arc => ({ edge: graph.edges[Math.abs(arc) - 1], forward: arc > 0 }));
+  const shapes = await pool.query(`
+    SELECT id, name, ref, ST_AsGeoJSON(geom, 6)::json as geometry
+    FROM road_network_edges
+    WHERE id = ANY($1)
+  `, [walked.map(({ edge }) => edge.id)]);
+  const shapeById = new Map(shapes.rows.map(row => [row.id, row]));
+
+  const coordinates = [[start.lng, start.lat]];
+  const steps = [];
+  let distance = 0;
+  let duration = 0;
+  let measured = 0;
+  let iriMeters = 0;
+
+  for (const { edge, forward } of walked) {
+    const shape = shapeById.get(edge.id);
+    const points = forward ? shape.geometry.coordinates : [...shape.geometry.coordinates].reverse();
+    coordinates.push(...points.slice(1));
+
+    const seconds = ROUTE_WEIGHTS.time(edge);
+    distance += edge.length;
+    duration += seconds;
+    if (edge.iri !== null) {
+      measured += edge.length;
+      iriMeters += edge.iri * edge.length;
+    }
+
+    // Consecutive edges of the same road make one step
+    const last = steps[steps.length - 1];
+    if (last && last.name === shape.name && last.ref === shape.ref) {
+      last.distance_meters += edge.length;
+      last.duration_seconds += seconds;
+    } else {
+      steps.push({ name: shape.name, ref: shape.ref, distance_meters: edge.length, duration_seconds: seconds });
+    }
+  }
+
+  return {
+    weight,
+    from: { lng: start.lng, lat: start.lat },
+    to: { lng: end.lng, lat: end.lat },
+    distance_meters: distance,
+    duration_seconds: duration,
+    avg_iri: measured ? iriMeters / measured : null,
+    measured_share: distance ? measured / distance : null,
+    geometry: coordinates.length > 1 ? { type: 'LineString', coordinates } : null,
+    steps
+  };
+}
+
+// Main execution: node road_network.js
+async function main() {
+  const pool = new Pool(dbConfig);
+
+  try {
+    console.log('Building the road network from osm_roads...');
+    const counts = await buildRoadNetwork(pool, { onProgress: step => console.log(`${step}...`) });
+    console.log(`Road network built: ${counts.nodes} nodes, ${counts.edges} edges (${counts.edges_with_iri} with IRI)`);
+  } catch (error) {
+    console.error('Road network build failed:', error);
+    process.exit(1);
+  } finally {
+    await pool.end();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { ROUTE_WEIGHTS, buildRoadNetwork, findRoute };
@@ -0,0 +1,475 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const csv = require('csv-parser');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { from: copyFrom } = require('pg-copy-streams');
+const { toHstore, toCopyRow } = require('./copy_format');
+const { isRejected, cleanHeader } = require('./segment_schema');
+const { getDataSource, saveDataSource } = require('./data_sources');
+const { recordAudit } = require('./audit_log');
+
+// Streaming road segment CSV ingestion shared by server.js, import_jobs.js
+// and migrate_data.js. Each file belongs to one data source (see
+// data_sources.js), whose column mapping and bounds validate its rows and
+// whose rows are the only ones it replaces.
+//
+// Rows are parsed one at a time and piped through COPY ... FROM STDIN into a
+// temporary staging table, so memory stays flat regardless of file size.
+// Once the whole file is staged, the source's road_segments rows are
+// replaced in a single short transaction: readers see either the old data
+// or the new, never a mix.
+//
+// Every import is also kept as a snapshot of its survey year in
+// segment_history, replacing any earlier import of the same source and
+// year. Only the source's latest survey year is loaded into road_segments,
+// so backfilling an older survey adds history without rolling the map back.
+// Snapshots keep their file's SHA-256, so a file already loaded can be
+// recognized and skipped (see findLoadedSnapshot).
+//
+// Conflation results (see conflate.js) survive the swap: a segment whose key
+// and end points are unchanged keeps its matched OSM geometry.
+//
+// Each import is written to the audit log in the same transaction, with the
+// file's SHA-256, the row counts and every segment it added, removed or
+// changed in road_segments.
+
+// Staging table layout, in COPY column order. Coordinates are staged as
+// plain numbers and turned into points during the swap.
+const STAGING_COLUMNS = [
+  ['objectid', 'INTEGER'],
+  ['st_rt_no', 'VARCHAR(10)'],
+  ['cty_code', 'VARCHAR(5)'],
+  ['district_no', 'VARCHAR(5)'],
+  ['seg_no', 'VARCHAR(10)'],
+  ['seg_lngth_feet', 'DECIMAL(10,2)'],
+  ['fac_type', 'VARCHAR(5)'],
+  ['surf_type', 'VARCHAR(5)'],
+  ['lane_cnt', 'INTEGER'],
+  ['total_width', 'DECIMAL(8,2)'],
+  ['rough_indx', 'DECIMAL(8,2)'],
+  ['frictn_coeff', 'DECIMAL(8,2)'],
+  ['pvmnt_cond_rate', 'VARCHAR(10)'],
+  ['cur_aadt', 'INTEGER'],
+  ['street_name', 'VARCHAR(255)'],
+  ['traf_rt_no', 'VARCHAR(20)'],
+  ['x_value_bgn', 'DOUBLE PRECISION'],
+  ['y_value_bgn', 'DOUBLE PRECISION'],
+  ['x_value_end', 'DOUBLE PRECISION'],
+  ['y_value_end', 'DOUBLE PRECISION'],
+  ['segment_miles', 'DECIMAL(10,4)'],
+  ['lane_miles', 'DECIMAL(10,4)'],
+  ['iri_rating_text', 'VARCHAR(20)'],
+  ['opi_rating_text', 'VARCHAR(20)'],
+  ['surface_year', 'INTEGER'],
+  ['urban_rural', 'VARCHAR(5)'],
+  ['nhs_ind', 'VARCHAR(5)'],
+  ['additional_attrs', 'HSTORE']
+];
+
+const STAGING_TABLE = 'road_segments_staging';
+
+const COORDINATE_COLUMNS = ['x_value_bgn', 'y_value_bgn', 'x_value_end', 'y_value_end'];
+
+const STAGED_POINTS = `
+        ST_SetSRID(ST_MakePoint(x_value_bgn, y_value_bgn), 4326),
+        ST_SetSRID(ST_MakePoint(x_value_end, y_value_end), 4326)`;
+
+const ATTRIBUTE_COLUMNS = STAGING_COLUMNS
+  .map(([name]) => name)
+  .filter(name => !COORDINATE_COLUMNS.includes(name));
+
+function toCopyLine(row) {
+  return toCopyRow(STAGING_COLUMNS.map(([name]) => (
+    name === 'additional_attrs' ? toHstore(row[name]) : row[name]
+  )));
+}
+
+// Segments are matched across imports by road_segment_key(): segment_key(),
+// falling back to the OBJECTID for rows without a county, route or segment
+// number. Keys are only unique within a data source.
+const DIFF_TABLE = 'road_segments_diff';
+const DIFF_KEY = 'road_segment_key(cty_code, st_rt_no, seg_no, objectid)';
+
+// Conflation columns carried over to re-imported segments
+const CONFLATION_TABLE = 'road_segments_conflation';
+const CONFLATION_COLUMNS = ['matched_line', 'match_status', 'match_confidence', 'matched_osm_ids', 'matched_at'];
+
+// A segment's imported values as jsonb, for the audit diff. Coordinates are
+// read back from the points so staged and stored rows compare alike.
+const segmentJson = (startPoint, endPoint) => `jsonb_build_object(
+  ${[
+    ...ATTRIBUTE_COLUMNS.map(name => (
+      name === 'additional_attrs' ? `'${name}', hstore_to_jsonb(${name})` : `'${name}', ${name}`
+    )),
+    `'x_value_bgn', ST_X(${startPoint})`,
+    `'y_value_bgn', ST_Y(${startPoint})`,
+    `'x_value_end', ST_X(${endPoint})`,
+    `'y_value_end', ST_Y(${endPoint})`
+  ].join(',\n  ')}
+)`;
+
+async function createStagingTable(client) {
+  await client.query(`DROP TABLE IF EXISTS ${STAGING_TABLE}`);
+  await client.query(`
+    CREATE TEMP TABLE ${STAGING_TABLE} (
+      ${STAGING_COLUMNS.map(([name, type]) => `${name} ${type}`).join(',\n      ')}
+    )
+  `);
+}
+
+// Audit log entity id of a source's survey, e.g. "pa:2025"
+const surveyEntityId = (sourceId, surveyYear) => `${sourceId}:${surveyYear}`;
+
+// Save the staged rows as the source's snapshot of the survey year,
+// replacing any earlier import of that year. Resolves with the snapshot id.
+async function saveSnapshot(client, { sourceId, surveyYear, label, fileName, fileHash }) {
+  const result = await client.query(`
+    INSERT INTO segment_snapshots (
+      source_id, survey_year, label, file_name, file_sha256, row_count, total_miles, avg_iri
+    )
+    SELECT
+      $1, $2, $3, $4, $5, COUNT(*), SUM(segment_miles),
+      SUM(rough_indx * segment_miles) / NULLIF(SUM(segment_miles) FILTER (WHERE rough_indx IS NOT NULL), 0)
+    FROM ${STAGING_TABLE}
+    ON CONFLICT (source_id, survey_year) DO UPDATE SET
+      label = EXCLUDED.label,
+      file_name = EXCLUDED.file_name,
+      file_sha256 = EXCLUDED.file_sha256,
+      row_count = EXCLUDED.row_count,
+      total_miles = EXCLUDED.total_miles,
+      avg_iri = EXCLUDED.avg_iri,
+      imported_at = CURRENT_TIMESTAMP
+    RETURNING id
+  `, [sourceId, surveyYear, label || `${surveyYear} survey`, fileName || null, fileHash || null]);
+  const snapshotId = result.rows[0].id;
+
+  await client.query('DELETE FROM segment_history WHERE snapshot_id = $1', [snapshotId]);
+  await client.query(`
+    INSERT INTO segment_history (
+      snapshot_id, source_id, segment_key,
+      ${ATTRIBUTE_COLUMNS.join(', ')},
+      start_point, end_point
+    )
+    SELECT
+      $1, $2, segment_key(cty_code, st_rt_no, seg_no),
+      ${ATTRIBUTE_COLUMNS.join(', ')},${STAGED_POINTS}
+    FROM ${STAGING_TABLE}
+  `, [snapshotId, sourceId]);
+
+  return snapshotId;
+}
+
+// Work out how the staged rows differ from the source's road_segments
+// rows, per segment: added and removed segments keep the whole row, changed
+// ones only the columns that changed. Resolves with the counts of each.
+async function diffStagedSegments(client, sourceId) {
+  await client.query(`
+    CREATE TEMP TABLE ${DIFF_TABLE} (
+      segment_key TEXT, change VARCHAR(10), before JSONB, after JSONB
+    ) ON COMMIT DROP
+  `);
+  await client.query(`
+    INSERT INTO ${DIFF_TABLE} (segment_key, change, before, after)
+    WITH old AS (
+      SELECT DISTINCT ON (1) ${DIFF_KEY} AS segment_key, ${segmentJson('start_point', 'end_point')} AS segment
+      FROM road_segments
+      WHERE source_id = $1 AND ${DIFF_KEY} IS NOT NULL
+      ORDER BY 1, id
+    ),
+    new AS (
+      SELECT DISTINCT ON (1) ${DIFF_KEY} AS segment_key, ${segmentJson(
+        'ST_MakePoint(x_value_bgn, y_value_bgn)',
+        'ST_MakePoint(x_value_end, y_value_end)'
+      )} AS segment
+      FROM ${STAGING_TABLE}
+      WHERE ${DIFF_KEY} IS NOT NULL
+      ORDER BY 1, objectid
+    )
+    SELECT
+      COALESCE(old.segment_key, new.segment_key) AS segment_key,
+      CASE WHEN old.segment IS NULL THEN 'added' WHEN new.segment IS NULL THEN 'removed' ELSE 'changed' END AS change,
+      CASE WHEN old.segment IS NULL OR new.segment IS NULL THEN old.segment ELSE (
+        SELECT jsonb_object_agg(key, value) FROM jsonb_each(old.segment) WHERE new.segment -> key IS DISTINCT FROM value
+      ) END AS before,
+      CASE WHEN old.segment IS NULL OR new.segment IS NULL THEN new.segment ELSE (
+        SELECT jsonb_object_agg(key, value) FROM jsonb_each(new.segment) WHERE old.segment -> key IS DISTINCT FROM value
+      ) END AS after
+    FROM old FULL JOIN new ON old.segment_key = new.segment_key
+    WHERE old.segment IS DISTINCT FROM new.segment
+  `, [sourceId]);
+
+  const result = await client.query(`SELECT change, COUNT(*)::integer AS count FROM ${DIFF_TABLE} GROUP BY change`);
+  const counts = { added: 0, removed: 0, changed: 0 };
+  result.rows.forEach(({ change, count }) => {
+    counts[change] = count;
+  });
+  return counts;
+}
+
+// Keep the source's conflation results, by segment key and end points,
+// before its road_segments rows are deleted. The staging and conflation
+// tables share no column names, so the swap can join them unqualified.
+async function saveConflation(client, sourceId) {
+  await client.query(`
+    CREATE TEMP TABLE ${CONFLATION_TABLE} (
+      segment_key TEXT,
+      start_point GEOMETRY(POINT, 4326),
+      end_point GEOMETRY(POINT, 4326),
+      matched_line GEOMETRY(LINESTRING, 4326),
+      match_status VARCHAR(20),
+      match_confidence DECIMAL(4,3),
+      matched_osm_ids BIGINT[],
+      matched_at TIMESTAMP
+    ) ON COMMIT DROP
+  `);
+  await client.query(`
+    INSERT INTO ${CONFLATION_TABLE}
+    SELECT DISTINCT ON (1) ${DIFF_KEY}, start_point, end_point, ${CONFLATION_COLUMNS.join(', ')}
+    FROM road_segments
+    WHERE source_id = $1 AND match_status IS NOT NULL AND ${DIFF_KEY} IS NOT NULL
+    ORDER BY 1, id
+  `, [sourceId]);
+}
+
+// Record the snapshot and, when it is the source's latest survey, replace
+// the source's road_segments rows with it, all in one transaction along
+// with the audit entry. Resolves with the snapshot id, whether it is current
+// and the audit id. Swaps of the same source wait for each other, whichever
+// process runs them (server, import job or migrate_data.js).
+async function swapStagedSegments(client, dataSource, snapshot, audit) {
+  const sourceId = dataSource.id;
+  await client.query('BEGIN');
+  try {
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('road_segments:' || $1))", [sourceId]);
+    // The config may name a source the table has not seen yet
+    await saveDataSource(client, dataSource);
+    const snapshotId = await saveSnapshot(client, { ...snapshot, sourceId });
+
+    const latest = await client.query(
+      'SELECT MAX(survey_year) AS survey_year FROM segment_snapshots WHERE source_id = $1',
+      [sourceId]
+    );
+    const current = snapshot.surveyYear >= latest.rows[0].survey_year;
+    // An older survey only adds history, so road_segments is unchanged
+    const segmentChanges = current ? await diffStagedSegments(client, sourceId) : { added: 0, removed: 0, changed: 0 };
+
+    const auditId = await recordAudit(client, {
+      ...audit,
+      action: 'import',
+      entityType: 'road_segments',
+      entityId: surveyEntityId(sourceId, snapshot.surveyYear),
+      fileName: snapshot.fileName,
+      rowCounts: { ...audit.rowCounts, ...segmentChanges, survey_year: snapshot.surveyYear, current }
+    });
+
+    if (current) {
+      await client.query(`
+        INSERT INTO audit_segment_changes (audit_id, segment_key, change, before, after)
+        SELECT $1, segment_key, change, before, after
+        FROM ${DIFF_TABLE}
+      `, [auditId]);
+      await saveConflation(client, sourceId);
+      await client.query('DELETE FROM road_segments WHERE source_id = $1', [sourceId]);
+      // A segment that moved has to be conflated again
+      await client.query(`
+        INSERT INTO road_segments (
+          ${ATTRIBUTE_COLUMNS.join(', ')},
+          start_point, end_point, snapshot_id, source_id,
+          ${CONFLATION_COLUMNS.join(', ')}
+        )
+        SELECT
+          ${ATTRIBUTE_COLUMNS.join(', ')},${STAGED_POINTS},
+          $1, $2,
+          ${CONFLATION_COLUMNS.map(name => `c.${name}`).join(', ')}
+        FROM ${STAGING_TABLE}
+        LEFT JOIN ${CONFLATION_TABLE} c
+          ON c.segment_key = ${DIFF_KEY}
+          AND ST_Equals(c.start_point, ST_SetSRID(ST_MakePoint(x_value_bgn, y_value_bgn), 4326))
+          AND ST_Equals(c.end_point, ST_SetSRID(ST_MakePoint(x_value_end, y_value_end), 4326))
+      `, [snapshotId, sourceId]);
+    }
+
+    await client.query('COMMIT');
+    return { snapshotId, current, auditId };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Stream a data source's segment CSV into road_segments.
+//
+// Options:
+//   dataSource              entry from data_sources.js; defaults to the
+//                           default source
+//   validateRecord(record)  returns { row, issues }; defaults to the data
+//                           source's, the RMSSEG schema with its column
+//                           mapping and bounds
+//   onIssues({ line, issues, record, rejected })  called for each row with
+//                           issues; may return a promise, which is awaited
+//                           before parsing continues
+//   onProgress(progress)    called every `progressInterval` rows and once at
+//                           the end with { rows, rejected, warnings, bytes,
+//                           totalBytes, seconds, rowsPerSecond }
+//   surveyYear              condition survey the file holds; defaults to the
+//                           data source's survey_year, else the current year
+//   label, fileName         stored with the snapshot
+//   audit                   { user, source } for the audit log entry; source
+//                           is one of database/audit_log.js AUDIT_SOURCES
+//
+// Rows with an error-level issue are rejected; warnings are counted but the
+// row is kept. Nothing in road_segments changes until the whole file has been
+// staged. A file missing a required column, or without a single valid row,
+// leaves the existing data in place.
+// Resolves with the final counts, plus snapshotId, surveyYear, whether the
+// survey is now the source's current one, the file's fileHash and the
+// auditId, once the new data is live.
+async function ingestSegmentsCSV(pool, filePath, {
+  dataSource = getDataSource(),
+  validateRecord = dataSource.validateRecord,
+  onIssues,
+  onProgress,
+  progressInterval = 10000,
+  surveyYear = dataSource.surveyYear || new Date().getFullYear(),
+  label,
+  fileName,
+  audit = { source: 'cli' }
+} = {}) {
+  const totalBytes = fs.statSync(filePath).size;
+  const startedAt = Date.now();
+  const input = fs.createReadStream(filePath);
+  const hash = crypto.createHash('sha256');
+
+  let rows = 0;
+  let rejected = 0;
+  let warnings = 0;
+  // Line 1 is the header row
+  let line = 1;
+
+  const progress = () => {
+    const seconds = (Date.now() - startedAt) / 1000;
+    return {
+      rows,
+      rejected,
+      warnings,
+      bytes: input.bytesRead,
+      totalBytes,
+      seconds,
+      rowsPerSecond: seconds > 0 ? Math.round(rows / seconds) : rows
+    };
+  };
+
+  const hashed = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  const toCopy = new Transform({
+    writableObjectMode: true,
+    transform(data, encoding, callback) {
+      line++;
+      const { row, issues } = validateRecord(data);
+      const rowRejected = isRejected(issues);
+
+      if (rowRejected) {
+        rejected++;
+      }
+      warnings += issues.filter(issue => issue.severity === 'warning').length;
+
+      const emit = () => {
+        if (rowRejected) return callback();
+        rows++;
+        if (onProgress && rows % progressInterval === 0) {
+          onProgress(progress());
+        }
+        callback(null, toCopyLine(row));
+      };
+
+      const handled = issues.length && onIssues
+        ? onIssues({ line, issues, record: data, rejected: rowRejected })
+        : null;
+      if (handled && typeof handled.then === 'function') {
+        return handled.then(emit, callback);
+      }
+      emit();
+    }
+  });
+
+  const client = await pool.connect();
+  try {
+    await createStagingTable(client);
+
+    const copyStream = client.query(copyFrom(
+      `COPY ${STAGING_TABLE} (${STAGING_COLUMNS.map(([name]) => name).join(', ')}) FROM STDIN`
+    ));
+
+    const parser = csv({ mapHeaders: cleanHeader });
+    parser.on('headers', headers => {
+      const missing = dataSource.requiredHeaders.filter(header => !headers.includes(header));
+      if (missing.length) {
+        parser.destroy(new Error(`Missing required columns: ${missing.join(', ')}`));
+      }
+    });
+
+    await pipeline(input, hashed, parser, toCopy, copyStream);
+
+    if (rows === 0) {
+      throw new Error('No valid road segments found; existing data left unchanged');
+    }
+
+    const fileHash = hash.digest('hex');
+    const staged = progress();
+    const { snapshotId, current, auditId } = await swapStagedSegments(client, dataSource, { surveyYear, label, fileName, fileHash }, {
+      ...audit,
+      fileHash,
+      rowCounts: { loaded: staged.rows, rejected: staged.rejected, warnings: staged.warnings }
+    });
+
+    const result = progress();
+    if (onProgress) {
+      onProgress(result);
+    }
+    return { ...result, snapshotId, surveyYear, current, fileHash, auditId };
+  } finally {
+    await client.query(`DROP TABLE IF EXISTS ${STAGING_TABLE}`).catch(() => {});
+    client.release();
+  }
+}
+
+// SHA-256 of a file, read as a stream
+async function fileSha256(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+// The source's snapshot already loaded from a file with these contents, if
+// any. Startup and file watch loads skip such a file rather than loading it
+// again over whatever has been imported since.
+async function findLoadedSnapshot(pool, sourceId, filePath) {
+  const fileHash = await fileSha256(filePath);
+  const result = await pool.query(`
+    SELECT id, survey_year, imported_at
+    FROM segment_snapshots
+    WHERE source_id = $1 AND file_sha256 = $2
+    ORDER BY survey_year DESC
+    LIMIT 1
+  `, [sourceId, fileHash]);
+  return result.rows[0] || null;
+}
+
+// Log line for progress callbacks
+function formatProgress({ rows, rejected, warnings, bytes, totalBytes, rowsPerSecond }) {
+  const percent = totalBytes ? Math.round((bytes / totalBytes) * 100) : 100;
+  return `Staged ${rows} road segments (${percent}% of file, ${rowsPerSecond} rows/s, ${rejected} rejected, ${warnings} warnings)`;
+}
+
+module.exports = {
+  ingestSegmentsCSV,
+  findLoadedSnapshot,
+  formatProgress,
+  surveyEntityId
+};
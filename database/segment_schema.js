@@ -0,0 +1,223 @@
+// Column schema for RMSSEG CSV rows, used to clean and validate each record
+// before it is staged.
+//
+// Each road_segments column names its CSV header and a type:
+//   integer / number  must parse as a number (integer: a whole number)
+//   string            kept as text, at most maxLength characters
+// and optionally:
+//   required          a blank value rejects the row
+//   min / max         expected range
+//   rangeSeverity     'warning' (default) keeps an out-of-range value, 'error' rejects the row
+//   codes             known values; anything else is a warning
+//   unit              what numeric values are stored in; column mappings
+//                     convert other units into it (see column_mapping.js)
+//
+// Type errors, missing required values and over-long strings reject the row:
+// the first two would otherwise be guessed at, the last would abort the COPY.
+// Blank optional values become NULL rather than 0 or ''.
+//
+// Inventories laid out differently (see database/data_sources.js) reuse the
+// schema through createSegmentValidator, renaming headers, converting units
+// and codes, and swapping the coordinate bounds.
+
+// Pennsylvania's extent in WGS84, padded slightly for segments on the border
+const PA_BOUNDS = {
+  minLng: -80.53,
+  maxLng: -74.68,
+  minLat: 39.71,
+  maxLat: 42.28
+};
+
+// Same code lists as src/utils/roadCodes.js. Other codes do occur in RMSSEG
+// extracts, so an unknown code is worth a warning but not a rejection.
+const FACILITY_TYPE_CODES = ['1', '2', '3', '4', '5'];
+const SURFACE_TYPE_CODES = ['52', '61', '62', '63', '64'];
+
+// Coordinates outside the inventory's extent are bad data, not a warning
+const longitude = (header, bounds = PA_BOUNDS, region = 'Pennsylvania') => ({
+  header, type: 'number', required: true,
+  min: bounds.minLng, max: bounds.maxLng, rangeSeverity: 'error', rangeLabel: `outside ${region}`
+});
+
+const latitude = (header, bounds = PA_BOUNDS, region = 'Pennsylvania') => ({
+  header, type: 'number', required: true,
+  min: bounds.minLat, max: bounds.maxLat, rangeSeverity: 'error', rangeLabel: `outside ${region}`
+});
+
+const COORDINATE_SPECS = {
+  x_value_bgn: longitude,
+  y_value_bgn: latitude,
+  x_value_end: longitude,
+  y_value_end: latitude
+};
+
+const SEGMENT_SCHEMA = {
+  objectid: { header: 'OBJECTID', type: 'integer' },
+  st_rt_no: { header: 'ST_RT_NO', type: 'string', maxLength: 10 },
+  cty_code: { header: 'CTY_CODE', type: 'string', maxLength: 5 },
+  district_no: { header: 'DISTRICT_NO', type: 'string', maxLength: 5 },
+  seg_no: { header: 'SEG_NO', type: 'string', maxLength: 10 },
+  seg_lngth_feet: { header: 'SEG_LNGTH_FEET', type: 'number', min: 0, unit: 'ft' },
+  fac_type: { header: 'FAC_TYPE', type: 'string', maxLength: 5, codes: FACILITY_TYPE_CODES },
+  surf_type: { header: 'SURF_TYPE', type: 'string', maxLength: 5, codes: SURFACE_TYPE_CODES },
+  lane_cnt: { header: 'LANE_CNT', type: 'integer', min: 1, max: 12 },
+  total_width: { header: 'TOTAL_WIDTH', type: 'number', min: 0, unit: 'ft' },
+  // IRI in inches per mile; anything past 1000 is a sensor or entry error
+  rough_indx: { header: 'ROUGH_INDX', type: 'number', min: 0, max: 1000, unit: 'in/mi' },
+  frictn_coeff: { header: 'FRICTN_COEFF', type: 'number', min: 0, max: 100 },
+  pvmnt_cond_rate: { header: 'PVMNT_COND_RATE', type: 'string', maxLength: 10 },
+  // The busiest Pennsylvania interstate sections carry under 200,000 vehicles a day
+  cur_aadt: { header: 'CUR_AADT', type: 'integer', min: 0, max: 300000 },
+  street_name: { header: 'STREET_NAME', type: 'string', maxLength: 255 },
+  traf_rt_no: { header: 'TRAF_RT_NO', type: 'string', maxLength: 20 },
+  x_value_bgn: longitude('X_VALUE_BGN'),
+  y_value_bgn: latitude('Y_VALUE_BGN'),
+  x_value_end: longitude('X_VALUE_END'),
+  y_value_end: latitude('Y_VALUE_END'),
+  segment_miles: { header: 'SEGMENT_MILES', type: 'number', min: 0, unit: 'mi' },
+  lane_miles: { header: 'LANE_MILES', type: 'number', min: 0, unit: 'mi' },
+  iri_rating_text: { header: 'IRI_RATING_TEXT', type: 'string', maxLength: 20 },
+  opi_rating_text: { header: 'OPI_RATING_TEXT', type: 'string', maxLength: 20 },
+  surface_year: { header: 'SURFACE_YEAR', type: 'integer', min: 1900, max: new Date().getFullYear() + 1 },
+  urban_rural: { header: 'URBAN_RURAL', type: 'string', maxLength: 5 },
+  nhs_ind: { header: 'NHS_IND', type: 'string', maxLength: 5 }
+};
+
+// The schema for another inventory: `columns` maps road_segments columns
+// to that file's headers (the rest keep their RMSSEG header), and
+// coordinates must fall within `bounds`, called `region` in messages. A
+// column can instead map to { header, scale, translate }, as built by
+// parseColumnMapping in column_mapping.js: numbers are multiplied by
+// `scale`, and values found in `translate` are replaced before checking.
+function buildSegmentSchema({ columns = {}, bounds = PA_BOUNDS, region = 'Pennsylvania' } = {}) {
+  const unknown = Object.keys(columns).filter(column => !SEGMENT_SCHEMA[column]);
+  if (unknown.length) {
+    throw new Error(`Not road_segments columns: ${unknown.join(', ')}`);
+  }
+
+  return Object.fromEntries(Object.entries(SEGMENT_SCHEMA).map(([column, spec]) => {
+    const mapping = typeof columns[column] === 'string' ? { header: columns[column] } : columns[column] || {};
+    const header = mapping.header || spec.header;
+    const coordinate = COORDINATE_SPECS[column];
+    return [column, {
+      ...(coordinate ? coordinate(header, bounds, region) : { ...spec, header }),
+      ...(mapping.scale !== undefined && { scale: mapping.scale }),
+      ...(mapping.translate && { translate: mapping.translate })
+    }];
+  }));
+}
+
+// RMSSEG CSV header for each road_segments column
+const FIELD_MAP = Object.fromEntries(
+  Object.entries(SEGMENT_SCHEMA).map(([column, { header }]) => [column, header])
+);
+
+const requiredHeaders = schema => Object.values(schema)
+  .filter(spec => spec.required)
+  .map(spec => spec.header);
+
+const REQUIRED_HEADERS = requiredHeaders(SEGMENT_SCHEMA);
+
+const describeRange = ({ min, max }) => {
+  if (min !== undefined && max !== undefined) return `${min} to ${max}`;
+  return min !== undefined ? `at least ${min}` : `at most ${max}`;
+};
+
+// Check one raw value against its column spec. Returns the cleaned value and
+// at most one issue.
+function validateValue(spec, raw) {
+  const input = raw === undefined || raw === null ? '' : String(raw).trim();
+  const text = spec.translate && Object.prototype.hasOwnProperty.call(spec.translate, input)
+    ? spec.translate[input]
+    : input;
+  const issue = (severity, reason) => ({ severity, column: spec.header, value: input, reason });
+
+  if (text === '') {
+    return {
+      value: null,
+      issue: spec.required ? issue('error', `${spec.header} is required`) : null
+    };
+  }
+
+  if (spec.type === 'string') {
+    if (spec.maxLength && text.length > spec.maxLength) {
+      return { value: null, issue: issue('error', `${spec.header} is longer than ${spec.maxLength} characters`) };
+    }
+    if (spec.codes && !spec.codes.includes(text)) {
+      return { value: text, issue: issue('warning', `${spec.header} is not a known code`) };
+    }
+    return { value: text, issue: null };
+  }
+
+  const number = Number(text) * (spec.scale === undefined ? 1 : spec.scale);
+  if (!Number.isFinite(number)) {
+    return { value: null, issue: issue('error', `${spec.header} is not a number`) };
+  }
+  if (spec.type === 'integer' && !Number.isInteger(number)) {
+    return { value: null, issue: issue('error', `${spec.header} is not a whole number`) };
+  }
+
+  const outOfRange = (spec.min !== undefined && number < spec.min) ||
+    (spec.max !== undefined && number > spec.max);
+  if (outOfRange) {
+    return {
+      value: number,
+      issue: issue(spec.rangeSeverity || 'warning', `${spec.header} is ${spec.rangeLabel || `outside ${describeRange(spec)}`}`)
+    };
+  }
+
+  return { value: number, issue: null };
+}
+
+// Validation for one inventory layout (see buildSegmentSchema). Returns the
+// schema, the headers a file must have, and validateRecord(record), which
+// cleans and validates one parsed CSV record. Columns the dashboard does
+// not model directly are kept in additional_attrs under their lower-cased
+// header. The row should be rejected when any issue has severity 'error'.
+function createSegmentValidator(options) {
+  const schema = buildSegmentSchema(options);
+  const mappedHeaders = new Set(Object.values(schema).map(spec => spec.header));
+
+  const validateRecord = (record) => {
+    const row = {};
+    const issues = [];
+
+    for (const [column, spec] of Object.entries(schema)) {
+      const { value, issue } = validateValue(spec, record[spec.header]);
+      row[column] = value;
+      if (issue) issues.push(issue);
+    }
+
+    row.additional_attrs = {};
+    for (const [header, value] of Object.entries(record)) {
+      if (!mappedHeaders.has(header) && value !== '' && value !== undefined) {
+        row.additional_attrs[header.toLowerCase()] = value;
+      }
+    }
+
+    return { row, issues };
+  };
+
+  return { schema, requiredHeaders: requiredHeaders(schema), validateRecord };
+}
+
+// An RMSSEG record
+const validateSegmentRecord = createSegmentValidator().validateRecord;
+
+const isRejected = (issues) => issues.some(issue => issue.severity === 'error');
+
+// csv-parser mapHeaders option: drops a byte order mark and stray spaces
+const cleanHeader = ({ header }) => header.replace(/^\uFEFF/, '').trim();
+
+module.exports = {
+  PA_BOUNDS,
+  SEGMENT_SCHEMA,
+  FIELD_MAP,
+  REQUIRED_HEADERS,
+  buildSegmentSchema,
+  validateValue,
+  createSegmentValidator,
+  validateSegmentRecord,
+  isRejected,
+  cleanHeader
+};
@@ -0,0 +1,146 @@
+/**
+ * @jest-environment node
+ */
+const {
+  SEGMENT_SCHEMA,
+  validateValue,
+  createSegmentValidator,
+  validateSegmentRecord,
+  isRejected,
+  cleanHeader
+} = require('./segment_schema');
+
+// An RMSSEG record that validates cleanly
+const record = (overrides = {}) => ({
+  OBJECTID: '101',
+  ST_RT_NO: '0022',
+  CTY_CODE: '67',
+  SEG_NO: '0010',
+  SEG_LNGTH_FEET: '2640',
+  SURF_TYPE: '52',
+  LANE_CNT: '2',
+  ROUGH_INDX: '95',
+  X_VALUE_BGN: '-76.7',
+  Y_VALUE_BGN: '40.2',
+  X_VALUE_END: '-76.69',
+  Y_VALUE_END: '40.21',
+  ...overrides
+});
+
+describe('validateValue', () => {
+  test('rejects a blank required value', () => {
+    const { value, issue } = validateValue(SEGMENT_SCHEMA.x_value_bgn, '  ');
+    expect(value).toBeNull();
+    expect(issue).toMatchObject({ severity: 'error', reason: 'X_VALUE_BGN is required' });
+  });
+
+  test('turns a blank optional value into NULL without an issue', () => {
+    expect(validateValue(SEGMENT_SCHEMA.rough_indx, '')).toEqual({ value: null, issue: null });
+    expect(validateValue(SEGMENT_SCHEMA.street_name, undefined)).toEqual({ value: null, issue: null });
+  });
+
+  test('rejects a string over its maximum length', () => {
+    const { value, issue } = validateValue(SEGMENT_SCHEMA.cty_code, '123456');
+    expect(value).toBeNull();
+    expect(issue).toMatchObject({ severity: 'error', reason: 'CTY_CODE is longer than 5 characters' });
+  });
+
+  test('accepts a string at its maximum length', () => {
+    expect(validateValue(SEGMENT_SCHEMA.cty_code, ' 12345 ')).toEqual({ value: '12345', issue: null });
+  });
+
+  test('rejects text and fractions in number columns', () => {
+    expect(validateValue(SEGMENT_SCHEMA.rough_indx, 'n/a').issue)
+      .toMatchObject({ severity: 'error', reason: 'ROUGH_INDX is not a number' });
+    expect(validateValue(SEGMENT_SCHEMA.lane_cnt, '2.5').issue)
+      .toMatchObject({ severity: 'error', reason: 'LANE_CNT is not a whole number' });
+  });
+
+  test('keeps an out-of-range value with a warning', () => {
+    const { value, issue } = validateValue(SEGMENT_SCHEMA.rough_indx, '1500');
+    expect(value).toBe(1500);
+    expect(issue).toMatchObject({ severity: 'warning', reason: 'ROUGH_INDX is outside 0 to 1000' });
+  });
+
+  test('rejects coordinates outside the bounds', () => {
+    const { issue } = validateValue(SEGMENT_SCHEMA.x_value_bgn, '-90');
+    expect(issue).toMatchObject({ severity: 'error', reason: 'X_VALUE_BGN is outside Pennsylvania' });
+  });
+
+  test('warns about unknown codes but keeps them', () => {
+    expect(validateValue(SEGMENT_SCHEMA.surf_type, '99'))
+      .toEqual({ value: '99', issue: expect.objectContaining({ severity: 'warning', reason: 'SURF_TYPE is not a known code' }) });
+  });
+
+  test('scales numbers before checking their range', () => {
+    const spec = { ...SEGMENT_SCHEMA.seg_lngth_feet, scale: 5280 };
+    expect(validateValue(spec, '0.5')).toEqual({ value: 2640, issue: null });
+  });
+
+  test('translates codes before checking them', () => {
+    const spec = { ...SEGMENT_SCHEMA.surf_type, translate: { BIT: '52' } };
+    expect(validateValue(spec, 'BIT')).toEqual({ value: '52', issue: null });
+    expect(validateValue(spec, 'PCC').issue).toMatchObject({ severity: 'warning', value: 'PCC' });
+  });
+});
+
+describe('createSegmentValidator', () => {
+  test('validates an RMSSEG record and keeps unmapped columns', () => {
+    const { row, issues } = validateSegmentRecord(record({ COUNTY_NAME: 'York', EMPTY: '' }));
+    expect(issues).toEqual([]);
+    expect(row).toMatchObject({ objectid: 101, cty_code: '67', lane_cnt: 2, rough_indx: 95, street_name: null });
+    expect(row.additional_attrs).toEqual({ county_name: 'York' });
+  });
+
+  test('rejects a record missing a coordinate', () => {
+    const { issues } = validateSegmentRecord(record({ Y_VALUE_END: '' }));
+    expect(isRejected(issues)).toBe(true);
+  });
+
+  test('does not reject a record with only warnings', () => {
+    const { issues } = validateSegmentRecord(record({ SURF_TYPE: '99' }));
+    expect(issues).toHaveLength(1);
+    expect(isRejected(issues)).toBe(false);
+  });
+
+  test('reads mapped headers with their unit and code conversions', () => {
+    const { requiredHeaders, validateRecord } = createSegmentValidator({
+      columns: {
+        x_value_bgn: 'LON1',
+        seg_lngth_feet: { header: 'LENGTH_MI', scale: 5280 },
+        surf_type: { header: 'SURFACE', translate: { BIT: '52' } }
+      }
+    });
+    expect(requiredHeaders).toContain('LON1');
+    expect(requiredHeaders).not.toContain('X_VALUE_BGN');
+
+    const { X_VALUE_BGN, SEG_LNGTH_FEET, SURF_TYPE, ...rest } = record();
+    const { row, issues } = validateRecord({ ...rest, LON1: '-76.7', LENGTH_MI: '0.25', SURFACE: 'BIT' });
+    expect(issues).toEqual([]);
+    expect(row).toMatchObject({ x_value_bgn: -76.7, seg_lngth_feet: 1320, surf_type: '52' });
+    expect(row.additional_attrs).toEqual({});
+  });
+
+  test('checks coordinates against the given bounds', () => {
+    const { validateRecord } = createSegmentValidator({
+      bounds: { minLng: -84.82, minLat: 38.4, maxLng: -80.52, maxLat: 41.98 },
+      region: 'Ohio'
+    });
+    const { issues } = validateRecord(record());
+    expect(issues.map(issue => issue.reason)).toEqual([
+      'X_VALUE_BGN is outside Ohio',
+      'X_VALUE_END is outside Ohio'
+    ]);
+  });
+
+  test('rejects columns road_segments does not have', () => {
+    expect(() => createSegmentValidator({ columns: { speed_limit: 'SPEED' } }))
+      .toThrow('Not road_segments columns: speed_limit');
+  });
+});
+
+describe('cleanHeader', () => {
+  test('drops a byte order mark and spaces', () => {
+    expect(cleanHeader({ header: '\uFEFF OBJECTID ' })).toBe('OBJECTID');
+  });
+});
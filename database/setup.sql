@@ -1,5 +1,7 @@
 -- PostgreSQL Database Setup for Road Classification Dashboard
--- This script creates the database, extensions, and schema
+-- This script creates the database, extensions, and schema. It can be run
+-- again on an existing database to upgrade it: the ALTER TABLE statements
+-- after each table add what earlier versions of the table lacked.
 
 -- Create database (run this as superuser)
 -- CREATE DATABASE road_dashboard;
@@ -11,10 +13,65 @@
 CREATE EXTENSION IF NOT EXISTS postgis;
 CREATE EXTENSION IF NOT EXISTS hstore;
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Road inventories the dashboard serves, one per state or file layout,
+-- mirrored from data_sources.json by database/data_sources.js. Sources
+-- dropped from the config keep their row.
+CREATE TABLE IF NOT EXISTS data_sources (
+    id VARCHAR(50) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    state CHAR(2) NOT NULL, -- state of its OSM roads and counties
+    file_path TEXT,
+    column_mapping JSONB DEFAULT '{}', -- road_segments column -> CSV header, where not RMSSEG's
+    bounds JSONB, -- [minLng, minLat, maxLng, maxLat]
+    refresh VARCHAR(10) NOT NULL DEFAULT 'manual', -- watch, startup, manual
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Databases created before data sources hold PennDOT's inventory only. It
+-- becomes the "pa" source of the shipped data_sources.json, which the
+-- upgrades below file existing rows under.
+INSERT INTO data_sources (id, name, state, refresh)
+SELECT 'pa', 'Pennsylvania', 'PA', 'watch'
+WHERE to_regclass('road_segments') IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'road_segments' AND column_name = 'source_id'
+  )
+ON CONFLICT (id) DO NOTHING;
+
+-- One row per condition survey loaded per data source (see
+-- database/segment_ingest.js). Re-importing a survey year replaces that
+-- year's snapshot.
+CREATE TABLE IF NOT EXISTS segment_snapshots (
+    id SERIAL PRIMARY KEY,
+    source_id VARCHAR(50) NOT NULL REFERENCES data_sources(id),
+    survey_year INTEGER NOT NULL,
+    label VARCHAR(255),
+    file_name VARCHAR(255),
+    file_sha256 CHAR(64), -- startup and watch loads skip a file already loaded
+    row_count INTEGER DEFAULT 0,
+    total_miles DECIMAL(12,4),
+    avg_iri DECIMAL(8,2), -- mile-weighted
+    imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (source_id, survey_year)
+);
+
+ALTER TABLE segment_snapshots ADD COLUMN IF NOT EXISTS source_id VARCHAR(50) REFERENCES data_sources(id);
+UPDATE segment_snapshots SET source_id = 'pa' WHERE source_id IS NULL;
+ALTER TABLE segment_snapshots ALTER COLUMN source_id SET NOT NULL;
+ALTER TABLE segment_snapshots ADD COLUMN IF NOT EXISTS file_sha256 CHAR(64);
+-- Survey years were unique across the whole table before data sources
+ALTER TABLE segment_snapshots DROP CONSTRAINT IF EXISTS segment_snapshots_survey_year_key;
+CREATE UNIQUE INDEX IF NOT EXISTS segment_snapshots_source_id_survey_year_key
+    ON segment_snapshots (source_id, survey_year);
 
 -- Create road_segments table with spatial data
 CREATE TABLE IF NOT EXISTS road_segments (
     id SERIAL PRIMARY KEY,
+    source_id VARCHAR(50) NOT NULL REFERENCES data_sources(id),
     objectid INTEGER,
     st_rt_no VARCHAR(10),
     cty_code VARCHAR(5),
@@ -37,6 +94,13 @@ CREATE TABLE IF NOT EXISTS road_segments (
     end_point GEOMETRY(POINT, 4326),
     road_line GEOMETRY(LINESTRING, 4326),
     
+    -- Conflation with osm_roads (database/conflate.js)
+    matched_line GEOMETRY(LINESTRING, 4326), -- true-shape geometry from OSM
+    match_status VARCHAR(20), -- matched, low_confidence, unmatched
+    match_confidence DECIMAL(4,3), -- 0 to 1
+    matched_osm_ids BIGINT[],
+    matched_at TIMESTAMP,
+    
     -- Additional attributes
     segment_miles DECIMAL(10,4),
     lane_miles DECIMAL(10,4),
@@ -49,15 +113,99 @@ CREATE TABLE IF NOT EXISTS road_segments (
     -- HStore for flexible attributes
     additional_attrs HSTORE,
     
+    -- Survey these rows came from; road_segments always holds each data
+    -- source's latest
+    snapshot_id INTEGER REFERENCES segment_snapshots(id) ON DELETE SET NULL,
+    
     -- Metadata
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+ALTER TABLE road_segments ADD COLUMN IF NOT EXISTS matched_line GEOMETRY(LINESTRING, 4326);
+ALTER TABLE road_segments ADD COLUMN IF NOT EXISTS match_status VARCHAR(20);
+ALTER TABLE road_segments ADD COLUMN IF NOT EXISTS match_confidence DECIMAL(4,3);
+ALTER TABLE road_segments ADD COLUMN IF NOT EXISTS matched_osm_ids BIGINT[];
+ALTER TABLE road_segments ADD COLUMN IF NOT EXISTS matched_at TIMESTAMP;
+ALTER TABLE road_segments ADD COLUMN IF NOT EXISTS source_id VARCHAR(50) REFERENCES data_sources(id);
+UPDATE road_segments SET source_id = 'pa' WHERE source_id IS NULL;
+ALTER TABLE road_segments ALTER COLUMN source_id SET NOT NULL;
+ALTER TABLE road_segments ADD COLUMN IF NOT EXISTS snapshot_id INTEGER REFERENCES segment_snapshots(id) ON DELETE SET NULL;
+
 -- Create spatial indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_road_segments_start_point ON road_segments USING GIST (start_point);
 CREATE INDEX IF NOT EXISTS idx_road_segments_end_point ON road_segments USING GIST (end_point);
 CREATE INDEX IF NOT EXISTS idx_road_segments_road_line ON road_segments USING GIST (road_line);
+CREATE INDEX IF NOT EXISTS idx_road_segments_matched_osm_ids ON road_segments USING GIN (matched_osm_ids);
+CREATE INDEX IF NOT EXISTS idx_road_segments_match_status ON road_segments (match_status);
+CREATE INDEX IF NOT EXISTS idx_road_segments_source ON road_segments (source_id);
+
+-- Linear referencing lookups compare route, county and segment without leading zeros
+CREATE INDEX IF NOT EXISTS idx_road_segments_lrs ON road_segments (
+    LTRIM(st_rt_no, '0'), LTRIM(cty_code, '0'), LTRIM(seg_no, '0')
+);
+
+-- Key that lines a segment up across surveys: county, route and segment
+-- number without leading zeros
+CREATE OR REPLACE FUNCTION segment_key(cty_code TEXT, st_rt_no TEXT, seg_no TEXT)
+RETURNS TEXT AS $$
+    SELECT LTRIM(cty_code, '0') || ':' || LTRIM(st_rt_no, '0') || ':' || LTRIM(seg_no, '0')
+$$ LANGUAGE sql IMMUTABLE;
+
+-- segment_key(), or the OBJECTID for rows without a county, route or segment
+-- number: how imports and work plans find a road_segments row again after
+-- a re-import has given it a new id
+CREATE OR REPLACE FUNCTION road_segment_key(cty_code TEXT, st_rt_no TEXT, seg_no TEXT, objectid INTEGER)
+RETURNS TEXT AS $$
+    SELECT COALESCE(segment_key(cty_code, st_rt_no, seg_no), 'objectid:' || objectid)
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_road_segments_key ON road_segments (
+    source_id, road_segment_key(cty_code, st_rt_no, seg_no, objectid)
+);
+
+-- Every survey's segments as loaded, kept after road_segments moves on
+CREATE TABLE IF NOT EXISTS segment_history (
+    snapshot_id INTEGER REFERENCES segment_snapshots(id) ON DELETE CASCADE,
+    source_id VARCHAR(50) NOT NULL REFERENCES data_sources(id), -- the snapshot's, for filtering
+    segment_key TEXT,
+    objectid INTEGER,
+    st_rt_no VARCHAR(10),
+    cty_code VARCHAR(5),
+    district_no VARCHAR(5),
+    seg_no VARCHAR(10),
+    seg_lngth_feet DECIMAL(10,2),
+    fac_type VARCHAR(5),
+    surf_type VARCHAR(5),
+    lane_cnt INTEGER,
+    total_width DECIMAL(8,2),
+    rough_indx DECIMAL(8,2),
+    frictn_coeff DECIMAL(8,2),
+    pvmnt_cond_rate VARCHAR(10),
+    cur_aadt INTEGER,
+    street_name VARCHAR(255),
+    traf_rt_no VARCHAR(20),
+    start_point GEOMETRY(POINT, 4326),
+    end_point GEOMETRY(POINT, 4326),
+    segment_miles DECIMAL(10,4),
+    lane_miles DECIMAL(10,4),
+    iri_rating_text VARCHAR(20),
+    opi_rating_text VARCHAR(20),
+    surface_year INTEGER,
+    urban_rural VARCHAR(5),
+    nhs_ind VARCHAR(5),
+    additional_attrs HSTORE
+);
+
+ALTER TABLE segment_history ADD COLUMN IF NOT EXISTS source_id VARCHAR(50) REFERENCES data_sources(id);
+UPDATE segment_history h SET source_id = s.source_id
+FROM segment_snapshots s
+WHERE h.snapshot_id = s.id AND h.source_id IS NULL;
+ALTER TABLE segment_history ALTER COLUMN source_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_segment_history_snapshot ON segment_history (snapshot_id);
+CREATE INDEX IF NOT EXISTS idx_segment_history_key ON segment_history (segment_key, snapshot_id);
+CREATE INDEX IF NOT EXISTS idx_segment_history_start_point ON segment_history USING GIST (start_point);
 
 -- Create other useful indexes
 CREATE INDEX IF NOT EXISTS idx_road_segments_fac_type ON road_segments (fac_type);
@@ -66,6 +214,35 @@ CREATE INDEX IF NOT EXISTS idx_road_segments_district ON road_segments (district
 CREATE INDEX IF NOT EXISTS idx_road_segments_condition ON road_segments (rough_indx);
 CREATE INDEX IF NOT EXISTS idx_road_segments_traffic ON road_segments (cur_aadt);
 
+-- Trigram indexes for road search (/api/search)
+CREATE INDEX IF NOT EXISTS idx_road_segments_street_name_trgm ON road_segments USING GIN (street_name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_road_segments_traf_rt_no_trgm ON road_segments USING GIN (traf_rt_no gin_trgm_ops);
+
+-- County names by RMSSEG CTY_CODE, without leading zeros. PennDOT numbers
+-- counties alphabetically, except Philadelphia, which is 67. Other data
+-- sources' states are added under their own state code.
+CREATE TABLE IF NOT EXISTS counties (
+    state CHAR(2) NOT NULL,
+    code VARCHAR(5) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    PRIMARY KEY (state, code)
+);
+
+INSERT INTO counties (state, code, name)
+SELECT 'PA', (ordinality)::text, name
+FROM unnest(ARRAY[
+    'Adams', 'Allegheny', 'Armstrong', 'Beaver', 'Bedford', 'Berks', 'Blair', 'Bradford',
+    'Bucks', 'Butler', 'Cambria', 'Cameron', 'Carbon', 'Centre', 'Chester', 'Clarion',
+    'Clearfield', 'Clinton', 'Columbia', 'Crawford', 'Cumberland', 'Dauphin', 'Delaware', 'Elk',
+    'Erie', 'Fayette', 'Forest', 'Franklin', 'Fulton', 'Greene', 'Huntingdon', 'Indiana',
+    'Jefferson', 'Juniata', 'Lackawanna', 'Lancaster', 'Lawrence', 'Lebanon', 'Lehigh', 'Luzerne',
+    'Lycoming', 'McKean', 'Mercer', 'Mifflin', 'Monroe', 'Montgomery', 'Montour', 'Northampton',
+    'Northumberland', 'Perry', 'Pike', 'Potter', 'Schuylkill', 'Snyder', 'Somerset', 'Sullivan',
+    'Susquehanna', 'Tioga', 'Union', 'Venango', 'Warren', 'Washington', 'Wayne', 'Westmoreland',
+    'Wyoming', 'York', 'Philadelphia'
+]) WITH ORDINALITY AS county(name, ordinality)
+ON CONFLICT (state, code) DO NOTHING;
+
 -- Create a function to update the updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -76,16 +253,19 @@ END;
 $$ language 'plpgsql';
 
 -- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_road_segments_updated_at ON road_segments;
 CREATE TRIGGER update_road_segments_updated_at 
     BEFORE UPDATE ON road_segments 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
--- Create a function to generate road line geometry from start and end points
+-- Create a function to generate road line geometry: the conflated OSM shape
+-- when there is one, otherwise a straight line between start and end points
 CREATE OR REPLACE FUNCTION generate_road_line()
 RETURNS TRIGGER AS $$
 BEGIN
-    -- Generate road line from start and end points
-    IF NEW.start_point IS NOT NULL AND NEW.end_point IS NOT NULL THEN
+    IF NEW.matched_line IS NOT NULL THEN
+        NEW.road_line = NEW.matched_line;
+    ELSIF NEW.start_point IS NOT NULL AND NEW.end_point IS NOT NULL THEN
         NEW.road_line = ST_MakeLine(NEW.start_point, NEW.end_point);
     END IF;
     RETURN NEW;
@@ -93,13 +273,26 @@ END;
 $$ language 'plpgsql';
 
 -- Create trigger to automatically generate road line geometry
+DROP TRIGGER IF EXISTS generate_road_line_trigger ON road_segments;
 CREATE TRIGGER generate_road_line_trigger
     BEFORE INSERT OR UPDATE ON road_segments
     FOR EACH ROW EXECUTE FUNCTION generate_road_line();
 
+-- Earlier versions of the view summed every source together; rebuild it
+DO $$
+BEGIN
+    IF to_regclass('road_statistics') IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM pg_attribute
+        WHERE attrelid = to_regclass('road_statistics') AND attname = 'source_id'
+    ) THEN
+        DROP MATERIALIZED VIEW road_statistics;
+    END IF;
+END $$;
+
 -- Create a materialized view for road statistics
 CREATE MATERIALIZED VIEW IF NOT EXISTS road_statistics AS
 SELECT 
+    source_id,
     fac_type,
     COUNT(*) as segment_count,
     SUM(segment_miles) as total_miles,
@@ -109,10 +302,10 @@ SELECT
     MAX(rough_indx) as max_condition
 FROM road_segments
 WHERE fac_type IS NOT NULL
-GROUP BY fac_type;
+GROUP BY source_id, fac_type;
 
 -- Create index on materialized view
-CREATE INDEX IF NOT EXISTS idx_road_statistics_fac_type ON road_statistics (fac_type);
+CREATE INDEX IF NOT EXISTS idx_road_statistics_fac_type ON road_statistics (source_id, fac_type);
 
 -- Create function to refresh materialized view
 CREATE OR REPLACE FUNCTION refresh_road_statistics()
@@ -176,7 +369,10 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
--- Create a function to search roads by name
+-- Search road segments by street name or traffic route, best match first
+-- (trigram word similarity). The map's search box uses /api/search, which
+-- also covers OSM roads and counties.
+DROP FUNCTION IF EXISTS search_roads_by_name(VARCHAR);
 CREATE OR REPLACE FUNCTION search_roads_by_name(search_term VARCHAR)
 RETURNS TABLE (
     id INTEGER,
@@ -184,7 +380,7 @@ RETURNS TABLE (
     traf_rt_no VARCHAR,
     fac_type VARCHAR,
     district_no VARCHAR,
-    distance DECIMAL
+    score REAL
 ) AS $$
 BEGIN
     RETURN QUERY
@@ -194,22 +390,262 @@ BEGIN
         rs.traf_rt_no,
         rs.fac_type,
         rs.district_no,
-        ST_Distance(rs.start_point, ST_SetSRID(ST_MakePoint(-77.0, 39.5), 4326)) as distance
+        GREATEST(
+            word_similarity(search_term, COALESCE(rs.street_name, '')),
+            word_similarity(search_term, COALESCE(rs.traf_rt_no, ''))
+        ) as score
     FROM road_segments rs
-    WHERE rs.street_name ILIKE '%' || search_term || '%'
-       OR rs.traf_rt_no ILIKE '%' || search_term || '%'
-    ORDER BY distance
+    WHERE search_term <% rs.street_name
+       OR search_term <% rs.traf_rt_no
+    ORDER BY 6 DESC, rs.id
     LIMIT 50;
 END;
 $$ LANGUAGE plpgsql;
 
+-- CSV import jobs started through POST /api/upload
+CREATE TABLE IF NOT EXISTS import_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source_id VARCHAR(50) NOT NULL REFERENCES data_sources(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued', -- queued, running, completed, failed
+    file_name VARCHAR(255),
+    file_size BIGINT,
+    survey_year INTEGER,
+    snapshot_id INTEGER REFERENCES segment_snapshots(id) ON DELETE SET NULL,
+    total_rows INTEGER DEFAULT 0,
+    loaded_rows INTEGER DEFAULT 0,
+    rejected_rows INTEGER DEFAULT 0,
+    warning_count INTEGER DEFAULT 0,
+    issue_summary JSONB DEFAULT '{}', -- {"errors": {reason: count}, "warnings": {reason: count}}
+    bytes_read BIGINT DEFAULT 0,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS source_id VARCHAR(50) REFERENCES data_sources(id);
+UPDATE import_jobs SET source_id = 'pa' WHERE source_id IS NULL;
+ALTER TABLE import_jobs ALTER COLUMN source_id SET NOT NULL;
+ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS survey_year INTEGER;
+ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS snapshot_id INTEGER REFERENCES segment_snapshots(id) ON DELETE SET NULL;
+ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS warning_count INTEGER DEFAULT 0;
+ALTER TABLE import_jobs ADD COLUMN IF NOT EXISTS issue_summary JSONB DEFAULT '{}';
+
+-- Validation problems found by an import job, one row per value. Errors
+-- reject the CSV line (and keep the original record); warnings do not.
+CREATE TABLE IF NOT EXISTS import_issues (
+    id SERIAL PRIMARY KEY,
+    job_id UUID REFERENCES import_jobs(id) ON DELETE CASCADE,
+    line_number INTEGER,
+    severity VARCHAR(10), -- error, warning
+    column_name VARCHAR(50),
+    value TEXT,
+    reason TEXT,
+    record JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_jobs_created_at ON import_jobs (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_import_issues_job ON import_issues (job_id, line_number);
+
+-- Multi-year work plans built by database/pavement_planning.js
+CREATE TABLE IF NOT EXISTS work_plans (
+    id SERIAL PRIMARY KEY,
+    source_id VARCHAR(50) NOT NULL REFERENCES data_sources(id),
+    name VARCHAR(255),
+    start_year INTEGER NOT NULL,
+    horizon_years INTEGER NOT NULL,
+    annual_budget DECIMAL(14,2) NOT NULL,
+    filters JSONB DEFAULT '{}', -- segment filters the plan was built for
+    summary JSONB DEFAULT '{}', -- totals by treatment and per-year spend and condition
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE work_plans ADD COLUMN IF NOT EXISTS source_id VARCHAR(50) REFERENCES data_sources(id);
+UPDATE work_plans SET source_id = 'pa' WHERE source_id IS NULL;
+ALTER TABLE work_plans ALTER COLUMN source_id SET NOT NULL;
+
+-- Per-segment results of a plan. Segments are referenced by
+-- road_segment_key() within the plan's data source, because road_segments
+-- rows get new ids on every import.
+CREATE TABLE IF NOT EXISTS work_plan_segments (
+    plan_id INTEGER REFERENCES work_plans(id) ON DELETE CASCADE,
+    segment_key TEXT NOT NULL,
+    current_iri DECIMAL(8,2),
+    projected_iri DECIMAL(8,2), -- end of horizon, with the plan
+    do_nothing_iri DECIMAL(8,2), -- end of horizon, without treatment
+    treatment VARCHAR(20), -- first funded treatment: preserve, resurface, reconstruct
+    treatment_year INTEGER,
+    total_cost DECIMAL(14,2),
+    treatments JSONB DEFAULT '[]', -- [{year, treatment, cost, iri_before}]
+    PRIMARY KEY (plan_id, segment_key)
+);
+
+-- Earlier versions referenced segments by id, which the next import deleted
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'work_plan_segments' AND column_name = 'segment_id'
+    ) THEN
+        ALTER TABLE work_plan_segments ADD COLUMN IF NOT EXISTS segment_key TEXT;
+        UPDATE work_plan_segments p
+        SET segment_key = road_segment_key(s.cty_code, s.st_rt_no, s.seg_no, s.objectid)
+        FROM road_segments s
+        WHERE s.id = p.segment_id;
+        DELETE FROM work_plan_segments WHERE segment_key IS NULL;
+        ALTER TABLE work_plan_segments DROP CONSTRAINT IF EXISTS work_plan_segments_pkey;
+        ALTER TABLE work_plan_segments DROP COLUMN segment_id;
+        ALTER TABLE work_plan_segments ALTER COLUMN segment_key SET NOT NULL;
+        ALTER TABLE work_plan_segments ADD PRIMARY KEY (plan_id, segment_key);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_work_plans_created_at ON work_plans (source_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_work_plan_segments_treatment ON work_plan_segments (plan_id, treatment_year, treatment);
+
+-- Area a shape drawn on the map selects: the shape itself, or everything
+-- within buffer_miles of it. Corridors are drawn as lines, so they always
+-- carry a buffer.
+CREATE OR REPLACE FUNCTION selection_area(drawn GEOMETRY, buffer_miles NUMERIC)
+RETURNS GEOMETRY AS $$
+    SELECT CASE
+        WHEN COALESCE(buffer_miles, 0) > 0
+            THEN ST_Buffer(drawn::geography, buffer_miles * 1609.344)::geometry
+        ELSE ST_MakeValid(drawn)
+    END;
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- Named selections saved from the map's draw tools
+CREATE TABLE IF NOT EXISTS saved_selections (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    kind VARCHAR(20) NOT NULL, -- polygon, rectangle, corridor
+    drawn_geom GEOMETRY(GEOMETRY, 4326) NOT NULL, -- the shape as drawn
+    buffer_miles DECIMAL(8,3) DEFAULT 0,
+    geom GEOMETRY(GEOMETRY, 4326) NOT NULL, -- selection_area(drawn_geom, buffer_miles)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_selections_created_at ON saved_selections (created_at DESC);
+
+-- Field reports of road problems: potholes, damage, inspection notes. Each
+-- is snapped to the nearest state road segment or OSM road of its data
+-- source; segments are referenced by segment_key() because road_segments
+-- rows are replaced on every import.
+CREATE TABLE IF NOT EXISTS road_observations (
+    id SERIAL PRIMARY KEY,
+    source_id VARCHAR(50) NOT NULL REFERENCES data_sources(id),
+    category VARCHAR(30) NOT NULL, -- pothole, cracking, rutting, drainage, ...
+    severity VARCHAR(10) NOT NULL, -- low, medium, high
+    status VARCHAR(20) NOT NULL DEFAULT 'new', -- new, verified, scheduled, fixed
+    description TEXT,
+    reported_by VARCHAR(100),
+    reported_geom GEOMETRY(POINT, 4326) NOT NULL, -- where it was reported
+    geom GEOMETRY(POINT, 4326) NOT NULL, -- on the road it was snapped to, or as reported
+    road_layer VARCHAR(10), -- segments, osm, or NULL when no road was close enough
+    segment_key TEXT,
+    osm_road_id BIGINT,
+    road_name VARCHAR(255),
+    snap_distance_meters DECIMAL(10,2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    status_changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE road_observations ADD COLUMN IF NOT EXISTS source_id VARCHAR(50) REFERENCES data_sources(id);
+UPDATE road_observations SET source_id = 'pa' WHERE source_id IS NULL;
+ALTER TABLE road_observations ALTER COLUMN source_id SET NOT NULL;
+
+-- Photos attached to an observation, stored on the server's disk under
+-- uploads/observations
+CREATE TABLE IF NOT EXISTS road_observation_photos (
+    id SERIAL PRIMARY KEY,
+    observation_id INTEGER NOT NULL REFERENCES road_observations(id) ON DELETE CASCADE,
+    file_name VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255),
+    content_type VARCHAR(100),
+    size_bytes BIGINT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_road_observations_geom ON road_observations USING GIST (geom);
+CREATE INDEX IF NOT EXISTS idx_road_observations_status ON road_observations (status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_road_observations_segment_key ON road_observations (source_id, segment_key);
+CREATE INDEX IF NOT EXISTS idx_road_observation_photos_observation ON road_observation_photos (observation_id);
+
+-- Local accounts for the dashboard and API, managed with database/auth.js
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL UNIQUE, -- lower case
+    password_hash TEXT NOT NULL, -- scrypt$N$r$p$salt$hash
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer', -- viewer, analyst, data_admin
+    disabled BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_login_at TIMESTAMP
+);
+
+-- Append-only record of every import, upload, edit and deletion, written by
+-- database/audit_log.js. username is kept as well as user_id so entries
+-- outlive the account; entries without a user come from the server itself
+-- (startup load, CSV file watcher) or the command line.
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    user_id INTEGER,
+    username VARCHAR(50),
+    action VARCHAR(20) NOT NULL, -- import, upload, create, update, delete
+    entity_type VARCHAR(30) NOT NULL, -- road_segments, observation, work_plan, ...
+    entity_id TEXT,
+    source VARCHAR(20) NOT NULL, -- api, upload, startup, file_watch, cli
+    file_name VARCHAR(255),
+    file_sha256 CHAR(64),
+    row_counts JSONB, -- imports: loaded, rejected, warnings, added, removed, changed
+    changes JSONB, -- {"before": {...}, "after": {...}}: changed fields of an update, the record created or deleted
+    error TEXT -- set when an import failed and changed nothing
+);
+
+-- Per-segment differences an import made to road_segments, keyed by
+-- segment_key(). `before` and `after` hold the changed columns only, or
+-- the whole row for added and removed segments.
+CREATE TABLE IF NOT EXISTS audit_segment_changes (
+    audit_id BIGINT NOT NULL REFERENCES audit_log(id),
+    segment_key TEXT NOT NULL,
+    change VARCHAR(10) NOT NULL, -- added, removed, changed
+    before JSONB,
+    after JSONB,
+    PRIMARY KEY (audit_id, segment_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON audit_log (occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_username ON audit_log (username);
+CREATE INDEX IF NOT EXISTS idx_audit_segment_changes_key ON audit_segment_changes (segment_key);
+
+-- The audit tables only ever grow
+CREATE OR REPLACE FUNCTION reject_audit_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION '% is append-only', TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION reject_audit_change();
+
+DROP TRIGGER IF EXISTS audit_segment_changes_append_only ON audit_segment_changes;
+CREATE TRIGGER audit_segment_changes_append_only
+    BEFORE UPDATE OR DELETE OR TRUNCATE ON audit_segment_changes
+    FOR EACH STATEMENT EXECUTE FUNCTION reject_audit_change();
+
 -- Insert sample data (optional - for testing)
 -- INSERT INTO road_segments (
---     objectid, st_rt_no, fac_type, surf_type, lane_cnt, 
+--     source_id, objectid, st_rt_no, fac_type, surf_type, lane_cnt, 
 --     start_point, end_point, street_name, traf_rt_no,
 --     segment_miles, rough_indx, cur_aadt, district_no
 -- ) VALUES (
---     1, '0194', '2', '52', 2,
+--     'pa', 1, '0194', '2', '52', 2,
 --     ST_SetSRID(ST_MakePoint(-77.12242, 39.72012), 4326),
 --     ST_SetSRID(ST_MakePoint(-77.1188, 39.72564), 4326),
 --     'FREDERICK PK', 'PA 194',
@@ -1,17 +1,63 @@
 const express = require('express');
-const csv = require('csv-parser');
 const fs = require('fs');
 const { Pool } = require('pg');
 const cors = require('cors');
 const multer = require('multer');
 const chokidar = require('chokidar');
 const path = require('path');
+const {
+  ingestSegmentsCSV,
+  findLoadedSnapshot,
+  formatProgress,
+  surveyEntityId
+} = require('./database/segment_ingest');
+const {
+  listDataSources,
+  getDataSource,
+  resolveDataSource,
+  syncDataSources
+} = require('./database/data_sources');
+const {
+  createImportJob,
+  getImportJob,
+  listImportJobs,
+  getImportIssues,
+  writeIssueReport,
+  enqueueImportJob,
+  runQueuedImport,
+  failInterruptedJobs
+} = require('./database/import_jobs');
+const { createWorkPlan, getSegmentForecast } = require('./database/pavement_planning');
+const { EXPORT_LAYERS, EXPORT_FORMATS, exportRoads } = require('./database/road_export');
+const { ROUTE_WEIGHTS, findRoute } = require('./database/road_network');
+const {
+  login,
+  authenticate,
+  requireRole,
+  setTokenCookie,
+  clearTokenCookie
+} = require('./database/auth');
+const {
+  AUDIT_ACTIONS,
+  AUDIT_SOURCES,
+  hashFile,
+  diffFields,
+  recordAudit,
+  auditedChange,
+  listAuditEntries,
+  getAuditEntry,
+  getSegmentChanges
+} = require('./database/audit_log');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Browsers may only call the API from these origins (comma-separated
+// CORS_ORIGINS). The React dev server proxies /api, so it needs none.
+const corsOrigins = toList(process.env.CORS_ORIGINS || 'http://localhost:3000');
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: corsOrigins, credentials: true }));
 app.use(express.json());
 app.use(express.static('public'));
 
@@ -35,360 +81,2689 @@ pool.on('error', (err) => {
   console.error('PostgreSQL connection error:', err);
 });
 
-// CSV processing function
-function processCSV(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (data) => {
-        const cleanData = {
-          objectid: parseInt(data.OBJECTID) || null,
-          st_rt_no: data.ST_RT_NO || '',
-          cty_code: data.CTY_CODE || '',
-          district_no: data.DISTRICT_NO || '',
-          seg_no: data.SEG_NO || '',
-          seg_lngth_feet: parseFloat(data.SEG_LNGTH_FEET) || 0,
-          fac_type: data.FAC_TYPE || '',
-          surf_type: data.SURF_TYPE || '',
-          lane_cnt: parseInt(data.LANE_CNT) || 0,
-          total_width: parseFloat(data.TOTAL_WIDTH) || 0,
-          rough_indx: parseFloat(data.ROUGH_INDX) || 0,
-          frictn_coeff: parseFloat(data.FRICTN_COEFF) || 0,
-          pvmnt_cond_rate: data.PVMNT_COND_RATE || '',
-          cur_aadt: parseInt(data.CUR_AADT) || 0,
-          street_name: data.STREET_NAME || '',
-          traf_rt_no: data.TRAF_RT_NO || '',
-          x_value_bgn: parseFloat(data.X_VALUE_BGN) || 0,
-          y_value_bgn: parseFloat(data.Y_VALUE_BGN) || 0,
-          x_value_end: parseFloat(data.X_VALUE_END) || 0,
-          y_value_end: parseFloat(data.Y_VALUE_END) || 0,
-          segment_miles: parseFloat(data.SEGMENT_MILES) || 0,
-          lane_miles: parseFloat(data.LANE_MILES) || 0,
-          iri_rating_text: data.IRI_RATING_TEXT || '',
-          opi_rating_text: data.OPI_RATING_TEXT || '',
-          surface_year: parseInt(data.SURFACE_YEAR) || 0,
-          urban_rural: data.URBAN_RURAL || '',
-          nhs_ind: data.NHS_IND || ''
-        };
-        
-        if (cleanData.x_value_bgn && cleanData.y_value_bgn) {
-          results.push(cleanData);
+// Set req.user from the login token, checked against the users table
+app.use('/api', authenticate(pool));
+
+// Load a data source's CSV (see database/data_sources.js) as its
+// configured survey_year. `origin` is 'startup' or, when the file watcher
+// saw the CSV change, 'file_watch'; either way the import is audited. A file
+// already loaded is skipped, so a restart neither repeats the import nor
+// replaces a later survey uploaded since. Loads wait their turn in the import
+// job queue, so they never race an upload of the same source.
+function loadCSVData(dataSource, origin = 'startup') {
+  return runQueuedImport(async () => {
+    const csvPath = dataSource.file;
+    try {
+      if (fs.existsSync(csvPath)) {
+        const loaded = await findLoadedSnapshot(pool, dataSource.id, csvPath);
+        if (loaded) {
+          console.log(`${dataSource.name} CSV is unchanged since its ${loaded.survey_year} survey was loaded; skipping`);
+          return;
         }
-      })
-      .on('end', () => {
-        resolve(results);
-      })
-      .on('error', reject);
+        console.log(`Loading CSV data for ${dataSource.name}...`);
+        const result = await ingestSegmentsCSV(pool, csvPath, {
+          dataSource,
+          fileName: path.basename(csvPath),
+          audit: { source: origin },
+          onProgress: progress => console.log(formatProgress(progress))
+        });
+        console.log(`Loaded ${result.rows} ${dataSource.id} road segments into database in ${result.seconds.toFixed(1)}s`);
+      }
+    } catch (error) {
+      console.error(`Error loading CSV data for ${dataSource.id}:`, error);
+      await recordAudit(pool, {
+        action: 'import',
+        entityType: 'road_segments',
+        entityId: surveyEntityId(dataSource.id, dataSource.surveyYear),
+        source: origin,
+        fileName: path.basename(csvPath),
+        error: error.message
+      }).catch(auditError => console.error('Error recording failed CSV load:', auditError));
+    }
   });
 }
 
-// Load initial CSV data
-async function loadCSVData() {
-  try {
-    const csvPath = './RMSSEG_(State_Roads).csv';
-    if (fs.existsSync(csvPath)) {
-      console.log('Loading CSV data...');
-      const data = await processCSV(csvPath);
-      
-      const client = await pool.connect();
-      try {
-        await client.query('BEGIN');
-        
-        // Clear existing data
-        await client.query('DELETE FROM road_segments');
-        
-        // Insert new data
-        const insertQuery = `
-          INSERT INTO road_segments (
-            objectid, st_rt_no, cty_code, district_no, seg_no, seg_lngth_feet,
-            fac_type, surf_type, lane_cnt, total_width, rough_indx, frictn_coeff,
-            pvmnt_cond_rate, cur_aadt, street_name, traf_rt_no, 
-            start_point, end_point,
-            segment_miles, lane_miles, iri_rating_text, opi_rating_text, 
-            surface_year, urban_rural, nhs_ind
-          ) VALUES (
-            $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
-            ST_SetSRID(ST_MakePoint($17, $18), 4326),
-            ST_SetSRID(ST_MakePoint($19, $20), 4326),
-            $21, $22, $23, $24, $25, $26, $27
-          )
-        `;
-        
-        const batchSize = 1000;
-        for (let i = 0; i < data.length; i += batchSize) {
-          const batch = data.slice(i, i + batchSize);
-          
-          for (const row of batch) {
-            await client.query(insertQuery, [
-              row.objectid, row.st_rt_no, row.cty_code, row.district_no, row.seg_no,
-              row.seg_lngth_feet, row.fac_type, row.surf_type, row.lane_cnt, row.total_width,
-              row.rough_indx, row.frictn_coeff, row.pvmnt_cond_rate, row.cur_aadt,
-              row.street_name, row.traf_rt_no,
-              row.x_value_bgn, row.y_value_bgn, row.x_value_end, row.y_value_end,
-              row.segment_miles, row.lane_miles, row.iri_rating_text, row.opi_rating_text,
-              row.surface_year, row.urban_rural, row.nhs_ind
-            ]);
-          }
-          
-          console.log(`Processed ${Math.min(i + batchSize, data.length)} of ${data.length} records`);
-        }
-        
-        await client.query('COMMIT');
-        console.log(`Loaded ${data.length} road segments into database`);
-        
-      } catch (error) {
-        await client.query('ROLLBACK');
-        throw error;
-      } finally {
-        client.release();
-      }
+// Register the configured data sources, then load those that refresh at
+// startup, one at a time
+async function loadDataSources() {
+  await syncDataSources(pool);
+  for (const dataSource of listDataSources()) {
+    if (dataSource.refresh !== 'manual') {
+      await loadCSVData(dataSource);
     }
-  } catch (error) {
-    console.error('Error loading CSV data:', error);
   }
 }
 
-// Watch for CSV file changes
-chokidar.watch('./RMSSEG_(State_Roads).csv').on('change', () => {
-  console.log('CSV file changed, reloading data...');
-  loadCSVData();
-});
+// The entry a request parameter names in a table of options, or undefined.
+// Only the table's own keys count, so "constructor" or "__proto__" name
+// nothing.
+const lookupOption = (table, key) => (
+  typeof key === 'string' && Object.hasOwn(table, key) ? table[key] : undefined
+);
 
-// API Routes
-app.get('/api/roads', async (req, res) => {
-  const { 
-    fac_type, 
-    surf_type, 
-    district_no, 
+// Parse a Leaflet-style "minLng,minLat,maxLng,maxLat" bounding box string
+function parseBbox(bbox) {
+  if (!bbox) return null;
+  const parts = String(bbox).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(Number.isNaN)) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+// Road classes worth drawing at a given zoom, so statewide views stay light
+function facTypesForZoom(zoom) {
+  const z = parseInt(zoom);
+  if (Number.isNaN(z)) return null;
+  if (z <= 8) return ['1', '2'];
+  if (z <= 10) return ['1', '2', '3'];
+  return null;
+}
+
+function highwaysForZoom(zoom) {
+  const z = parseInt(zoom);
+  if (Number.isNaN(z)) return null;
+  const major = ['motorway', 'motorway_link', 'trunk', 'trunk_link'];
+  if (z <= 8) return major;
+  const arterial = [...major, 'primary', 'primary_link', 'secondary', 'secondary_link'];
+  if (z <= 10) return arterial;
+  if (z <= 12) return [...arterial, 'tertiary', 'tertiary_link'];
+  return null;
+}
+
+// Multi-value query parameters arrive either repeated (?d=1&d=2, parsed by
+// Express into an array) or comma separated (?d=1,2)
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+// Why a set of /api/roads filters cannot be used (a condition bound that is
+// not a number), or null
+function segmentFilterError(filters = {}) {
+  for (const name of ['min_condition', 'max_condition']) {
+    const value = filters[name];
+    if (value !== undefined && value !== '' && !Number.isFinite(Number(value))) {
+      return `${name} must be a number`;
+    }
+  }
+  return null;
+}
+
+// Data source, attribute and viewport filters shared by the road_segments
+// endpoints. `dataSource` is the request's (req.dataSource). Returns SQL to
+// append to a WHERE clause, numbering placeholders after any parameters
+// already in `params`. Pass the query's `alias` for road_segments when it
+// joins tables with columns of the same names.
+function buildSegmentFilters(filters, params, dataSource, alias) {
+  const {
+    fac_type,
+    surf_type,
+    district_no,
     urban_rural,
     min_condition,
     max_condition,
-    limit = 10000,
-    offset = 0
-  } = req.query;
-  
-  let query = `
-    SELECT 
-      id, objectid, st_rt_no, cty_code, district_no, seg_no, seg_lngth_feet,
-      fac_type, surf_type, lane_cnt, total_width, rough_indx, frictn_coeff,
-      pvmnt_cond_rate, cur_aadt, street_name, traf_rt_no,
-      ST_X(start_point) as x_value_bgn, ST_Y(start_point) as y_value_bgn,
-      ST_X(end_point) as x_value_end, ST_Y(end_point) as y_value_end,
-      segment_miles, lane_miles, iri_rating_text, opi_rating_text,
-      surface_year, urban_rural, nhs_ind
-    FROM road_segments 
-    WHERE 1=1
-  `;
-  const params = [];
-  let paramCount = 0;
+    bbox
+  } = filters;
+  const column = name => (alias ? `${alias}.${name}` : name);
+  params.push(dataSource.id);
+  let sql = ` AND ${column('source_id')} = $${params.length}`;
   
-  if (fac_type) {
-    query += ` AND fac_type = $${++paramCount}`;
-    params.push(fac_type);
+  const listFilters = { fac_type, surf_type, district_no, urban_rural };
+  for (const [name, value] of Object.entries(listFilters)) {
+    const values = toList(value);
+    if (values.length) {
+      params.push(values);
+      sql += ` AND ${column(name)} = ANY($${params.length})`;
+    }
   }
   
-  if (surf_type) {
-    query += ` AND surf_type = $${++paramCount}`;
-    params.push(surf_type);
+  if (min_condition) {
+    params.push(Number(min_condition));
+    sql += ` AND ${column('rough_indx')} >= $${params.length}`;
   }
   
-  if (district_no) {
-    query += ` AND district_no = $${++paramCount}`;
-    params.push(district_no);
+  if (max_condition) {
+    params.push(Number(max_condition));
+    sql += ` AND ${column('rough_indx')} <= $${params.length}`;
   }
   
-  if (urban_rural) {
-    query += ` AND urban_rural = $${++paramCount}`;
-    params.push(urban_rural);
+  const bounds = parseBbox(bbox);
+  if (bounds) {
+    // get_roads_in_bounds filters on the GiST-indexed start/end points
+    params.push(bounds.minLat, bounds.minLng, bounds.maxLat, bounds.maxLng);
+    const n = params.length;
+    sql += ` AND ${column('id')} IN (SELECT id FROM get_roads_in_bounds($${n - 3}, $${n - 2}, $${n - 1}, $${n}))`;
   }
   
-  if (min_condition) {
-    query += ` AND rough_indx >= $${++paramCount}`;
-    params.push(min_condition);
-  }
+  return { sql, params };
+}
+
+// The osm_roads counterpart: the data source's state, highway class (one or
+// a list) and bbox
+function buildOsmFilters(filters, params, dataSource) {
+  const { highway, bbox } = filters;
+  params.push(dataSource.state);
+  let sql = ` AND state = $${params.length}`;
   
-  if (max_condition) {
-    query += ` AND rough_indx <= $${++paramCount}`;
-    params.push(max_condition);
+  const highways = toList(highway);
+  if (highways.length) {
+    params.push(highways);
+    sql += ` AND highway = ANY($${params.length})`;
   }
   
-  query += ` LIMIT $${++paramCount} OFFSET $${++paramCount}`;
-  params.push(parseInt(limit), parseInt(offset));
+  const bounds = parseBbox(bbox);
+  if (bounds) {
+    params.push(bounds.minLng, bounds.minLat, bounds.maxLng, bounds.maxLat);
+    const n = params.length;
+    sql += ` AND geom && ST_MakeEnvelope($${n - 3}, $${n - 2}, $${n - 1}, $${n}, 4326)`;
+  }
   
+  return { sql, params };
+}
+
+function withoutBbox(query) {
+  const { bbox, ...rest } = query;
+  return rest;
+}
+
+// Watch the CSVs of data sources that refresh on change
+listDataSources()
+  .filter(dataSource => dataSource.refresh === 'watch')
+  .forEach(dataSource => {
+    chokidar.watch(dataSource.file).on('change', () => {
+      console.log(`CSV file for ${dataSource.id} changed, reloading data...`);
+      loadCSVData(dataSource, 'file_watch');
+    });
+  });
+
+// Log in with a local account (see database/auth.js). The token is set as a
+// cookie and also returned for API clients.
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+
   try {
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    const session = await login(pool, username, password, req.ip);
+    setTokenCookie(req, res, session.token);
+    res.json(session);
   } catch (error) {
-    console.error('Error fetching roads:', error);
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error logging in:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/statistics', async (req, res) => {
+app.post('/api/auth/logout', (req, res) => {
+  clearTokenCookie(req, res);
+  res.status(204).end();
+});
+
+// The logged-in user, or 401
+app.get('/api/auth/me', (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Login required' });
+  }
+  res.json(req.user);
+});
+
+// Everything below needs a login; analysts can also export and edit, and
+// only data admins can upload and import road data
+app.use('/api', requireRole('viewer'));
+
+// ...and works against one data source: ?source=<id> (or `source` in a JSON
+// body), the default source when not given
+app.use('/api', resolveDataSource);
+
+// The road_segments endpoints all read their filters from the query string
+// (work plans and drawn selections also take them in the body, and check
+// them there)
+app.use('/api', (req, res, next) => {
+  const error = segmentFilterError(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  next();
+});
+
+// The configured data sources for the source picker, with the survey each
+// has loaded
+app.get('/api/data-sources', async (req, res) => {
+  const dataSources = listDataSources();
+
   try {
-    const queries = {
-      total_segments: 'SELECT COUNT(*) as count FROM road_segments',
-      total_miles: 'SELECT SUM(segment_miles) as total FROM road_segments',
-      by_fac_type: 'SELECT fac_type, COUNT(*) as count FROM road_segments GROUP BY fac_type',
-      by_surf_type: 'SELECT surf_type, COUNT(*) as count FROM road_segments GROUP BY surf_type',
-      by_condition: 'SELECT iri_rating_text, COUNT(*) as count FROM road_segments WHERE iri_rating_text != \'\' GROUP BY iri_rating_text',
-      by_district: 'SELECT district_no, COUNT(*) as count FROM road_segments GROUP BY district_no'
-    };
-    
-    const results = {};
-    
-    for (const [key, query] of Object.entries(queries)) {
-      try {
-        const result = await pool.query(query);
-        results[key] = result.rows;
-      } catch (error) {
-        console.error(`Error in ${key}:`, error);
-        results[key] = [];
-      }
-    }
-    
-    res.json(results);
+    const result = await pool.query(`
+      SELECT
+        d.id,
+        (SELECT COUNT(*)::integer FROM road_segments r WHERE r.source_id = d.id) as segment_count,
+        latest.survey_year,
+        latest.imported_at
+      FROM data_sources d
+      LEFT JOIN LATERAL (
+        SELECT survey_year, imported_at
+        FROM segment_snapshots s
+        WHERE s.source_id = d.id
+        ORDER BY survey_year DESC
+        LIMIT 1
+      ) latest ON true
+      WHERE d.id = ANY($1)
+    `, [dataSources.map(dataSource => dataSource.id)]);
+    const loaded = Object.fromEntries(result.rows.map(row => [row.id, row]));
+
+    res.json({
+      default: getDataSource().id,
+      sources: dataSources.map(({ id, name, state, file, bounds, refresh }) => ({
+        id,
+        name,
+        state,
+        file_name: file ? path.basename(file) : null,
+        bounds,
+        refresh,
+        segment_count: loaded[id] ? loaded[id].segment_count : 0,
+        survey_year: loaded[id] ? loaded[id].survey_year : null,
+        imported_at: loaded[id] ? loaded[id].imported_at : null
+      }))
+    });
   } catch (error) {
-    console.error('Error fetching statistics:', error);
+    console.error('Error fetching data sources:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get OSM roads data
-app.get('/api/osm-roads', async (req, res) => {
+// API Routes
+app.get('/api/roads', async (req, res) => {
   const { 
-    highway, 
-    state = 'PA',
+    fac_type, 
+    bbox,
+    zoom,
     limit = 10000,
     offset = 0
   } = req.query;
   
+  if (bbox && !parseBbox(bbox)) {
+    return res.status(400).json({ error: 'bbox must be "minLng,minLat,maxLng,maxLat"' });
+  }
+  
+  const filters = buildSegmentFilters(req.query, [], req.dataSource);
+  const params = filters.params;
+  
   let query = `
     SELECT 
-      id, osm_id, name, highway, surface, maxspeed, lanes, width,
-      oneway, bridge, tunnel, access, ref, operator, network,
-      state, county, city, length_meters,
-      ST_X(ST_StartPoint(geom)) as x_value_bgn, ST_Y(ST_StartPoint(geom)) as y_value_bgn,
-      ST_X(ST_EndPoint(geom)) as x_value_end, ST_Y(ST_EndPoint(geom)) as y_value_end,
-      geom
-    FROM osm_roads 
-    WHERE state = $1
+      id, objectid, st_rt_no, cty_code, district_no, seg_no, seg_lngth_feet,
+      fac_type, surf_type, lane_cnt, total_width, rough_indx, frictn_coeff,
+      pvmnt_cond_rate, cur_aadt, street_name, traf_rt_no,
+      ST_X(start_point) as x_value_bgn, ST_Y(start_point) as y_value_bgn,
+      ST_X(end_point) as x_value_end, ST_Y(end_point) as y_value_end,
+      segment_miles, lane_miles, iri_rating_text, opi_rating_text,
+      surface_year, urban_rural, nhs_ind
+    FROM road_segments 
+    WHERE 1=1${filters.sql}
   `;
-  const params = [state];
-  let paramCount = 1;
   
-  if (highway) {
-    query += ` AND highway = $${++paramCount}`;
-    params.push(highway);
+  const zoomFacTypes = facTypesForZoom(zoom);
+  if (zoomFacTypes && !fac_type) {
+    params.push(zoomFacTypes);
+    query += ` AND fac_type = ANY($${params.length})`;
   }
   
-  query += ` LIMIT $${++paramCount} OFFSET $${++paramCount}`;
   params.push(parseInt(limit), parseInt(offset));
+  query += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
   
   try {
     const result = await pool.query(query, params);
     res.json(result.rows);
   } catch (error) {
-    console.error('Error fetching OSM roads:', error);
+    console.error('Error fetching roads:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/heatmap', async (req, res) => {
-  const { type = 'condition', data_source = 'csv' } = req.query;
-  
-  let query;
-  
-  if (data_source === 'osm') {
-    switch (type) {
-      case 'condition':
-        query = 'SELECT ST_X(ST_StartPoint(geom)) as x_value_bgn, ST_Y(ST_StartPoint(geom)) as y_value_bgn, length_meters as value FROM osm_roads WHERE length_meters > 0 AND state = \'PA\'';
-        break;
-      case 'traffic':
-        query = 'SELECT ST_X(ST_StartPoint(geom)) as x_value_bgn, ST_Y(ST_StartPoint(geom)) as y_value_bgn, COALESCE(lanes, 1) as value FROM osm_roads WHERE state = \'PA\'';
-        break;
-      case 'age':
-        query = 'SELECT ST_X(ST_StartPoint(geom)) as x_value_bgn, ST_Y(ST_StartPoint(geom)) as y_value_bgn, length_meters as value FROM osm_roads WHERE state = \'PA\'';
-        break;
-      default:
-        query = 'SELECT ST_X(ST_StartPoint(geom)) as x_value_bgn, ST_Y(ST_StartPoint(geom)) as y_value_bgn, length_meters as value FROM osm_roads WHERE length_meters > 0 AND state = \'PA\'';
+// The segment's condition in every survey of its data source, oldest first.
+// Surveys are lined up by county, route and segment number.
+const SEGMENT_HISTORY_SQL = `
+  SELECT
+    s.survey_year, s.label, h.rough_indx, h.iri_rating_text, h.opi_rating_text,
+    h.surface_year, h.surf_type, h.cur_aadt, h.lane_cnt, h.segment_miles
+  FROM road_segments r
+  JOIN segment_history h ON h.source_id = r.source_id
+    AND h.segment_key = segment_key(r.cty_code, r.st_rt_no, r.seg_no)
+  JOIN segment_snapshots s ON s.id = h.snapshot_id
+  WHERE r.id = $1
+  ORDER BY s.survey_year
+`;
+
+// Segments either side of this one along its route in the same county, in
+// segment number order. `steps` is the distance in segments (0 for this one).
+const NEARBY_SEGMENTS = 5;
+
+const NEARBY_SEGMENTS_SQL = `
+  WITH route AS (
+    SELECT
+      r.id, r.seg_no, r.street_name, r.rough_indx, r.iri_rating_text, r.cur_aadt,
+      r.segment_miles, r.surface_year,
+      row_number() OVER (
+        ORDER BY NULLIF(regexp_replace(r.seg_no, '[^0-9]', '', 'g'), '')::bigint, r.seg_no, r.id
+      ) as position
+    FROM road_segments r
+    JOIN road_segments origin ON origin.id = $1
+    WHERE r.source_id = origin.source_id
+      AND r.st_rt_no = origin.st_rt_no AND r.cty_code = origin.cty_code
+  )
+  SELECT
+    route.id, route.seg_no, route.street_name, route.rough_indx, route.iri_rating_text,
+    route.cur_aadt, route.segment_miles, route.surface_year,
+    (route.position - origin.position)::integer as steps
+  FROM route
+  JOIN route origin ON origin.id = $1
+  WHERE route.position BETWEEN origin.position - $2 AND origin.position + $2
+  ORDER BY route.position
+`;
+
+// Single road segment with everything the detail drawer shows: every column,
+// the additional_attrs keys as `attributes`, the midpoint to zoom to, nearby
+// segments on the same route and the condition history
+app.get('/api/roads/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (Number.isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid road segment id' });
+  }
+  
+  const query = `
+    SELECT 
+      id, objectid, st_rt_no, cty_code, district_no, seg_no, seg_lngth_feet,
+      fac_type, surf_type, lane_cnt, total_width, rough_indx, frictn_coeff,
+      pvmnt_cond_rate, cur_aadt, street_name, traf_rt_no,
+      segment_miles, lane_miles, iri_rating_text, opi_rating_text,
+      surface_year, urban_rural, nhs_ind,
+      match_status, match_confidence, matched_osm_ids,
+      COALESCE(hstore_to_json(additional_attrs), '{}'::json) as attributes,
+      ST_Y(ST_LineInterpolatePoint(road_line, 0.5)) as center_lat,
+      ST_X(ST_LineInterpolatePoint(road_line, 0.5)) as center_lng
+    FROM road_segments
+    WHERE id = $1
+  `;
+  
+  try {
+    const [result, nearby, history] = await Promise.all([
+      pool.query(query, [id]),
+      pool.query(NEARBY_SEGMENTS_SQL, [id, NEARBY_SEGMENTS]),
+      pool.query(SEGMENT_HISTORY_SQL, [id])
+    ]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Road segment not found' });
+    }
+    res.json({ ...result.rows[0], nearby: nearby.rows, history: history.rows });
+  } catch (error) {
+    console.error('Error fetching road segment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/roads/:id/history', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (Number.isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid road segment id' });
+  }
+
+  try {
+    const segment = await pool.query('SELECT id FROM road_segments WHERE id = $1', [id]);
+    if (!segment.rows.length) {
+      return res.status(404).json({ error: 'Road segment not found' });
     }
+
+    const result = await pool.query(SEGMENT_HISTORY_SQL, [id]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching road segment history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Linear referencing. PennDOT locates a point by state route, county, segment
+// and an offset in feet from the segment's start, and also by cumulative
+// offset along the route within a county (cum_offset_bgn_t1 in
+// additional_attrs). Numbers are compared without leading zeros, so
+// route=22 finds st_rt_no 0022.
+const LRS_KEY = {
+  route: "LTRIM(st_rt_no, '0')",
+  county: "LTRIM(cty_code, '0')",
+  segment: "LTRIM(seg_no, '0')"
+};
+
+const stripZeros = value => String(value).trim().replace(/^0+(?=.)/, '');
+
+// Offsets run along the official segment length; the drawn length stands in
+// when RMSSEG has none
+const SEGMENT_LENGTH_FEET = 'COALESCE(NULLIF(seg_lngth_feet, 0), ST_Length(road_line::geography) * 3.28084)';
+const CUM_OFFSET_BGN = "CASE WHEN additional_attrs->'cum_offset_bgn_t1' ~ '^[0-9]+(\\.[0-9]+)?$' THEN (additional_attrs->'cum_offset_bgn_t1')::numeric END";
+
+// Route/segment/offset to coordinates:
+//   ?route=22&county=67&segment=10&offset=250
+//   ?route=22&county=67&cum_offset=5230
+app.get('/api/lrs/locate', async (req, res) => {
+  const { route, county, segment, offset, cum_offset } = req.query;
+  if (!route || !county || (!segment && cum_offset === undefined)) {
+    return res.status(400).json({ error: 'route, county and either segment or cum_offset are required' });
+  }
+
+  const distance = Number(segment ? (offset || 0) : cum_offset);
+  if (!Number.isFinite(distance) || distance < 0) {
+    return res.status(400).json({ error: 'offset must be a non-negative number of feet' });
+  }
+
+  const params = [stripZeros(route), stripZeros(county), req.dataSource.id];
+  let where = `${LRS_KEY.route} = $1 AND ${LRS_KEY.county} = $2 AND source_id = $3 AND road_line IS NOT NULL`;
+  if (segment) {
+    params.push(stripZeros(segment));
+    where += ` AND ${LRS_KEY.segment} = $4`;
   } else {
-    switch (type) {
-      case 'condition':
-        query = 'SELECT ST_X(start_point) as x_value_bgn, ST_Y(start_point) as y_value_bgn, rough_indx as value FROM road_segments WHERE rough_indx > 0';
-        break;
-      case 'traffic':
-        query = 'SELECT ST_X(start_point) as x_value_bgn, ST_Y(start_point) as y_value_bgn, cur_aadt as value FROM road_segments WHERE cur_aadt > 0';
-        break;
-      case 'age':
-        query = 'SELECT ST_X(start_point) as x_value_bgn, ST_Y(start_point) as y_value_bgn, (EXTRACT(YEAR FROM CURRENT_DATE) - surface_year) as value FROM road_segments WHERE surface_year > 0';
-        break;
-      default:
-        query = 'SELECT ST_X(start_point) as x_value_bgn, ST_Y(start_point) as y_value_bgn, rough_indx as value FROM road_segments WHERE rough_indx > 0';
+    params.push(distance);
+    where += ` AND ${CUM_OFFSET_BGN} <= $4 AND ${CUM_OFFSET_BGN} + ${SEGMENT_LENGTH_FEET} > $4`;
+  }
+
+  const query = `
+    SELECT
+      id, st_rt_no, cty_code, seg_no, street_name,
+      ${SEGMENT_LENGTH_FEET} as length_ft,
+      ${CUM_OFFSET_BGN} as cum_offset_bgn,
+      road_line
+    FROM road_segments
+    WHERE ${where}
+    ORDER BY id
+    LIMIT 1
+  `;
+
+  try {
+    const result = await pool.query(query, params);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No segment found for that location' });
+    }
+
+    const row = result.rows[0];
+    const lengthFt = Number(row.length_ft);
+    const offsetFt = segment ? distance : distance - Number(row.cum_offset_bgn);
+    if (offsetFt > lengthFt) {
+      return res.status(400).json({
+        error: `Offset ${offsetFt} ft is past the end of the segment (${Math.round(lengthFt)} ft)`
+      });
     }
+
+    const point = await pool.query(`
+      SELECT
+        ST_Y(ST_LineInterpolatePoint($1::geometry, $2)) as lat,
+        ST_X(ST_LineInterpolatePoint($1::geometry, $2)) as lng
+    `, [row.road_line, lengthFt > 0 ? offsetFt / lengthFt : 0]);
+
+    res.json({
+      segment_id: row.id,
+      st_rt_no: row.st_rt_no,
+      cty_code: row.cty_code,
+      seg_no: row.seg_no,
+      street_name: row.street_name,
+      offset_ft: offsetFt,
+      cum_offset_ft: row.cum_offset_bgn === null ? null : Number(row.cum_offset_bgn) + offsetFt,
+      segment_length_ft: lengthFt,
+      ...point.rows[0]
+    });
+  } catch (error) {
+    console.error('Error locating linear reference:', error);
+    res.status(500).json({ error: error.message });
   }
-  
+});
+
+// Coordinates to route/segment/offset: the nearest segment within
+// max_distance metres (default 100), optionally limited to one route
+app.get('/api/lrs/identify', async (req, res) => {
+  const lat = parseFloat(req.query.lat);
+  const lng = parseFloat(req.query.lng);
+  if (Number.isNaN(lat) || Number.isNaN(lng)) {
+    return res.status(400).json({ error: 'lat and lng are required' });
+  }
+  const maxDistance = parseFloat(req.query.max_distance) || 100;
+
+  const params = [lng, lat, req.dataSource.id];
+  let routeFilter = '';
+  if (req.query.route) {
+    params.push(stripZeros(req.query.route));
+    routeFilter = ` AND ${LRS_KEY.route} = $4`;
+  }
+
+  // The <-> operator orders by planar distance using the GiST index; the
+  // few nearest are then compared in metres
+  const query = `
+    WITH click AS (
+      SELECT ST_SetSRID(ST_MakePoint($1, $2), 4326) as point
+    ), nearest AS (
+      SELECT road_segments.*, click.point
+      FROM road_segments, click
+      WHERE source_id = $3 AND road_line IS NOT NULL${routeFilter}
+      ORDER BY road_line <-> click.point
+      LIMIT 5
+    )
+    SELECT
+      id, st_rt_no, cty_code, seg_no, street_name,
+      ${SEGMENT_LENGTH_FEET} as length_ft,
+      ${CUM_OFFSET_BGN} as cum_offset_bgn,
+      ST_LineLocatePoint(road_line, point) as fraction,
+      ST_Distance(road_line::geography, point::geography) as distance_m,
+      ST_Y(ST_ClosestPoint(road_line, point)) as lat,
+      ST_X(ST_ClosestPoint(road_line, point)) as lng
+    FROM nearest
+    ORDER BY distance_m
+    LIMIT 1
+  `;
+
   try {
-    const result = await pool.query(query);
-    res.json(result.rows);
+    const result = await pool.query(query, params);
+    const row = result.rows[0];
+    if (!row || Number(row.distance_m) > maxDistance) {
+      return res.status(404).json({ error: `No segment within ${maxDistance} m` });
+    }
+
+    const offsetFt = Math.round(Number(row.fraction) * Number(row.length_ft));
+    res.json({
+      segment_id: row.id,
+      st_rt_no: row.st_rt_no,
+      cty_code: row.cty_code,
+      seg_no: row.seg_no,
+      street_name: row.street_name,
+      offset_ft: offsetFt,
+      cum_offset_ft: row.cum_offset_bgn === null ? null : Number(row.cum_offset_bgn) + offsetFt,
+      segment_length_ft: Number(row.length_ft),
+      distance_m: Number(row.distance_m),
+      lat: Number(row.lat),
+      lng: Number(row.lng)
+    });
   } catch (error) {
-    console.error('Error fetching heatmap data:', error);
+    console.error('Error identifying linear reference:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Upload new CSV file
-const upload = multer({ dest: 'uploads/' });
+// Road search for the map's search box, answered from the local database so
+// it works offline. A query may hold a route number ("SR 322", "I-80", "US 22"
+// or just "322"), a county name and street name words, in any order. State
+// road segments and OSM roads must match every part given (street names by
+// trigram word similarity) and are grouped into one result per road per
+// county, with its extent and ids; counties match by name prefix. Only the
+// request's data source, and OSM roads and counties in its state, are
+// searched.
+const SEARCH_LAYERS = ['segments', 'osm'];
+const SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_SEARCH_IDS = 500;
+const SEARCH_ROUTE = /\b(?:(?:sr|pa|us|i|interstate|route|rte|rt)[\s-]*)?0*(\d{1,4})\b/i;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const extentColumns = geom => `
+  ST_XMin(ST_Extent(${geom})) as min_lng, ST_YMin(ST_Extent(${geom})) as min_lat,
+  ST_XMax(ST_Extent(${geom})) as max_lng, ST_YMax(ST_Extent(${geom})) as max_lat`;
+
+// Split a search into { route, county, text }, taking the route number and a
+// county name (from the counties table) out of the text
+async function parseSearch(q, state) {
+  let text = q;
+  const routeMatch = text.match(SEARCH_ROUTE);
+  const route = routeMatch ? routeMatch[1] : null;
+  if (routeMatch) text = text.replace(routeMatch[0], ' ');
+
+  const result = await pool.query(`
+    SELECT code, name FROM counties
+    WHERE state = $1 AND $2 ~* ('\\m' || name || '\\M')
+    ORDER BY length(name) DESC
+    LIMIT 1
+  `, [state, text]);
+  const county = result.rows[0] || null;
+  if (county) {
+    text = text.replace(new RegExp(`\\b${escapeRegExp(county.name)}(\\s+county)?\\b`, 'i'), ' ');
+  }
+
+  return { route, county, text: text.replace(/\s+/g, ' ').trim() };
+}
+
+function segmentSearchQuery({ route, county, text }, dataSource, limit, params) {
+  params.push(dataSource.id);
+  const conditions = [`source_id = $${params.length}`, 'road_line IS NOT NULL'];
+  let score = '1';
+
+  if (route) {
+    params.push(route);
+    const n = params.length;
+    conditions.push(`(${LRS_KEY.route} = $${n} OR traf_rt_no ~ ('(^|[^0-9])0*' || $${n} || '([^0-9]|$)'))`);
+  }
+  if (county) {
+    params.push(county.code);
+    conditions.push(`${LRS_KEY.county} = $${params.length}`);
+  }
+  if (text) {
+    params.push(text);
+    conditions.push(`$${params.length} <% street_name`);
+    score = `word_similarity($${params.length}, street_name)`;
+  }
+  params.push(dataSource.state, limit);
+
+  return `
+    SELECT
+      'segments' as type, m.street_name as name, m.traf_rt_no as ref, c.name as county,
+      COUNT(*)::integer as count, SUM(m.segment_miles)::float as miles, MAX(m.score)::float as score,
+      (array_agg(m.id ORDER BY m.seg_no))[1:${MAX_SEARCH_IDS}] as ids,
+      ${extentColumns('m.road_line')}
+    FROM (
+      SELECT id, street_name, traf_rt_no, st_rt_no, cty_code, seg_no, segment_miles, road_line,
+        ${score} as score
+      FROM road_segments
+      WHERE ${conditions.join(' AND ')}
+    ) m
+    LEFT JOIN counties c ON c.state = $${params.length - 1} AND c.code = LTRIM(m.cty_code, '0')
+    GROUP BY m.street_name, m.traf_rt_no, m.st_rt_no, m.cty_code, c.name
+    ORDER BY score DESC, miles DESC NULLS LAST
+    LIMIT $${params.length}
+  `;
+}
+
+function osmSearchQuery({ route, county, text }, state, limit, params) {
+  params.push(state);
+  const conditions = [`state = $${params.length}`, 'geom IS NOT NULL'];
+  let score = '1';
+
+  if (route) {
+    params.push(route);
+    conditions.push(`ref ~ ('(^|[^0-9])' || $${params.length} || '([^0-9]|$)')`);
+  }
+  if (county) {
+    params.push(county.name);
+    conditions.push(`county ILIKE $${params.length} || '%'`);
+  }
+  if (text) {
+    params.push(text);
+    conditions.push(`$${params.length} <% name`);
+    score = `word_similarity($${params.length}, name)`;
+  }
+  params.push(limit);
+
+  return `
+    SELECT
+      'osm' as type, m.name, m.ref, m.county,
+      COUNT(*)::integer as count, (SUM(m.length_meters) / 1609.344)::float as miles, MAX(m.score)::float as score,
+      (array_agg(m.id ORDER BY m.id))[1:${MAX_SEARCH_IDS}] as ids,
+      ${extentColumns('m.geom')}
+    FROM (
+      SELECT id, name, ref, county, length_meters, geom, ${score} as score
+      FROM osm_roads
+      WHERE ${conditions.join(' AND ')}
+    ) m
+    GROUP BY m.name, m.ref, m.county
+    ORDER BY score DESC, miles DESC NULLS LAST
+    LIMIT $${params.length}
+  `;
+}
+
+// Counties whose name starts with the text, or the county named on its own
+function countySearchQuery(name, dataSource, limit, params) {
+  params.push(dataSource.state, name, limit, dataSource.id);
+  return `
+    SELECT
+      'county' as type, c.name || ' County' as name, NULL as ref, c.name as county,
+      COUNT(s.id)::integer as count, SUM(s.segment_miles)::float as miles, 1::float as score,
+      NULL as ids,
+      ${extentColumns('s.road_line')}
+    FROM counties c
+    JOIN road_segments s ON s.source_id = $4 AND LTRIM(s.cty_code, '0') = c.code
+    WHERE c.state = $1 AND c.name ILIKE $2 || '%'
+    GROUP BY c.name
+    ORDER BY c.name
+    LIMIT $3
+  `;
+}
+
+const toSearchResult = ({ min_lng: minLng, min_lat: minLat, max_lng: maxLng, max_lat: maxLat, ...row }) => ({
+  ...row,
+  bbox: minLng === null ? null : [minLng, minLat, maxLng, maxLat]
+});
+
+// ?q=<search>&layer=segments|osm (default both)&limit=10
+app.get('/api/search', async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const { layer } = req.query;
+  const { dataSource } = req;
+  const { state } = dataSource;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+
+  if (q.length < 2) {
+    return res.status(400).json({ error: 'q must be at least 2 characters' });
+  }
+  if (layer && !SEARCH_LAYERS.includes(layer)) {
+    return res.status(400).json({ error: `layer must be one of: ${SEARCH_LAYERS.join(', ')}` });
+  }
 
-app.post('/api/upload', upload.single('csv'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+    const parsed = await parseSearch(q, state);
+    const searches = [];
+
+    const countyName = parsed.text || (parsed.county && parsed.county.name);
+    if (!parsed.route && countyName) {
+      const params = [];
+      searches.push(pool.query(countySearchQuery(countyName, dataSource, 3, params), params));
     }
-    
-    const data = await processCSV(req.file.path);
-    
-    // Clear existing data
-    db.run('DELETE FROM road_segments');
-    
-    // Insert new data
-    const stmt = db.prepare(`
-      INSERT INTO road_segments (
-        objectid, st_rt_no, cty_code, district_no, seg_no, seg_lngth_feet,
-        fac_type, surf_type, lane_cnt, total_width, rough_indx, frictn_coeff,
-        pvmnt_cond_rate, cur_aadt, street_name, traf_rt_no, x_value_bgn,
-        y_value_bgn, x_value_end, y_value_end, segment_miles, lane_miles,
-        iri_rating_text, opi_rating_text, surface_year, urban_rural, nhs_ind
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    
-    data.forEach(row => {
-      stmt.run([
-        row.objectid, row.st_rt_no, row.cty_code, row.district_no, row.seg_no,
-        row.seg_lngth_feet, row.fac_type, row.surf_type, row.lane_cnt, row.total_width,
-        row.rough_indx, row.frictn_coeff, row.pvmnt_cond_rate, row.cur_aadt,
-        row.street_name, row.traf_rt_no, row.x_value_bgn, row.y_value_bgn,
-        row.x_value_end, row.y_value_end, row.segment_miles, row.lane_miles,
-        row.iri_rating_text, row.opi_rating_text, row.surface_year, row.urban_rural, row.nhs_ind
-      ]);
+    if (parsed.route || parsed.text) {
+      if (layer !== 'osm') {
+        const params = [];
+        searches.push(pool.query(segmentSearchQuery(parsed, dataSource, limit, params), params));
+      }
+      if (layer !== 'segments') {
+        const params = [];
+        searches.push(pool.query(osmSearchQuery(parsed, state, limit, params), params));
+      }
+    }
+
+    const results = await Promise.all(searches);
+    res.json({
+      query: parsed,
+      results: results.flatMap(result => result.rows.map(toSearchResult))
     });
-    
-    stmt.finalize();
-    
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
-    
-    res.json({ message: `Successfully loaded ${data.length} road segments` });
   } catch (error) {
+    console.error('Error searching roads:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Geometry of a search result's roads, to highlight them on the map:
+// ?type=segments|osm&ids=1,2,3
+app.get('/api/search/geometry', async (req, res) => {
+  const { type } = req.query;
+  const ids = toList(req.query.ids).map(id => parseInt(id)).filter(id => !Number.isNaN(id));
+
+  if (!SEARCH_LAYERS.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${SEARCH_LAYERS.join(', ')}` });
+  }
+  if (!ids.length || ids.length > MAX_SEARCH_IDS) {
+    return res.status(400).json({ error: `ids must list 1 to ${MAX_SEARCH_IDS} road ids` });
+  }
+
+  const table = type === 'osm' ? 'osm_roads' : 'road_segments';
+  const geom = type === 'osm' ? 'geom' : 'road_line';
+  // OSM ways are only unique within a state
+  const scope = type === 'osm' ? 'state = $2' : 'source_id = $2';
+  const sourceParam = type === 'osm' ? req.dataSource.state : req.dataSource.id;
+
+  try {
+    const result = await pool.query(`
+      SELECT ST_AsGeoJSON(ST_Collect(${geom}), 6)::json as geometry
+      FROM ${table}
+      WHERE id = ANY($1) AND ${scope}
+    `, [ids, sourceParam]);
+    res.json(result.rows[0].geometry);
+  } catch (error) {
+    console.error('Error fetching search result geometry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Conflation results (see database/conflate.js): segment counts per match status
+app.get('/api/conflation/summary', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        COALESCE(match_status, 'pending') as match_status,
+        COUNT(*) as count,
+        SUM(segment_miles) as miles,
+        AVG(match_confidence) as avg_confidence
+      FROM road_segments
+      WHERE source_id = $1
+      GROUP BY COALESCE(match_status, 'pending')
+      ORDER BY count DESC
+    `, [req.dataSource.id]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching conflation summary:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const REVIEW_STATUSES = ['unmatched', 'low_confidence'];
+
+// Segments left for review, least confident first. Accepts the usual
+// segment filters plus `status` (unmatched, low_confidence or both).
+app.get('/api/conflation/unmatched', async (req, res) => {
+  const { status, limit = 500, offset = 0, ...filters } = req.query;
+  const statuses = toList(status).filter(value => REVIEW_STATUSES.includes(value));
+
+  const bounds = parseBbox(filters.bbox);
+  if (filters.bbox && !bounds) {
+    return res.status(400).json({ error: 'bbox must be "minLng,minLat,maxLng,maxLat"' });
+  }
+
+  const params = [statuses.length ? statuses : REVIEW_STATUSES];
+  const { sql: filterSql } = buildSegmentFilters(filters, params, req.dataSource);
+  params.push(Math.min(parseInt(limit) || 500, 5000), parseInt(offset) || 0);
+
+  const query = `
+    SELECT
+      id, st_rt_no, traf_rt_no, cty_code, district_no, seg_no, fac_type, street_name,
+      segment_miles, match_status, match_confidence, matched_osm_ids,
+      ST_Y(ST_LineInterpolatePoint(road_line, 0.5)) as center_lat,
+      ST_X(ST_LineInterpolatePoint(road_line, 0.5)) as center_lng
+    FROM road_segments
+    WHERE match_status = ANY($1)${filterSql}
+    ORDER BY match_confidence NULLS FIRST, id
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `;
+
+  try {
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching unmatched segments:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pavement planning (see database/pavement_planning.js)
+const MAX_PLAN_HORIZON = 30;
+
+const parseHorizon = (value, fallback = 10) => {
+  const horizon = value === undefined || value === '' ? fallback : parseInt(value);
+  return Number.isInteger(horizon) && horizon >= 1 && horizon <= MAX_PLAN_HORIZON ? horizon : null;
+};
+
+// Build and save a budget-constrained work plan for the segments matching
+// `filters` (the same filters as /api/roads, bbox included)
+app.post('/api/planning/plans', requireRole('analyst'), async (req, res) => {
+  const { name, annual_budget, horizon_years, start_year, filters = {} } = req.body || {};
+
+  const annualBudget = Number(annual_budget);
+  if (!Number.isFinite(annualBudget) || annualBudget <= 0) {
+    return res.status(400).json({ error: 'annual_budget must be a positive number' });
+  }
+  const horizon = parseHorizon(horizon_years);
+  if (!horizon) {
+    return res.status(400).json({ error: `horizon_years must be between 1 and ${MAX_PLAN_HORIZON}` });
+  }
+  const startYear = start_year ? parseInt(start_year) : new Date().getFullYear();
+  if (Number.isNaN(startYear)) {
+    return res.status(400).json({ error: 'start_year must be a year' });
+  }
+  if (filters.bbox && !parseBbox(filters.bbox)) {
+    return res.status(400).json({ error: 'bbox must be "minLng,minLat,maxLng,maxLat"' });
+  }
+  const filterError = segmentFilterError(filters);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  try {
+    const plan = await createWorkPlan(pool, {
+      sourceId: req.dataSource.id,
+      name: name || `Work plan ${startYear}-${startYear + horizon - 1}`,
+      startYear,
+      horizon,
+      annualBudget,
+      filters: buildSegmentFilters(filters, [], req.dataSource),
+      filterParams: filters,
+      user: req.user
+    });
+    res.status(201).json(plan);
+  } catch (error) {
+    console.error('Error building work plan:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The data source's saved work plans, newest first, without the per-year
+// breakdown
+app.get('/api/planning/plans', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, start_year, horizon_years, annual_budget, filters,
+        summary - 'years' as summary, created_at
+      FROM work_plans
+      WHERE source_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [req.dataSource.id, Math.min(parseInt(req.query.limit) || 20, 100)]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching work plans:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/planning/plans/:id', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM work_plans WHERE id = $1', [parseInt(req.params.id) || 0]);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Work plan not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching work plan:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/planning/plans/:id', requireRole('analyst'), async (req, res) => {
+  try {
+    const deleted = await auditedChange(pool, async (client) => {
+      const result = await client.query(`
+        DELETE FROM work_plans WHERE id = $1
+        RETURNING id, name, start_year, horizon_years, annual_budget, filters
+      `, [parseInt(req.params.id) || 0]);
+      const plan = result.rows[0];
+      return {
+        result: plan,
+        audit: plan && { user: req.user, action: 'delete', entityType: 'work_plan', entityId: plan.id, changes: { before: plan } }
+      };
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Work plan not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting work plan:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Treated segments in a plan, in work order. Filter with `year` and
+// `treatment`; `untreated=true` lists the segments the plan left alone.
+app.get('/api/planning/plans/:id/segments', async (req, res) => {
+  const { year, treatment, untreated, limit = 500, offset = 0 } = req.query;
+  const params = [parseInt(req.params.id) || 0];
+  let filters = untreated === 'true' ? ' AND p.treatment IS NULL' : ' AND p.treatment IS NOT NULL';
+
+  if (year) {
+    params.push(parseInt(year));
+    filters += ` AND p.treatments @> jsonb_build_array(jsonb_build_object('year', $${params.length}::int))`;
+  }
+  const treatments = toList(treatment);
+  if (treatments.length) {
+    params.push(treatments);
+    filters += ` AND p.treatment = ANY($${params.length})`;
+  }
+  params.push(Math.min(parseInt(limit) || 500, 5000), parseInt(offset) || 0);
+
+  try {
+    const result = await pool.query(`
+      SELECT
+        s.id, s.st_rt_no, s.traf_rt_no, s.cty_code, s.seg_no, s.street_name, s.fac_type,
+        s.surf_type, s.segment_miles, s.cur_aadt, s.surface_year,
+        p.current_iri, p.projected_iri, p.do_nothing_iri,
+        p.treatment, p.treatment_year, p.total_cost, p.treatments
+      FROM work_plan_segments p
+      JOIN work_plans w ON w.id = p.plan_id
+      JOIN road_segments s
+        ON s.source_id = w.source_id
+        AND road_segment_key(s.cty_code, s.st_rt_no, s.seg_no, s.objectid) = p.segment_key
+      WHERE p.plan_id = $1${filters}
+      ORDER BY p.treatment_year NULLS LAST, p.total_cost DESC, s.id
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching work plan segments:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Year-by-year IRI for one segment if left untreated, with the treatment
+// it would call for each year
+app.get('/api/planning/forecast/:id', async (req, res) => {
+  const horizon = parseHorizon(req.query.horizon);
+  if (!horizon) {
+    return res.status(400).json({ error: `horizon must be between 1 and ${MAX_PLAN_HORIZON}` });
+  }
+
+  try {
+    const forecast = await getSegmentForecast(pool, parseInt(req.params.id) || 0, {
+      startYear: new Date().getFullYear(),
+      horizon
+    });
+    if (!forecast) {
+      return res.status(404).json({ error: 'No roughness or length recorded for this segment' });
+    }
+    res.json(forecast);
+  } catch (error) {
+    console.error('Error forecasting segment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The data source's condition survey snapshots, newest first. `current`
+// marks the survey loaded into road_segments.
+app.get('/api/snapshots', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT *, survey_year = MAX(survey_year) OVER () as current
+      FROM segment_snapshots
+      WHERE source_id = $1
+      ORDER BY survey_year DESC
+    `, [req.dataSource.id]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching snapshots:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// IRI change in in/mi within which a segment counts as unchanged, about
+// the repeatability of a profiler run
+const IRI_CHANGE_THRESHOLD = 10;
+
+const SNAPSHOT_CHANGES = ['improved', 'worsened', 'resurfaced', 'unchanged', 'unmeasured', 'added', 'removed'];
+
+// The data source's surveys to compare, by survey year: `to` defaults to the
+// latest and `from` to the one before it. Either is null when there is no
+// such survey.
+async function resolveSnapshotPair(dataSource, from, to) {
+  const result = await pool.query(
+    'SELECT id, survey_year, label FROM segment_snapshots WHERE source_id = $1 ORDER BY survey_year DESC',
+    [dataSource.id]
+  );
+  const snapshots = result.rows;
+  const toSnapshot = to
+    ? snapshots.find(snapshot => snapshot.survey_year === parseInt(to))
+    : snapshots[0];
+  const fromSnapshot = from
+    ? snapshots.find(snapshot => snapshot.survey_year === parseInt(from))
+    : toSnapshot && snapshots.find(snapshot => snapshot.survey_year < toSnapshot.survey_year);
+  return { from: fromSnapshot || null, to: toSnapshot || null };
+}
+
+// CTE `changes` pairing each segment of snapshot $1 with snapshot $2 and
+// classifying the change, with $3 as the IRI threshold. The /api/roads
+// filters apply to both surveys; bbox is matched against start points,
+// since history rows have no road_line.
+function snapshotChangesSql(query, params, dataSource) {
+  const { bbox, ...filters } = query;
+  let filterSql = buildSegmentFilters(filters, params, dataSource).sql;
+
+  const bounds = parseBbox(bbox);
+  if (bounds) {
+    params.push(bounds.minLng, bounds.minLat, bounds.maxLng, bounds.maxLat);
+    const n = params.length;
+    filterSql += ` AND start_point && ST_MakeEnvelope($${n - 3}, $${n - 2}, $${n - 1}, $${n}, 4326)`;
+  }
+
+  // A key occasionally repeats within a survey; pairing every copy with
+  // every other would count it several times
+  const survey = snapshotParam => `
+      SELECT DISTINCT ON (segment_key) *
+      FROM segment_history
+      WHERE snapshot_id = ${snapshotParam} AND segment_key IS NOT NULL${filterSql}
+      ORDER BY segment_key, objectid`;
+
+  return `
+    WITH prev AS (${survey('$1')}
+    ), cur AS (${survey('$2')}
+    ), changes AS (
+      SELECT
+        COALESCE(cur.segment_key, prev.segment_key) as segment_key,
+        COALESCE(cur.st_rt_no, prev.st_rt_no) as st_rt_no,
+        COALESCE(cur.cty_code, prev.cty_code) as cty_code,
+        COALESCE(cur.seg_no, prev.seg_no) as seg_no,
+        COALESCE(cur.street_name, prev.street_name) as street_name,
+        COALESCE(cur.traf_rt_no, prev.traf_rt_no) as traf_rt_no,
+        COALESCE(cur.fac_type, prev.fac_type) as fac_type,
+        COALESCE(cur.district_no, prev.district_no) as district_no,
+        COALESCE(cur.segment_miles, prev.segment_miles) as segment_miles,
+        prev.rough_indx as iri_before,
+        cur.rough_indx as iri_after,
+        cur.rough_indx - prev.rough_indx as iri_change,
+        prev.iri_rating_text as iri_rating_before,
+        cur.iri_rating_text as iri_rating_after,
+        prev.surface_year as surface_year_before,
+        cur.surface_year as surface_year_after,
+        prev.surf_type as surf_type_before,
+        cur.surf_type as surf_type_after,
+        CASE
+          WHEN prev.segment_key IS NULL THEN 'added'
+          WHEN cur.segment_key IS NULL THEN 'removed'
+          WHEN cur.surface_year > prev.surface_year OR cur.surf_type <> prev.surf_type THEN 'resurfaced'
+          WHEN cur.rough_indx IS NULL OR prev.rough_indx IS NULL THEN 'unmeasured'
+          WHEN cur.rough_indx - prev.rough_indx >= $3 THEN 'worsened'
+          WHEN prev.rough_indx - cur.rough_indx >= $3 THEN 'improved'
+          ELSE 'unchanged'
+        END as change
+      FROM prev
+      FULL JOIN cur ON cur.segment_key = prev.segment_key
+    )`;
+}
+
+// Looks up the surveys named by ?from= and ?to= and answers 404 itself
+// when either is missing
+async function snapshotPairOr404(req, res) {
+  const pair = await resolveSnapshotPair(req.dataSource, req.query.from, req.query.to);
+  if (!pair.to || !pair.from) {
+    const missing = !pair.to ? req.query.to : req.query.from;
+    res.status(404).json({
+      error: missing ? `No snapshot for survey year ${missing}` : 'At least two surveys are needed to compare'
+    });
+    return null;
+  }
+  return pair;
+}
+
+// Condition change between two surveys: segment count, miles and IRI per
+// change class. Accepts `from`, `to` (survey years) and the /api/roads filters.
+app.get('/api/snapshots/compare', async (req, res) => {
+  const { from, to, ...filters } = req.query;
+  if (filters.bbox && !parseBbox(filters.bbox)) {
+    return res.status(400).json({ error: 'bbox must be "minLng,minLat,maxLng,maxLat"' });
+  }
+
+  try {
+    const pair = await snapshotPairOr404(req, res);
+    if (!pair) return;
+
+    const params = [pair.from.id, pair.to.id, IRI_CHANGE_THRESHOLD];
+    const result = await pool.query(`
+      ${snapshotChangesSql(filters, params, req.dataSource)}
+      SELECT
+        change,
+        COUNT(*) as count,
+        SUM(segment_miles) as miles,
+        AVG(iri_before) as avg_iri_before,
+        AVG(iri_after) as avg_iri_after,
+        AVG(iri_change) as avg_iri_change
+      FROM changes
+      GROUP BY change
+      ORDER BY count DESC
+    `, params);
+
+    res.json({
+      from: pair.from,
+      to: pair.to,
+      iri_change_threshold: IRI_CHANGE_THRESHOLD,
+      changes: result.rows
+    });
+  } catch (error) {
+    console.error('Error comparing snapshots:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Per-segment changes between two surveys, largest IRI change first.
+// Filter with `change` (see SNAPSHOT_CHANGES) plus the /api/roads filters.
+app.get('/api/snapshots/compare/segments', async (req, res) => {
+  const { from, to, change, limit = 500, offset = 0, ...filters } = req.query;
+  if (filters.bbox && !parseBbox(filters.bbox)) {
+    return res.status(400).json({ error: 'bbox must be "minLng,minLat,maxLng,maxLat"' });
+  }
+  const changes = toList(change).filter(value => SNAPSHOT_CHANGES.includes(value));
+
+  try {
+    const pair = await snapshotPairOr404(req, res);
+    if (!pair) return;
+
+    const params = [pair.from.id, pair.to.id, IRI_CHANGE_THRESHOLD];
+    const changesSql = snapshotChangesSql(filters, params, req.dataSource);
+    params.push(changes.length ? changes : SNAPSHOT_CHANGES);
+    params.push(Math.min(parseInt(limit) || 500, 5000), parseInt(offset) || 0);
+
+    const result = await pool.query(`
+      ${changesSql}
+      SELECT *
+      FROM changes
+      WHERE change = ANY($${params.length - 2})
+      ORDER BY ABS(iri_change) DESC NULLS LAST, segment_key
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching snapshot changes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Spatial selections drawn on the map. Polygons and rectangles select what
+// they cover; corridors are lines that select everything within buffer_miles.
+const SELECTION_KINDS = {
+  polygon: ['Polygon', 'MultiPolygon'],
+  rectangle: ['Polygon'],
+  corridor: ['LineString', 'MultiLineString']
+};
+
+const MAX_BUFFER_MILES = 25;
+
+// Validate a drawn shape from a request body. Returns { kind, geometry,
+// bufferMiles } or { error }.
+function parseSelection(body) {
+  const { kind, geometry, buffer_miles } = body || {};
+  const geometryTypes = lookupOption(SELECTION_KINDS, kind);
+  if (!geometryTypes) {
+    return { error: `kind must be one of: ${Object.keys(SELECTION_KINDS).join(', ')}` };
+  }
+  if (!geometry || !geometryTypes.includes(geometry.type) || !Array.isArray(geometry.coordinates)) {
+    return { error: `A ${kind} needs a GeoJSON ${geometryTypes.join(' or ')} geometry` };
+  }
+  const bufferMiles = buffer_miles === undefined || buffer_miles === null || buffer_miles === ''
+    ? 0
+    : Number(buffer_miles);
+  if (!Number.isFinite(bufferMiles) || bufferMiles < 0 || bufferMiles > MAX_BUFFER_MILES) {
+    return { error: `buffer_miles must be between 0 and ${MAX_BUFFER_MILES}` };
+  }
+  if (kind === 'corridor' && bufferMiles === 0) {
+    return { error: 'A corridor needs a buffer_miles greater than 0' };
+  }
+  return { kind, geometry, bufferMiles };
+}
+
+// The data source's segments whose geometry meets `areaSql` (an expression
+// using `params`), narrowed by the /api/roads attribute filters. Returns the
+// area itself, a summary with mile- and AADT-weighted IRI, miles by rating
+// and the worst segments first.
+async function selectionStats(areaSql, params, filters, dataSource) {
+  const where = buildSegmentFilters(withoutBbox(filters), params, dataSource, 's').sql;
+  const selected = `
+    WITH area AS (
+      SELECT ${areaSql} AS geom
+    ),
+    selected AS (
+      SELECT s.*
+      FROM road_segments s, area
+      WHERE ST_Intersects(s.road_line, area.geom)${where}
+    )
+  `;
+
+  const summary = await pool.query(`${selected}
+    SELECT
+      (SELECT ST_AsGeoJSON(geom, 6)::json FROM area) as area,
+      (SELECT ST_Area(geom::geography) / 2589988.11 FROM area) as area_sq_miles,
+      COUNT(*) as segment_count,
+      COALESCE(SUM(segment_miles), 0) as total_miles,
+      COALESCE(SUM(lane_miles), 0) as lane_miles,
+      SUM(rough_indx * segment_miles) FILTER (WHERE rough_indx > 0)
+        / NULLIF(SUM(segment_miles) FILTER (WHERE rough_indx > 0), 0) as avg_iri,
+      SUM(rough_indx * segment_miles * cur_aadt) FILTER (WHERE rough_indx > 0 AND cur_aadt > 0)
+        / NULLIF(SUM(segment_miles * cur_aadt) FILTER (WHERE rough_indx > 0 AND cur_aadt > 0), 0) as aadt_weighted_iri,
+      COALESCE(SUM(segment_miles * cur_aadt) FILTER (WHERE cur_aadt > 0), 0) as daily_vmt,
+      COALESCE(SUM(segment_miles) FILTER (WHERE iri_rating_text = 'Poor'), 0) as poor_miles
+    FROM selected
+  `, params);
+
+  const byCondition = await pool.query(`${selected}
+    SELECT iri_rating_text, COUNT(*) as count, SUM(segment_miles) as miles
+    FROM selected
+    WHERE iri_rating_text != ''
+    GROUP BY iri_rating_text
+  `, params);
+
+  const segments = await pool.query(`${selected}
+    SELECT id, st_rt_no, traf_rt_no, cty_code, seg_no, street_name, fac_type,
+      segment_miles, rough_indx, iri_rating_text, cur_aadt
+    FROM selected
+    ORDER BY rough_indx DESC NULLS LAST, id
+    LIMIT 500
+  `, params);
+
+  const { area, ...rest } = summary.rows[0];
+  return { area, summary: rest, by_condition: byCondition.rows, segments: segments.rows };
+}
+
+// Statistics for a shape that has not been saved. The body carries the
+// shape (see parseSelection) and the /api/roads `filters`.
+app.post('/api/selections/summary', async (req, res) => {
+  const selection = parseSelection(req.body);
+  if (selection.error) {
+    return res.status(400).json({ error: selection.error });
+  }
+  const filterError = segmentFilterError(req.body.filters || {});
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  try {
+    const stats = await selectionStats(
+      'selection_area(ST_SetSRID(ST_GeomFromGeoJSON($1), 4326), $2)',
+      [JSON.stringify(selection.geometry), selection.bufferMiles],
+      (req.body && req.body.filters) || {},
+      req.dataSource
+    );
+    res.json(stats);
+  } catch (error) {
+    console.error('Error summarizing selection:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A saved selection as kept in the audit log, with the shape as drawn
+const auditedSelection = ({ name, kind, buffer_miles, geometry }) => ({ name, kind, buffer_miles, geometry });
+
+app.post('/api/selections', requireRole('analyst'), async (req, res) => {
+  const name = req.body && typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  const selection = parseSelection(req.body);
+  if (selection.error) {
+    return res.status(400).json({ error: selection.error });
+  }
+
+  try {
+    const saved = await auditedChange(pool, async (client) => {
+      const result = await client.query(`
+        WITH drawn AS (
+          SELECT ST_SetSRID(ST_GeomFromGeoJSON($3), 4326) AS geom
+        )
+        INSERT INTO saved_selections (name, kind, drawn_geom, buffer_miles, geom)
+        SELECT $1, $2, drawn.geom, $4, selection_area(drawn.geom, $4)
+        FROM drawn
+        RETURNING id, name, kind, buffer_miles, created_at,
+          ST_AsGeoJSON(drawn_geom, 6)::json as geometry
+      `, [name, selection.kind, JSON.stringify(selection.geometry), selection.bufferMiles]);
+      const row = result.rows[0];
+      return {
+        result: row,
+        audit: { user: req.user, action: 'create', entityType: 'selection', entityId: row.id, changes: { after: auditedSelection(row) } }
+      };
+    });
+    res.status(201).json(saved);
+  } catch (error) {
+    console.error('Error saving selection:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Saved selections, newest first, with the shapes as drawn so the map can
+// redraw them
+app.get('/api/selections', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, name, kind, buffer_miles, created_at,
+        ST_AsGeoJSON(drawn_geom, 6)::json as geometry
+      FROM saved_selections
+      ORDER BY created_at DESC
+      LIMIT $1
+    `, [Math.min(parseInt(req.query.limit) || 50, 200)]);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching selections:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Statistics for a saved selection, with optional /api/roads filters
+app.get('/api/selections/:id/summary', async (req, res) => {
+  const id = parseInt(req.params.id) || 0;
+
+  try {
+    const saved = await pool.query('SELECT id FROM saved_selections WHERE id = $1', [id]);
+    if (!saved.rows.length) {
+      return res.status(404).json({ error: 'Selection not found' });
+    }
+    const stats = await selectionStats(
+      '(SELECT geom FROM saved_selections WHERE id = $1)',
+      [id],
+      req.query,
+      req.dataSource
+    );
+    res.json(stats);
+  } catch (error) {
+    console.error('Error summarizing selection:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/selections/:id', requireRole('analyst'), async (req, res) => {
+  try {
+    const deleted = await auditedChange(pool, async (client) => {
+      const result = await client.query(`
+        DELETE FROM saved_selections WHERE id = $1
+        RETURNING id, name, kind, buffer_miles, ST_AsGeoJSON(drawn_geom, 6)::json as geometry
+      `, [parseInt(req.params.id) || 0]);
+      const row = result.rows[0];
+      return {
+        result: row,
+        audit: row && { user: req.user, action: 'delete', entityType: 'selection', entityId: row.id, changes: { before: auditedSelection(row) } }
+      };
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Selection not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting selection:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Field condition reports (road_observations). Each belongs to a data source,
+// is snapped to the nearest of its roads and moves through a status
+// workflow; photos are kept on disk.
+const OBSERVATION_CATEGORIES = [
+  'pothole', 'cracking', 'rutting', 'edge_drop', 'drainage', 'debris', 'signs', 'guardrail', 'other'
+];
+const OBSERVATION_SEVERITIES = ['low', 'medium', 'high'];
+
+// Each status and the statuses it may move to. A fixed report is reopened
+// by scheduling it again.
+const OBSERVATION_WORKFLOW = {
+  new: ['verified'],
+  verified: ['scheduled', 'fixed', 'new'],
+  scheduled: ['fixed', 'verified'],
+  fixed: ['scheduled']
+};
+
+// Reports further than this from any road keep the location as reported
+const MAX_OBSERVATION_SNAP_METERS = 100;
+
+// A state road segment and an OSM way usually trace the same road; the
+// segment wins unless the way is closer by more than this
+const SEGMENT_SNAP_PREFERENCE_METERS = 10;
+
+const OBSERVATION_PHOTO_DIR = path.join('uploads', 'observations');
+const MAX_OBSERVATION_PHOTOS = 5;
+
+// Photo types accepted, each with a check of the file's first bytes, so a
+// script (an SVG, say) cannot be uploaded under an image type and served
+// back from the API's origin
+const ascii = (bytes, start, end) => bytes.toString('latin1', start, end);
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const PHOTO_TYPES = {
+  'image/jpeg': bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff,
+  'image/png': bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': bytes => ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP',
+  'image/heic': bytes => ascii(bytes, 4, 8) === 'ftyp' && HEIC_BRANDS.includes(ascii(bytes, 8, 12))
+};
+
+const OBSERVATION_COLUMNS = `
+  o.id, o.category, o.severity, o.status, o.description, o.reported_by,
+  ST_X(o.geom) as lng, ST_Y(o.geom) as lat,
+  ST_X(o.reported_geom) as reported_lng, ST_Y(o.reported_geom) as reported_lat,
+  o.road_layer, o.segment_key, o.osm_road_id, o.road_name, o.snap_distance_meters,
+  o.created_at, o.updated_at, o.status_changed_at,
+  (SELECT COUNT(*)::integer FROM road_observation_photos p WHERE p.observation_id = o.id) as photo_count`;
+
+const photoUrl = photo => `/api/observations/${photo.observation_id}/photos/${photo.id}`;
+
+// Validate the fields of a new report (or, with `partial`, of an edit).
+// Returns { values, location } or { error }.
+function parseObservation(body, { partial = false } = {}) {
+  const { category, severity, description, reported_by, location } = body || {};
+  const values = {};
+
+  if (category !== undefined || !partial) {
+    if (!OBSERVATION_CATEGORIES.includes(category)) {
+      return { error: `category must be one of: ${OBSERVATION_CATEGORIES.join(', ')}` };
+    }
+    values.category = category;
+  }
+  if (severity !== undefined || !partial) {
+    if (!OBSERVATION_SEVERITIES.includes(severity)) {
+      return { error: `severity must be one of: ${OBSERVATION_SEVERITIES.join(', ')}` };
+    }
+    values.severity = severity;
+  }
+  if (description !== undefined) {
+    values.description = String(description).trim() || null;
+  }
+  if (reported_by !== undefined) {
+    values.reported_by = String(reported_by).trim().slice(0, 100) || null;
+  }
+
+  let point = null;
+  if (location !== undefined || !partial) {
+    point = parsePoint(location);
+    if (!point) {
+      return { error: 'location must be "lng,lat"' };
+    }
+  }
+  return { values, location: point };
+}
+
+// The nearest of the data source's road segments or its state's OSM roads to
+// a point, as { road_layer, segment_key, osm_road_id, road_name, lng, lat (on
+// the road), distance_meters }, or null when none is close enough
+async function snapObservation({ lng, lat }, dataSource) {
+  const result = await pool.query(`
+    WITH point AS (
+      SELECT ST_SetSRID(ST_MakePoint($1, $2), 4326) AS geom
+    ),
+    candidates AS (
+      (SELECT 'segments' as road_layer, segment_key(s.cty_code, s.st_rt_no, s.seg_no) as segment_key,
+        NULL::bigint as osm_road_id, COALESCE(s.street_name, s.traf_rt_no) as road_name, s.road_line as line
+      FROM road_segments s, point
+      WHERE s.source_id = $4 AND s.road_line IS NOT NULL
+      ORDER BY s.road_line <-> point.geom
+      LIMIT 1)
+      UNION ALL
+      (SELECT 'osm', NULL, r.id, COALESCE(r.name, r.ref), r.geom
+      FROM osm_roads r, point
+      WHERE r.state = $5 AND r.geom IS NOT NULL
+      ORDER BY r.geom <-> point.geom
+      LIMIT 1)
+    )
+    SELECT road_layer, segment_key, osm_road_id, road_name,
+      ST_X(ST_ClosestPoint(line, point.geom)) as lng,
+      ST_Y(ST_ClosestPoint(line, point.geom)) as lat,
+      ST_Distance(line::geography, point.geom::geography) as distance_meters
+    FROM candidates, point
+    ORDER BY ST_Distance(line::geography, point.geom::geography)
+      - CASE WHEN road_layer = 'segments' THEN $3 ELSE 0 END
+    LIMIT 1
+  `, [lng, lat, SEGMENT_SNAP_PREFERENCE_METERS, dataSource.id, dataSource.state]);
+
+  const snap = result.rows[0];
+  return snap && snap.distance_meters <= MAX_OBSERVATION_SNAP_METERS ? snap : null;
+}
+
+// Columns to store for a reported location: the point as reported and the
+// point on the road it snapped to
+async function observationLocation(point, dataSource) {
+  const snap = await snapObservation(point, dataSource);
+  return {
+    reported_geom: point,
+    geom: snap || point,
+    road_layer: snap ? snap.road_layer : null,
+    segment_key: snap ? snap.segment_key : null,
+    osm_road_id: snap ? snap.osm_road_id : null,
+    road_name: snap ? snap.road_name : null,
+    snap_distance_meters: snap ? snap.distance_meters : null
+  };
+}
+
+// Placeholder for a column value; points become geometries
+function observationValue(column, value, params) {
+  if (column === 'geom' || column === 'reported_geom') {
+    params.push(value.lng, value.lat);
+    return `ST_SetSRID(ST_MakePoint($${params.length - 1}, $${params.length}), 4326)`;
+  }
+  params.push(value);
+  return `$${params.length}`;
+}
+
+async function getObservation(db, id) {
+  const result = await db.query(`
+    SELECT ${OBSERVATION_COLUMNS}
+    FROM road_observations o
+    WHERE o.id = $1
+  `, [id]);
+  if (!result.rows.length) return null;
+
+  const photos = await db.query(`
+    SELECT id, observation_id, original_name, content_type, size_bytes, created_at
+    FROM road_observation_photos
+    WHERE observation_id = $1
+    ORDER BY id
+  `, [id]);
+  return { ...result.rows[0], photos: photos.rows.map(photo => ({ ...photo, url: photoUrl(photo) })) };
+}
+
+const OBSERVATION_AUDIT_FIELDS = [
+  'category', 'severity', 'status', 'description', 'reported_by', 'lng', 'lat',
+  'road_layer', 'segment_key', 'osm_road_id', 'road_name', 'photos'
+];
+
+// Audit log entry for a report (as returned by getObservation) being
+// created, updated or deleted, with photos listed by id and file name.
+// Null for an update that changed nothing.
+function observationAudit(user, action, before, after) {
+  const fields = observation => observation && Object.fromEntries(OBSERVATION_AUDIT_FIELDS.map(field => [
+    field,
+    field === 'photos'
+      ? observation.photos.map(photo => ({ id: photo.id, name: photo.original_name }))
+      : observation[field]
+  ]));
+  const changes = action === 'update'
+    ? diffFields(fields(before), fields(after))
+    : { [action === 'create' ? 'after' : 'before']: fields(before || after) };
+  return changes && { user, action, entityType: 'observation', entityId: (before || after).id, changes };
+}
+
+const observationPhotos = multer({
+  dest: OBSERVATION_PHOTO_DIR,
+  limits: { fileSize: 15 * 1024 * 1024, files: MAX_OBSERVATION_PHOTOS },
+  fileFilter: (req, file, callback) => {
+    if (!lookupOption(PHOTO_TYPES, file.mimetype)) {
+      return callback(Object.assign(new Error(`${file.originalname} is not a JPEG, PNG, WebP or HEIC image`), { status: 400 }));
+    }
+    callback(null, true);
+  }
+});
+
+// Whether a saved upload starts the way its declared type should
+async function isPhotoOfType(file) {
+  const handle = await fs.promises.open(file.path, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+    return bytesRead === 12 && PHOTO_TYPES[file.mimetype](buffer);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Accept up to MAX_OBSERVATION_PHOTOS images in the `photos` field, turning
+// multer's limit errors, other file types and files whose content does not
+// match their type into a 400
+function receivePhotos(req, res, next) {
+  observationPhotos.array('photos', MAX_OBSERVATION_PHOTOS)(req, res, async (error) => {
+    if (error instanceof multer.MulterError || (error && error.status === 400)) {
+      return res.status(400).json({ error: `Photos: ${error.message}` });
+    }
+    if (error) return next(error);
+
+    try {
+      for (const file of req.files || []) {
+        if (!(await isPhotoOfType(file))) {
+          removeUploadedPhotos(req.files);
+          return res.status(400).json({ error: `Photos: ${file.originalname} is not a valid ${file.mimetype} file` });
+        }
+      }
+      next();
+    } catch (checkError) {
+      removeUploadedPhotos(req.files);
+      next(checkError);
+    }
+  });
+}
+
+const removeUploadedPhotos = (files = []) => files.forEach(file => fs.unlink(file.path, () => {}));
+
+async function savePhotos(db, observationId, files = []) {
+  for (const file of files) {
+    await db.query(`
+      INSERT INTO road_observation_photos (observation_id, file_name, original_name, content_type, size_bytes)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [observationId, file.filename, file.originalname, file.mimetype, file.size]);
+  }
+}
+
+// The data source's reports for the map, newest first. Filters: bbox,
+// status, category and severity (each one or a comma-separated list).
+app.get('/api/observations', async (req, res) => {
+  const params = [req.dataSource.id];
+  const conditions = ['o.source_id = $1'];
+
+  const bbox = parseBbox(req.query.bbox);
+  if (bbox) {
+    params.push(bbox.minLng, bbox.minLat, bbox.maxLng, bbox.maxLat);
+    conditions.push('o.geom && ST_MakeEnvelope($2, $3, $4, $5, 4326)');
+  }
+  [['status', 'o.status'], ['category', 'o.category'], ['severity', 'o.severity']].forEach(([param, column]) => {
+    const values = toList(req.query[param]);
+    if (values.length) {
+      params.push(values);
+      conditions.push(`${column} = ANY($${params.length})`);
+    }
+  });
+  params.push(Math.min(parseInt(req.query.limit) || 500, 2000));
+
+  try {
+    const result = await pool.query(`
+      SELECT ${OBSERVATION_COLUMNS}
+      FROM road_observations o
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY o.created_at DESC
+      LIMIT $${params.length}
+    `, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching observations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/observations/:id', async (req, res) => {
+  try {
+    const observation = await getObservation(pool, parseInt(req.params.id) || 0);
+    if (!observation) {
+      return res.status(404).json({ error: 'Observation not found' });
+    }
+    res.json(observation);
+  } catch (error) {
+    console.error('Error fetching observation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// New report as multipart form data: location ("lng,lat"), category,
+// severity, description, reported_by (default: the logged-in user), and
+// photos. The data source comes in the query string, as the body is not
+// parsed before this route.
+app.post('/api/observations', requireRole('analyst'), receivePhotos, async (req, res) => {
+  const observation = parseObservation(req.body);
+  if (observation.error) {
+    removeUploadedPhotos(req.files);
+    return res.status(400).json({ error: observation.error });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const columns = {
+      source_id: req.dataSource.id,
+      ...observation.values,
+      reported_by: observation.values.reported_by || req.user.username,
+      ...(await observationLocation(observation.location, req.dataSource))
+    };
+    const params = [];
+    const values = Object.entries(columns).map(([column, value]) => observationValue(column, value, params));
+    const result = await client.query(`
+      INSERT INTO road_observations (${Object.keys(columns).join(', ')})
+      VALUES (${values.join(', ')})
+      RETURNING id
+    `, params);
+    const { id } = result.rows[0];
+    await savePhotos(client, id, req.files);
+    await recordAudit(client, observationAudit(req.user, 'create', null, await getObservation(client, id)));
+    await client.query('COMMIT');
+    res.status(201).json(await getObservation(pool, id));
+  } catch (error) {
+    await client.query('ROLLBACK');
+    removeUploadedPhotos(req.files);
+    console.error('Error saving observation:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Edit a report: any of category, severity, description, reported_by,
+// location (snapped again, to its own data source's roads) and status, which
+// must follow the workflow
+app.patch('/api/observations/:id', requireRole('analyst'), async (req, res) => {
+  const id = parseInt(req.params.id) || 0;
+  const observation = parseObservation(req.body, { partial: true });
+  if (observation.error) {
+    return res.status(400).json({ error: observation.error });
+  }
+  const { status } = req.body || {};
+  if (status !== undefined && !lookupOption(OBSERVATION_WORKFLOW, status)) {
+    return res.status(400).json({ error: `status must be one of: ${Object.keys(OBSERVATION_WORKFLOW).join(', ')}` });
+  }
+
+  try {
+    const current = await pool.query('SELECT status, source_id FROM road_observations WHERE id = $1', [id]);
+    if (!current.rows.length) {
+      return res.status(404).json({ error: 'Observation not found' });
+    }
+
+    const columns = { ...observation.values };
+    if (status !== undefined && status !== current.rows[0].status) {
+      const from = current.rows[0].status;
+      if (!OBSERVATION_WORKFLOW[from].includes(status)) {
+        return res.status(409).json({
+          error: `A ${from} observation can only move to: ${OBSERVATION_WORKFLOW[from].join(', ')}`
+        });
+      }
+      columns.status = status;
+    }
+    if (observation.location) {
+      Object.assign(columns, await observationLocation(observation.location, getDataSource(current.rows[0].source_id)));
+    }
+
+    const params = [];
+    const assignments = Object.entries(columns)
+      .map(([column, value]) => `${column} = ${observationValue(column, value, params)}`);
+    if (columns.status) {
+      assignments.push('status_changed_at = CURRENT_TIMESTAMP');
+    }
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+    params.push(id);
+    const updated = await auditedChange(pool, async (client) => {
+      const before = await getObservation(client, id);
+      await client.query(`UPDATE road_observations SET ${assignments.join(', ')} WHERE id = $${params.length}`, params);
+      const after = await getObservation(client, id);
+      return { result: after, audit: observationAudit(req.user, 'update', before, after) };
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating observation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/observations/:id', requireRole('analyst'), async (req, res) => {
+  const id = parseInt(req.params.id) || 0;
+
+  try {
+    const photos = await pool.query('SELECT file_name FROM road_observation_photos WHERE observation_id = $1', [id]);
+    const deleted = await auditedChange(pool, async (client) => {
+      const before = await getObservation(client, id);
+      if (!before) return { result: null };
+      await client.query('DELETE FROM road_observations WHERE id = $1', [id]);
+      return { result: before, audit: observationAudit(req.user, 'delete', before, null) };
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Observation not found' });
+    }
+    photos.rows.forEach(photo => fs.unlink(path.join(OBSERVATION_PHOTO_DIR, photo.file_name), () => {}));
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting observation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add photos to a report (multipart `photos` field)
+app.post('/api/observations/:id/photos', requireRole('analyst'), receivePhotos, async (req, res) => {
+  const id = parseInt(req.params.id) || 0;
+  if (!req.files || !req.files.length) {
+    return res.status(400).json({ error: 'No photos uploaded' });
+  }
+
+  try {
+    const existing = await pool.query('SELECT id FROM road_observations WHERE id = $1', [id]);
+    if (!existing.rows.length) {
+      removeUploadedPhotos(req.files);
+      return res.status(404).json({ error: 'Observation not found' });
+    }
+    const updated = await auditedChange(pool, async (client) => {
+      const before = await getObservation(client, id);
+      await savePhotos(client, id, req.files);
+      await client.query('UPDATE road_observations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+      const after = await getObservation(client, id);
+      return { result: after, audit: observationAudit(req.user, 'update', before, after) };
+    });
+    res.status(201).json(updated);
+  } catch (error) {
+    removeUploadedPhotos(req.files);
+    console.error('Error saving observation photos:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/observations/:id/photos/:photoId', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT file_name, content_type
+      FROM road_observation_photos
+      WHERE id = $1 AND observation_id = $2
+    `, [parseInt(req.params.photoId) || 0, parseInt(req.params.id) || 0]);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    const photo = result.rows[0];
+    // Never let a browser run or sniff a stored file; types outside the
+    // photo list (from before it existed) only download
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Content-Security-Policy', "default-src 'none'");
+    if (lookupOption(PHOTO_TYPES, photo.content_type)) {
+      res.type(photo.content_type);
+    } else {
+      res.type('application/octet-stream');
+      res.attachment(photo.file_name);
+    }
+    res.sendFile(path.resolve(OBSERVATION_PHOTO_DIR, photo.file_name), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Photo file is missing' });
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching observation photo:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/observations/:id/photos/:photoId', requireRole('analyst'), async (req, res) => {
+  const id = parseInt(req.params.id) || 0;
+
+  try {
+    const deleted = await auditedChange(pool, async (client) => {
+      const before = await getObservation(client, id);
+      const result = await client.query(`
+        DELETE FROM road_observation_photos
+        WHERE id = $1 AND observation_id = $2
+        RETURNING file_name
+      `, [parseInt(req.params.photoId) || 0, id]);
+      if (!result.rows.length) return { result: null };
+
+      const after = await getObservation(client, id);
+      return { result: result.rows[0], audit: observationAudit(req.user, 'update', before, after) };
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Photo not found' });
+    }
+    fs.unlink(path.join(OBSERVATION_PHOTO_DIR, deleted.file_name), () => {});
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting observation photo:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Distinct filter values in the data source with segment counts, for the
+// filter dropdowns
+app.get('/api/filter-options', async (req, res) => {
+  const columns = ['fac_type', 'surf_type', 'district_no', 'urban_rural'];
+  const params = [req.dataSource.id];
+  
+  try {
+    const options = {};
+    
+    for (const column of columns) {
+      const result = await pool.query(`
+        SELECT ${column} as value, COUNT(*) as count
+        FROM road_segments
+        WHERE source_id = $1 AND ${column} IS NOT NULL AND ${column} != ''
+        GROUP BY ${column}
+        ORDER BY ${column}
+      `, params);
+      options[column] = result.rows;
+    }
+    
+    const range = await pool.query(
+      'SELECT MIN(rough_indx) as min, MAX(rough_indx) as max FROM road_segments WHERE source_id = $1 AND rough_indx > 0',
+      params
+    );
+    options.rough_indx = range.rows[0];
+    
+    res.json(options);
+  } catch (error) {
+    console.error('Error fetching filter options:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/statistics', async (req, res) => {
+  if (req.query.bbox && !parseBbox(req.query.bbox)) {
+    return res.status(400).json({ error: 'bbox must be "minLng,minLat,maxLng,maxLat"' });
+  }
+  
+  const { sql: where, params } = buildSegmentFilters(req.query, [], req.dataSource);
+  
+  try {
+    const queries = {
+      summary: `SELECT COUNT(*) as segment_count, COALESCE(SUM(segment_miles), 0) as total_miles,
+                  COALESCE(SUM(lane_miles), 0) as lane_miles,
+                  SUM(rough_indx * segment_miles) FILTER (WHERE rough_indx > 0)
+                    / NULLIF(SUM(segment_miles) FILTER (WHERE rough_indx > 0), 0) as avg_iri,
+                  AVG(cur_aadt) FILTER (WHERE cur_aadt > 0) as avg_aadt
+                FROM road_segments WHERE 1=1${where}`,
+      total_segments: `SELECT COUNT(*) as count FROM road_segments WHERE 1=1${where}`,
+      total_miles: `SELECT SUM(segment_miles) as total FROM road_segments WHERE 1=1${where}`,
+      by_fac_type: `SELECT fac_type, COUNT(*) as count, SUM(segment_miles) as miles FROM road_segments WHERE 1=1${where} GROUP BY fac_type`,
+      by_surf_type: `SELECT surf_type, COUNT(*) as count, SUM(segment_miles) as miles FROM road_segments WHERE 1=1${where} GROUP BY surf_type`,
+      by_condition: `SELECT iri_rating_text, COUNT(*) as count, SUM(segment_miles) as miles FROM road_segments WHERE iri_rating_text != ''${where} GROUP BY iri_rating_text`,
+      by_district: `SELECT district_no, COUNT(*) as count, SUM(segment_miles) as miles FROM road_segments WHERE 1=1${where} GROUP BY district_no ORDER BY district_no`
+    };
+    
+    const results = {};
+    
+    for (const [key, query] of Object.entries(queries)) {
+      try {
+        const result = await pool.query(query, params);
+        results[key] = result.rows;
+      } catch (error) {
+        console.error(`Error in ${key}:`, error);
+        results[key] = [];
+      }
+    }
+    
+    res.json(results);
+  } catch (error) {
+    console.error('Error fetching statistics:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get OSM roads data
+app.get('/api/osm-roads', async (req, res) => {
+  const { 
+    highway, 
+    bbox,
+    zoom,
+    limit = 10000,
+    offset = 0
+  } = req.query;
+  
+  if (bbox && !parseBbox(bbox)) {
+    return res.status(400).json({ error: 'bbox must be "minLng,minLat,maxLng,maxLat"' });
+  }
+  
+  const filters = buildOsmFilters(req.query, [], req.dataSource);
+  const params = filters.params;
+  
+  let query = `
+    SELECT 
+      id, osm_id, name, highway, surface, maxspeed, lanes, width,
+      oneway, bridge, tunnel, access, ref, operator, network,
+      state, county, city, length_meters,
+      ST_X(ST_StartPoint(geom)) as x_value_bgn, ST_Y(ST_StartPoint(geom)) as y_value_bgn,
+      ST_X(ST_EndPoint(geom)) as x_value_end, ST_Y(ST_EndPoint(geom)) as y_value_end,
+      geom
+    FROM osm_roads 
+    WHERE 1=1${filters.sql}
+  `;
+  
+  const zoomHighways = highwaysForZoom(zoom);
+  if (zoomHighways && !highway) {
+    params.push(zoomHighways);
+    query += ` AND highway = ANY($${params.length})`;
+  }
+  
+  params.push(parseInt(limit), parseInt(offset));
+  query += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+  
+  try {
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching OSM roads:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/osm-roads/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (Number.isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid OSM road id' });
+  }
+  
+  const query = `
+    SELECT 
+      id, osm_id, name, highway, surface, maxspeed, lanes, width,
+      oneway, bridge, tunnel, access, ref, operator, network,
+      state, county, city, length_meters,
+      ST_Y(ST_LineInterpolatePoint(geom, 0.5)) as center_lat,
+      ST_X(ST_LineInterpolatePoint(geom, 0.5)) as center_lng
+    FROM osm_roads
+    WHERE id = $1 AND state = $2
+  `;
+  
+  try {
+    const result = await pool.query(query, [id, req.dataSource.state]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'OSM road not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching OSM road:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// "lng,lat" route ends
+function parsePoint(value) {
+  const parts = String(value || '').split(',').map(Number);
+  if (parts.length !== 2 || parts.some(Number.isNaN)) return null;
+  const [lng, lat] = parts;
+  if (Math.abs(lng) > 180 || Math.abs(lat) > 90) return null;
+  return { lng, lat };
+}
+
+// Shortest path over the OSM road network (see database/road_network.js)
+// between from=lng,lat and to=lng,lat, by weight=time (default), distance
+// or smooth (avoids rough pavement)
+app.get('/api/route', async (req, res) => {
+  const from = parsePoint(req.query.from);
+  const to = parsePoint(req.query.to);
+  const { weight = 'time' } = req.query;
+
+  if (!from || !to) {
+    return res.status(400).json({ error: 'from and to must be "lng,lat"' });
+  }
+  if (!lookupOption(ROUTE_WEIGHTS, weight)) {
+    return res.status(400).json({ error: `weight must be one of: ${Object.keys(ROUTE_WEIGHTS).join(', ')}` });
+  }
+
+  try {
+    res.json(await findRoute(pool, { from, to, weight }));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error finding route:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the roads matching the /api/roads (layer=segments, the default)
+// or /api/osm-roads (layer=osm) filters, with their full geometry, as
+// format=geojson, csv, kml or gpkg. Nothing is thinned by zoom.
+app.get('/api/export', requireRole('analyst'), async (req, res) => {
+  const { layer = 'segments', format = 'geojson', bbox } = req.query;
+  
+  const exportLayer = lookupOption(EXPORT_LAYERS, layer);
+  const exportFormat = lookupOption(EXPORT_FORMATS, format);
+  
+  if (!exportLayer) {
+    return res.status(400).json({ error: `layer must be one of: ${Object.keys(EXPORT_LAYERS).join(', ')}` });
+  }
+  if (!exportFormat) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  if (bbox && !parseBbox(bbox)) {
+    return res.status(400).json({ error: 'bbox must be "minLng,minLat,maxLng,maxLat"' });
+  }
+  
+  const filters = layer === 'osm'
+    ? buildOsmFilters(req.query, [], req.dataSource)
+    : buildSegmentFilters(req.query, [], req.dataSource);
+  const { extension, contentType } = exportFormat;
+  const date = new Date().toISOString().slice(0, 10);
+  
+  try {
+    res.set('Content-Type', contentType);
+    res.attachment(`${exportLayer.layerName}-${req.dataSource.id}-${date}.${extension}`);
+    await exportRoads(pool, { layer, format, filters }, res);
+    res.end();
+  } catch (error) {
+    console.error('Error exporting roads:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Heatmap metrics per map layer: the point column and the value expression
+const HEATMAP_LAYERS = {
+  osm: {
+    table: 'osm_roads',
+    point: 'ST_StartPoint(geom)',
+    bboxColumn: 'geom',
+    metrics: {
+      condition: { value: 'length_meters', filter: 'length_meters > 0' },
+      traffic: { value: 'COALESCE(lanes, 1)' },
+      age: { value: 'length_meters' }
+    }
+  },
+  segments: {
+    table: 'road_segments',
+    point: 'start_point',
+    bboxColumn: 'start_point',
+    metrics: {
+      condition: { value: 'rough_indx', filter: 'rough_indx > 0' },
+      traffic: { value: 'cur_aadt', filter: 'cur_aadt > 0' },
+      age: { value: '(EXTRACT(YEAR FROM CURRENT_DATE) - surface_year)', filter: 'surface_year > 0' }
+    }
+  }
+};
+
+// Heatmap points are averaged over a grid this many cells across the bbox
+// (or the data source's bounds), so a statewide view stays a few thousand
+// points; the LIMIT guards against very tall, narrow boxes
+const HEATMAP_GRID_CELLS = 150;
+const MAX_HEATMAP_POINTS = 20000;
+
+// ?layer=segments|osm&type=condition|traffic|age, over the data source's
+// segments or the OSM roads in its state. Each point is a grid cell: the
+// mean position and value of the roads in it, and their `count`.
+app.get('/api/heatmap', async (req, res) => {
+  const { type = 'condition', layer = 'segments', bbox } = req.query;
+  
+  const source = HEATMAP_LAYERS[layer === 'osm' ? 'osm' : 'segments'];
+  const metric = lookupOption(source.metrics, type) || source.metrics.condition;
+  
+  const conditions = [metric.filter].filter(Boolean);
+  const params = [];
+  
+  const bounds = parseBbox(bbox);
+  if (bbox && !bounds) {
+    return res.status(400).json({ error: 'bbox must be "minLng,minLat,maxLng,maxLat"' });
+  }
+  
+  if (bounds) {
+    params.push(bounds.minLng, bounds.minLat, bounds.maxLng, bounds.maxLat);
+    conditions.push(`${source.bboxColumn} && ST_MakeEnvelope($1, $2, $3, $4, 4326)`);
+  }
+  
+  // State road heatmaps follow the same attribute filters as the map
+  const attributeFilters = source.table === 'road_segments'
+    ? buildSegmentFilters(withoutBbox(req.query), params, req.dataSource).sql
+    : buildOsmFilters({}, params, req.dataSource).sql;
+  
+  const [minLng, minLat, maxLng, maxLat] = bounds
+    ? [bounds.minLng, bounds.minLat, bounds.maxLng, bounds.maxLat]
+    : req.dataSource.bounds;
+  params.push(Math.max(maxLng - minLng, maxLat - minLat) / HEATMAP_GRID_CELLS);
+  const cellSize = `$${params.length}::float8`;
+  params.push(MAX_HEATMAP_POINTS);
+  
+  const query = `
+    SELECT 
+      AVG(ST_X(${source.point})) as x_value_bgn, AVG(ST_Y(${source.point})) as y_value_bgn,
+      AVG(${metric.value}) as value,
+      COUNT(*)::integer as count
+    FROM ${source.table}
+    WHERE ${['TRUE', ...conditions].join(' AND ')}${attributeFilters}
+    GROUP BY ST_SnapToGrid(${source.point}, ${cellSize})
+    LIMIT $${params.length}
+  `;
+  
+  try {
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching heatmap data:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Class breaks for coloring state road segments by a heatmap metric
+// (condition, traffic or age): method=quantile (equal segment counts) or
+// equal (equal-width ranges), with `classes` classes (2-9, default 5), over
+// the segments matching the /api/roads filters. Returns the inner breaks,
+// ascending, with duplicates dropped.
+const CLASS_BREAK_METHODS = ['quantile', 'equal'];
+
+app.get('/api/class-breaks', async (req, res) => {
+  const { metric: metricName = 'condition', method = 'quantile', classes = '5', ...filters } = req.query;
+  const metric = lookupOption(HEATMAP_LAYERS.segments.metrics, metricName);
+  const classCount = parseInt(classes);
+
+  if (!metric) {
+    return res.status(400).json({ error: `metric must be one of: ${Object.keys(HEATMAP_LAYERS.segments.metrics).join(', ')}` });
+  }
+  if (!CLASS_BREAK_METHODS.includes(method)) {
+    return res.status(400).json({ error: `method must be one of: ${CLASS_BREAK_METHODS.join(', ')}` });
+  }
+  if (!(classCount >= 2 && classCount <= 9)) {
+    return res.status(400).json({ error: 'classes must be between 2 and 9' });
+  }
+
+  const fractions = Array.from({ length: classCount - 1 }, (_, i) => (i + 1) / classCount);
+  const params = [fractions];
+  const where = buildSegmentFilters(filters, params, req.dataSource).sql;
+
+  try {
+    const result = await pool.query(`
+      SELECT
+        COUNT(*)::integer as count,
+        MIN(value)::float as min,
+        MAX(value)::float as max,
+        percentile_cont($1::float8[]) WITHIN GROUP (ORDER BY value) as quantiles
+      FROM (
+        SELECT ${metric.value} as value
+        FROM road_segments
+        WHERE ${metric.filter || 'TRUE'}${where}
+      ) v
+    `, params);
+    const { count, min, max, quantiles } = result.rows[0];
+
+    let breaks = [];
+    if (count > 0) {
+      breaks = method === 'quantile'
+        ? quantiles.map(Number)
+        : fractions.map(fraction => min + (max - min) * fraction);
+    }
+
+    res.json({
+      metric: metricName,
+      method,
+      classes: classCount,
+      count,
+      min,
+      max,
+      breaks: breaks.filter((value, i) => i === 0 || value > breaks[i - 1])
+    });
+  } catch (error) {
+    console.error('Error computing class breaks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Vector tile layers. Attributes are thinned at low zooms where only the
+// styling columns are needed; popups only open once the user zooms in.
+const TILE_LAYERS = {
+  segments: {
+    table: 'road_segments',
+    geom: 'road_line',
+    classColumn: 'fac_type',
+    classesForZoom: facTypesForZoom,
+    baseColumns: ['id', 'fac_type', 'surf_type', 'lane_cnt'],
+    detailColumns: [
+      'street_name', 'traf_rt_no', 'rough_indx', 'cur_aadt', 'segment_miles',
+      'district_no', 'iri_rating_text', 'opi_rating_text', 'surface_year', 'match_status'
+    ]
+  },
+  osm: {
+    table: 'osm_roads',
+    geom: 'geom',
+    classColumn: 'highway',
+    classesForZoom: highwaysForZoom,
+    baseColumns: ['id', 'highway', 'surface', 'lanes'],
+    detailColumns: ['name', 'ref', 'maxspeed', 'length_meters', 'county', 'state']
+  }
+};
+
+const TILE_DETAIL_ZOOM = 12;
+
+// Work plan columns for styling segments by treatment, at every zoom
+const PLAN_TILE_COLUMNS = ['treatment', 'treatment_year', 'projected_iri'];
+
+// Thematic styling columns per style mode (see src/utils/thematicStyles.js),
+// at every zoom. Pavement and facility type are already base columns.
+const THEME_TILE_COLUMNS = {
+  iri: ['rough_indx'],
+  opi: ['opi_rating_text'],
+  aadt: ['cur_aadt'],
+  age: ['surface_year'],
+  nhs: ['nhs_ind']
+};
+
+// Change since an earlier survey, for styling segments by trend. Segments
+// missing from that survey get nulls.
+const COMPARE_TILE_COLUMNS = [
+  'h.rough_indx as previous_iri',
+  't.rough_indx - h.rough_indx as iri_change',
+  '(t.surface_year > h.surface_year OR t.surf_type <> h.surf_type) as resurfaced'
+];
+
+app.get('/api/tiles/:layer/:z/:x/:y.mvt', async (req, res) => {
+  const layer = lookupOption(TILE_LAYERS, req.params.layer);
+  const z = parseInt(req.params.z);
+  const x = parseInt(req.params.x);
+  const y = parseInt(req.params.y);
+  
+  if (!layer) {
+    return res.status(404).json({ error: `Unknown tile layer: ${req.params.layer}` });
+  }
+  
+  const tileCount = 2 ** z;
+  if ([z, x, y].some(Number.isNaN) || z < 0 || z > 22 || x < 0 || y < 0 || x >= tileCount || y >= tileCount) {
+    return res.status(400).json({ error: 'Invalid tile coordinates' });
+  }
+  
+  const columns = z >= TILE_DETAIL_ZOOM
+    ? [...layer.baseColumns, ...layer.detailColumns]
+    : [...layer.baseColumns];
+  
+  // Simplify to roughly one pixel of a 256px tile at this zoom (in metres)
+  const tolerance = 40075016.68 / (256 * tileCount);
+  
+  const params = [z, x, y, tolerance, req.params.layer];
+  let filters = '';
+  let join = '';
+  const joinColumns = [];
+  
+  const classes = layer.classesForZoom(z);
+  if (classes) {
+    params.push(classes);
+    filters += ` AND t.${layer.classColumn} = ANY($${params.length})`;
+  }
+  
+  if (layer.table === 'osm_roads') {
+    params.push(req.dataSource.state);
+    filters += ` AND t.state = $${params.length}`;
+  } else {
+    // The tile envelope already limits the extent
+    const { plan, compare, theme, ...segmentFilters } = withoutBbox(req.query);
+    // Qualified: the plan and compare joins have columns of the same names
+    filters += buildSegmentFilters(segmentFilters, params, req.dataSource, 't').sql;
+
+    // ?theme=<style mode> adds the column that mode colors by
+    (lookupOption(THEME_TILE_COLUMNS, theme) || []).forEach(column => {
+      if (!columns.includes(column)) columns.push(column);
+    });
+
+    // ?plan=<id> adds each segment's first treatment from that work plan
+    if (plan) {
+      params.push(parseInt(plan) || 0);
+      join += ` LEFT JOIN work_plan_segments p ON p.plan_id = $${params.length}
+        AND p.segment_key = road_segment_key(t.cty_code, t.st_rt_no, t.seg_no, t.objectid)`;
+      joinColumns.push(...PLAN_TILE_COLUMNS.map(column => `p.${column}`));
+    }
+
+    // ?compare=<survey year> adds the change in IRI since that survey
+    if (compare) {
+      params.push(parseInt(compare) || 0);
+      join += `
+        LEFT JOIN LATERAL (
+          SELECT history.rough_indx, history.surface_year, history.surf_type
+          FROM segment_history history
+          JOIN segment_snapshots s ON s.id = history.snapshot_id
+          WHERE s.survey_year = $${params.length}
+            AND history.source_id = t.source_id
+            AND history.segment_key = segment_key(t.cty_code, t.st_rt_no, t.seg_no)
+          LIMIT 1
+        ) h ON true`;
+      joinColumns.push(...COMPARE_TILE_COLUMNS);
+    }
+  }
+  
+  const query = `
+    WITH bounds AS (
+      SELECT ST_TileEnvelope($1, $2, $3) AS geom
+    ),
+    features AS (
+      SELECT
+        ${[...columns.map(column => `t.${column}`), ...joinColumns].join(', ')},
+        ST_AsMVTGeom(
+          ST_Simplify(ST_Transform(t.${layer.geom}, 3857), $4),
+          bounds.geom, 4096, 64, true
+        ) AS geom
+      FROM ${layer.table} t${join}, bounds
+      WHERE t.${layer.geom} && ST_Transform(bounds.geom, 4326)${filters}
+    )
+    SELECT ST_AsMVT(features, $5, 4096, 'geom') AS tile
+    FROM features
+    WHERE geom IS NOT NULL
+  `;
+  
+  try {
+    const result = await pool.query(query, params);
+    const tile = result.rows[0] && result.rows[0].tile;
+    
+    // Tiles depend on the login, so only the browser may keep them
+    res.set('Cache-Control', 'private, max-age=300');
+    if (!tile || tile.length === 0) {
+      return res.status(204).end();
+    }
+    
+    res.set('Content-Type', 'application/vnd.mapbox-vector-tile');
+    res.send(tile);
+  } catch (error) {
+    console.error('Error building vector tile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload a new segment CSV, with optional `source` (the data source it
+// belongs to, default the default source) and `survey_year` (default: this
+// year) fields. The file is imported in the background; the response
+// carries the job id to poll at /api/imports/:id.
+const upload = multer({
+  dest: 'uploads/',
+  fileFilter: (req, file, callback) => {
+    callback(null, /\.csv$/i.test(file.originalname));
+  }
+});
+
+app.post('/api/upload', requireRole('data_admin'), upload.single('csv'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No CSV file uploaded' });
+    }
+
+    const dataSource = req.body.source ? getDataSource(req.body.source) : req.dataSource;
+    const surveyYear = req.body.survey_year ? parseInt(req.body.survey_year) : new Date().getFullYear();
+    if (Number.isNaN(surveyYear) || surveyYear < 1900 || surveyYear > new Date().getFullYear() + 1) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(400).json({ error: 'survey_year must be a year' });
+    }
+
+    const fileHash = await hashFile(req.file.path);
+    const job = await auditedChange(pool, async (client) => {
+      const created = await createImportJob(client, {
+        sourceId: dataSource.id,
+        fileName: req.file.originalname,
+        fileSize: req.file.size,
+        surveyYear
+      });
+      return {
+        result: created,
+        audit: {
+          user: req.user,
+          action: 'upload',
+          entityType: 'import_job',
+          entityId: created.id,
+          source: 'upload',
+          fileName: req.file.originalname,
+          fileHash,
+          changes: { after: { source_id: dataSource.id, file_size: req.file.size, survey_year: surveyYear } }
+        }
+      };
+    });
+    enqueueImportJob(pool, job, req.file.path, req.user);
+
+    res.status(202).json({
+      job_id: job.id,
+      status: job.status,
+      file_sha256: fileHash,
+      status_url: `/api/imports/${job.id}`
+    });
+  } catch (error) {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error starting import:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent import jobs across all data sources, newest first
+app.get('/api/imports', requireRole('data_admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    res.json(await listImportJobs(pool, limit));
+  } catch (error) {
+    console.error('Error fetching import jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const ISSUE_SEVERITIES = ['error', 'warning'];
+
+// Import job status, warning counts and a page of validation issues
+app.get('/api/imports/:id', requireRole('data_admin'), async (req, res) => {
+  try {
+    const job = await getImportJob(pool, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    const severity = ISSUE_SEVERITIES.includes(req.query.severity) ? req.query.severity : null;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+    const issues = await getImportIssues(pool, job.id, { severity, limit, offset });
+
+    res.json({ ...job, report_url: `/api/imports/${job.id}/report.csv`, issues });
+  } catch (error) {
+    // Malformed UUIDs are a client error, not a server one
+    if (error.code === '22P02') {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+    console.error('Error fetching import job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Full rejection report as a CSV download: line, severity, column, value, reason.
+// ?severity=error limits it to the rejected lines.
+app.get('/api/imports/:id/report.csv', requireRole('data_admin'), async (req, res) => {
+  try {
+    const job = await getImportJob(pool, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+
+    const severity = ISSUE_SEVERITIES.includes(req.query.severity) ? req.query.severity : null;
+    const baseName = (job.file_name || 'import').replace(/\.csv$/i, '');
+
+    res.set('Content-Type', 'text/csv');
+    res.attachment(`${baseName}-issues.csv`);
+    await writeIssueReport(pool, job.id, res, { severity });
+    res.end();
+  } catch (error) {
+    if (error.code === '22P02') {
+      return res.status(404).json({ error: 'Import job not found' });
+    }
+    console.error('Error writing import report:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// `to` given as a bare date covers the whole day
+const auditRangeEnd = to => (/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to} 23:59:59.999` : to);
+
+// The audit log of every data source, newest first, for data admins.
+// Filters: action, entity_type, entity_id, user (username), origin (the
+// audit source: api, upload, ...; ?source= names a data source everywhere
+// else), and from / to (dates or timestamps); paged with limit and offset.
+app.get('/api/audit', requireRole('data_admin'), async (req, res) => {
+  const { action, entity_type, entity_id, user, origin, from, to } = req.query;
+
+  if (action && !AUDIT_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+  }
+  if (origin && !AUDIT_SOURCES.includes(origin)) {
+    return res.status(400).json({ error: `origin must be one of: ${AUDIT_SOURCES.join(', ')}` });
+  }
+  if ([from, to].some(value => value && Number.isNaN(Date.parse(value)))) {
+    return res.status(400).json({ error: 'from and to must be dates' });
+  }
+
+  try {
+    res.json(await listAuditEntries(pool, {
+      action,
+      entityType: entity_type,
+      entityId: entity_id,
+      username: user,
+      source: origin,
+      from,
+      to: to && auditRangeEnd(to),
+      limit: Math.min(parseInt(req.query.limit) || 50, 500),
+      offset: parseInt(req.query.offset) || 0
+    }));
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/audit/:id', requireRole('data_admin'), async (req, res) => {
+  try {
+    const entry = await getAuditEntry(pool, parseInt(req.params.id) || 0);
+    if (!entry) {
+      return res.status(404).json({ error: 'Audit entry not found' });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching audit entry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The segments an import added, removed or changed, by segment key. Filter
+// with `change` and `segment_key` (a prefix, e.g. "67:83:"); paged with
+// limit and offset.
+app.get('/api/audit/:id/segments', requireRole('data_admin'), async (req, res) => {
+  try {
+    const entry = await getAuditEntry(pool, parseInt(req.params.id) || 0);
+    if (!entry) {
+      return res.status(404).json({ error: 'Audit entry not found' });
+    }
+    res.json(await getSegmentChanges(pool, entry.id, {
+      change: req.query.change,
+      segmentKey: req.query.segment_key,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+      offset: parseInt(req.query.offset) || 0
+    }));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching audited segment changes:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 // Initialize data on startup
-loadCSVData();
+failInterruptedJobs(pool).catch(error => console.error('Error clearing interrupted imports:', error));
+loadDataSources().catch(error => console.error('Error loading data sources:', error));
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -1,8 +1,12 @@
-import React from 'react';
+import React, { useState } from 'react';
 import styled from 'styled-components';
 import MapComponent from './components/MapComponent';
 import Header from './components/Header';
+import StatisticsPanel from './components/StatisticsPanel';
+import SegmentDrawer from './components/SegmentDrawer';
+import AuditLogPage from './components/AuditLogPage';
 import { RoadDataProvider } from './context/RoadDataContext';
+import { AuthProvider, useAuth } from './context/AuthContext';
 import './App.css';
 
 const AppContainer = styled.div`
@@ -12,15 +16,59 @@ const AppContainer = styled.div`
   flex-direction: column;
 `;
 
-function App() {
+const MainArea = styled.div`
+  flex: 1;
+  display: flex;
+  min-height: 0;
+  position: relative;
+`;
+
+const SignedOut = styled.div`
+  flex: 1;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  color: #777;
+  font-size: 15px;
+`;
+
+// Road data is only fetched for a logged-in user; logging out unmounts it.
+// The audit log page covers the map rather than replacing it, so the map
+// keeps its view and data while the page is open.
+const Dashboard = () => {
+  const { user, checked, can } = useAuth();
+  const [showAuditLog, setShowAuditLog] = useState(false);
+
+  if (!user) {
+    return (
+      <>
+        <Header />
+        <SignedOut>{checked ? 'Log in to view the road data.' : 'Loading...'}</SignedOut>
+      </>
+    );
+  }
+
   return (
     <RoadDataProvider>
-      <AppContainer>
-        <Header />
+      <Header onShowAuditLog={can('data_admin') ? () => setShowAuditLog(true) : null} />
+      <MainArea>
         <MapComponent />
-      </AppContainer>
+        <SegmentDrawer />
+        <StatisticsPanel />
+        {showAuditLog && can('data_admin') && <AuditLogPage onClose={() => setShowAuditLog(false)} />}
+      </MainArea>
     </RoadDataProvider>
   );
+};
+
+function App() {
+  return (
+    <AuthProvider>
+      <AppContainer>
+        <Dashboard />
+      </AppContainer>
+    </AuthProvider>
+  );
 }
 
 export default App;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useAuth, ROLE_LABELS } from '../context/AuthContext';
+
+const Container = styled.div`
+  display: flex;
+  gap: 8px;
+  align-items: center;
+  font-size: 13px;
+  color: #555;
+
+  input {
+    font-size: 13px;
+    padding: 5px 6px;
+    width: 130px;
+  }
+`;
+
+const Button = styled.button`
+  border: 1px solid #ccc;
+  background: white;
+  border-radius: 4px;
+  padding: 6px 10px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:disabled {
+    cursor: default;
+    color: #aaa;
+  }
+`;
+
+const Role = styled.span`
+  font-size: 11px;
+  color: #777;
+  background: #f0f3f6;
+  border-radius: 3px;
+  padding: 2px 6px;
+`;
+
+const ErrorMessage = styled.span`
+  font-size: 12px;
+  color: #c0392b;
+`;
+
+// Login form in the header, or the logged-in user with a logout button
+const AccountControl = () => {
+  const { user, login, logout, loginError } = useAuth();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  if (user) {
+    return (
+      <Container>
+        <span>{user.username}</span>
+        <Role>{ROLE_LABELS[user.role] || user.role}</Role>
+        <Button onClick={logout}>Log out</Button>
+      </Container>
+    );
+  }
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    if (await login(username.trim(), password)) {
+      setPassword('');
+    }
+    setBusy(false);
+  };
+
+  return (
+    <Container as="form" onSubmit={onSubmit}>
+      <input
+        type="text"
+        value={username}
+        placeholder="Username"
+        autoComplete="username"
+        onChange={(e) => setUsername(e.target.value)}
+      />
+      <input
+        type="password"
+        value={password}
+        placeholder="Password"
+        autoComplete="current-password"
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      <Button type="submit" disabled={busy || !username.trim() || !password}>Log in</Button>
+      {loginError && <ErrorMessage>{loginError}</ErrorMessage>}
+    </Container>
+  );
+};
+
+export default AccountControl;
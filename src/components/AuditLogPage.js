@@ -0,0 +1,452 @@
+import React from 'react';
+import styled from 'styled-components';
+import {
+  AuditLogProvider,
+  useAuditLog,
+  AUDIT_PAGE_SIZE,
+  SEGMENT_PAGE_SIZE,
+  EMPTY_AUDIT_FILTERS
+} from '../context/AuditLogContext';
+import {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  AUDIT_SOURCES,
+  SEGMENT_CHANGES,
+  formatAuditTime,
+  formatAuditValue,
+  summarizeAuditEntry
+} from '../utils/auditLog';
+import { formatNumber } from './PanelSection';
+
+// Covers the map, its panes and controls, but stays below the header
+const Page = styled.div`
+  position: absolute;
+  inset: 0;
+  z-index: 1050;
+  background: white;
+  overflow-y: auto;
+  padding: 20px 30px;
+  font-size: 13px;
+  color: #333;
+`;
+
+const PageHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 12px;
+`;
+
+const Title = styled.h2`
+  font-size: 20px;
+`;
+
+const Filters = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+  align-items: center;
+  margin-bottom: 12px;
+  font-size: 12px;
+  color: #555;
+
+  select, input {
+    font-size: 13px;
+    padding: 4px;
+  }
+`;
+
+const Button = styled.button`
+  border: 1px solid #ccc;
+  background: white;
+  border-radius: 4px;
+  padding: 5px 10px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:disabled {
+    cursor: default;
+    color: #aaa;
+  }
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 12px;
+  margin-bottom: 8px;
+
+  th, td {
+    text-align: left;
+    vertical-align: top;
+    padding: 5px 6px;
+    border-bottom: 1px solid #f0f0f0;
+  }
+
+  th {
+    color: #777;
+    font-weight: normal;
+  }
+
+  td {
+    overflow-wrap: anywhere;
+  }
+`;
+
+const EntryRow = styled.tr`
+  cursor: pointer;
+  background: ${props => (props.$selected ? '#eef7fd' : 'transparent')};
+
+  &:hover {
+    background: #eef7fd;
+  }
+`;
+
+const Pager = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 12px;
+  color: #777;
+  margin-bottom: 16px;
+`;
+
+const Details = styled.div`
+  border: 1px solid #eee;
+  border-radius: 6px;
+  padding: 14px;
+  margin-bottom: 20px;
+
+  h3 {
+    font-size: 14px;
+    margin-bottom: 8px;
+  }
+
+  h4 {
+    font-size: 12px;
+    color: #555;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+    margin: 12px 0 6px;
+  }
+`;
+
+const Facts = styled.dl`
+  display: grid;
+  grid-template-columns: max-content minmax(0, 1fr);
+  gap: 3px 14px;
+  font-size: 12px;
+
+  dt {
+    color: #777;
+  }
+
+  dd {
+    overflow-wrap: anywhere;
+  }
+`;
+
+const Change = styled.span`
+  color: ${props => props.$color};
+  font-weight: 600;
+`;
+
+const Failed = styled.span`
+  color: #c0392b;
+`;
+
+const Message = styled.p`
+  font-size: 12px;
+  color: #777;
+  margin-bottom: 8px;
+`;
+
+const ErrorMessage = styled.p`
+  font-size: 12px;
+  color: #c0392b;
+  margin-bottom: 8px;
+`;
+
+// "51-100 of 230" with previous and next buttons
+const PageControls = ({ offset, pageSize, total, onChange }) => (
+  <Pager>
+    <span>
+      {total ? `${formatNumber(offset + 1)}-${formatNumber(Math.min(offset + pageSize, total))}` : '0'} of {formatNumber(total)}
+    </span>
+    <Button disabled={offset === 0} onClick={() => onChange(Math.max(offset - pageSize, 0))}>Previous</Button>
+    <Button disabled={offset + pageSize >= total} onClick={() => onChange(offset + pageSize)}>Next</Button>
+  </Pager>
+);
+
+const Select = ({ value, options, allLabel, onChange }) => (
+  <select value={value} onChange={(e) => onChange(e.target.value)}>
+    <option value="">{allLabel}</option>
+    {Object.entries(options).map(([key, label]) => (
+      <option key={key} value={key}>{label}</option>
+    ))}
+  </select>
+);
+
+// Field-by-field before and after of an edit, or the record created or
+// deleted
+const FieldChanges = ({ changes }) => {
+  const before = changes.before || {};
+  const after = changes.after || {};
+  const fields = Object.keys({ ...before, ...after });
+
+  return (
+    <Table>
+      <thead>
+        <tr>
+          <th>Field</th>
+          {changes.before && <th>Before</th>}
+          {changes.after && <th>After</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {fields.map(field => (
+          <tr key={field}>
+            <td>{field}</td>
+            {changes.before && <td>{formatAuditValue(before[field])}</td>}
+            {changes.after && <td>{formatAuditValue(after[field])}</td>}
+          </tr>
+        ))}
+      </tbody>
+    </Table>
+  );
+};
+
+// What an import did to one segment: the changed columns, or the street of
+// an added or removed segment
+const segmentChangeText = ({ change, before, after }) => {
+  if (change !== 'changed') {
+    const segment = after || before;
+    return [segment.street_name, segment.traf_rt_no && `Route ${segment.traf_rt_no}`].filter(Boolean).join(', ');
+  }
+  return Object.keys(after || {})
+    .map(column => `${column}: ${formatAuditValue(before[column])} → ${formatAuditValue(after[column])}`)
+    .join('; ');
+};
+
+const SegmentChanges = ({ entry }) => {
+  const {
+    segmentFilters,
+    updateSegmentFilters,
+    segmentOffset,
+    setSegmentOffset,
+    segmentChanges
+  } = useAuditLog();
+
+  return (
+    <>
+      <h4>Segments ({formatNumber(entry.segment_change_count)})</h4>
+      <Filters>
+        <Select
+          value={segmentFilters.change}
+          options={Object.fromEntries(Object.entries(SEGMENT_CHANGES).map(([key, { label }]) => [key, label]))}
+          allLabel="All changes"
+          onChange={change => updateSegmentFilters({ change })}
+        />
+        <input
+          type="text"
+          value={segmentFilters.segment_key}
+          placeholder="Segment key, e.g. 67:83:"
+          onChange={(e) => updateSegmentFilters({ segment_key: e.target.value.trim() })}
+        />
+      </Filters>
+      {!segmentChanges
+        ? <Message>Loading segments...</Message>
+        : (
+          <>
+            <Table>
+              <thead>
+                <tr>
+                  <th>Segment</th>
+                  <th>Change</th>
+                  <th>Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {segmentChanges.changes.map(row => (
+                  <tr key={row.segment_key}>
+                    <td>{row.segment_key}</td>
+                    <td>
+                      <Change $color={SEGMENT_CHANGES[row.change].color}>{SEGMENT_CHANGES[row.change].label}</Change>
+                    </td>
+                    <td>{segmentChangeText(row)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+            <PageControls
+              offset={segmentOffset}
+              pageSize={SEGMENT_PAGE_SIZE}
+              total={segmentChanges.total}
+              onChange={setSegmentOffset}
+            />
+          </>
+        )}
+    </>
+  );
+};
+
+const EntryDetails = ({ entry }) => {
+  const counts = entry.row_counts;
+
+  return (
+    <Details>
+      <h3>
+        {AUDIT_ACTIONS[entry.action] || entry.action}: {AUDIT_ENTITY_TYPES[entry.entity_type] || entry.entity_type}
+        {entry.entity_id ? ` ${entry.entity_id}` : ''}
+      </h3>
+      <Facts>
+        <dt>When</dt>
+        <dd>{formatAuditTime(entry.occurred_at)}</dd>
+        <dt>User</dt>
+        <dd>{entry.username || 'System'}</dd>
+        <dt>Origin</dt>
+        <dd>{AUDIT_SOURCES[entry.source] || entry.source}</dd>
+        {entry.file_name && (
+          <>
+            <dt>File</dt>
+            <dd>{entry.file_name}</dd>
+          </>
+        )}
+        {entry.file_sha256 && (
+          <>
+            <dt>SHA-256</dt>
+            <dd>{entry.file_sha256}</dd>
+          </>
+        )}
+        {counts && Object.entries(counts).map(([key, value]) => (
+          <React.Fragment key={key}>
+            <dt>{key.replace(/_/g, ' ')}</dt>
+            <dd>{typeof value === 'number' ? formatNumber(value) : String(value)}</dd>
+          </React.Fragment>
+        ))}
+        {entry.error && (
+          <>
+            <dt>Error</dt>
+            <dd><Failed>{entry.error}</Failed></dd>
+          </>
+        )}
+      </Facts>
+
+      {entry.changes && (
+        <>
+          <h4>Fields</h4>
+          <FieldChanges changes={entry.changes} />
+        </>
+      )}
+      {entry.segment_change_count > 0 && <SegmentChanges entry={entry} />}
+    </Details>
+  );
+};
+
+const AuditLog = ({ onClose }) => {
+  const {
+    filters,
+    updateFilters,
+    offset,
+    setOffset,
+    entries,
+    total,
+    loading,
+    error,
+    selectedEntry,
+    selectEntry
+  } = useAuditLog();
+
+  return (
+    <Page>
+      <PageHeader>
+        <Title>Audit log</Title>
+        <Button onClick={onClose}>Back to map</Button>
+      </PageHeader>
+
+      <Filters>
+        <Select
+          value={filters.action}
+          options={AUDIT_ACTIONS}
+          allLabel="All actions"
+          onChange={action => updateFilters({ action })}
+        />
+        <Select
+          value={filters.entity_type}
+          options={AUDIT_ENTITY_TYPES}
+          allLabel="All records"
+          onChange={entityType => updateFilters({ entity_type: entityType })}
+        />
+        <Select
+          value={filters.origin}
+          options={AUDIT_SOURCES}
+          allLabel="All origins"
+          onChange={origin => updateFilters({ origin })}
+        />
+        <input
+          type="text"
+          value={filters.user}
+          placeholder="Username"
+          onChange={(e) => updateFilters({ user: e.target.value.trim() })}
+        />
+        <label>
+          From <input type="date" value={filters.from} onChange={(e) => updateFilters({ from: e.target.value })} />
+        </label>
+        <label>
+          To <input type="date" value={filters.to} onChange={(e) => updateFilters({ to: e.target.value })} />
+        </label>
+        <Button onClick={() => updateFilters(EMPTY_AUDIT_FILTERS)}>Clear</Button>
+      </Filters>
+
+      {error && <ErrorMessage>{error}</ErrorMessage>}
+      {selectedEntry && <EntryDetails key={selectedEntry.id} entry={selectedEntry} />}
+
+      <Table>
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>User</th>
+            <th>Action</th>
+            <th>Record</th>
+            <th>Origin</th>
+            <th>File</th>
+            <th>Summary</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(entry => (
+            <EntryRow
+              key={entry.id}
+              $selected={selectedEntry && selectedEntry.id === entry.id}
+              onClick={() => selectEntry(selectedEntry && selectedEntry.id === entry.id ? null : entry)}
+            >
+              <td>{formatAuditTime(entry.occurred_at)}</td>
+              <td>{entry.username || 'System'}</td>
+              <td>{AUDIT_ACTIONS[entry.action] || entry.action}</td>
+              <td>
+                {AUDIT_ENTITY_TYPES[entry.entity_type] || entry.entity_type}
+                {entry.entity_id ? ` ${entry.entity_id}` : ''}
+              </td>
+              <td>{AUDIT_SOURCES[entry.source] || entry.source}</td>
+              <td>{entry.file_name || ''}</td>
+              <td>{entry.error ? <Failed>{summarizeAuditEntry(entry)}</Failed> : summarizeAuditEntry(entry)}</td>
+            </EntryRow>
+          ))}
+        </tbody>
+      </Table>
+      {!loading && !entries.length && <Message>No entries match these filters.</Message>}
+      <PageControls offset={offset} pageSize={AUDIT_PAGE_SIZE} total={total} onChange={setOffset} />
+    </Page>
+  );
+};
+
+// Data admins' view of the audit log: every import, upload, edit and
+// deletion, filterable by action, record type, origin, user and date, with
+// the before and after of each change. Covers the map while open.
+const AuditLogPage = ({ onClose }) => (
+  <AuditLogProvider>
+    <AuditLog onClose={onClose} />
+  </AuditLogProvider>
+);
+
+export default AuditLogPage;
@@ -0,0 +1,41 @@
+import React from 'react';
+import styled from 'styled-components';
+import { useRoadData } from '../context/RoadDataContext';
+import { formatNumber } from './PanelSection';
+
+const Container = styled.label`
+  display: flex;
+  gap: 6px;
+  align-items: center;
+  font-size: 13px;
+  color: #555;
+
+  select {
+    font-size: 13px;
+    padding: 5px 6px;
+  }
+`;
+
+// Picks the road inventory the dashboard shows (see data_sources.json).
+// Hidden while the server has only one.
+const DataSourceControl = () => {
+  const { sources, sourceId, selectSource } = useRoadData();
+
+  if (sources.length < 2) return null;
+
+  return (
+    <Container>
+      Inventory
+      <select value={sourceId || ''} onChange={(e) => selectSource(e.target.value)}>
+        {sources.map(source => (
+          <option key={source.id} value={source.id}>
+            {source.name}
+            {source.survey_year ? ` (${source.survey_year}, ${formatNumber(source.segment_count)} segments)` : ' (not loaded)'}
+          </option>
+        ))}
+      </select>
+    </Container>
+  );
+};
+
+export default DataSourceControl;
@@ -0,0 +1,85 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { useRoadData } from '../context/RoadDataContext';
+
+const EXPORT_FORMATS = {
+  geojson: 'GeoJSON',
+  csv: 'CSV (WKT geometry)',
+  kml: 'KML',
+  gpkg: 'GeoPackage'
+};
+
+const ControlPanel = styled.div`
+  position: absolute;
+  bottom: 30px;
+  right: 20px;
+  background: white;
+  padding: 12px 15px;
+  border-radius: 8px;
+  box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+  z-index: 1000;
+  width: 220px;
+  font-size: 13px;
+`;
+
+const ControlRow = styled.label`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 8px;
+`;
+
+const Button = styled.button`
+  width: 100%;
+  border: 1px solid #ccc;
+  background: white;
+  border-radius: 4px;
+  padding: 6px 10px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:disabled {
+    cursor: default;
+    color: #aaa;
+  }
+`;
+
+const ErrorMessage = styled.p`
+  font-size: 12px;
+  color: #c0392b;
+  margin-top: 6px;
+`;
+
+// Downloads the roads on the map, with the current filters when showing the
+// state road segments, for use in QGIS or Excel
+const ExportControl = () => {
+  const { dataSource, exportRoads, exporting, exportError } = useRoadData();
+  const [format, setFormat] = useState('geojson');
+  const [extentOnly, setExtentOnly] = useState(true);
+
+  return (
+    <ControlPanel>
+      <ControlRow>
+        <span>Export</span>
+        <select value={format} onChange={(e) => setFormat(e.target.value)}>
+          {Object.entries(EXPORT_FORMATS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </ControlRow>
+      <ControlRow>
+        <span>Visible area only</span>
+        <input type="checkbox" checked={extentOnly} onChange={(e) => setExtentOnly(e.target.checked)} />
+      </ControlRow>
+      <Button disabled={exporting} onClick={() => exportRoads(format, { extentOnly })}>
+        {exporting
+          ? 'Exporting...'
+          : `Download ${dataSource === 'csv' ? 'state roads' : 'OSM roads'}`}
+      </Button>
+      {exportError && <ErrorMessage>{exportError}</ErrorMessage>}
+    </ControlPanel>
+  );
+};
+
+export default ExportControl;
@@ -0,0 +1,171 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Select from 'react-select';
+import styled from 'styled-components';
+import { useRoadData } from '../context/RoadDataContext';
+import { getFacilityTypeName, getSurfaceTypeName } from '../utils/roadCodes';
+import { hasActiveFilters } from '../utils/filters';
+
+const FiltersContainer = styled.div`
+  display: flex;
+  gap: 10px;
+  align-items: center;
+  flex-wrap: wrap;
+`;
+
+const SelectWrapper = styled.div`
+  min-width: 150px;
+  max-width: 240px;
+  font-size: 13px;
+`;
+
+const RangeContainer = styled.div`
+  display: flex;
+  flex-direction: column;
+  font-size: 12px;
+  color: #555;
+  min-width: 170px;
+`;
+
+const RangeInputs = styled.div`
+  display: flex;
+  gap: 4px;
+
+  input {
+    width: 80px;
+  }
+`;
+
+const ClearButton = styled.button`
+  border: 1px solid #ccc;
+  background: white;
+  border-radius: 4px;
+  padding: 6px 10px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:disabled {
+    cursor: default;
+    color: #aaa;
+  }
+`;
+
+// IRI slider bounds in in/mi; anything rougher than 400 is lumped together
+const IRI_MIN = 0;
+const IRI_MAX = 400;
+const IRI_STEP = 10;
+
+const FILTER_FIELDS = [
+  { key: 'fac_type', label: 'Facility type', getLabel: getFacilityTypeName },
+  { key: 'surf_type', label: 'Surface type', getLabel: getSurfaceTypeName },
+  { key: 'district_no', label: 'District', getLabel: value => `District ${value}` },
+  { key: 'urban_rural', label: 'Urban/rural', getLabel: value => value }
+];
+
+const selectStyles = {
+  control: base => ({ ...base, minHeight: 32 }),
+  menu: base => ({ ...base, zIndex: 1100 })
+};
+
+// Min/max IRI sliders. The range is committed to the filters when the
+// user lets go, so dragging does not refetch on every step.
+const IriRangeSlider = ({ min, max, onChange }) => {
+  const [range, setRange] = useState([min ?? IRI_MIN, max ?? IRI_MAX]);
+
+  useEffect(() => {
+    setRange([min ?? IRI_MIN, max ?? IRI_MAX]);
+  }, [min, max]);
+
+  const commit = () => {
+    const [low, high] = range;
+    onChange(low > IRI_MIN ? low : null, high < IRI_MAX ? high : null);
+  };
+
+  return (
+    <RangeContainer>
+      <span>IRI {range[0]} – {range[1] >= IRI_MAX ? `${IRI_MAX}+` : range[1]} in/mi</span>
+      <RangeInputs>
+        <input
+          type="range"
+          aria-label="Minimum IRI"
+          min={IRI_MIN}
+          max={IRI_MAX}
+          step={IRI_STEP}
+          value={range[0]}
+          onChange={(e) => setRange([Math.min(Number(e.target.value), range[1]), range[1]])}
+          onMouseUp={commit}
+          onTouchEnd={commit}
+          onKeyUp={commit}
+        />
+        <input
+          type="range"
+          aria-label="Maximum IRI"
+          min={IRI_MIN}
+          max={IRI_MAX}
+          step={IRI_STEP}
+          value={range[1]}
+          onChange={(e) => setRange([range[0], Math.max(Number(e.target.value), range[0])])}
+          onMouseUp={commit}
+          onTouchEnd={commit}
+          onKeyUp={commit}
+        />
+      </RangeInputs>
+    </RangeContainer>
+  );
+};
+
+const FilterControls = () => {
+  const { filters, setFilters, resetFilters, filterOptions, fetchFilterOptions } = useRoadData();
+
+  useEffect(() => {
+    fetchFilterOptions();
+  }, [fetchFilterOptions]);
+
+  const options = useMemo(() => {
+    const result = {};
+    FILTER_FIELDS.forEach(({ key, getLabel }) => {
+      const values = (filterOptions && filterOptions[key]) || [];
+      result[key] = values.map(({ value, count }) => ({
+        value,
+        label: `${getLabel(value)} (${Number(count).toLocaleString()})`
+      }));
+    });
+    return result;
+  }, [filterOptions]);
+
+  const setListFilter = (key, selected) => {
+    setFilters(current => ({ ...current, [key]: (selected || []).map(option => option.value) }));
+  };
+
+  const setConditionRange = (min, max) => {
+    setFilters(current => ({ ...current, min_condition: min, max_condition: max }));
+  };
+
+  return (
+    <FiltersContainer>
+      {FILTER_FIELDS.map(({ key, label, getLabel }) => (
+        <SelectWrapper key={key}>
+          <Select
+            isMulti
+            placeholder={label}
+            options={options[key]}
+            value={filters[key].map(value => (
+              options[key].find(option => option.value === value) || { value, label: getLabel(value) }
+            ))}
+            onChange={(selected) => setListFilter(key, selected)}
+            styles={selectStyles}
+          />
+        </SelectWrapper>
+      ))}
+      <IriRangeSlider
+        min={filters.min_condition}
+        max={filters.max_condition}
+        onChange={setConditionRange}
+      />
+      <ClearButton onClick={resetFilters} disabled={!hasActiveFilters(filters)}>
+        Clear filters
+      </ClearButton>
+    </FiltersContainer>
+  );
+};
+
+export default FilterControls;
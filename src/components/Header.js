@@ -1,5 +1,9 @@
 import React from 'react';
 import styled from 'styled-components';
+import FilterControls from './FilterControls';
+import DataSourceControl from './DataSourceControl';
+import AccountControl from './AccountControl';
+import { useAuth } from '../context/AuthContext';
 
 const HeaderContainer = styled.div`
   background: white;
@@ -9,6 +13,10 @@ const HeaderContainer = styled.div`
   display: flex;
   justify-content: space-between;
   align-items: center;
+  gap: 20px;
+  flex-wrap: wrap;
+  position: relative;
+  z-index: 1100;
 `;
 
 const Title = styled.h1`
@@ -23,16 +31,37 @@ const ControlsContainer = styled.div`
   align-items: center;
 `;
 
+const AuditLogButton = styled.button`
+  border: 1px solid #ccc;
+  background: white;
+  border-radius: 4px;
+  padding: 6px 10px;
+  font-size: 13px;
+  cursor: pointer;
+`;
+
+
+// The filters need the road data, which is only loaded once logged in.
+// onShowAuditLog is only passed for data admins.
+const Header = ({ onShowAuditLog }) => {
+  const { user } = useAuth();
 
-const Header = () => {
   return (
     <HeaderContainer>
       <Title>Pavement Type Dashboard</Title>
       
+      {user && (
+        <ControlsContainer>
+          <DataSourceControl />
+          <div style={{ fontSize: '13px', color: '#666', fontStyle: 'italic' }}>
+            State road filters
+          </div>
+          <FilterControls />
+        </ControlsContainer>
+      )}
       <ControlsContainer>
-        <div style={{ fontSize: '14px', color: '#666', fontStyle: 'italic' }}>
-          Use the search control on the map to find locations
-        </div>
+        {onShowAuditLog && <AuditLogButton onClick={onShowAuditLog}>Audit log</AuditLogButton>}
+        <AccountControl />
       </ControlsContainer>
     </HeaderContainer>
   );
@@ -0,0 +1,237 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.heat';
+import styled from 'styled-components';
+import { useRoadData } from '../context/RoadDataContext';
+import {
+  STYLE_MODES,
+  CLASS_METHODS,
+  MIN_CLASS_COUNT,
+  MAX_CLASS_COUNT,
+  isNumericMode
+} from '../utils/thematicStyles';
+
+const HEATMAP_GRADIENT = {
+  0.2: '#2c7bb6',
+  0.4: '#abd9e9',
+  0.6: '#ffffbf',
+  0.8: '#fdae61',
+  1.0: '#d7191c'
+};
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+const linear = (min, max) => (value) => clamp01((value - min) / (max - min));
+
+// AADT spans several orders of magnitude, so a linear scale would leave
+// everything but the interstates invisible
+const logarithmic = (min, max) => (value) =>
+  clamp01((Math.log10(Math.max(value, 1)) - Math.log10(min)) / (Math.log10(max) - Math.log10(min)));
+
+// Intensity scales per data source and metric. The IRI range follows the
+// PennDOT rating bands (below 60 is excellent, above 220 is poor on any network).
+// OSM has no condition, traffic or age data, so its metrics are proxies.
+export const HEATMAP_METRICS = {
+  csv: {
+    condition: { label: 'Condition (IRI)', normalize: linear(60, 220), minLabel: '≤ 60 in/mi', maxLabel: '≥ 220 in/mi' },
+    traffic: { label: 'Traffic (AADT)', normalize: logarithmic(500, 100000), minLabel: '≤ 500', maxLabel: '≥ 100,000' },
+    age: { label: 'Pavement Age', normalize: linear(0, 30), minLabel: 'New', maxLabel: '≥ 30 years' }
+  },
+  osm: {
+    condition: { label: 'Segment Length', normalize: linear(0, 2000), minLabel: '0 m', maxLabel: '≥ 2 km' },
+    traffic: { label: 'Lane Count', normalize: linear(1, 6), minLabel: '1 lane', maxLabel: '≥ 6 lanes' }
+  }
+};
+
+const CLASS_COUNTS = Array.from({ length: MAX_CLASS_COUNT - MIN_CLASS_COUNT + 1 }, (_, i) => MIN_CLASS_COUNT + i);
+
+const getMetrics = (source) => HEATMAP_METRICS[source === 'csv' ? 'csv' : 'osm'];
+
+const getMetric = (source, type) => getMetrics(source)[type];
+
+const HeatmapLayer = () => {
+  const map = useMap();
+  const { heatmapData, heatmapType, dataSource } = useRoadData();
+  const layerRef = useRef(null);
+
+  const points = useMemo(() => {
+    const metric = heatmapType && getMetric(dataSource, heatmapType);
+    if (!metric) return [];
+    return heatmapData
+      .filter(point => point.x_value_bgn && point.y_value_bgn)
+      .map(point => [
+        Number(point.y_value_bgn),
+        Number(point.x_value_bgn),
+        metric.normalize(Number(point.value) || 0)
+      ]);
+  }, [heatmapData, heatmapType, dataSource]);
+
+  useEffect(() => {
+    const layer = L.heatLayer([], {
+      radius: 18,
+      blur: 15,
+      max: 1,
+      minOpacity: 0.3,
+      gradient: HEATMAP_GRADIENT
+    }).addTo(map);
+    layerRef.current = layer;
+
+    return () => {
+      map.removeLayer(layer);
+      layerRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    if (layerRef.current) {
+      layerRef.current.setLatLngs(points);
+    }
+  }, [points]);
+
+  return null;
+};
+
+const ControlPanel = styled.div`
+  position: absolute;
+  bottom: 30px;
+  left: 20px;
+  background: white;
+  padding: 12px 15px;
+  border-radius: 8px;
+  box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+  z-index: 1000;
+  min-width: 220px;
+  font-size: 13px;
+`;
+
+const ControlRow = styled.label`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 10px;
+  margin-bottom: 8px;
+`;
+
+const GradientBar = styled.div`
+  height: 12px;
+  border-radius: 3px;
+  background: linear-gradient(to right, ${Object.values(HEATMAP_GRADIENT).join(', ')});
+`;
+
+const GradientLabels = styled.div`
+  display: flex;
+  justify-content: space-between;
+  margin-top: 4px;
+  color: #666;
+  font-size: 11px;
+`;
+
+export const HeatmapControl = () => {
+  const {
+    heatmapType,
+    setHeatmapType,
+    dataSource,
+    setDataSource,
+    snapshots,
+    fetchSnapshots,
+    compareYear,
+    showConditionChange,
+    styleMode,
+    setStyleMode,
+    classMethod,
+    setClassMethod,
+    classCount,
+    setClassCount
+  } = useRoadData();
+  const metric = heatmapType && getMetric(dataSource, heatmapType);
+
+  useEffect(() => {
+    fetchSnapshots();
+  }, [fetchSnapshots]);
+
+  // Surveys older than the one on the map
+  const earlierSurveys = snapshots.filter(snapshot => !snapshot.current);
+
+  const changeSource = (source) => {
+    if (heatmapType && !getMetric(source, heatmapType)) {
+      setHeatmapType(null);
+    }
+    setDataSource(source);
+  };
+
+  return (
+    <ControlPanel>
+      <ControlRow>
+        <span>Roads</span>
+        <select value={dataSource} onChange={(e) => changeSource(e.target.value)}>
+          <option value="osm">OpenStreetMap</option>
+          <option value="csv">State roads</option>
+        </select>
+      </ControlRow>
+      {dataSource === 'csv' && (
+        <ControlRow>
+          <span>Color by</span>
+          <select value={styleMode} onChange={(e) => setStyleMode(e.target.value)}>
+            {Object.entries(STYLE_MODES).map(([mode, { label }]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
+        </ControlRow>
+      )}
+      {dataSource === 'csv' && isNumericMode(styleMode) && (
+        <ControlRow>
+          <span>Classes</span>
+          <span>
+            <select value={classMethod} onChange={(e) => setClassMethod(e.target.value)}>
+              {Object.entries(CLASS_METHODS).map(([method, label]) => (
+                <option key={method} value={method}>{label}</option>
+              ))}
+            </select>
+            {classMethod !== 'agency' && (
+              <select value={classCount} onChange={(e) => setClassCount(Number(e.target.value))}>
+                {CLASS_COUNTS.map(count => (
+                  <option key={count} value={count}>{count}</option>
+                ))}
+              </select>
+            )}
+          </span>
+        </ControlRow>
+      )}
+      <ControlRow>
+        <span>Heatmap</span>
+        <select value={heatmapType || ''} onChange={(e) => setHeatmapType(e.target.value || null)}>
+          <option value="">Off</option>
+          {Object.entries(getMetrics(dataSource)).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+      </ControlRow>
+      {dataSource === 'csv' && earlierSurveys.length > 0 && (
+        <ControlRow>
+          <span>Change since</span>
+          <select
+            value={compareYear || ''}
+            onChange={(e) => showConditionChange(e.target.value ? Number(e.target.value) : null)}
+          >
+            <option value="">Off</option>
+            {earlierSurveys.map(snapshot => (
+              <option key={snapshot.id} value={snapshot.survey_year}>{snapshot.label}</option>
+            ))}
+          </select>
+        </ControlRow>
+      )}
+      {metric && (
+        <>
+          <GradientBar />
+          <GradientLabels>
+            <span>{metric.minLabel}</span>
+            <span>{metric.maxLabel}</span>
+          </GradientLabels>
+        </>
+      )}
+    </ControlPanel>
+  );
+};
+
+export default HeatmapLayer;
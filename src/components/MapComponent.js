@@ -1,9 +1,21 @@
-import React, { useEffect, useState } from 'react';
-import { MapContainer, TileLayer, Polyline, Popup, useMap } from 'react-leaflet';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { MapContainer, TileLayer, Popup, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet-control-geocoder/dist/Control.Geocoder.css';
 import 'leaflet-control-geocoder';
+import 'leaflet.vectorgrid';
 import { useRoadData } from '../context/RoadDataContext';
+import { useAuth } from '../context/AuthContext';
+import HeatmapLayer, { HeatmapControl } from './HeatmapLayer';
+import ExportControl from './ExportControl';
+import SelectionLayer from './SelectionLayer';
+import RouteLayer from './RouteLayer';
+import ObservationLayer from './ObservationLayer';
+import RoadSearchLayer, { RoadSearchBox } from './RoadSearch';
+import { getFacilityTypeName, getSurfaceTypeName } from '../utils/roadCodes';
+import { TREATMENTS, UNTREATED_COLOR, getTreatmentColor } from '../utils/treatments';
+import { CHANGE_CLASSES, getChangeClass } from '../utils/conditionChange';
+import { STYLE_MODES, buildTheme } from '../utils/thematicStyles';
 import styled from 'styled-components';
 
 // Fix for default markers in React Leaflet
@@ -14,9 +26,15 @@ L.Icon.Default.mergeOptions({
   shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
 });
 
+// Leaflet.VectorGrid still calls DomEvent.fakeStop, which Leaflet 1.8 removed
+if (!L.DomEvent.fakeStop) {
+  L.DomEvent.fakeStop = L.DomEvent.stop;
+}
+
 const MapWrapper = styled.div`
   height: 100%;
-  width: 100%;
+  flex: 1;
+  min-width: 0;
   position: relative;
 `;
 
@@ -60,166 +78,191 @@ const LoadingOverlay = styled.div`
   color: #333;
 `;
 
-const RoadLayer = ({ roads }) => {
-  const getPavementTypeColor = (surfType, surface) => {
-    // Handle OSM surface types first
-    if (surface) {
-      switch (surface.toLowerCase()) {
-        case 'asphalt':
-        case 'paved':
-          return '#2E8B57'; // Sea Green for asphalt
-        case 'concrete':
-          return '#708090'; // Slate Gray for concrete
-        case 'gravel':
-        case 'unpaved':
-          return '#CD853F'; // Peru for gravel/unpaved
-        case 'dirt':
-          return '#8B4513'; // Saddle Brown for dirt
-        case 'paving_stones':
-        case 'cobblestone':
-          return '#A0522D'; // Sienna for stone
-        case 'grass':
-          return '#228B22'; // Forest Green for grass
-        default:
-          return '#696969'; // Dim Gray for unknown
-      }
-    }
-    
-    // Fallback to CSV surface type classification
-    switch (surfType) {
-      case '52': // Asphalt
-        return '#2E8B57'; // Sea Green
-      case '61': // Concrete
-        return '#708090'; // Slate Gray
-      case '62': // Composite
-        return '#FF6347'; // Tomato
-      case '63': // Gravel
-        return '#CD853F'; // Peru
-      case '64': // Dirt
-        return '#8B4513'; // Saddle Brown
+const getRoadWeight = (facType, laneCnt, highway, lanes) => {
+  // Handle OSM highway types first
+  if (highway) {
+    const laneCount = lanes || laneCnt || 1;
+    switch (highway) {
+      case 'motorway':
+      case 'motorway_link':
+        return Math.max(4, laneCount * 0.8); // Thickest for interstates
+      case 'trunk':
+      case 'trunk_link':
+        return Math.max(3.5, laneCount * 0.7); // Thick for US routes
+      case 'primary':
+      case 'primary_link':
+        return Math.max(3, laneCount * 0.6); // Medium-thick for state routes
+      case 'secondary':
+      case 'secondary_link':
+        return Math.max(2.5, laneCount * 0.5); // Medium for county routes
+      case 'tertiary':
+      case 'tertiary_link':
+        return Math.max(2, laneCount * 0.4); // Thin for local roads
+      case 'residential':
+      case 'unclassified':
+        return Math.max(1.5, laneCount * 0.3); // Thinnest for residential
       default:
-        return '#696969'; // Dim Gray for unknown
+        return Math.max(1, laneCount * 0.2);
     }
-  };
-
-  const getRoadWeight = (facType, laneCnt, highway, lanes) => {
-    // Handle OSM highway types first
-    if (highway) {
-      const laneCount = lanes || laneCnt || 1;
-      switch (highway) {
-        case 'motorway':
-        case 'motorway_link':
-          return Math.max(4, laneCount * 0.8); // Thickest for interstates
-        case 'trunk':
-        case 'trunk_link':
-          return Math.max(3.5, laneCount * 0.7); // Thick for US routes
-        case 'primary':
-        case 'primary_link':
-          return Math.max(3, laneCount * 0.6); // Medium-thick for state routes
-        case 'secondary':
-        case 'secondary_link':
-          return Math.max(2.5, laneCount * 0.5); // Medium for county routes
-        case 'tertiary':
-        case 'tertiary_link':
-          return Math.max(2, laneCount * 0.4); // Thin for local roads
-        case 'residential':
-        case 'unclassified':
-          return Math.max(1.5, laneCount * 0.3); // Thinnest for residential
-        default:
-          return Math.max(1, laneCount * 0.2);
-      }
-    }
-    
-    // Fallback to CSV facility type classification
-    switch (facType) {
-      case '1': // Interstate
-        return Math.max(3, laneCnt * 0.8);
-      case '2': // US Route
-        return Math.max(2.5, laneCnt * 0.7);
-      case '3': // State Route
-        return Math.max(2, laneCnt * 0.6);
-      case '4': // County Route
-        return Math.max(1.5, laneCnt * 0.5);
-      case '5': // Local Road
-        return Math.max(1, laneCnt * 0.4);
-      default:
-        return Math.max(1, laneCnt * 0.3);
-    }
-  };
+  }
+  
+  // Fallback to CSV facility type classification
+  switch (facType) {
+    case '1': // Interstate
+      return Math.max(3, laneCnt * 0.8);
+    case '2': // US Route
+      return Math.max(2.5, laneCnt * 0.7);
+    case '3': // State Route
+      return Math.max(2, laneCnt * 0.6);
+    case '4': // County Route
+      return Math.max(1.5, laneCnt * 0.5);
+    case '5': // Local Road
+      return Math.max(1, laneCnt * 0.4);
+    default:
+      return Math.max(1, laneCnt * 0.3);
+  }
+};
 
-  return (
-    <>
-      {roads.map((road, index) => {
-        if (!road.x_value_bgn || !road.y_value_bgn || !road.x_value_end || !road.y_value_end) {
-          return null;
-        }
+const baseStyle = (properties) => ({
+  weight: getRoadWeight(properties.fac_type, properties.lane_cnt || 0, properties.highway, properties.lanes),
+  opacity: 0.9,
+  lineCap: 'round',
+  lineJoin: 'round'
+});
 
-        const color = getPavementTypeColor(road.surf_type, road.surface);
-        const weight = getRoadWeight(road.fac_type, road.lane_cnt, road.highway, road.lanes);
-
-        return (
-          <Polyline
-            key={index}
-            positions={[
-              [road.y_value_bgn, road.x_value_bgn],
-              [road.y_value_end, road.x_value_end]
-            ]}
-            color={color}
-            weight={weight}
-            opacity={0.9}
-            lineCap="round"
-            lineJoin="round"
-          >
-            <Popup>
-              <div>
-                <h3>{road.street_name || road.name || 'Unnamed Road'}</h3>
-                <p><strong>Surface Type:</strong> {getSurfaceTypeName(road.surf_type) || road.surface || 'N/A'}</p>
-                <p><strong>Route:</strong> {road.traf_rt_no || road.ref || 'N/A'}</p>
-                <p><strong>Facility Type:</strong> {getFacilityTypeName(road.fac_type) || road.highway || 'N/A'}</p>
-                <p><strong>Condition Index:</strong> {road.rough_indx || 'N/A'}</p>
-                <p><strong>Traffic (AADT):</strong> {road.cur_aadt || 'N/A'}</p>
-                <p><strong>Length:</strong> {
-                  road.segment_miles ? 
-                    (typeof road.segment_miles === 'number' ? road.segment_miles.toFixed(2) : road.segment_miles) + ' miles' :
-                  road.length_meters ? 
-                    (typeof road.length_meters === 'number' ? (road.length_meters * 0.000621371).toFixed(2) : road.length_meters) + ' miles' :
-                  'N/A'
-                }</p>
-                <p><strong>Lanes:</strong> {road.lane_cnt || road.lanes || 'N/A'}</p>
-                <p><strong>District:</strong> {road.district_no || road.county || 'N/A'}</p>
-                {road.state && <p><strong>State:</strong> {road.state}</p>}
-              </div>
-            </Popup>
-          </Polyline>
-        );
-      })}
-    </>
-  );
-};
+// Roads colored by the active style mode (see utils/thematicStyles)
+const themeStyle = (theme) => (properties) => ({
+  ...baseStyle(properties),
+  color: theme.getColor(properties)
+});
+
+// Segments colored by their first treatment in the active work plan, with
+// untreated segments faded so the work stands out
+const treatmentStyle = (properties) => ({
+  ...baseStyle(properties),
+  color: getTreatmentColor(properties.treatment),
+  opacity: properties.treatment ? 0.9 : 0.5
+});
 
-// Helper functions for display names
-const getFacilityTypeName = (facType) => {
-  const types = {
-    '1': 'Interstate',
-    '2': 'US Route',
-    '3': 'State Route',
-    '4': 'County Route',
-    '5': 'Local Road'
-  };
-  return types[facType] || 'Unknown';
+// Segments colored by how their IRI moved since the compared survey
+const changeStyle = (properties) => ({
+  ...baseStyle(properties),
+  color: CHANGE_CLASSES[getChangeClass(properties)].color
+});
+
+const SELECTED_ROAD_STYLE = {
+  color: '#00BFFF',
+  weight: 7,
+  opacity: 1,
+  lineCap: 'round',
+  lineJoin: 'round'
 };
 
-const getSurfaceTypeName = (surfType) => {
-  const types = {
-    '52': 'Asphalt',
-    '61': 'Concrete',
-    '62': 'Composite',
-    '63': 'Gravel',
-    '64': 'Dirt'
-  };
-  return types[surfType] || 'Unknown';
+const RoadPopup = ({ position, road, onClose }) => (
+  <Popup position={position} eventHandlers={{ remove: onClose }}>
+    <div>
+      <h3>{road.street_name || road.name || 'Unnamed Road'}</h3>
+      <p><strong>Surface Type:</strong> {getSurfaceTypeName(road.surf_type) || road.surface || 'N/A'}</p>
+      <p><strong>Route:</strong> {road.traf_rt_no || road.ref || 'N/A'}</p>
+      <p><strong>Facility Type:</strong> {getFacilityTypeName(road.fac_type) || road.highway || 'N/A'}</p>
+      <p><strong>Condition Index:</strong> {road.rough_indx || 'N/A'}</p>
+      <p><strong>Traffic (AADT):</strong> {road.cur_aadt || 'N/A'}</p>
+      <p><strong>Length:</strong> {
+        road.segment_miles ?
+          Number(road.segment_miles).toFixed(2) + ' miles' :
+        road.length_meters ?
+          (Number(road.length_meters) * 0.000621371).toFixed(2) + ' miles' :
+        'N/A'
+      }</p>
+      <p><strong>Lanes:</strong> {road.lane_cnt || road.lanes || 'N/A'}</p>
+      <p><strong>District:</strong> {road.district_no || road.county || 'N/A'}</p>
+      {road.state && <p><strong>State:</strong> {road.state}</p>}
+    </div>
+  </Popup>
+);
+
+// Popup for the selected OSM road, opened from a click or restored from the
+// URL. State road segments open in the detail drawer instead.
+const SelectedRoadPopup = () => {
+  const { selectedRoad, selectedRoadDetails, setSelectedRoad } = useRoadData();
+
+  // A new position array would reopen the popup, so keep it stable
+  const position = useMemo(() => (
+    selectedRoadDetails && selectedRoadDetails.center_lat !== null
+      ? [Number(selectedRoadDetails.center_lat), Number(selectedRoadDetails.center_lng)]
+      : null
+  ), [selectedRoadDetails]);
+
+  if (!selectedRoad || selectedRoad.layer !== 'osm' || !position) {
+    return null;
+  }
+
+  // Closing an old popup must not clear a newer selection
+  const onClose = () => setSelectedRoad(current => (
+    current && current.layer === selectedRoad.layer && current.id === selectedRoad.id ? null : current
+  ));
+
+  return (
+    <RoadPopup
+      key={`${selectedRoad.layer}:${selectedRoad.id}`}
+      position={position}
+      road={selectedRoadDetails}
+      onClose={onClose}
+    />
+  );
 };
 
+// Draws road segments ('segments') or OSM roads ('osm') from the server's
+// vector tiles on a canvas, instead of one React element per road
+const RoadTileLayer = ({ layer, params = {}, getStyle }) => {
+  const map = useMap();
+  const { setLoading, selectedRoad, setSelectedRoad, drawMode } = useRoadData();
+  const [tiles, setTiles] = useState(null);
+
+  // Clicks place vertices while a selection is being drawn
+  const drawing = useRef(false);
+  drawing.current = Boolean(drawMode);
+
+  const query = new URLSearchParams(params).toString();
+
+  useEffect(() => {
+    const url = `/api/tiles/${layer}/{z}/{x}/{y}.mvt${query ? `?${query}` : ''}`;
+    const tileLayer = L.vectorGrid.protobuf(url, {
+      rendererFactory: L.canvas.tile,
+      interactive: true,
+      maxNativeZoom: 16,
+      getFeatureId: (feature) => feature.properties.id,
+      vectorTileLayerStyles: {
+        [layer]: getStyle
+      }
+    });
+
+    tileLayer.on('loading', () => setLoading(true));
+    tileLayer.on('load', () => setLoading(false));
+    tileLayer.on('click', (e) => {
+      if (drawing.current) return;
+      setSelectedRoad({ layer, id: e.layer.properties.id });
+    });
+
+    tileLayer.addTo(map);
+    setTiles(tileLayer);
+
+    return () => {
+      map.removeLayer(tileLayer);
+      setLoading(false);
+    };
+  }, [map, layer, query, getStyle, setLoading, setSelectedRoad]);
+
+  const selectedId = selectedRoad && selectedRoad.layer === layer ? selectedRoad.id : null;
+
+  useEffect(() => {
+    if (!tiles || selectedId === null) return undefined;
+    tiles.setFeatureStyle(selectedId, SELECTED_ROAD_STYLE);
+    return () => tiles.resetFeatureStyle(selectedId);
+  }, [tiles, selectedId]);
+
+  return null;
+};
 
 // Geocoder Control Component
 const GeocoderControl = () => {
@@ -266,16 +309,126 @@ const GeocoderControl = () => {
   return null;
 };
 
+// Reports the visible bounds and zoom after the map settles, debounced so a
+// drag or a burst of scroll-wheel zooms only triggers one reload
+const ViewportWatcher = ({ onChange, delay = 300 }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    let timer = null;
+
+    const emit = () => {
+      const center = map.getCenter();
+      onChange({
+        bbox: map.getBounds().toBBoxString(),
+        zoom: map.getZoom(),
+        center: [center.lat, center.lng]
+      });
+    };
+
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(emit, delay);
+    };
+
+    map.on('moveend zoomend', schedule);
+    emit();
+
+    return () => {
+      clearTimeout(timer);
+      map.off('moveend zoomend', schedule);
+    };
+  }, [map, onChange, delay]);
+
+  return null;
+};
+
+// Moves the map when the requested view changes, e.g. on browser back/forward
+// or to a search result's extent
+const MapViewController = ({ view }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (view.bounds) {
+      map.fitBounds(view.bounds, { maxZoom: 16, padding: [20, 20] });
+      return;
+    }
+    const current = map.getCenter();
+    const [lat, lng] = view.center;
+    if (map.getZoom() !== view.zoom || Math.abs(current.lat - lat) > 1e-5 || Math.abs(current.lng - lng) > 1e-5) {
+      map.setView(view.center, view.zoom);
+    }
+  }, [map, view]);
+
+  return null;
+};
+
+// Leaflet only listens for window resizes; the map also changes size when
+// the statistics panel is collapsed or expanded
+const MapResizer = () => {
+  const map = useMap();
+
+  useEffect(() => {
+    const observer = new ResizeObserver(() => map.invalidateSize());
+    observer.observe(map.getContainer());
+    return () => observer.disconnect();
+  }, [map]);
+
+  return null;
+};
+
 const MapComponent = () => {
-  const { roads, loading } = useRoadData();
+  const {
+    loading,
+    dataSource,
+    viewport,
+    setViewport,
+    requestedView,
+    heatmapType,
+    sourceParams,
+    filterParams,
+    workPlanId,
+    workPlan,
+    compareYear,
+    styleMode,
+    classBreaks
+  } = useRoadData();
+  const canExport = useAuth().can('analyst');
+
+  const showChange = dataSource === 'csv' && compareYear;
+  const showPlan = dataSource === 'csv' && workPlanId && !showChange;
+  const themeMode = dataSource === 'csv' ? styleMode : 'surface';
+  const segmentParams = useMemo(() => {
+    const params = { ...sourceParams, ...filterParams };
+    if (showChange) return { ...params, compare: compareYear };
+    if (showPlan) return { ...params, plan: workPlanId };
+    if (STYLE_MODES[themeMode].themeColumns) return { ...params, theme: themeMode };
+    return params;
+  }, [showChange, showPlan, sourceParams, filterParams, compareYear, workPlanId, themeMode]);
+
+  const theme = useMemo(() => buildTheme(themeMode, classBreaks), [themeMode, classBreaks]);
+  const roadStyle = useMemo(() => themeStyle(theme), [theme]);
+
+  let segmentStyle = roadStyle;
+  let legend = theme;
+  if (showChange) {
+    segmentStyle = changeStyle;
+    legend = { title: `IRI Change Since ${compareYear}`, items: Object.values(CHANGE_CLASSES) };
+  } else if (showPlan) {
+    segmentStyle = treatmentStyle;
+    legend = {
+      title: (workPlan && workPlan.name) || 'Work Plan',
+      items: [...Object.values(TREATMENTS), { label: 'No treatment', color: UNTREATED_COLOR }]
+    };
+  }
 
   return (
     <MapWrapper>
-      {loading && <LoadingOverlay>Loading road data...</LoadingOverlay>}
+      {loading && !viewport && <LoadingOverlay>Loading road data...</LoadingOverlay>}
       
       <MapContainer
-        center={[40.5, -77.5]}
-        zoom={7}
+        center={requestedView.center}
+        zoom={requestedView.zoom}
         style={{ height: '100%', width: '100%' }}
         zoomControl={true}
         scrollWheelZoom={true}
@@ -289,39 +442,36 @@ const MapComponent = () => {
         />
         
         <GeocoderControl />
-        <RoadLayer roads={roads} />
+        <MapResizer />
+        <MapViewController view={requestedView} />
+        <ViewportWatcher onChange={setViewport} />
+        {dataSource === 'csv'
+          ? <RoadTileLayer
+              layer="segments"
+              params={segmentParams}
+              getStyle={segmentStyle}
+            />
+          : <RoadTileLayer layer="osm" params={sourceParams} getStyle={roadStyle} />}
+        {heatmapType && <HeatmapLayer />}
+        <SelectionLayer />
+        <RouteLayer />
+        <RoadSearchLayer />
+        <ObservationLayer />
+        <SelectedRoadPopup />
       </MapContainer>
 
+      <HeatmapControl />
+      {canExport && <ExportControl />}
+      <RoadSearchBox />
+
       <Legend>
-        <h4>Pavement Types</h4>
-        <LegendItem>
-          <LegendColor style={{ background: '#2E8B57' }} />
-          <span>Asphalt/Paved</span>
-        </LegendItem>
-        <LegendItem>
-          <LegendColor style={{ background: '#708090' }} />
-          <span>Concrete</span>
-        </LegendItem>
-        <LegendItem>
-          <LegendColor style={{ background: '#FF6347' }} />
-          <span>Composite</span>
-        </LegendItem>
-        <LegendItem>
-          <LegendColor style={{ background: '#CD853F' }} />
-          <span>Gravel/Unpaved</span>
-        </LegendItem>
-        <LegendItem>
-          <LegendColor style={{ background: '#8B4513' }} />
-          <span>Dirt</span>
-        </LegendItem>
-        <LegendItem>
-          <LegendColor style={{ background: '#A0522D' }} />
-          <span>Stone/Cobblestone</span>
-        </LegendItem>
-        <LegendItem>
-          <LegendColor style={{ background: '#696969' }} />
-          <span>Unknown/Other</span>
-        </LegendItem>
+        <h4>{legend.title}</h4>
+        {legend.items.map(item => (
+          <LegendItem key={item.label}>
+            <LegendColor style={{ background: item.color }} />
+            <span>{item.label}</span>
+          </LegendItem>
+        ))}
       </Legend>
     </MapWrapper>
   );
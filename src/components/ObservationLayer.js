@@ -0,0 +1,91 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { useRoadData } from '../context/RoadDataContext';
+import { OBSERVATION_CATEGORIES, OBSERVATION_STATUSES, observationColor } from '../utils/observations';
+
+const markerStyle = (observation, selected) => ({
+  radius: selected ? 9 : 6,
+  color: selected ? '#00BFFF' : 'white',
+  weight: selected ? 3 : 1.5,
+  fillColor: observationColor(observation),
+  fillOpacity: 0.95,
+  // Keep marker clicks from reaching the map, where they would place a
+  // new report
+  bubblingMouseEvents: false
+});
+
+const markerTooltip = observation => [
+  OBSERVATION_CATEGORIES[observation.category],
+  OBSERVATION_STATUSES[observation.status] && OBSERVATION_STATUSES[observation.status].label,
+  observation.road_name
+].filter(Boolean).join(' · ');
+
+const NEW_POINT_STYLE = {
+  radius: 8,
+  color: '#333',
+  weight: 2,
+  dashArray: '3 3',
+  fillColor: 'white',
+  fillOpacity: 0.8,
+  interactive: false
+};
+
+// Field reports in view, colored by severity (fixed ones in grey). While
+// drawMode is 'observation', clicking the map places a new report.
+const ObservationLayer = () => {
+  const map = useMap();
+  const {
+    drawMode,
+    setDrawMode,
+    observations,
+    selectedObservationId,
+    setSelectedObservationId,
+    newObservationPoint,
+    addObservationPoint
+  } = useRoadData();
+  const picking = drawMode === 'observation';
+
+  useEffect(() => {
+    if (!picking) return undefined;
+
+    const container = map.getContainer();
+    const onClick = (e) => addObservationPoint({ lat: e.latlng.lat, lng: e.latlng.lng });
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setDrawMode(null);
+    };
+
+    container.style.cursor = 'crosshair';
+    map.on('click', onClick);
+    document.addEventListener('keydown', onKeyDown);
+
+    return () => {
+      container.style.cursor = '';
+      map.off('click', onClick);
+      document.removeEventListener('keydown', onKeyDown);
+    };
+  }, [map, picking, addObservationPoint, setDrawMode]);
+
+  useEffect(() => {
+    const markers = observations.map((observation) => {
+      const selected = observation.id === selectedObservationId;
+      const marker = L.circleMarker([observation.lat, observation.lng], markerStyle(observation, selected))
+        .bindTooltip(markerTooltip(observation))
+        .on('click', () => setSelectedObservationId(observation.id))
+        .addTo(map);
+      if (selected) marker.bringToFront();
+      return marker;
+    });
+    return () => markers.forEach(marker => map.removeLayer(marker));
+  }, [map, observations, selectedObservationId, setSelectedObservationId]);
+
+  useEffect(() => {
+    if (!newObservationPoint) return undefined;
+    const marker = L.circleMarker([newObservationPoint.lat, newObservationPoint.lng], NEW_POINT_STYLE).addTo(map);
+    return () => map.removeLayer(marker);
+  }, [map, newObservationPoint]);
+
+  return null;
+};
+
+export default ObservationLayer;
@@ -0,0 +1,393 @@
+import React, { useEffect, useState } from 'react';
+import styled from 'styled-components';
+import { useRoadData } from '../context/RoadDataContext';
+import { useAuth } from '../context/AuthContext';
+import {
+  OBSERVATION_CATEGORIES,
+  OBSERVATION_SEVERITIES,
+  OBSERVATION_STATUSES,
+  OBSERVATION_FILTERS,
+  observationColor
+} from '../utils/observations';
+import { Section, SectionTitle, formatNumber } from './PanelSection';
+
+// The photo types the server accepts
+const PHOTO_ACCEPT = 'image/jpeg,image/png,image/webp,image/heic';
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 8px;
+  font-size: 12px;
+  color: #555;
+
+  select, input[type='text'] {
+    flex: 1;
+    min-width: 0;
+    font-size: 13px;
+    padding: 4px;
+  }
+`;
+
+const Form = styled.form`
+  display: flex;
+  flex-direction: column;
+  gap: 6px;
+  margin-bottom: 8px;
+  font-size: 12px;
+  color: #555;
+
+  select, input[type='text'], textarea {
+    font-size: 13px;
+    padding: 4px;
+  }
+
+  textarea {
+    resize: vertical;
+    min-height: 54px;
+  }
+`;
+
+const Button = styled.button`
+  border: 1px solid ${props => (props.$active ? '#a50026' : '#ccc')};
+  background: ${props => (props.$active ? '#fbeaea' : 'white')};
+  border-radius: 4px;
+  padding: 6px 10px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:disabled {
+    cursor: default;
+    color: #aaa;
+  }
+`;
+
+const Hint = styled.p`
+  font-size: 11px;
+  color: #777;
+  margin-bottom: 8px;
+`;
+
+const ErrorMessage = styled.p`
+  font-size: 12px;
+  color: #c0392b;
+  margin-top: 6px;
+`;
+
+const Details = styled.div`
+  border: 1px solid #eee;
+  border-radius: 6px;
+  padding: 10px;
+  margin-bottom: 10px;
+  font-size: 12px;
+  color: #555;
+
+  p {
+    margin-bottom: 6px;
+  }
+`;
+
+const DetailTitle = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  font-size: 14px;
+  font-weight: 600;
+  color: #333;
+  margin-bottom: 4px;
+`;
+
+const Dot = styled.span`
+  display: inline-block;
+  width: 10px;
+  height: 10px;
+  border-radius: 50%;
+  background: ${props => props.$color};
+`;
+
+const Photos = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+  margin-bottom: 6px;
+`;
+
+const Photo = styled.div`
+  position: relative;
+
+  img {
+    width: 72px;
+    height: 72px;
+    object-fit: cover;
+    border-radius: 4px;
+    display: block;
+  }
+
+  button {
+    position: absolute;
+    top: 2px;
+    right: 2px;
+    border: none;
+    border-radius: 50%;
+    background: rgba(0,0,0,0.55);
+    color: white;
+    font-size: 10px;
+    width: 18px;
+    height: 18px;
+    cursor: pointer;
+  }
+`;
+
+const ReportList = styled.ul`
+  list-style: none;
+  font-size: 12px;
+  max-height: 180px;
+  overflow-y: auto;
+
+  li {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 4px 2px;
+    border-bottom: 1px solid #f4f4f4;
+    cursor: pointer;
+  }
+
+  li:hover {
+    background: #f7f9fb;
+  }
+`;
+
+const formatDate = value => (value ? new Date(value).toLocaleDateString() : 'N/A');
+
+const EMPTY_REPORT = { category: 'pothole', severity: 'medium', description: '', reported_by: '' };
+
+// Category, severity and notes for a new report (with photos) or an edit
+const ObservationForm = ({ initial, withPhotos, saving, submitLabel, onSubmit, onCancel }) => {
+  const [fields, setFields] = useState(initial);
+  const [photos, setPhotos] = useState([]);
+  const set = key => e => setFields({ ...fields, [key]: e.target.value });
+
+  return (
+    <Form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit(fields, photos);
+      }}
+    >
+      <select value={fields.category} onChange={set('category')}>
+        {Object.entries(OBSERVATION_CATEGORIES).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <select value={fields.severity} onChange={set('severity')}>
+        {Object.entries(OBSERVATION_SEVERITIES).map(([key, { label }]) => (
+          <option key={key} value={key}>{label} severity</option>
+        ))}
+      </select>
+      <textarea value={fields.description} placeholder="What was found" onChange={set('description')} />
+      <input type="text" value={fields.reported_by} placeholder="Reported by" onChange={set('reported_by')} />
+      {withPhotos && (
+        <label>
+          Photos{' '}
+          <input type="file" accept={PHOTO_ACCEPT} multiple onChange={(e) => setPhotos(e.target.files)} />
+        </label>
+      )}
+      <Row>
+        <Button type="submit" disabled={saving}>{saving ? 'Saving...' : submitLabel}</Button>
+        <Button type="button" onClick={onCancel}>Cancel</Button>
+      </Row>
+    </Form>
+  );
+};
+
+// Potholes, damage and inspection notes reported from the field: add one by
+// clicking the map, review it, and move it from new to fixed
+const ObservationPanel = () => {
+  const {
+    drawMode,
+    setDrawMode,
+    observations,
+    observationFilter,
+    setObservationFilter,
+    setSelectedObservationId,
+    selectedObservation,
+    newObservationPoint,
+    setNewObservationPoint,
+    createObservation,
+    updateObservation,
+    deleteObservation,
+    addObservationPhotos,
+    deleteObservationPhoto,
+    observationError,
+    savingObservation,
+    zoomTo
+  } = useRoadData();
+  // Viewers can review reports; adding and changing them takes an analyst
+  const canEdit = useAuth().can('analyst');
+  const [editing, setEditing] = useState(false);
+  const picking = drawMode === 'observation';
+  const selectedId = selectedObservation && selectedObservation.id;
+
+  useEffect(() => {
+    setEditing(false);
+  }, [selectedId]);
+
+  const report = () => {
+    if (picking) {
+      setDrawMode(null);
+      return;
+    }
+    setNewObservationPoint(null);
+    setDrawMode('observation');
+  };
+
+  const saveEdit = async (fields) => {
+    if (await updateObservation(selectedObservation.id, fields)) {
+      setEditing(false);
+    }
+  };
+
+  const remove = () => {
+    if (window.confirm('Delete this report and its photos?')) {
+      deleteObservation(selectedObservation.id);
+    }
+  };
+
+  const observation = selectedObservation;
+  const status = observation && OBSERVATION_STATUSES[observation.status];
+
+  return (
+    <Section>
+      <SectionTitle>Field reports</SectionTitle>
+      <Row>
+        <select value={observationFilter} onChange={(e) => setObservationFilter(e.target.value)}>
+          {Object.entries(OBSERVATION_FILTERS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        {canEdit && <Button $active={picking} onClick={report}>{picking ? 'Cancel' : 'Report'}</Button>}
+      </Row>
+      {picking && <Hint>Click the road where the problem is. Esc cancels.</Hint>}
+
+      {newObservationPoint && (
+        <>
+          <Hint>New report, snapped to the nearest road when saved.</Hint>
+          <ObservationForm
+            initial={EMPTY_REPORT}
+            withPhotos
+            saving={savingObservation}
+            submitLabel="Save report"
+            onSubmit={createObservation}
+            onCancel={() => setNewObservationPoint(null)}
+          />
+        </>
+      )}
+
+      {observation && !newObservationPoint && (
+        <Details>
+          <DetailTitle>
+            <Dot $color={observationColor(observation)} />
+            {OBSERVATION_CATEGORIES[observation.category] || observation.category}
+          </DetailTitle>
+          <p>
+            {(OBSERVATION_SEVERITIES[observation.severity] || {}).label} severity · {status ? status.label : observation.status}
+            {' '}since {formatDate(observation.status_changed_at)}
+          </p>
+          <p>
+            {observation.road_layer
+              ? `${observation.road_name || 'Unnamed road'} (${observation.road_layer === 'segments' ? 'state road' : 'OSM road'}, ${formatNumber(observation.snap_distance_meters)} m from the report)`
+              : 'Not near a mapped road'}
+          </p>
+          <p>
+            Reported {formatDate(observation.created_at)}{observation.reported_by ? ` by ${observation.reported_by}` : ''}
+          </p>
+
+          {editing
+            ? (
+              <ObservationForm
+                key={observation.id}
+                initial={{
+                  category: observation.category,
+                  severity: observation.severity,
+                  description: observation.description || '',
+                  reported_by: observation.reported_by || ''
+                }}
+                saving={false}
+                submitLabel="Save changes"
+                onSubmit={saveEdit}
+                onCancel={() => setEditing(false)}
+              />
+            )
+            : observation.description && <p>{observation.description}</p>}
+
+          {observation.photos.length > 0 && (
+            <Photos>
+              {observation.photos.map(photo => (
+                <Photo key={photo.id}>
+                  <a href={photo.url} target="_blank" rel="noreferrer">
+                    <img src={photo.url} alt={photo.original_name || 'Observation photo'} />
+                  </a>
+                  {canEdit && (
+                    <button onClick={() => deleteObservationPhoto(observation.id, photo.id)} title="Remove photo">✕</button>
+                  )}
+                </Photo>
+              ))}
+            </Photos>
+          )}
+
+          {canEdit && status && (
+            <Row>
+              {status.next.map(next => (
+                <Button key={next} onClick={() => updateObservation(observation.id, { status: next })}>
+                  {OBSERVATION_STATUSES[next].action}
+                </Button>
+              ))}
+            </Row>
+          )}
+          <Row>
+            <Button onClick={() => zoomTo([observation.lat, observation.lng], 17)}>Zoom to</Button>
+            {canEdit && !editing && <Button onClick={() => setEditing(true)}>Edit</Button>}
+            {canEdit && <Button onClick={remove}>Delete</Button>}
+            <Button onClick={() => setSelectedObservationId(null)}>Close</Button>
+          </Row>
+          {canEdit && (
+            <label>
+              Add photos{' '}
+              <input
+                type="file"
+                accept={PHOTO_ACCEPT}
+                multiple
+                disabled={savingObservation}
+                onChange={(e) => {
+                  if (e.target.files.length) addObservationPhotos(observation.id, e.target.files);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+          )}
+        </Details>
+      )}
+
+      {observations.length > 0
+        ? (
+          <ReportList>
+            {observations.map(item => (
+              <li key={item.id} onClick={() => setSelectedObservationId(item.id)}>
+                <Dot $color={observationColor(item)} />
+                <span>
+                  {OBSERVATION_CATEGORIES[item.category] || item.category}
+                  {item.road_name ? `, ${item.road_name}` : ''} · {formatDate(item.created_at)}
+                </span>
+              </li>
+            ))}
+          </ReportList>
+        )
+        : <Hint>No reports in view.</Hint>}
+      {observationError && <ErrorMessage>{observationError}</ErrorMessage>}
+    </Section>
+  );
+};
+
+export default ObservationPanel;
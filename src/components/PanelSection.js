@@ -0,0 +1,44 @@
+import styled from 'styled-components';
+
+// Building blocks shared by the sections of the statistics panel
+
+export const Section = styled.div`
+  padding: 12px 15px;
+  border-bottom: 1px solid #f0f0f0;
+`;
+
+export const SectionTitle = styled.h3`
+  font-size: 13px;
+  color: #555;
+  margin-bottom: 8px;
+  text-transform: uppercase;
+  letter-spacing: 0.5px;
+`;
+
+export const KpiGrid = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 10px;
+`;
+
+export const Kpi = styled.div`
+  background: #f7f9fb;
+  border-radius: 6px;
+  padding: 10px;
+`;
+
+export const KpiValue = styled.div`
+  font-size: 20px;
+  font-weight: 600;
+  color: #333;
+`;
+
+export const KpiLabel = styled.div`
+  font-size: 11px;
+  color: #777;
+`;
+
+export const formatNumber = (value, digits = 0) =>
+  value === null || value === undefined || Number.isNaN(Number(value))
+    ? 'N/A'
+    : Number(value).toLocaleString(undefined, { maximumFractionDigits: digits });
@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import { useMap } from 'react-leaflet';
+import styled from 'styled-components';
+import { useRoadData } from '../context/RoadDataContext';
+import { useGeoJSONLayer } from './SelectionLayer';
+import { formatNumber } from './PanelSection';
+
+const HIGHLIGHT_STYLE = {
+  color: '#00BFFF',
+  weight: 8,
+  opacity: 0.7,
+  lineCap: 'round',
+  lineJoin: 'round'
+};
+
+const RESULT_TYPES = {
+  county: 'County',
+  segments: 'State road',
+  osm: 'OSM road'
+};
+
+const SEARCH_DELAY_MS = 250;
+
+// Outlines the roads of the search result picked
+const RoadSearchLayer = () => {
+  const map = useMap();
+  const { searchGeometry } = useRoadData();
+
+  useGeoJSONLayer(map, searchGeometry, HIGHLIGHT_STYLE);
+
+  return null;
+};
+
+const SearchContainer = styled.div`
+  position: absolute;
+  top: 10px;
+  left: 54px;
+  z-index: 1000;
+  width: 300px;
+  font-size: 13px;
+`;
+
+const SearchInput = styled.div`
+  display: flex;
+  background: white;
+  border-radius: 4px;
+  box-shadow: 0 1px 5px rgba(0,0,0,0.25);
+
+  input {
+    flex: 1;
+    min-width: 0;
+    border: none;
+    border-radius: 4px;
+    padding: 8px 10px;
+    font-size: 13px;
+  }
+
+  button {
+    border: none;
+    background: none;
+    cursor: pointer;
+    color: #666;
+    padding: 0 10px;
+  }
+`;
+
+const Results = styled.ul`
+  list-style: none;
+  margin-top: 4px;
+  background: white;
+  border-radius: 4px;
+  box-shadow: 0 1px 5px rgba(0,0,0,0.25);
+  max-height: 320px;
+  overflow-y: auto;
+`;
+
+const Result = styled.li`
+  padding: 6px 10px;
+  cursor: pointer;
+  background: ${props => (props.$active ? '#eef7fd' : 'white')};
+  border-bottom: 1px solid #f4f4f4;
+`;
+
+const ResultName = styled.div`
+  color: #333;
+`;
+
+const ResultDetail = styled.div`
+  font-size: 11px;
+  color: #777;
+`;
+
+const resultName = result => [result.ref, result.name].filter(Boolean).join(' ') || 'Unnamed road';
+
+const resultDetail = result => [
+  RESULT_TYPES[result.type],
+  result.type !== 'county' && result.county && `${result.county} County`,
+  `${formatNumber(result.miles, 1)} mi`,
+  result.type === 'county' ? `${formatNumber(result.count)} segments` : null
+].filter(Boolean).join(' · ');
+
+// Search box for state roads, OSM roads and counties by name, route number
+// and county. Picking a result zooms to it and outlines its roads.
+export const RoadSearchBox = () => {
+  const { searchResults, searchRoads, searchResult, showSearchResult } = useRoadData();
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+
+  useEffect(() => {
+    const timer = setTimeout(() => searchRoads(query), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, searchRoads]);
+
+  useEffect(() => {
+    setActive(0);
+  }, [searchResults]);
+
+  const pick = (result) => {
+    showSearchResult(result);
+    setQuery(resultName(result));
+    setOpen(false);
+  };
+
+  const clear = () => {
+    setQuery('');
+    showSearchResult(null);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setOpen(true);
+      setActive(index => Math.min(index + 1, searchResults.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(index => Math.max(index - 1, 0));
+    } else if (e.key === 'Enter' && open && searchResults[active]) {
+      pick(searchResults[active]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <SearchContainer>
+      <SearchInput>
+        <input
+          type="search"
+          value={query}
+          placeholder="Search roads, routes, counties..."
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={onKeyDown}
+        />
+        {(query || searchResult) && <button onClick={clear} title="Clear search">✕</button>}
+      </SearchInput>
+      {open && query.trim().length >= 2 && searchResults.length > 0 && (
+        <Results>
+          {searchResults.map((result, index) => (
+            <Result
+              key={`${result.type}:${index}`}
+              $active={index === active}
+              // Picked on mousedown, before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                pick(result);
+              }}
+              onMouseEnter={() => setActive(index)}
+            >
+              <ResultName>{resultName(result)}</ResultName>
+              <ResultDetail>{resultDetail(result)}</ResultDetail>
+            </Result>
+          ))}
+        </Results>
+      )}
+    </SearchContainer>
+  );
+};
+
+export default RoadSearchLayer;
@@ -0,0 +1,61 @@
+import { useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { useRoadData } from '../context/RoadDataContext';
+import { useGeoJSONLayer } from './SelectionLayer';
+
+const ROUTE_STYLE = {
+  color: '#6a3d9a',
+  weight: 6,
+  opacity: 0.8,
+  interactive: false
+};
+
+const END_STYLE = {
+  radius: 7,
+  color: 'white',
+  weight: 2,
+  fillColor: '#6a3d9a',
+  fillOpacity: 1,
+  interactive: false
+};
+
+// Route ends picked by clicking the map, and the route found between them
+const RouteLayer = () => {
+  const map = useMap();
+  const { drawMode, setDrawMode, routeEnds, addRoutePoint, route } = useRoadData();
+  const picking = drawMode === 'route';
+
+  useEffect(() => {
+    if (!picking) return undefined;
+
+    const container = map.getContainer();
+    const onClick = (e) => addRoutePoint({ lat: e.latlng.lat, lng: e.latlng.lng });
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') setDrawMode(null);
+    };
+
+    container.style.cursor = 'crosshair';
+    map.on('click', onClick);
+    document.addEventListener('keydown', onKeyDown);
+
+    return () => {
+      container.style.cursor = '';
+      map.off('click', onClick);
+      document.removeEventListener('keydown', onKeyDown);
+    };
+  }, [map, picking, addRoutePoint, setDrawMode]);
+
+  useEffect(() => {
+    const markers = [routeEnds.from, routeEnds.to]
+      .filter(Boolean)
+      .map(point => L.circleMarker([point.lat, point.lng], END_STYLE).addTo(map));
+    return () => markers.forEach(marker => map.removeLayer(marker));
+  }, [map, routeEnds]);
+
+  useGeoJSONLayer(map, route && route.geometry, ROUTE_STYLE);
+
+  return null;
+};
+
+export default RouteLayer;
@@ -0,0 +1,153 @@
+import React from 'react';
+import styled from 'styled-components';
+import { useRoadData } from '../context/RoadDataContext';
+import {
+  Section,
+  SectionTitle,
+  KpiGrid,
+  Kpi,
+  KpiValue,
+  KpiLabel,
+  formatNumber
+} from './PanelSection';
+
+const ROUTE_WEIGHTS = {
+  time: 'Fastest',
+  distance: 'Shortest',
+  smooth: 'Smoothest pavement'
+};
+
+const METERS_PER_MILE = 1609.344;
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 8px;
+  font-size: 12px;
+  color: #555;
+
+  select {
+    flex: 1;
+    font-size: 13px;
+    padding: 4px;
+  }
+`;
+
+const Button = styled.button`
+  border: 1px solid ${props => (props.$active ? '#6a3d9a' : '#ccc')};
+  background: ${props => (props.$active ? '#f0e8f7' : 'white')};
+  border-radius: 4px;
+  padding: 6px 10px;
+  font-size: 13px;
+  cursor: pointer;
+`;
+
+const Hint = styled.p`
+  font-size: 11px;
+  color: #777;
+  margin-bottom: 8px;
+`;
+
+const ErrorMessage = styled.p`
+  font-size: 12px;
+  color: #c0392b;
+  margin-top: 6px;
+`;
+
+const Steps = styled.ol`
+  margin: 10px 0 0 18px;
+  font-size: 12px;
+  color: #555;
+  max-height: 160px;
+  overflow-y: auto;
+
+  li {
+    margin-bottom: 2px;
+  }
+`;
+
+const formatMinutes = seconds => {
+  const minutes = Math.round(seconds / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+};
+
+const stepName = step => [step.ref, step.name].filter(Boolean).join(' ') || 'Unnamed road';
+
+// Route between two points picked on the map over the OSM road network,
+// fastest, shortest or over the smoothest surveyed pavement
+const RoutePanel = () => {
+  const {
+    drawMode,
+    setDrawMode,
+    routeEnds,
+    clearRoute,
+    routeWeight,
+    setRouteWeight,
+    route,
+    routeError,
+    routing
+  } = useRoadData();
+  const picking = drawMode === 'route';
+
+  const pick = () => {
+    if (picking) {
+      setDrawMode(null);
+      return;
+    }
+    clearRoute();
+    setDrawMode('route');
+  };
+
+  return (
+    <Section>
+      <SectionTitle>Route</SectionTitle>
+      <Row>
+        <select value={routeWeight} onChange={(e) => setRouteWeight(e.target.value)}>
+          {Object.entries(ROUTE_WEIGHTS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <Button $active={picking} onClick={pick}>{picking ? 'Cancel' : 'Pick points'}</Button>
+        {(routeEnds.from || route) && <Button onClick={clearRoute}>Clear</Button>}
+      </Row>
+      {picking && (
+        <Hint>Click the {routeEnds.from ? 'end' : 'start'} of the route on the map. Esc cancels.</Hint>
+      )}
+      {routing && <Hint>Finding route...</Hint>}
+
+      {route && (
+        <>
+          <KpiGrid>
+            <Kpi>
+              <KpiValue>{formatNumber(route.distance_meters / METERS_PER_MILE, 1)}</KpiValue>
+              <KpiLabel>Miles</KpiLabel>
+            </Kpi>
+            <Kpi>
+              <KpiValue>{formatMinutes(route.duration_seconds)}</KpiValue>
+              <KpiLabel>Drive time</KpiLabel>
+            </Kpi>
+            <Kpi>
+              <KpiValue>{formatNumber(route.avg_iri)}</KpiValue>
+              <KpiLabel>Avg IRI where surveyed</KpiLabel>
+            </Kpi>
+            <Kpi>
+              <KpiValue>{formatNumber(route.measured_share * 100)}%</KpiValue>
+              <KpiLabel>Of the route surveyed</KpiLabel>
+            </Kpi>
+          </KpiGrid>
+          <Steps>
+            {route.steps.map((step, index) => (
+              <li key={index}>
+                {stepName(step)}, {formatNumber(step.distance_meters / METERS_PER_MILE, 1)} mi
+              </li>
+            ))}
+          </Steps>
+        </>
+      )}
+      {routeError && <ErrorMessage>{routeError}</ErrorMessage>}
+    </Section>
+  );
+};
+
+export default RoutePanel;
@@ -0,0 +1,312 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import styled from 'styled-components';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip
+} from 'recharts';
+import { useRoadData } from '../context/RoadDataContext';
+import { groupSegmentAttributes, attributesToText } from '../utils/segmentAttributes';
+import { Section, SectionTitle, formatNumber } from './PanelSection';
+
+const Drawer = styled.div`
+  width: 340px;
+  flex-shrink: 0;
+  background: white;
+  border-left: 1px solid #ddd;
+  box-shadow: -2px 0 4px rgba(0,0,0,0.05);
+  overflow-y: auto;
+`;
+
+const DrawerHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: flex-start;
+  gap: 8px;
+  padding: 12px 15px;
+  border-bottom: 1px solid #eee;
+`;
+
+const Title = styled.h2`
+  font-size: 16px;
+  color: #333;
+`;
+
+const Subtitle = styled.div`
+  font-size: 12px;
+  color: #777;
+  margin-top: 2px;
+`;
+
+const CloseButton = styled.button`
+  border: none;
+  background: none;
+  cursor: pointer;
+  font-size: 16px;
+  color: #666;
+  padding: 4px;
+`;
+
+const Actions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 6px;
+  padding: 10px 15px;
+  border-bottom: 1px solid #f0f0f0;
+  font-size: 12px;
+  color: #1a9641;
+`;
+
+const Button = styled.button`
+  border: 1px solid #ccc;
+  background: white;
+  border-radius: 4px;
+  padding: 5px 9px;
+  font-size: 12px;
+  cursor: pointer;
+`;
+
+const Message = styled.p`
+  padding: 12px 15px;
+  font-size: 13px;
+  color: #777;
+`;
+
+const Note = styled.p`
+  font-size: 12px;
+  color: #777;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 12px;
+
+  th, td {
+    text-align: left;
+    padding: 3px 4px;
+    border-bottom: 1px solid #f4f4f4;
+  }
+
+  th {
+    color: #777;
+    font-weight: normal;
+  }
+`;
+
+const AttributeList = styled.dl`
+  display: grid;
+  grid-template-columns: minmax(0, 1fr) minmax(0, 1fr);
+  gap: 3px 10px;
+  font-size: 12px;
+
+  dt {
+    color: #777;
+    overflow-wrap: anywhere;
+  }
+
+  dd {
+    color: #333;
+    overflow-wrap: anywhere;
+  }
+`;
+
+const NearbyRow = styled.tr`
+  cursor: ${props => (props.$current ? 'default' : 'pointer')};
+  font-weight: ${props => (props.$current ? 600 : 'normal')};
+  background: ${props => (props.$current ? '#eef7fd' : 'transparent')};
+
+  &:hover {
+    background: #eef7fd;
+  }
+`;
+
+// Share through the system sheet where the browser has one
+const canShare = typeof navigator !== 'undefined' && Boolean(navigator.share);
+
+// navigator.clipboard only exists in secure contexts; the dashboard is often
+// served over plain http on a LAN, where the older copy command still works
+const copyText = (text) => {
+  if (navigator.clipboard) {
+    return navigator.clipboard.writeText(text);
+  }
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  try {
+    return document.execCommand('copy')
+      ? Promise.resolve()
+      : Promise.reject(new Error('The browser refused to copy'));
+  } catch (error) {
+    return Promise.reject(error);
+  } finally {
+    document.body.removeChild(textarea);
+  }
+};
+
+const segmentTitle = segment => segment.street_name || (segment.traf_rt_no && `Route ${segment.traf_rt_no}`) ||
+  `Segment ${segment.seg_no}`;
+
+// Everything known about the state road segment selected on the map: its
+// columns and additional_attrs grouped into sections, the segments around it
+// on the same route, and its condition in each survey loaded
+const SegmentDrawer = () => {
+  const { selectedRoad, setSelectedRoad, selectedRoadDetails, zoomTo } = useRoadData();
+  const [copied, setCopied] = useState(null);
+
+  const open = selectedRoad && selectedRoad.layer === 'segments';
+  const segment = open && selectedRoadDetails && selectedRoadDetails.layer === 'segments' &&
+    selectedRoadDetails.id === selectedRoad.id
+    ? selectedRoadDetails
+    : null;
+
+  const sections = useMemo(() => (segment ? groupSegmentAttributes(segment) : []), [segment]);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(null), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  if (!open) {
+    return null;
+  }
+
+  const copy = (text, what) => {
+    copyText(text)
+      .then(() => setCopied(`${what} copied`))
+      .catch(error => {
+        console.error('Error copying to the clipboard:', error);
+        setCopied('Copy failed');
+      });
+  };
+
+  // The URL already carries the selection (sel=segments:<id>)
+  const share = () => {
+    navigator.share({ title: segmentTitle(segment), url: window.location.href })
+      .catch(error => {
+        if (error.name !== 'AbortError') console.error('Error sharing segment:', error);
+      });
+  };
+
+  const hasCenter = segment && segment.center_lat !== null;
+
+  return (
+    <Drawer>
+      <DrawerHeader>
+        <div>
+          <Title>{segment ? segmentTitle(segment) : 'Road segment'}</Title>
+          {segment && (
+            <Subtitle>
+              SR {segment.st_rt_no} · County {segment.cty_code} · Segment {segment.seg_no}
+            </Subtitle>
+          )}
+        </div>
+        <CloseButton onClick={() => setSelectedRoad(null)} title="Close">✕</CloseButton>
+      </DrawerHeader>
+
+      {!segment && <Message>Loading segment...</Message>}
+
+      {segment && (
+        <>
+          <Actions>
+            {hasCenter && (
+              <Button onClick={() => zoomTo([Number(segment.center_lat), Number(segment.center_lng)])}>
+                Zoom to
+              </Button>
+            )}
+            <Button onClick={() => copy(window.location.href, 'Link')}>Copy link</Button>
+            <Button onClick={() => copy(attributesToText(sections), 'Attributes')}>Copy attributes</Button>
+            {canShare && <Button onClick={share}>Share</Button>}
+            {copied && <span>{copied}</span>}
+          </Actions>
+
+          <Section>
+            <SectionTitle>Condition history</SectionTitle>
+            {segment.history.length === 0
+              ? <Note>No surveys loaded for this segment.</Note>
+              : (
+                <>
+                  {segment.history.length > 1 && (
+                    <ResponsiveContainer width="100%" height={140}>
+                      <LineChart data={segment.history.map(survey => ({ ...survey, rough_indx: Number(survey.rough_indx) }))}>
+                        <XAxis dataKey="survey_year" fontSize={11} />
+                        <YAxis fontSize={11} />
+                        <Tooltip formatter={(value) => formatNumber(value)} />
+                        <Line dataKey="rough_indx" name="IRI" stroke="#4682B4" />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  )}
+                  <Table>
+                    <thead>
+                      <tr><th>Survey</th><th>IRI</th><th>Rating</th><th>Surfaced</th><th>AADT</th></tr>
+                    </thead>
+                    <tbody>
+                      {segment.history.map(survey => (
+                        <tr key={survey.survey_year}>
+                          <td>{survey.label || survey.survey_year}</td>
+                          <td>{formatNumber(survey.rough_indx)}</td>
+                          <td>{survey.iri_rating_text || 'N/A'}</td>
+                          <td>{survey.surface_year || 'N/A'}</td>
+                          <td>{formatNumber(survey.cur_aadt)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </>
+              )}
+          </Section>
+
+          {segment.nearby.length > 1 && (
+            <Section>
+              <SectionTitle>Along SR {segment.st_rt_no}</SectionTitle>
+              <Table>
+                <thead>
+                  <tr><th>Segment</th><th>IRI</th><th>Rating</th><th>Miles</th></tr>
+                </thead>
+                <tbody>
+                  {segment.nearby.map(nearby => (
+                    <NearbyRow
+                      key={nearby.id}
+                      $current={nearby.steps === 0}
+                      onClick={() => nearby.steps !== 0 && setSelectedRoad({ layer: 'segments', id: nearby.id })}
+                    >
+                      <td>{nearby.seg_no}</td>
+                      <td>{formatNumber(nearby.rough_indx)}</td>
+                      <td>{nearby.iri_rating_text || 'N/A'}</td>
+                      <td>{formatNumber(nearby.segment_miles, 2)}</td>
+                    </NearbyRow>
+                  ))}
+                </tbody>
+              </Table>
+            </Section>
+          )}
+
+          {sections.map(section => (
+            <Section key={section.title}>
+              <SectionTitle>{section.title}</SectionTitle>
+              <AttributeList>
+                {section.rows.map(row => (
+                  <React.Fragment key={row.key}>
+                    <dt title={row.key}>{row.label}</dt>
+                    <dd>{row.value}</dd>
+                  </React.Fragment>
+                ))}
+              </AttributeList>
+            </Section>
+          ))}
+        </>
+      )}
+    </Drawer>
+  );
+};
+
+export default SegmentDrawer;
@@ -0,0 +1,129 @@
+import { useCallback, useEffect } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { useRoadData } from '../context/RoadDataContext';
+
+const SELECTION_KINDS = ['polygon', 'rectangle', 'corridor'];
+
+const DRAW_STYLE = {
+  color: '#ff7800',
+  weight: 2,
+  dashArray: '6 4',
+  fill: false,
+  interactive: false
+};
+
+const AREA_STYLE = {
+  color: '#ff7800',
+  weight: 2,
+  fillColor: '#ff7800',
+  fillOpacity: 0.08,
+  interactive: false
+};
+
+// A double click also fires two clicks on the same spot
+const withoutRepeats = points => points.filter((point, i) => i === 0 || !point.equals(points[i - 1]));
+
+// Polygons and corridors take a click per vertex and a double click to
+// finish; rectangles are dragged out. Escape cancels.
+const useDrawing = (map, mode, onFinish, onCancel) => {
+  useEffect(() => {
+    if (!mode) return undefined;
+
+    const container = map.getContainer();
+    const preview = mode === 'rectangle'
+      ? L.rectangle([[0, 0], [0, 0]], DRAW_STYLE)
+      : L.polyline([], DRAW_STYLE);
+    let points = [];
+    let corner = null;
+
+    const redraw = (cursor) => {
+      const latlngs = cursor ? [...points, cursor] : points;
+      preview.setLatLngs(mode === 'polygon' && latlngs.length > 2 ? [...latlngs, latlngs[0]] : latlngs);
+    };
+
+    const finish = () => {
+      points = withoutRepeats(points);
+      if (mode === 'polygon' && points.length >= 3) {
+        onFinish(mode, L.polygon(points).toGeoJSON().geometry);
+      } else if (mode === 'corridor' && points.length >= 2) {
+        onFinish(mode, L.polyline(points).toGeoJSON().geometry);
+      }
+    };
+
+    const handlers = mode === 'rectangle'
+      ? {
+        mousedown: (e) => {
+          corner = e.latlng;
+          preview.setBounds(L.latLngBounds(corner, corner));
+        },
+        mousemove: (e) => {
+          if (corner) preview.setBounds(L.latLngBounds(corner, e.latlng));
+        },
+        mouseup: (e) => {
+          if (!corner) return;
+          const bounds = L.latLngBounds(corner, e.latlng);
+          corner = null;
+          if (!bounds.getNorthWest().equals(bounds.getSouthEast())) {
+            onFinish(mode, L.rectangle(bounds).toGeoJSON().geometry);
+          }
+        }
+      }
+      : {
+        click: (e) => {
+          points.push(e.latlng);
+          redraw();
+        },
+        mousemove: (e) => {
+          if (points.length) redraw(e.latlng);
+        },
+        dblclick: finish
+      };
+
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+
+    preview.addTo(map);
+    container.style.cursor = 'crosshair';
+    map.doubleClickZoom.disable();
+    if (mode === 'rectangle') map.dragging.disable();
+    map.on(handlers);
+    document.addEventListener('keydown', onKeyDown);
+
+    return () => {
+      map.off(handlers);
+      document.removeEventListener('keydown', onKeyDown);
+      map.removeLayer(preview);
+      container.style.cursor = '';
+      map.doubleClickZoom.enable();
+      map.dragging.enable();
+    };
+  }, [map, mode, onFinish, onCancel]);
+};
+
+// GeoJSON drawn on the map for as long as it is set
+export const useGeoJSONLayer = (map, data, style) => {
+  useEffect(() => {
+    if (!data) return undefined;
+    const layer = L.geoJSON(data, { style, interactive: false }).addTo(map);
+    return () => map.removeLayer(layer);
+  }, [map, data, style]);
+};
+
+// Draw tools for spatial selections, and the current selection: the shape
+// as drawn plus the area the server selected with (corridors are buffered)
+const SelectionLayer = () => {
+  const map = useMap();
+  const { drawMode, setDrawMode, finishDrawing, selection, selectionStats } = useRoadData();
+
+  const cancelDrawing = useCallback(() => setDrawMode(null), [setDrawMode]);
+
+  useDrawing(map, SELECTION_KINDS.includes(drawMode) ? drawMode : null, finishDrawing, cancelDrawing);
+  useGeoJSONLayer(map, selection && selection.geometry, DRAW_STYLE);
+  useGeoJSONLayer(map, selectionStats && selectionStats.area, AREA_STYLE);
+
+  return null;
+};
+
+export default SelectionLayer;
@@ -0,0 +1,216 @@
+import React, { useEffect, useState } from 'react';
+import styled from 'styled-components';
+import { useRoadData } from '../context/RoadDataContext';
+import { useAuth } from '../context/AuthContext';
+import {
+  Section,
+  SectionTitle,
+  KpiGrid,
+  Kpi,
+  KpiValue,
+  KpiLabel,
+  formatNumber
+} from './PanelSection';
+
+const DRAW_TOOLS = {
+  polygon: { label: 'Polygon', hint: 'Click to add corners, double-click to finish.' },
+  rectangle: { label: 'Rectangle', hint: 'Drag out a rectangle on the map.' },
+  corridor: { label: 'Corridor', hint: 'Click along the route, double-click to finish.' }
+};
+
+const Row = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 8px;
+  font-size: 12px;
+  color: #555;
+
+  input, select {
+    font-size: 13px;
+    padding: 4px;
+  }
+
+  input[type='number'] {
+    width: 64px;
+  }
+
+  select, input[type='text'] {
+    flex: 1;
+    min-width: 0;
+  }
+`;
+
+const SaveRow = styled(Row)`
+  margin-top: 10px;
+`;
+
+const Button = styled.button`
+  border: 1px solid ${props => (props.$active ? '#ff7800' : '#ccc')};
+  background: ${props => (props.$active ? '#fff3e6' : 'white')};
+  border-radius: 4px;
+  padding: 6px 10px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:disabled {
+    cursor: default;
+    color: #aaa;
+  }
+`;
+
+const Hint = styled.p`
+  font-size: 11px;
+  color: #777;
+  margin-bottom: 8px;
+`;
+
+const ErrorMessage = styled.p`
+  font-size: 12px;
+  color: #c0392b;
+  margin-top: 6px;
+`;
+
+// Draw a polygon, rectangle or corridor on the map to summarize the state
+// road segments inside it, and save the shapes worth coming back to
+const SelectionPanel = () => {
+  const {
+    drawMode,
+    setDrawMode,
+    corridorMiles,
+    setCorridorMiles,
+    selection,
+    setSelection,
+    selectionStats,
+    selectionError,
+    savedSelections,
+    fetchSelections,
+    showSelection,
+    saveSelection,
+    deleteSelection
+  } = useRoadData();
+  // Anyone can draw and summarize; saving and deleting take an analyst
+  const canSave = useAuth().can('analyst');
+  const [name, setName] = useState('');
+
+  useEffect(() => {
+    fetchSelections();
+  }, [fetchSelections]);
+
+  // Rebuffering an unsaved corridor summarizes it again
+  const changeCorridorMiles = (value) => {
+    setCorridorMiles(value);
+    if (selection && selection.kind === 'corridor' && !selection.id && value > 0) {
+      setSelection({ ...selection, bufferMiles: value });
+    }
+  };
+
+  const onSave = (e) => {
+    e.preventDefault();
+    saveSelection(name.trim());
+    setName('');
+  };
+
+  const summary = selectionStats && selectionStats.summary;
+
+  return (
+    <Section>
+      <SectionTitle>Spatial selection</SectionTitle>
+      <Row>
+        {Object.entries(DRAW_TOOLS).map(([mode, tool]) => (
+          <Button
+            key={mode}
+            $active={drawMode === mode}
+            onClick={() => setDrawMode(drawMode === mode ? null : mode)}
+          >
+            {tool.label}
+          </Button>
+        ))}
+      </Row>
+      <Row>
+        <label>
+          Corridor width{' '}
+          <input
+            type="number"
+            min="0.1"
+            max="25"
+            step="0.1"
+            value={corridorMiles}
+            onChange={(e) => changeCorridorMiles(Number(e.target.value))}
+          />
+          {' '}mi each side
+        </label>
+      </Row>
+      {DRAW_TOOLS[drawMode] && <Hint>{DRAW_TOOLS[drawMode].hint} Esc cancels.</Hint>}
+
+      {savedSelections.length > 0 && (
+        <Row>
+          <select
+            value={(selection && selection.id) || ''}
+            onChange={(e) => showSelection(savedSelections.find(saved => saved.id === Number(e.target.value)))}
+          >
+            <option value="">Saved selections</option>
+            {savedSelections.map(saved => (
+              <option key={saved.id} value={saved.id}>{saved.name}</option>
+            ))}
+          </select>
+          {canSave && selection && selection.id && (
+            <Button onClick={() => deleteSelection(selection.id)}>Delete</Button>
+          )}
+        </Row>
+      )}
+
+      {selection && (
+        <>
+          {summary && (
+            <KpiGrid>
+              <Kpi>
+                <KpiValue>{formatNumber(summary.total_miles, 1)}</KpiValue>
+                <KpiLabel>Miles in {formatNumber(summary.segment_count)} segments</KpiLabel>
+              </Kpi>
+              <Kpi>
+                <KpiValue>{formatNumber(summary.area_sq_miles, 1)}</KpiValue>
+                <KpiLabel>Square miles selected</KpiLabel>
+              </Kpi>
+              <Kpi>
+                <KpiValue>{formatNumber(summary.avg_iri)}</KpiValue>
+                <KpiLabel>Avg IRI (mile-weighted)</KpiLabel>
+              </Kpi>
+              <Kpi>
+                <KpiValue>{formatNumber(summary.aadt_weighted_iri)}</KpiValue>
+                <KpiLabel>Avg IRI (traffic-weighted)</KpiLabel>
+              </Kpi>
+              <Kpi>
+                <KpiValue>{formatNumber(summary.poor_miles, 1)}</KpiValue>
+                <KpiLabel>Poor miles</KpiLabel>
+              </Kpi>
+              <Kpi>
+                <KpiValue>{formatNumber(summary.daily_vmt)}</KpiValue>
+                <KpiLabel>Daily vehicle miles</KpiLabel>
+              </Kpi>
+            </KpiGrid>
+          )}
+          <SaveRow as="form" onSubmit={onSave}>
+            {selection.id || !canSave
+              ? <span>{selection.name}</span>
+              : (
+                <>
+                  <input
+                    type="text"
+                    value={name}
+                    placeholder="Name this selection"
+                    onChange={(e) => setName(e.target.value)}
+                  />
+                  <Button type="submit" disabled={!name.trim()}>Save</Button>
+                </>
+              )}
+            <Button type="button" onClick={() => setSelection(null)}>Clear</Button>
+          </SaveRow>
+        </>
+      )}
+      {selectionError && <ErrorMessage>{selectionError}</ErrorMessage>}
+    </Section>
+  );
+};
+
+export default SelectionPanel;
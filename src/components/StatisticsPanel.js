@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react';
+import styled from 'styled-components';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  PieChart,
+  Pie,
+  Cell,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { useRoadData } from '../context/RoadDataContext';
+import { getFacilityTypeName, getSurfaceTypeName } from '../utils/roadCodes';
+import { RATING_ORDER, RATING_COLORS } from '../utils/thematicStyles';
+import WorkPlanPanel from './WorkPlanPanel';
+import SelectionPanel from './SelectionPanel';
+import RoutePanel from './RoutePanel';
+import ObservationPanel from './ObservationPanel';
+import {
+  Section,
+  SectionTitle,
+  KpiGrid,
+  Kpi,
+  KpiValue,
+  KpiLabel,
+  formatNumber
+} from './PanelSection';
+
+const PanelContainer = styled.div`
+  width: ${props => (props.$collapsed ? '36px' : '360px')};
+  flex-shrink: 0;
+  background: white;
+  border-left: 1px solid #ddd;
+  box-shadow: -2px 0 4px rgba(0,0,0,0.05);
+  overflow-y: auto;
+  transition: width 0.2s ease;
+`;
+
+const PanelHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding: 12px 15px;
+  border-bottom: 1px solid #eee;
+`;
+
+const PanelTitle = styled.h2`
+  font-size: 16px;
+  color: #333;
+`;
+
+const ToggleButton = styled.button`
+  border: none;
+  background: none;
+  cursor: pointer;
+  font-size: 16px;
+  color: #666;
+  padding: 4px;
+`;
+
+const ScopeToggle = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  font-size: 13px;
+  color: #555;
+`;
+
+const CHART_COLORS = ['#2E8B57', '#708090', '#FF6347', '#CD853F', '#8B4513', '#4682B4', '#9370DB', '#696969'];
+
+const toChartData = (rows = [], key, getLabel = label => label || 'Unknown') =>
+  rows.map(row => ({
+    name: getLabel(row[key]),
+    miles: Number(row.miles) || 0,
+    count: Number(row.count) || 0
+  }));
+
+const StatisticsPanel = () => {
+  const { statistics, fetchStatistics, viewport, filterParams } = useRoadData();
+  const [collapsed, setCollapsed] = useState(false);
+  const [useExtent, setUseExtent] = useState(true);
+
+  const bbox = useExtent && viewport ? viewport.bbox : null;
+
+  useEffect(() => {
+    if (collapsed) return;
+    fetchStatistics({ ...filterParams, ...(bbox ? { bbox } : {}) });
+  }, [collapsed, bbox, filterParams, fetchStatistics]);
+
+  if (collapsed) {
+    return (
+      <PanelContainer $collapsed>
+        <ToggleButton title="Show statistics" onClick={() => setCollapsed(false)}>◀</ToggleButton>
+      </PanelContainer>
+    );
+  }
+
+  const summary = (statistics && statistics.summary && statistics.summary[0]) || {};
+  const byFacType = toChartData(statistics && statistics.by_fac_type, 'fac_type', getFacilityTypeName);
+  const bySurfType = toChartData(statistics && statistics.by_surf_type, 'surf_type', getSurfaceTypeName);
+  const byDistrict = toChartData(statistics && statistics.by_district, 'district_no');
+  const byCondition = toChartData(statistics && statistics.by_condition, 'iri_rating_text')
+    .sort((a, b) => RATING_ORDER.indexOf(a.name) - RATING_ORDER.indexOf(b.name));
+
+  return (
+    <PanelContainer>
+      <PanelHeader>
+        <PanelTitle>State Road Statistics</PanelTitle>
+        <ToggleButton title="Hide statistics" onClick={() => setCollapsed(true)}>▶</ToggleButton>
+      </PanelHeader>
+
+      <Section>
+        <ScopeToggle>
+          <input
+            type="checkbox"
+            checked={useExtent}
+            onChange={(e) => setUseExtent(e.target.checked)}
+          />
+          Limit to current map extent
+        </ScopeToggle>
+      </Section>
+
+      <Section>
+        <KpiGrid>
+          <Kpi>
+            <KpiValue>{formatNumber(summary.total_miles, 1)}</KpiValue>
+            <KpiLabel>Centerline miles</KpiLabel>
+          </Kpi>
+          <Kpi>
+            <KpiValue>{formatNumber(summary.segment_count)}</KpiValue>
+            <KpiLabel>Segments</KpiLabel>
+          </Kpi>
+          <Kpi>
+            <KpiValue>{formatNumber(summary.lane_miles, 1)}</KpiValue>
+            <KpiLabel>Lane miles</KpiLabel>
+          </Kpi>
+          <Kpi>
+            <KpiValue>{formatNumber(summary.avg_iri)}</KpiValue>
+            <KpiLabel>Avg IRI (mile-weighted)</KpiLabel>
+          </Kpi>
+          <Kpi>
+            <KpiValue>{formatNumber(summary.avg_aadt)}</KpiValue>
+            <KpiLabel>Avg AADT</KpiLabel>
+          </Kpi>
+        </KpiGrid>
+      </Section>
+
+      <SelectionPanel />
+
+      <RoutePanel />
+
+      <ObservationPanel />
+
+      <WorkPlanPanel />
+
+      <Section>
+        <SectionTitle>Miles by IRI rating</SectionTitle>
+        <ResponsiveContainer width="100%" height={180}>
+          <BarChart data={byCondition}>
+            <XAxis dataKey="name" fontSize={11} />
+            <YAxis fontSize={11} />
+            <Tooltip formatter={(value) => formatNumber(value, 1)} />
+            <Bar dataKey="miles" name="Miles">
+              {byCondition.map(entry => (
+                <Cell key={entry.name} fill={RATING_COLORS[entry.name] || '#696969'} />
+              ))}
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </Section>
+
+      <Section>
+        <SectionTitle>Miles by facility type</SectionTitle>
+        <ResponsiveContainer width="100%" height={180}>
+          <BarChart data={byFacType}>
+            <XAxis dataKey="name" fontSize={11} />
+            <YAxis fontSize={11} />
+            <Tooltip formatter={(value) => formatNumber(value, 1)} />
+            <Bar dataKey="miles" name="Miles" fill="#4682B4" />
+          </BarChart>
+        </ResponsiveContainer>
+      </Section>
+
+      <Section>
+        <SectionTitle>Segments by surface type</SectionTitle>
+        <ResponsiveContainer width="100%" height={220}>
+          <PieChart>
+            <Pie data={bySurfType} dataKey="count" nameKey="name" outerRadius={70}>
+              {bySurfType.map((entry, index) => (
+                <Cell key={`${entry.name}-${index}`} fill={CHART_COLORS[index % CHART_COLORS.length]} />
+              ))}
+            </Pie>
+            <Tooltip formatter={(value) => formatNumber(value)} />
+            <Legend wrapperStyle={{ fontSize: 11 }} />
+          </PieChart>
+        </ResponsiveContainer>
+      </Section>
+
+      <Section>
+        <SectionTitle>Miles by district</SectionTitle>
+        <ResponsiveContainer width="100%" height={180}>
+          <BarChart data={byDistrict}>
+            <XAxis dataKey="name" fontSize={11} />
+            <YAxis fontSize={11} />
+            <Tooltip formatter={(value) => formatNumber(value, 1)} />
+            <Bar dataKey="miles" name="Miles" fill="#708090" />
+          </BarChart>
+        </ResponsiveContainer>
+      </Section>
+    </PanelContainer>
+  );
+};
+
+export default StatisticsPanel;
@@ -0,0 +1,256 @@
+import React, { useEffect, useState } from 'react';
+import styled from 'styled-components';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { useRoadData } from '../context/RoadDataContext';
+import { useAuth } from '../context/AuthContext';
+import { TREATMENTS } from '../utils/treatments';
+import {
+  Section,
+  SectionTitle,
+  KpiGrid,
+  Kpi,
+  KpiValue,
+  KpiLabel,
+  formatNumber
+} from './PanelSection';
+
+const Form = styled.form`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 8px;
+  font-size: 12px;
+  color: #555;
+
+  label {
+    display: flex;
+    flex-direction: column;
+    gap: 2px;
+  }
+
+  input, select {
+    font-size: 13px;
+    padding: 4px;
+  }
+`;
+
+const FullWidth = styled.div`
+  grid-column: 1 / -1;
+  display: flex;
+  flex-direction: column;
+  gap: 2px;
+`;
+
+const Actions = styled.div`
+  grid-column: 1 / -1;
+  display: flex;
+  gap: 8px;
+`;
+
+const Button = styled.button`
+  border: 1px solid #ccc;
+  background: white;
+  border-radius: 4px;
+  padding: 6px 10px;
+  font-size: 13px;
+  cursor: pointer;
+
+  &:disabled {
+    cursor: default;
+    color: #aaa;
+  }
+`;
+
+const Hint = styled.p`
+  font-size: 11px;
+  color: #777;
+  margin-top: 6px;
+`;
+
+const ErrorMessage = styled.p`
+  font-size: 12px;
+  color: #c0392b;
+  margin-top: 6px;
+`;
+
+const ChartTitle = styled.h4`
+  font-size: 12px;
+  color: #555;
+  margin: 12px 0 4px;
+`;
+
+const formatMillions = value => `$${formatNumber(Number(value) / 1e6, 1)}M`;
+
+// Per-year spend by treatment and network IRI with and without the plan
+const toYearData = (years = []) => years.map(year => ({
+  year: year.year,
+  ...Object.fromEntries(Object.keys(TREATMENTS).map(key => [key, year.treatments[key].cost])),
+  avg_iri: year.avg_iri,
+  do_nothing_avg_iri: year.do_nothing_avg_iri
+}));
+
+// Builds budget-constrained work plans for the filtered segments and shows
+// the active one. The map colors segments by treatment while a plan is active.
+const WorkPlanPanel = () => {
+  const {
+    workPlanId,
+    showWorkPlan,
+    workPlan,
+    workPlans,
+    fetchWorkPlans,
+    createWorkPlan,
+    planning,
+    planningError
+  } = useRoadData();
+  // Viewers can open saved plans; building one takes an analyst
+  const canBuild = useAuth().can('analyst');
+  const [name, setName] = useState('');
+  const [budgetMillions, setBudgetMillions] = useState(25);
+  const [horizonYears, setHorizonYears] = useState(10);
+
+  useEffect(() => {
+    fetchWorkPlans();
+  }, [fetchWorkPlans]);
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    createWorkPlan({
+      name: name.trim() || undefined,
+      annualBudget: Number(budgetMillions) * 1e6,
+      horizonYears: Number(horizonYears)
+    });
+  };
+
+  const summary = workPlan && workPlan.id === workPlanId ? workPlan.summary : null;
+  const yearData = summary ? toYearData(summary.years) : [];
+
+  return (
+    <Section>
+      <SectionTitle>Work plan</SectionTitle>
+      <Form onSubmit={onSubmit}>
+        {canBuild && (
+          <>
+            <FullWidth>
+              <label>
+                Name
+                <input value={name} placeholder="Optional" onChange={(e) => setName(e.target.value)} />
+              </label>
+            </FullWidth>
+            <label>
+              Budget per year ($M)
+              <input
+                type="number"
+                min="0.1"
+                step="0.1"
+                value={budgetMillions}
+                onChange={(e) => setBudgetMillions(e.target.value)}
+              />
+            </label>
+            <label>
+              Horizon (years)
+              <input
+                type="number"
+                min="1"
+                max="30"
+                value={horizonYears}
+                onChange={(e) => setHorizonYears(e.target.value)}
+              />
+            </label>
+          </>
+        )}
+        <Actions>
+          {canBuild && (
+            <Button type="submit" disabled={planning || !(Number(budgetMillions) > 0)}>
+              {planning ? 'Building...' : 'Build plan'}
+            </Button>
+          )}
+          <Button type="button" disabled={!workPlanId} onClick={() => showWorkPlan(null)}>
+            Clear
+          </Button>
+        </Actions>
+        {workPlans.length > 0 && (
+          <FullWidth>
+            <label>
+              Saved plans
+              <select
+                value={workPlanId || ''}
+                onChange={(e) => showWorkPlan(e.target.value ? Number(e.target.value) : null)}
+              >
+                <option value="">None</option>
+                {workPlans.map(plan => (
+                  <option key={plan.id} value={plan.id}>
+                    {plan.name} ({formatMillions(plan.annual_budget)}/yr)
+                  </option>
+                ))}
+              </select>
+            </label>
+          </FullWidth>
+        )}
+      </Form>
+      {canBuild && <Hint>Plans cover the segments matching the current filters.</Hint>}
+      {planningError && <ErrorMessage>{planningError}</ErrorMessage>}
+
+      {summary && (
+        <>
+          <ChartTitle>{workPlan.name}</ChartTitle>
+          <KpiGrid>
+            <Kpi>
+              <KpiValue>{formatMillions(summary.total_cost)}</KpiValue>
+              <KpiLabel>Total spend, {workPlan.horizon_years} years</KpiLabel>
+            </Kpi>
+            <Kpi>
+              <KpiValue>
+                {formatNumber(Object.values(summary.treatments).reduce((sum, t) => sum + t.count, 0))}
+              </KpiValue>
+              <KpiLabel>Treatments of {formatNumber(summary.segment_count)} segments</KpiLabel>
+            </Kpi>
+            <Kpi>
+              <KpiValue>{formatNumber(summary.final_avg_iri)}</KpiValue>
+              <KpiLabel>Final avg IRI with plan</KpiLabel>
+            </Kpi>
+            <Kpi>
+              <KpiValue>{formatNumber(summary.final_do_nothing_avg_iri)}</KpiValue>
+              <KpiLabel>Final avg IRI, do nothing</KpiLabel>
+            </Kpi>
+          </KpiGrid>
+
+          <ChartTitle>Spend by year</ChartTitle>
+          <ResponsiveContainer width="100%" height={180}>
+            <BarChart data={yearData}>
+              <XAxis dataKey="year" fontSize={11} />
+              <YAxis fontSize={11} tickFormatter={formatMillions} />
+              <Tooltip formatter={formatMillions} />
+              <Legend wrapperStyle={{ fontSize: 11 }} />
+              {Object.entries(TREATMENTS).map(([key, treatment]) => (
+                <Bar key={key} dataKey={key} name={treatment.label} stackId="spend" fill={treatment.color} />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+
+          <ChartTitle>Average IRI</ChartTitle>
+          <ResponsiveContainer width="100%" height={180}>
+            <LineChart data={yearData}>
+              <XAxis dataKey="year" fontSize={11} />
+              <YAxis fontSize={11} />
+              <Tooltip formatter={(value) => formatNumber(value)} />
+              <Legend wrapperStyle={{ fontSize: 11 }} />
+              <Line dataKey="avg_iri" name="With plan" stroke="#4682B4" dot={false} />
+              <Line dataKey="do_nothing_avg_iri" name="Do nothing" stroke="#d7191c" dot={false} />
+            </LineChart>
+          </ResponsiveContainer>
+        </>
+      )}
+    </Section>
+  );
+};
+
+export default WorkPlanPanel;
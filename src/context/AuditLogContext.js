@@ -0,0 +1,129 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import axios from 'axios';
+
+export const AUDIT_PAGE_SIZE = 50;
+export const SEGMENT_PAGE_SIZE = 100;
+
+// Filters as sent to GET /api/audit; blank means any
+export const EMPTY_AUDIT_FILTERS = { action: '', entity_type: '', origin: '', user: '', from: '', to: '' };
+
+const AuditLogContext = createContext();
+
+const requestErrorMessage = error => (
+  (error.response && error.response.data && error.response.data.error) || error.message
+);
+
+const withoutBlanks = params => Object.fromEntries(Object.entries(params).filter(([, value]) => value !== ''));
+
+export const useAuditLog = () => {
+  const context = useContext(AuditLogContext);
+  if (!context) {
+    throw new Error('useAuditLog must be used within an AuditLogProvider');
+  }
+  return context;
+};
+
+// State for the audit log page: a filtered, paged list of entries and, for
+// the selected entry, a page of the segments it changed. Only mounted while
+// the page is open.
+export const AuditLogProvider = ({ children }) => {
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [offset, setOffset] = useState(0);
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const [selectedEntry, setSelectedEntry] = useState(null);
+  // Segment changes of the selected import: { change, segment_key } filters
+  const [segmentFilters, setSegmentFilters] = useState({ change: '', segment_key: '' });
+  const [segmentOffset, setSegmentOffset] = useState(0);
+  const [segmentChanges, setSegmentChanges] = useState(null);
+
+  // Changing the filters starts again from the first page
+  const updateFilters = (changes) => {
+    setFilters(current => ({ ...current, ...changes }));
+    setOffset(0);
+  };
+
+  const updateSegmentFilters = (changes) => {
+    setSegmentFilters(current => ({ ...current, ...changes }));
+    setSegmentOffset(0);
+  };
+
+  const selectEntry = (entry) => {
+    setSelectedEntry(entry);
+    setSegmentFilters({ change: '', segment_key: '' });
+    setSegmentOffset(0);
+  };
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    axios.get('/api/audit', {
+      params: { ...withoutBlanks(filters), limit: AUDIT_PAGE_SIZE, offset },
+      signal: controller.signal
+    })
+      .then((response) => {
+        setEntries(response.data.entries);
+        setTotal(response.data.total);
+      })
+      .catch((requestError) => {
+        if (axios.isCancel(requestError)) return;
+        console.error('Error fetching audit log:', requestError);
+        setError(requestErrorMessage(requestError));
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [filters, offset]);
+
+  const selectedId = selectedEntry && selectedEntry.segment_change_count > 0 ? selectedEntry.id : null;
+
+  useEffect(() => {
+    setSegmentChanges(null);
+    if (!selectedId) return undefined;
+
+    const controller = new AbortController();
+    axios.get(`/api/audit/${selectedId}/segments`, {
+      params: { ...withoutBlanks(segmentFilters), limit: SEGMENT_PAGE_SIZE, offset: segmentOffset },
+      signal: controller.signal
+    })
+      .then(response => setSegmentChanges(response.data))
+      .catch((requestError) => {
+        if (axios.isCancel(requestError)) return;
+        console.error('Error fetching audited segment changes:', requestError);
+        setError(requestErrorMessage(requestError));
+      });
+
+    return () => controller.abort();
+  }, [selectedId, segmentFilters, segmentOffset]);
+
+  const value = {
+    filters,
+    updateFilters,
+    offset,
+    setOffset,
+    entries,
+    total,
+    loading,
+    error,
+    selectedEntry,
+    selectEntry,
+    segmentFilters,
+    updateSegmentFilters,
+    segmentOffset,
+    setSegmentOffset,
+    segmentChanges
+  };
+
+  return (
+    <AuditLogContext.Provider value={value}>
+      {children}
+    </AuditLogContext.Provider>
+  );
+};
@@ -0,0 +1,88 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+// Roles from least to most trusted, as in database/auth.js
+const ROLES = ['viewer', 'analyst', 'data_admin'];
+
+export const ROLE_LABELS = {
+  viewer: 'Viewer',
+  analyst: 'Analyst',
+  data_admin: 'Data admin'
+};
+
+const AuthContext = createContext();
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+// The logged-in user ({ id, username, role }, or null), checked with the
+// server on load. The login token travels as an httpOnly cookie, so axios,
+// map tiles and photo links all carry it without help.
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [checked, setChecked] = useState(false);
+  const [loginError, setLoginError] = useState(null);
+
+  useEffect(() => {
+    axios.get('/api/auth/me')
+      .then(response => setUser(response.data))
+      .catch(() => setUser(null))
+      .finally(() => setChecked(true));
+  }, []);
+
+  // An expired or revoked login shows up as a 401 on any request
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(undefined, (error) => {
+      if (error.response && error.response.status === 401 && !/\/api\/auth\//.test(error.config.url)) {
+        setUser(null);
+      }
+      return Promise.reject(error);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    setLoginError(null);
+    try {
+      const response = await axios.post('/api/auth/login', { username, password });
+      setUser(response.data.user);
+      return true;
+    } catch (error) {
+      console.error('Error logging in:', error);
+      setLoginError((error.response && error.response.data && error.response.data.error) || error.message);
+      return false;
+    }
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await axios.post('/api/auth/logout');
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    setUser(null);
+  }, []);
+
+  // Whether the user has at least `role`
+  const can = useCallback(role => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role), [user]);
+
+  const value = {
+    user,
+    checked,
+    login,
+    logout,
+    loginError,
+    can
+  };
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
@@ -1,8 +1,17 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import axios from 'axios';
+import { DEFAULT_FILTERS, filtersToParams } from '../utils/filters';
+import { DEFAULT_VIEW, parseUrlState, buildUrlSearch } from '../utils/urlState';
+import { STYLE_MODES, isNumericMode } from '../utils/thematicStyles';
+import { OBSERVATION_FILTERS } from '../utils/observations';
 
 const RoadDataContext = createContext();
 
+// The server's { error } message for a failed request, if it sent one
+const requestErrorMessage = error => (
+  (error.response && error.response.data && error.response.data.error) || error.message
+);
+
 export const useRoadData = () => {
   const context = useContext(RoadDataContext);
   if (!context) {
@@ -12,57 +21,868 @@ export const useRoadData = () => {
 };
 
 export const RoadDataProvider = ({ children }) => {
-  const [roads, setRoads] = useState([]);
+  // State shared through the URL (see utils/urlState) seeds the defaults
+  const [initialUrlState] = useState(() => parseUrlState(window.location.search));
+
   const [heatmapData, setHeatmapData] = useState([]);
   const [loading, setLoading] = useState(false);
+  // Road inventories the server has (see /api/data-sources), the default
+  // one's id, and the one picked, or null for the default
+  const [sources, setSources] = useState([]);
+  const [defaultSourceId, setDefaultSourceId] = useState(null);
+  const [sourceId, setSourceId] = useState(initialUrlState.sourceId);
+  // 'osm' draws the OpenStreetMap network, 'csv' the RMSSEG state road segments
+  const [dataSource, setDataSource] = useState(initialUrlState.dataSource);
+  // Visible map extent as { bbox: 'minLng,minLat,maxLng,maxLat', zoom, center }
+  const [viewport, setViewport] = useState(null);
+  // View the map should move to: the shared link on load, or a history entry
+  const [requestedView, setRequestedView] = useState(initialUrlState.view || DEFAULT_VIEW);
+  // Clicked road as { layer: 'segments' | 'osm', id }, and its attributes
+  const [selectedRoad, setSelectedRoad] = useState(initialUrlState.selectedRoad);
+  const [selectedRoadDetails, setSelectedRoadDetails] = useState(null);
+
+  // Heatmap metric shown on the map: null (off), 'condition', 'traffic' or 'age'
+  const [heatmapType, setHeatmapType] = useState(initialUrlState.heatmapType);
+  const [statistics, setStatistics] = useState(null);
+  // Attribute filters on the state road segments (see utils/filters)
+  const [filters, setFilters] = useState(initialUrlState.filters);
+  const [filterOptions, setFilterOptions] = useState(null);
+  // Work plan shown on the map (see database/pavement_planning.js), its
+  // saved row with the per-year summary, and the saved plans to pick from
+  const [workPlanId, setWorkPlanId] = useState(initialUrlState.workPlanId);
+  const [workPlan, setWorkPlan] = useState(null);
+  const [workPlans, setWorkPlans] = useState([]);
+  const [planning, setPlanning] = useState(false);
+  const [planningError, setPlanningError] = useState(null);
+  // Condition surveys loaded (newest first) and the earlier survey year the
+  // state road segments are colored against, if any
+  const [snapshots, setSnapshots] = useState([]);
+  const [compareYear, setCompareYear] = useState(initialUrlState.compareYear);
+  const [exporting, setExporting] = useState(false);
+  // Spatial selection: the draw tool in use (null, 'polygon', 'rectangle',
+  // 'corridor', or 'route' while picking route ends), the buffer for
+  // corridors, and the shape being summarized as { kind, geometry (GeoJSON
+  // as drawn), bufferMiles, id and name once saved }
+  const [drawMode, setDrawMode] = useState(null);
+  const [corridorMiles, setCorridorMiles] = useState(1);
+  const [selection, setSelection] = useState(null);
+  const [selectionStats, setSelectionStats] = useState(null);
+  const [selectionError, setSelectionError] = useState(null);
+  const [savedSelections, setSavedSelections] = useState([]);
+  // Route over the OSM network between two clicked { lat, lng } points,
+  // weighted by 'time', 'distance' or 'smooth' (see database/road_network.js)
+  const [routeEnds, setRouteEnds] = useState({ from: null, to: null });
+  const [routeWeight, setRouteWeight] = useState('time');
+  const [route, setRoute] = useState(null);
+  const [routeError, setRouteError] = useState(null);
+  const [routing, setRouting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  // How roads are colored (see utils/thematicStyles): the style mode, how
+  // numeric modes are classed ('agency', 'quantile' or 'equal') into how
+  // many classes, and the breaks /api/class-breaks computed for them
+  const [styleMode, setStyleMode] = useState(initialUrlState.styleMode);
+  const [classMethod, setClassMethod] = useState(initialUrlState.classMethod);
+  const [classCount, setClassCount] = useState(initialUrlState.classCount);
+  const [classBreaks, setClassBreaks] = useState(null);
+  // Road search (see /api/search): suggestions for the search box, and the
+  // result picked, outlined on the map with the geometry of its roads
+  const [searchResults, setSearchResults] = useState([]);
+  const [searchResult, setSearchResult] = useState(null);
+  const [searchGeometry, setSearchGeometry] = useState(null);
+  // Field reports (see /api/observations): those in view matching the
+  // status filter (see utils/observations), the one open for review, and
+  // the { lat, lng } clicked for a new report while drawMode is
+  // 'observation'
+  const [observations, setObservations] = useState([]);
+  const [observationFilter, setObservationFilter] = useState('open');
+  const [selectedObservationId, setSelectedObservationId] = useState(null);
+  const [selectedObservation, setSelectedObservation] = useState(null);
+  const [newObservationPoint, setNewObservationPoint] = useState(null);
+  const [observationError, setObservationError] = useState(null);
+  const [savingObservation, setSavingObservation] = useState(false);
+
+  const filterParams = useMemo(() => filtersToParams(filters), [filters]);
+  // Sent with every request that reads or writes one data source's roads
+  const sourceParams = useMemo(() => (sourceId ? { source: sourceId } : {}), [sourceId]);
+
+  const resetFilters = useCallback(() => setFilters(DEFAULT_FILTERS), []);
+
+  // Move the map, e.g. to the segment open in the detail drawer, or fit it
+  // to a [minLng, minLat, maxLng, maxLat] box
+  const zoomTo = useCallback((center, zoom = 15) => setRequestedView({ center, zoom }), []);
+  const zoomToBounds = useCallback(([minLng, minLat, maxLng, maxLat]) => (
+    setRequestedView({ bounds: [[minLat, minLng], [maxLat, maxLng]] })
+  ), []);
+
+  useEffect(() => {
+    axios.get('/api/data-sources')
+      .then((response) => {
+        setSources(response.data.sources);
+        setDefaultSourceId(response.data.default);
+      })
+      .catch(error => console.error('Error fetching data sources:', error));
+  }, []);
+
+  // Switch to another inventory. Filters, plans, surveys and selected roads
+  // belong to the old one, so they are cleared, and the map fits the new
+  // source's extent.
+  const selectSource = useCallback((id) => {
+    const source = sources.find(candidate => candidate.id === id);
+    if (!source) return;
+
+    setSourceId(id === defaultSourceId ? null : id);
+    setFilters(DEFAULT_FILTERS);
+    setSelectedRoad(null);
+    setWorkPlanId(null);
+    setCompareYear(null);
+    setSearchResult(null);
+    setSelectedObservationId(null);
+    setNewObservationPoint(null);
+    if (source.bounds) {
+      zoomToBounds(source.bounds);
+    }
+  }, [sources, defaultSourceId, zoomToBounds]);
+
+  const heatmapRequest = useRef(null);
+  const statisticsRequest = useRef(null);
+  const searchRequest = useRef(null);
+  const observationsRequest = useRef(null);
+
+  const fetchHeatmapData = useCallback(async (type = 'condition', source = 'osm', bbox = null, extraParams = {}) => {
+    if (heatmapRequest.current) {
+      heatmapRequest.current.abort();
+    }
+    const controller = new AbortController();
+    heatmapRequest.current = controller;
 
-  const fetchRoads = async () => {
-    setLoading(true);
     try {
-      // Fetch OSM data by default (Pennsylvania roads)
-      const response = await axios.get('/api/osm-roads?state=PA&limit=10000');
-      setRoads(response.data);
+      const response = await axios.get('/api/heatmap', {
+        params: {
+          type,
+          layer: source === 'csv' ? 'segments' : 'osm',
+          ...extraParams,
+          ...(bbox ? { bbox } : {})
+        },
+        signal: controller.signal
+      });
+      setHeatmapData(response.data);
     } catch (error) {
-      console.error('Error fetching roads:', error);
-      // Fallback to CSV data if OSM fails
-      try {
-        const fallbackResponse = await axios.get('/api/roads?limit=10000');
-        setRoads(fallbackResponse.data);
-      } catch (fallbackError) {
-        console.error('Error fetching fallback roads:', fallbackError);
+      if (axios.isCancel(error)) return;
+      console.error('Error fetching heatmap data:', error);
+      setHeatmapData([]);
+    } finally {
+      if (heatmapRequest.current === controller) {
+        heatmapRequest.current = null;
+      }
+    }
+  }, []);
+
+  // Keep the heatmap clipped to the visible extent while it is switched on
+  useEffect(() => {
+    if (!heatmapType) {
+      if (heatmapRequest.current) {
+        heatmapRequest.current.abort();
       }
+      setHeatmapData([]);
+      return;
+    }
+    fetchHeatmapData(
+      heatmapType,
+      dataSource,
+      viewport && viewport.bbox,
+      dataSource === 'csv' ? { ...sourceParams, ...filterParams } : sourceParams
+    );
+  }, [heatmapType, dataSource, viewport, sourceParams, filterParams, fetchHeatmapData]);
+
+  const fetchStatistics = useCallback(async (params = {}) => {
+    if (statisticsRequest.current) {
+      statisticsRequest.current.abort();
+    }
+    const controller = new AbortController();
+    statisticsRequest.current = controller;
+
+    try {
+      const response = await axios.get('/api/statistics', {
+        params: { ...sourceParams, ...params },
+        signal: controller.signal
+      });
+      setStatistics(response.data);
+    } catch (error) {
+      if (axios.isCancel(error)) return;
+      console.error('Error fetching statistics:', error);
     } finally {
-      setLoading(false);
+      if (statisticsRequest.current === controller) {
+        statisticsRequest.current = null;
+      }
     }
-  };
+  }, [sourceParams]);
+
+  const searchRoads = useCallback(async (q) => {
+    if (searchRequest.current) {
+      searchRequest.current.abort();
+    }
+    if (q.trim().length < 2) {
+      setSearchResults([]);
+      return;
+    }
+    const controller = new AbortController();
+    searchRequest.current = controller;
 
-  const fetchHeatmapData = async (type = 'condition') => {
     try {
-      // Use OSM data for heatmap by default
-      const response = await axios.get(`/api/heatmap?data_source=osm&type=${type}`);
-      setHeatmapData(response.data);
+      const response = await axios.get('/api/search', { params: { ...sourceParams, q }, signal: controller.signal });
+      setSearchResults(response.data.results);
     } catch (error) {
-      console.error('Error fetching heatmap data:', error);
-      // Fallback to CSV data
-      try {
-        const fallbackResponse = await axios.get(`/api/heatmap?type=${type}`);
-        setHeatmapData(fallbackResponse.data);
-      } catch (fallbackError) {
-        console.error('Error fetching fallback heatmap data:', fallbackError);
+      if (axios.isCancel(error)) return;
+      console.error('Error searching roads:', error);
+      setSearchResults([]);
+    } finally {
+      if (searchRequest.current === controller) {
+        searchRequest.current = null;
       }
     }
-  };
+  }, [sourceParams]);
+
+  const showSearchResult = useCallback((result) => {
+    setSearchResult(result);
+    if (result && result.bbox) {
+      zoomToBounds(result.bbox);
+    }
+  }, [zoomToBounds]);
+
+  useEffect(() => {
+    setSearchGeometry(null);
+    if (!searchResult || !searchResult.ids) return undefined;
+
+    const controller = new AbortController();
+    axios.get('/api/search/geometry', {
+      params: { ...sourceParams, type: searchResult.type, ids: searchResult.ids.join(',') },
+      signal: controller.signal
+    })
+      .then(response => setSearchGeometry(response.data))
+      .catch(error => {
+        if (axios.isCancel(error)) return;
+        console.error('Error fetching search result geometry:', error);
+      });
+
+    return () => controller.abort();
+  }, [searchResult, sourceParams]);
+
+  const fetchObservations = useCallback(async () => {
+    if (observationsRequest.current) {
+      observationsRequest.current.abort();
+    }
+    const controller = new AbortController();
+    observationsRequest.current = controller;
+    const { statuses } = OBSERVATION_FILTERS[observationFilter] || OBSERVATION_FILTERS.open;
+
+    try {
+      const response = await axios.get('/api/observations', {
+        params: {
+          ...sourceParams,
+          ...(viewport ? { bbox: viewport.bbox } : {}),
+          ...(statuses.length ? { status: statuses.join(',') } : {})
+        },
+        signal: controller.signal
+      });
+      setObservations(response.data);
+    } catch (error) {
+      if (axios.isCancel(error)) return;
+      console.error('Error fetching observations:', error);
+    } finally {
+      if (observationsRequest.current === controller) {
+        observationsRequest.current = null;
+      }
+    }
+  }, [viewport, observationFilter, sourceParams]);
+
+  useEffect(() => {
+    fetchObservations();
+  }, [fetchObservations]);
+
+  // Picking a spot for a new report closes the one under review
+  const addObservationPoint = useCallback((point) => {
+    setNewObservationPoint(point);
+    setSelectedObservationId(null);
+    setDrawMode(null);
+  }, []);
+
+  // New report from the form fields and the photo files picked, sent as
+  // multipart form data, with the data source in the query string
+  const createObservation = useCallback(async (fields, photos = []) => {
+    if (!newObservationPoint) return;
+    setSavingObservation(true);
+    setObservationError(null);
+
+    const form = new FormData();
+    form.append('location', `${newObservationPoint.lng},${newObservationPoint.lat}`);
+    Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+    Array.from(photos).forEach(photo => form.append('photos', photo));
+
+    try {
+      const response = await axios.post('/api/observations', form, { params: sourceParams });
+      setNewObservationPoint(null);
+      setSelectedObservation(response.data);
+      setSelectedObservationId(response.data.id);
+      fetchObservations();
+    } catch (error) {
+      console.error('Error saving observation:', error);
+      setObservationError(requestErrorMessage(error));
+    } finally {
+      setSavingObservation(false);
+    }
+  }, [newObservationPoint, sourceParams, fetchObservations]);
+
+  // Edit fields or move the status along the workflow
+  const updateObservation = useCallback(async (id, changes) => {
+    setObservationError(null);
+    try {
+      const response = await axios.patch(`/api/observations/${id}`, changes);
+      setSelectedObservation(response.data);
+      fetchObservations();
+      return true;
+    } catch (error) {
+      console.error('Error updating observation:', error);
+      setObservationError(requestErrorMessage(error));
+      return false;
+    }
+  }, [fetchObservations]);
+
+  const deleteObservation = useCallback(async (id) => {
+    setObservationError(null);
+    try {
+      await axios.delete(`/api/observations/${id}`);
+      setSelectedObservationId(current => (current === id ? null : current));
+      fetchObservations();
+    } catch (error) {
+      console.error('Error deleting observation:', error);
+      setObservationError(requestErrorMessage(error));
+    }
+  }, [fetchObservations]);
+
+  const addObservationPhotos = useCallback(async (id, photos) => {
+    const form = new FormData();
+    Array.from(photos).forEach(photo => form.append('photos', photo));
+    setSavingObservation(true);
+    setObservationError(null);
+    try {
+      const response = await axios.post(`/api/observations/${id}/photos`, form);
+      setSelectedObservation(response.data);
+      fetchObservations();
+    } catch (error) {
+      console.error('Error saving observation photos:', error);
+      setObservationError(requestErrorMessage(error));
+    } finally {
+      setSavingObservation(false);
+    }
+  }, [fetchObservations]);
+
+  const deleteObservationPhoto = useCallback(async (id, photoId) => {
+    setObservationError(null);
+    try {
+      await axios.delete(`/api/observations/${id}/photos/${photoId}`);
+      setSelectedObservation(current => (current && current.id === id
+        ? { ...current, photos: current.photos.filter(photo => photo.id !== photoId) }
+        : current));
+      fetchObservations();
+    } catch (error) {
+      console.error('Error deleting observation photo:', error);
+      setObservationError(requestErrorMessage(error));
+    }
+  }, [fetchObservations]);
 
   useEffect(() => {
-    fetchRoads();
+    setObservationError(null);
+    if (!selectedObservationId) {
+      setSelectedObservation(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    axios.get(`/api/observations/${selectedObservationId}`, { signal: controller.signal })
+      .then(response => setSelectedObservation(response.data))
+      .catch(error => {
+        if (axios.isCancel(error)) return;
+        console.error('Error fetching observation:', error);
+        setSelectedObservationId(null);
+      });
+
+    return () => controller.abort();
+  }, [selectedObservationId]);
+
+  const fetchFilterOptions = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/filter-options', { params: sourceParams });
+      setFilterOptions(response.data);
+    } catch (error) {
+      console.error('Error fetching filter options:', error);
+    }
+  }, [sourceParams]);
+
+  const fetchSnapshots = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/snapshots', { params: sourceParams });
+      setSnapshots(response.data);
+    } catch (error) {
+      console.error('Error fetching snapshots:', error);
+    }
+  }, [sourceParams]);
+
+  // The map colors segments either by condition change or by work plan
+  // treatment, so showing one hides the other
+  const showConditionChange = useCallback((year) => {
+    setCompareYear(year);
+    if (year) {
+      setWorkPlanId(null);
+      setDataSource('csv');
+    }
+  }, []);
+
+  const showWorkPlan = useCallback((id) => {
+    setWorkPlanId(id);
+    if (id) {
+      setCompareYear(null);
+      setDataSource('csv');
+    }
+  }, []);
+
+  // Download the roads on the map (state road segments with the current
+  // filters, or OSM roads) in one of the /api/export formats, optionally
+  // limited to the visible extent. Fetched rather than linked so the dev
+  // server proxy forwards it.
+  const exportRoads = useCallback(async (format, { extentOnly = true } = {}) => {
+    const bbox = extentOnly && viewport ? viewport.bbox : null;
+    setExporting(true);
+    setExportError(null);
+    try {
+      const response = await axios.get('/api/export', {
+        params: {
+          format,
+          layer: dataSource === 'csv' ? 'segments' : 'osm',
+          ...sourceParams,
+          ...(dataSource === 'csv' ? filterParams : {}),
+          ...(bbox ? { bbox } : {})
+        },
+        responseType: 'blob'
+      });
+      const disposition = response.headers['content-disposition'] || '';
+      const match = disposition.match(/filename="?([^";]+)"?/);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `roads.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting roads:', error);
+      // Error bodies arrive as a Blob too
+      let message = error.message;
+      if (error.response && error.response.data instanceof Blob) {
+        try {
+          message = JSON.parse(await error.response.data.text()).error || message;
+        } catch (parseError) {
+          // Not JSON; keep the status message
+        }
+      }
+      setExportError(message);
+    } finally {
+      setExporting(false);
+    }
+  }, [viewport, dataSource, sourceParams, filterParams]);
+
+  const finishDrawing = useCallback((kind, geometry) => {
+    setDrawMode(null);
+    setSelection({ kind, geometry, bufferMiles: kind === 'corridor' ? corridorMiles : 0 });
+  }, [corridorMiles]);
+
+  const fetchSelections = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/selections');
+      setSavedSelections(response.data);
+    } catch (error) {
+      console.error('Error fetching selections:', error);
+    }
+  }, []);
+
+  const showSelection = useCallback((saved) => {
+    setSelection(saved && {
+      id: saved.id,
+      name: saved.name,
+      kind: saved.kind,
+      geometry: saved.geometry,
+      bufferMiles: Number(saved.buffer_miles) || 0
+    });
+  }, []);
+
+  const saveSelection = useCallback(async (name) => {
+    if (!selection) return;
+    setSelectionError(null);
+    try {
+      const response = await axios.post('/api/selections', {
+        name,
+        kind: selection.kind,
+        geometry: selection.geometry,
+        buffer_miles: selection.bufferMiles
+      });
+      showSelection(response.data);
+      fetchSelections();
+    } catch (error) {
+      console.error('Error saving selection:', error);
+      setSelectionError((error.response && error.response.data && error.response.data.error) || error.message);
+    }
+  }, [selection, showSelection, fetchSelections]);
+
+  const deleteSelection = useCallback(async (id) => {
+    try {
+      await axios.delete(`/api/selections/${id}`);
+      setSelection(current => (current && current.id === id ? null : current));
+      fetchSelections();
+    } catch (error) {
+      console.error('Error deleting selection:', error);
+    }
+  }, [fetchSelections]);
+
+  // Summarize the segments in the selection, with the current filters
+  useEffect(() => {
+    setSelectionStats(null);
+    setSelectionError(null);
+    if (!selection) return undefined;
+
+    const controller = new AbortController();
+    const request = selection.id
+      ? axios.get(`/api/selections/${selection.id}/summary`, {
+        params: { ...sourceParams, ...filterParams },
+        signal: controller.signal
+      })
+      : axios.post('/api/selections/summary', {
+        ...sourceParams,
+        kind: selection.kind,
+        geometry: selection.geometry,
+        buffer_miles: selection.bufferMiles,
+        filters: filterParams
+      }, { signal: controller.signal });
+
+    request
+      .then(response => setSelectionStats(response.data))
+      .catch(error => {
+        if (axios.isCancel(error)) return;
+        console.error('Error summarizing selection:', error);
+        setSelectionError((error.response && error.response.data && error.response.data.error) || error.message);
+      });
+
+    return () => controller.abort();
+  }, [selection, sourceParams, filterParams]);
+
+  // The first click starts a route, the second ends it and stops picking
+  const addRoutePoint = useCallback((point) => {
+    if (routeEnds.from && !routeEnds.to) {
+      setRouteEnds({ from: routeEnds.from, to: point });
+      setDrawMode(null);
+    } else {
+      setRouteEnds({ from: point, to: null });
+    }
+  }, [routeEnds]);
+
+  const clearRoute = useCallback(() => setRouteEnds({ from: null, to: null }), []);
+
+  useEffect(() => {
+    setRoute(null);
+    setRouteError(null);
+    const { from, to } = routeEnds;
+    if (!from || !to) return undefined;
+
+    const controller = new AbortController();
+    setRouting(true);
+    axios.get('/api/route', {
+      params: {
+        from: `${from.lng},${from.lat}`,
+        to: `${to.lng},${to.lat}`,
+        weight: routeWeight
+      },
+      signal: controller.signal
+    })
+      .then(response => setRoute(response.data))
+      .catch(error => {
+        if (axios.isCancel(error)) return;
+        console.error('Error finding route:', error);
+        setRouteError((error.response && error.response.data && error.response.data.error) || error.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setRouting(false);
+      });
+
+    return () => {
+      controller.abort();
+      setRouting(false);
+    };
+  }, [routeEnds, routeWeight]);
+
+  const fetchWorkPlans = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/planning/plans', { params: sourceParams });
+      setWorkPlans(response.data);
+    } catch (error) {
+      console.error('Error fetching work plans:', error);
+    }
+  }, [sourceParams]);
+
+  // Build a plan for the segments matching the current filters and show it.
+  // Plans are drawn on the state road segments, so switch to them.
+  const createWorkPlan = useCallback(async ({ name, annualBudget, horizonYears }) => {
+    setPlanning(true);
+    setPlanningError(null);
+    try {
+      const response = await axios.post('/api/planning/plans', {
+        ...sourceParams,
+        name,
+        annual_budget: annualBudget,
+        horizon_years: horizonYears,
+        filters: filterParams
+      });
+      setWorkPlan(response.data);
+      showWorkPlan(response.data.id);
+      fetchWorkPlans();
+    } catch (error) {
+      console.error('Error building work plan:', error);
+      setPlanningError((error.response && error.response.data && error.response.data.error) || error.message);
+    } finally {
+      setPlanning(false);
+    }
+  }, [sourceParams, filterParams, fetchWorkPlans, showWorkPlan]);
+
+  // Quantile and equal interval breaks follow the filtered segments. Until
+  // they arrive the map falls back to the agency thresholds rather than
+  // applying another mode's breaks.
+  useEffect(() => {
+    setClassBreaks(null);
+    if (dataSource !== 'csv' || !isNumericMode(styleMode) || classMethod === 'agency') {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    axios.get('/api/class-breaks', {
+      params: {
+        ...sourceParams,
+        ...filterParams,
+        metric: STYLE_MODES[styleMode].metric,
+        method: classMethod,
+        classes: classCount
+      },
+      signal: controller.signal
+    })
+      .then(response => setClassBreaks(response.data.breaks))
+      .catch(error => {
+        if (axios.isCancel(error)) return;
+        console.error('Error fetching class breaks:', error);
+        setClassBreaks(null);
+      });
+
+    return () => controller.abort();
+  }, [dataSource, styleMode, classMethod, classCount, sourceParams, filterParams]);
+
+  useEffect(() => {
+    if (!workPlanId) {
+      setWorkPlan(null);
+      return undefined;
+    }
+    if (workPlan && workPlan.id === workPlanId) return undefined;
+
+    const controller = new AbortController();
+    axios.get(`/api/planning/plans/${workPlanId}`, { signal: controller.signal })
+      .then(response => setWorkPlan(response.data))
+      .catch(error => {
+        if (axios.isCancel(error)) return;
+        console.error('Error fetching work plan:', error);
+        setWorkPlanId(null);
+      });
+
+    return () => controller.abort();
+  }, [workPlanId, workPlan]);
+
+  useEffect(() => {
+    if (!selectedRoad) {
+      setSelectedRoadDetails(null);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const endpoint = selectedRoad.layer === 'osm' ? 'osm-roads' : 'roads';
+
+    axios.get(`/api/${endpoint}/${selectedRoad.id}`, { signal: controller.signal })
+      .then(response => setSelectedRoadDetails({ ...response.data, layer: selectedRoad.layer }))
+      .catch(error => {
+        if (axios.isCancel(error)) return;
+        console.error('Error fetching selected road:', error);
+        setSelectedRoadDetails(null);
+      });
+
+    return () => controller.abort();
+  }, [selectedRoad]);
+
+  // Mirror the shareable state into the URL. Pans and zooms replace the
+  // current history entry; anything else pushes a new one so back/forward
+  // steps through filter, layer and selection changes.
+  const lastUrlState = useRef(null);
+
+  useEffect(() => {
+    // Wait for the map to report its view so a shared link keeps its lat/lng
+    if (!viewport) return;
+
+    const { search, state } = buildUrlSearch({
+      view: { center: viewport.center, zoom: viewport.zoom },
+      sourceId,
+      dataSource,
+      heatmapType,
+      filters,
+      selectedRoad,
+      workPlanId,
+      compareYear,
+      styleMode,
+      classMethod,
+      classCount
+    });
+
+    if (search !== window.location.search) {
+      const url = `${window.location.pathname}${search}${window.location.hash}`;
+      if (lastUrlState.current === null || lastUrlState.current === state) {
+        window.history.replaceState(null, '', url);
+      } else {
+        window.history.pushState(null, '', url);
+      }
+    }
+    lastUrlState.current = state;
+  }, [
+    viewport,
+    sourceId,
+    dataSource,
+    heatmapType,
+    filters,
+    selectedRoad,
+    workPlanId,
+    compareYear,
+    styleMode,
+    classMethod,
+    classCount
+  ]);
+
+  useEffect(() => {
+    const onPopState = () => {
+      const urlState = parseUrlState(window.location.search);
+      // Applying the entry must not push it again
+      lastUrlState.current = buildUrlSearch({ ...urlState, view: null }).state;
+      setSourceId(urlState.sourceId);
+      setDataSource(urlState.dataSource);
+      setHeatmapType(urlState.heatmapType);
+      setFilters(urlState.filters);
+      setSelectedRoad(urlState.selectedRoad);
+      setWorkPlanId(urlState.workPlanId);
+      setCompareYear(urlState.compareYear);
+      setStyleMode(urlState.styleMode);
+      setClassMethod(urlState.classMethod);
+      setClassCount(urlState.classCount);
+      if (urlState.view) {
+        setRequestedView(urlState.view);
+      }
+    };
+
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
   }, []);
 
   const value = {
-    roads,
     heatmapData,
     loading,
-    fetchRoads,
-    fetchHeatmapData
+    setLoading,
+    sources,
+    defaultSourceId,
+    sourceId: sourceId || defaultSourceId,
+    selectSource,
+    sourceParams,
+    dataSource,
+    setDataSource,
+    viewport,
+    setViewport,
+    requestedView,
+    zoomTo,
+    zoomToBounds,
+    selectedRoad,
+    setSelectedRoad,
+    selectedRoadDetails,
+    heatmapType,
+    setHeatmapType,
+    fetchHeatmapData,
+    statistics,
+    fetchStatistics,
+    filters,
+    setFilters,
+    resetFilters,
+    filterParams,
+    filterOptions,
+    fetchFilterOptions,
+    workPlanId,
+    showWorkPlan,
+    workPlan,
+    workPlans,
+    fetchWorkPlans,
+    createWorkPlan,
+    planning,
+    planningError,
+    snapshots,
+    fetchSnapshots,
+    compareYear,
+    showConditionChange,
+    styleMode,
+    setStyleMode,
+    classMethod,
+    setClassMethod,
+    classCount,
+    setClassCount,
+    classBreaks,
+    searchResults,
+    searchRoads,
+    searchResult,
+    showSearchResult,
+    searchGeometry,
+    observations,
+    observationFilter,
+    setObservationFilter,
+    selectedObservationId,
+    setSelectedObservationId,
+    selectedObservation,
+    newObservationPoint,
+    setNewObservationPoint,
+    addObservationPoint,
+    createObservation,
+    updateObservation,
+    deleteObservation,
+    addObservationPhotos,
+    deleteObservationPhoto,
+    observationError,
+    savingObservation,
+    exportRoads,
+    exporting,
+    exportError,
+    drawMode,
+    setDrawMode,
+    corridorMiles,
+    setCorridorMiles,
+    finishDrawing,
+    selection,
+    setSelection,
+    selectionStats,
+    selectionError,
+    savedSelections,
+    fetchSelections,
+    showSelection,
+    saveSelection,
+    deleteSelection,
+    routeEnds,
+    addRoutePoint,
+    clearRoute,
+    routeWeight,
+    setRouteWeight,
+    route,
+    routeError,
+    routing
   };
 
   return (
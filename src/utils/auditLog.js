@@ -0,0 +1,66 @@
+// Labels for the audit log page. The actions and sources match
+// database/audit_log.js; entity types are the ones server.js records.
+
+export const AUDIT_ACTIONS = {
+  import: 'Import',
+  upload: 'Upload',
+  create: 'Create',
+  update: 'Update',
+  delete: 'Delete'
+};
+
+export const AUDIT_ENTITY_TYPES = {
+  road_segments: 'State road segments',
+  import_job: 'Import job',
+  observation: 'Field report',
+  work_plan: 'Work plan',
+  selection: 'Saved selection',
+  user: 'User account'
+};
+
+export const AUDIT_SOURCES = {
+  api: 'Dashboard',
+  upload: 'Upload',
+  startup: 'Server startup',
+  file_watch: 'CSV file change',
+  cli: 'Command line'
+};
+
+export const SEGMENT_CHANGES = {
+  added: { label: 'Added', color: '#1a9641' },
+  removed: { label: 'Removed', color: '#d7191c' },
+  changed: { label: 'Changed', color: '#2c7bb6' }
+};
+
+export const formatAuditTime = value => (value ? new Date(value).toLocaleString() : 'N/A');
+
+// A before or after value as text; objects and lists as compact JSON
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// One line describing an entry: an import's row counts, the fields an
+// update changed, or why an import failed
+export const summarizeAuditEntry = (entry) => {
+  if (entry.error) return `Failed: ${entry.error}`;
+
+  const counts = entry.row_counts;
+  if (counts && entry.action === 'import') {
+    const parts = [`${counts.loaded} loaded`, `${counts.rejected} rejected`];
+    if (counts.current === false) {
+      parts.push(`kept as ${counts.survey_year} history`);
+    } else {
+      parts.push(`${counts.added} added`, `${counts.removed} removed`, `${counts.changed} changed`);
+    }
+    return parts.join(', ');
+  }
+
+  const changes = entry.changes || {};
+  if (entry.action === 'update') {
+    return Object.keys(changes.after || {}).join(', ');
+  }
+  const record = changes.after || changes.before || {};
+  return record.name || record.username || record.category || '';
+};
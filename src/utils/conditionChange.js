@@ -0,0 +1,23 @@
+// Classes for coloring state road segments by IRI change since an earlier
+// survey (segment tiles with ?compare=). 10 in/mi matches the server's
+// IRI_CHANGE_THRESHOLD; IRI going up means the road got rougher.
+
+const CHANGE_THRESHOLD = 10;
+const LARGE_CHANGE = 30;
+
+export const CHANGE_CLASSES = {
+  resurfaced: { label: 'Resurfaced', color: '#2c7bb6' },
+  improved: { label: `Smoother by ${CHANGE_THRESHOLD}+ in/mi`, color: '#1a9641' },
+  unchanged: { label: `Within ${CHANGE_THRESHOLD} in/mi`, color: '#999999' },
+  worsened: { label: `Rougher by ${CHANGE_THRESHOLD}-${LARGE_CHANGE} in/mi`, color: '#fdae61' },
+  much_worse: { label: `Rougher by ${LARGE_CHANGE}+ in/mi`, color: '#d7191c' },
+  no_data: { label: 'No earlier measurement', color: '#dddddd' }
+};
+
+export const getChangeClass = ({ iri_change: change, resurfaced }) => {
+  if (resurfaced) return 'resurfaced';
+  if (change === null || change === undefined) return 'no_data';
+  if (change <= -CHANGE_THRESHOLD) return 'improved';
+  if (change < CHANGE_THRESHOLD) return 'unchanged';
+  return change < LARGE_CHANGE ? 'worsened' : 'much_worse';
+};
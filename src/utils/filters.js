@@ -0,0 +1,33 @@
+// Attribute filters for the RMSSEG state road segments. List filters hold
+// the selected codes; the condition range is an IRI window in in/mi.
+
+export const DEFAULT_FILTERS = {
+  fac_type: [],
+  surf_type: [],
+  district_no: [],
+  urban_rural: [],
+  min_condition: null,
+  max_condition: null
+};
+
+export const LIST_FILTERS = ['fac_type', 'surf_type', 'district_no', 'urban_rural'];
+
+// Query parameters understood by /api/roads, /api/statistics, /api/heatmap
+// and the segment tiles. Lists are sent comma separated.
+export const filtersToParams = (filters) => {
+  const params = {};
+  LIST_FILTERS.forEach(key => {
+    if (filters[key] && filters[key].length) {
+      params[key] = filters[key].join(',');
+    }
+  });
+  if (filters.min_condition !== null && filters.min_condition !== undefined) {
+    params.min_condition = filters.min_condition;
+  }
+  if (filters.max_condition !== null && filters.max_condition !== undefined) {
+    params.max_condition = filters.max_condition;
+  }
+  return params;
+};
+
+export const hasActiveFilters = (filters) => Object.keys(filtersToParams(filters)).length > 0;
@@ -0,0 +1,48 @@
+// Field report categories, severities and status workflow. server.js
+// validates against the same lists and enforces the workflow.
+
+export const OBSERVATION_CATEGORIES = {
+  pothole: 'Pothole',
+  cracking: 'Cracking',
+  rutting: 'Rutting',
+  edge_drop: 'Edge drop-off',
+  drainage: 'Drainage',
+  debris: 'Debris',
+  signs: 'Signs',
+  guardrail: 'Guardrail',
+  other: 'Other'
+};
+
+export const OBSERVATION_SEVERITIES = {
+  low: { label: 'Low', color: '#fdae61' },
+  medium: { label: 'Medium', color: '#f46d43' },
+  high: { label: 'High', color: '#a50026' }
+};
+
+// Each status with the statuses it may move to, and the label of the
+// button that moves a report into it
+export const OBSERVATION_STATUSES = {
+  new: { label: 'New', action: 'Back to new', next: ['verified'] },
+  verified: { label: 'Verified', action: 'Verify', next: ['scheduled', 'fixed', 'new'] },
+  scheduled: { label: 'Scheduled', action: 'Schedule', next: ['fixed', 'verified'] },
+  fixed: { label: 'Fixed', action: 'Mark fixed', next: ['scheduled'] }
+};
+
+// Status filters for the map: everything not yet fixed, everything, or one
+// status
+export const OBSERVATION_FILTERS = {
+  open: { label: 'Open reports', statuses: ['new', 'verified', 'scheduled'] },
+  all: { label: 'All reports', statuses: [] },
+  ...Object.fromEntries(Object.entries(OBSERVATION_STATUSES).map(([status, { label }]) => [
+    status,
+    { label, statuses: [status] }
+  ]))
+};
+
+export const FIXED_COLOR = '#9e9e9e';
+
+export const observationColor = observation => (
+  observation.status === 'fixed'
+    ? FIXED_COLOR
+    : (OBSERVATION_SEVERITIES[observation.severity] || OBSERVATION_SEVERITIES.low).color
+);
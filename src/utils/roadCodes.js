@@ -0,0 +1,21 @@
+// PennDOT RMSSEG code lists used for labels, filters and charts
+
+export const FACILITY_TYPES = {
+  '1': 'Interstate',
+  '2': 'US Route',
+  '3': 'State Route',
+  '4': 'County Route',
+  '5': 'Local Road'
+};
+
+export const SURFACE_TYPES = {
+  '52': 'Asphalt',
+  '61': 'Concrete',
+  '62': 'Composite',
+  '63': 'Gravel',
+  '64': 'Dirt'
+};
+
+export const getFacilityTypeName = (facType) => FACILITY_TYPES[facType] || 'Unknown';
+
+export const getSurfaceTypeName = (surfType) => SURFACE_TYPES[surfType] || 'Unknown';
@@ -0,0 +1,123 @@
+import { FACILITY_TYPES, SURFACE_TYPES } from './roadCodes';
+
+// Sections of the segment detail drawer. road_segments columns are listed
+// with their labels; additional_attrs keys (lower-cased RMSSEG headers, which
+// vary between extracts) go to the first section whose pattern matches, or
+// to Other.
+const SECTIONS = [
+  {
+    title: 'Identification',
+    columns: {
+      street_name: 'Street name',
+      traf_rt_no: 'Traffic route',
+      st_rt_no: 'State route',
+      cty_code: 'County',
+      district_no: 'District',
+      seg_no: 'Segment',
+      objectid: 'Object ID'
+    }
+  },
+  {
+    title: 'Classification',
+    columns: {
+      fac_type: 'Facility type',
+      urban_rural: 'Urban/rural',
+      nhs_ind: 'NHS'
+    },
+    pattern: /nhs|func|_fc$|network|bpn|class|urban|hpms|strahnet|fr(ei)?ght|mpo|rpo|owner/
+  },
+  {
+    title: 'Cross section',
+    columns: {
+      lane_cnt: 'Lanes',
+      total_width: 'Total width (ft)',
+      seg_lngth_feet: 'Length (ft)',
+      segment_miles: 'Miles',
+      lane_miles: 'Lane miles'
+    },
+    pattern: /lane|width|wdth|shld|shoulder|divsr|divid|median|park|curb|hov|bike|sidewalk/
+  },
+  {
+    title: 'Pavement and condition',
+    columns: {
+      surf_type: 'Surface type',
+      surface_year: 'Surface year',
+      rough_indx: 'IRI (in/mi)',
+      iri_rating_text: 'IRI rating',
+      opi_rating_text: 'OPI rating',
+      pvmnt_cond_rate: 'Pavement condition rating',
+      frictn_coeff: 'Friction coefficient'
+    },
+    pattern: /surf|pvmt|pvmnt|pave|rough|iri|opi|fric|cond|resurf|built|base|crack|rut|trtmt/
+  },
+  {
+    title: 'Traffic',
+    columns: {
+      cur_aadt: 'AADT'
+    },
+    pattern: /aadt|adt|trk|truck|vmt|toll|speed|volume/
+  },
+  {
+    title: 'Safety',
+    pattern: /guard|rail|barrier|rumble|sign|light|crash/
+  },
+  {
+    title: 'Location',
+    pattern: /offset|^cum_|^nlf|^seq|^sub_route|^side|^dir|^juris/
+  },
+  {
+    title: 'Conflation',
+    columns: {
+      match_status: 'OSM match',
+      match_confidence: 'Match confidence',
+      matched_osm_ids: 'OSM road ids'
+    }
+  }
+];
+
+const CODE_NAMES = {
+  fac_type: FACILITY_TYPES,
+  surf_type: SURFACE_TYPES
+};
+
+// bike_lane_ind -> Bike lane ind
+const keyLabel = key => {
+  const words = key.replace(/_/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const isBlank = value => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const formatValue = (column, value) => {
+  if (CODE_NAMES[column] && CODE_NAMES[column][value]) return `${CODE_NAMES[column][value]} (${value})`;
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+// The segment's columns and attributes as [{ title, rows: [{ key, label,
+// value }] }], blanks left out
+export const groupSegmentAttributes = (segment) => {
+  const sections = SECTIONS.map(section => ({
+    title: section.title,
+    rows: Object.entries(section.columns || {})
+      .filter(([column]) => !isBlank(segment[column]))
+      .map(([column, label]) => ({ key: column, label, value: formatValue(column, segment[column]) }))
+  }));
+  const other = { title: 'Other', rows: [] };
+
+  Object.keys(segment.attributes || {}).sort().forEach(key => {
+    const value = segment.attributes[key];
+    if (isBlank(value)) return;
+    const index = SECTIONS.findIndex(section => section.pattern && section.pattern.test(key));
+    (index === -1 ? other : sections[index]).rows.push({ key, label: keyLabel(key), value: formatValue(key, value) });
+  });
+
+  return [...sections, other].filter(section => section.rows.length);
+};
+
+// Plain text for the clipboard: one "Label<TAB>value" line per row, with a
+// heading per section
+export const attributesToText = sections => sections
+  .map(section => [section.title, ...section.rows.map(row => `${row.label}\t${row.value}`)].join('\n'))
+  .join('\n\n');
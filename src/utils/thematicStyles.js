@@ -0,0 +1,194 @@
+import { FACILITY_TYPES } from './roadCodes';
+
+// Ways of coloring roads on the map. Category modes color by a code or a
+// rating; numeric modes split a value into classes. Numeric class breaks come
+// from the agency thresholds below, or from /api/class-breaks (quantile or
+// equal interval over the filtered segments). Only pavement type applies to
+// OSM roads; the rest need the RMSSEG attributes.
+
+export const CLASS_METHODS = {
+  agency: 'Agency thresholds',
+  quantile: 'Quantile',
+  equal: 'Equal interval'
+};
+
+export const DEFAULT_CLASS_COUNT = 5;
+export const MIN_CLASS_COUNT = 2;
+export const MAX_CLASS_COUNT = 9;
+
+const NO_DATA = { label: 'No data', color: '#cccccc' };
+
+// PennDOT rating order, best to worst, with the usual traffic-light colors
+export const RATING_ORDER = ['Excellent', 'Good', 'Fair', 'Poor'];
+export const RATING_COLORS = {
+  Excellent: '#1a9641',
+  Good: '#a6d96a',
+  Fair: '#fdae61',
+  Poor: '#d7191c'
+};
+
+const PAVEMENT_TYPES = {
+  asphalt: { label: 'Asphalt/Paved', color: '#2E8B57' },
+  concrete: { label: 'Concrete', color: '#708090' },
+  composite: { label: 'Composite', color: '#FF6347' },
+  gravel: { label: 'Gravel/Unpaved', color: '#CD853F' },
+  dirt: { label: 'Dirt', color: '#8B4513' },
+  stone: { label: 'Stone/Cobblestone', color: '#A0522D' },
+  grass: { label: 'Grass', color: '#228B22' },
+  other: { label: 'Unknown/Other', color: '#696969' }
+};
+
+// OSM surface tags, then RMSSEG SURF_TYPE codes
+const OSM_PAVEMENT_TYPES = {
+  asphalt: 'asphalt',
+  paved: 'asphalt',
+  concrete: 'concrete',
+  gravel: 'gravel',
+  unpaved: 'gravel',
+  dirt: 'dirt',
+  paving_stones: 'stone',
+  cobblestone: 'stone',
+  grass: 'grass'
+};
+
+const SURF_TYPE_PAVEMENT_TYPES = {
+  '52': 'asphalt',
+  '61': 'concrete',
+  '62': 'composite',
+  '63': 'gravel',
+  '64': 'dirt'
+};
+
+const FACILITY_COLORS = {
+  '1': '#e31a1c',
+  '2': '#ff7f00',
+  '3': '#1f78b4',
+  '4': '#33a02c',
+  '5': '#6a3d9a'
+};
+
+// NHS_IND is a flag; agencies write it several ways
+const isNhs = value => ['Y', 'YES', 'T', 'TRUE', '1'].includes(String(value).trim().toUpperCase());
+
+// Sequential ramps, low value first. The palest blues are left out of the
+// volume ramp; they vanish against the basemap.
+const RAMPS = {
+  condition: ['#1a9850', '#66bd63', '#a6d96a', '#d9ef8b', '#ffffbf', '#fee08b', '#fdae61', '#f46d43', '#d73027'],
+  volume: ['#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b']
+};
+
+const CURRENT_YEAR = new Date().getFullYear();
+
+const positive = value => (Number(value) > 0 ? Number(value) : null);
+
+// `metric` names the /api/heatmap and /api/class-breaks metric for numeric
+// modes; `themeColumns` says whether segment tiles need ?theme= to carry the
+// column at every zoom
+export const STYLE_MODES = {
+  surface: {
+    label: 'Pavement type',
+    title: 'Pavement Types',
+    categories: PAVEMENT_TYPES,
+    getCategory: ({ surface, surf_type: surfType }) => (surface
+      ? OSM_PAVEMENT_TYPES[surface.toLowerCase()]
+      : SURF_TYPE_PAVEMENT_TYPES[surfType]) || 'other'
+  },
+  iri: {
+    label: 'IRI rating',
+    title: 'IRI (in/mi)',
+    metric: 'condition',
+    themeColumns: true,
+    getValue: properties => positive(properties.rough_indx),
+    // FHWA pavement condition bands for IRI
+    agency: { breaks: [95, 170], labels: ['Good', 'Fair', 'Poor'] },
+    ramp: RAMPS.condition
+  },
+  opi: {
+    label: 'OPI rating',
+    title: 'OPI Rating',
+    themeColumns: true,
+    categories: Object.fromEntries(RATING_ORDER.map(rating => [rating, { label: rating, color: RATING_COLORS[rating] }])),
+    getCategory: properties => properties.opi_rating_text
+  },
+  aadt: {
+    label: 'AADT class',
+    title: 'Traffic (AADT)',
+    metric: 'traffic',
+    themeColumns: true,
+    getValue: properties => positive(properties.cur_aadt),
+    agency: { breaks: [1000, 5000, 10000, 25000, 50000] },
+    ramp: RAMPS.volume
+  },
+  age: {
+    label: 'Pavement age',
+    title: 'Years Since Surfaced',
+    metric: 'age',
+    themeColumns: true,
+    getValue: properties => (positive(properties.surface_year) ? CURRENT_YEAR - Number(properties.surface_year) : null),
+    agency: { breaks: [5, 10, 20, 40] },
+    ramp: RAMPS.condition
+  },
+  facility: {
+    label: 'Facility type',
+    title: 'Facility Types',
+    categories: Object.fromEntries(Object.entries(FACILITY_TYPES).map(([code, label]) => [code, { label, color: FACILITY_COLORS[code] }])),
+    getCategory: properties => properties.fac_type
+  },
+  nhs: {
+    label: 'NHS',
+    title: 'National Highway System',
+    themeColumns: true,
+    categories: {
+      nhs: { label: 'On the NHS', color: '#d7301f' },
+      other: { label: 'Off the NHS', color: '#9e9e9e' }
+    },
+    getCategory: properties => (isNhs(properties.nhs_ind) ? 'nhs' : 'other')
+  }
+};
+
+export const isNumericMode = mode => Boolean(STYLE_MODES[mode] && STYLE_MODES[mode].metric);
+
+// Evenly spaced colors from a ramp, first and last included
+const sampleRamp = (ramp, count) => Array.from({ length: count }, (_, i) =>
+  ramp[count === 1 ? 0 : Math.round((i * (ramp.length - 1)) / (count - 1))]);
+
+const formatBreak = value => value.toLocaleString();
+
+const rangeLabels = breaks => [
+  `Under ${formatBreak(breaks[0])}`,
+  ...breaks.slice(1).map((value, i) => `${formatBreak(breaks[i])} to ${formatBreak(value)}`),
+  `${formatBreak(breaks[breaks.length - 1])} and over`
+];
+
+// The active style as { title, items: [{ label, color }] for the legend,
+// getColor(properties) }. Numeric modes use `breaks` when given (from
+// /api/class-breaks), or else the agency thresholds.
+export const buildTheme = (modeName, breaks = null) => {
+  const mode = STYLE_MODES[modeName] || STYLE_MODES.surface;
+
+  if (!mode.metric) {
+    const fallback = mode.categories.other || NO_DATA;
+    return {
+      title: mode.title,
+      items: mode.categories.other ? Object.values(mode.categories) : [...Object.values(mode.categories), NO_DATA],
+      getColor: properties => (mode.categories[mode.getCategory(properties)] || fallback).color
+    };
+  }
+
+  const agency = !(breaks && breaks.length);
+  const classBreaks = [...new Set((agency ? mode.agency.breaks : breaks).map(Math.round))];
+  const colors = sampleRamp(mode.ramp, classBreaks.length + 1);
+  const labels = rangeLabels(classBreaks).map((label, i) => (
+    agency && mode.agency.labels ? `${mode.agency.labels[i]} (${label.toLowerCase()})` : label
+  ));
+
+  return {
+    title: mode.title,
+    items: [...labels.map((label, i) => ({ label, color: colors[i] })), NO_DATA],
+    getColor: (properties) => {
+      const value = mode.getValue(properties);
+      if (value === null) return NO_DATA.color;
+      return colors[classBreaks.filter(classBreak => value >= classBreak).length];
+    }
+  };
+};
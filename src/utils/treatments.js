@@ -0,0 +1,16 @@
+// Work plan treatments from /api/planning, mildest first, with map colors
+
+export const TREATMENTS = {
+  preserve: { label: 'Preserve', color: '#4575b4' },
+  resurface: { label: 'Resurface', color: '#fdae61' },
+  reconstruct: { label: 'Reconstruct', color: '#d7191c' }
+};
+
+// Segments the plan leaves alone
+export const UNTREATED_COLOR = '#bdbdbd';
+
+export const getTreatmentName = (treatment) =>
+  (TREATMENTS[treatment] && TREATMENTS[treatment].label) || 'No treatment';
+
+export const getTreatmentColor = (treatment) =>
+  (TREATMENTS[treatment] && TREATMENTS[treatment].color) || UNTREATED_COLOR;
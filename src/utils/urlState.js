@@ -0,0 +1,130 @@
+import { DEFAULT_FILTERS, LIST_FILTERS } from './filters';
+import {
+  STYLE_MODES,
+  CLASS_METHODS,
+  DEFAULT_CLASS_COUNT,
+  MIN_CLASS_COUNT,
+  MAX_CLASS_COUNT
+} from './thematicStyles';
+
+// Map state kept in the query string so a view can be shared or bookmarked.
+// `source` is the data source (see /api/data-sources), left out for the
+// default one; `src` the road layer drawn.
+//   ?lat=40.5&lng=-77.5&z=7&source=oh&src=csv&heat=condition
+//    &district_no=08&surf_type=61&min_iri=170&sel=segments:1234&plan=3&cmp=2023
+//    &color=iri&breaks=quantile&classes=7
+
+export const DEFAULT_VIEW = { center: [40.5, -77.5], zoom: 7 };
+
+const SELECTABLE_LAYERS = ['segments', 'osm'];
+const HEATMAP_TYPES = ['condition', 'traffic', 'age'];
+
+const parseNumber = (value) => {
+  if (value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Commas and colons are legal in a query string; keeping them readable makes
+// shared links easier to tweak by hand
+const toQueryString = (params) => params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+
+export const parseUrlState = (search) => {
+  const params = new URLSearchParams(search);
+
+  const lat = parseNumber(params.get('lat'));
+  const lng = parseNumber(params.get('lng'));
+  const zoom = parseNumber(params.get('z'));
+  const view = lat !== null && lng !== null
+    ? { center: [lat, lng], zoom: zoom !== null ? zoom : DEFAULT_VIEW.zoom }
+    : null;
+
+  const filters = { ...DEFAULT_FILTERS };
+  LIST_FILTERS.forEach(key => {
+    const value = params.get(key);
+    filters[key] = value ? value.split(',').filter(Boolean) : [];
+  });
+  filters.min_condition = parseNumber(params.get('min_iri'));
+  filters.max_condition = parseNumber(params.get('max_iri'));
+
+  const heat = params.get('heat');
+  const [selectedLayer, selectedId] = (params.get('sel') || '').split(':');
+  const selectedRoad = SELECTABLE_LAYERS.includes(selectedLayer) && parseNumber(selectedId) !== null
+    ? { layer: selectedLayer, id: parseNumber(selectedId) }
+    : null;
+
+  const workPlanId = parseNumber(params.get('plan'));
+  const compareYear = parseNumber(params.get('cmp'));
+
+  const color = params.get('color');
+  const breaks = params.get('breaks');
+  const classCount = parseNumber(params.get('classes'));
+
+  return {
+    view,
+    sourceId: params.get('source') || null,
+    dataSource: params.get('src') === 'csv' ? 'csv' : 'osm',
+    heatmapType: HEATMAP_TYPES.includes(heat) ? heat : null,
+    filters,
+    selectedRoad,
+    workPlanId: Number.isInteger(workPlanId) ? workPlanId : null,
+    compareYear: Number.isInteger(compareYear) ? compareYear : null,
+    styleMode: STYLE_MODES[color] ? color : 'surface',
+    classMethod: CLASS_METHODS[breaks] ? breaks : 'agency',
+    classCount: Number.isInteger(classCount) && classCount >= MIN_CLASS_COUNT && classCount <= MAX_CLASS_COUNT
+      ? classCount
+      : DEFAULT_CLASS_COUNT
+  };
+};
+
+// Returns the full query string plus the part without the map view, so the
+// caller can tell a pan or zoom apart from a change worth a history entry
+export const buildUrlSearch = ({
+  view,
+  sourceId,
+  dataSource,
+  heatmapType,
+  filters,
+  selectedRoad,
+  workPlanId,
+  compareYear,
+  styleMode,
+  classMethod,
+  classCount
+}) => {
+  const params = new URLSearchParams();
+
+  if (sourceId) params.set('source', sourceId);
+  if (dataSource === 'csv') params.set('src', 'csv');
+  if (heatmapType) params.set('heat', heatmapType);
+
+  LIST_FILTERS.forEach(key => {
+    if (filters[key] && filters[key].length) {
+      params.set(key, filters[key].join(','));
+    }
+  });
+  if (filters.min_condition !== null && filters.min_condition !== undefined) {
+    params.set('min_iri', filters.min_condition);
+  }
+  if (filters.max_condition !== null && filters.max_condition !== undefined) {
+    params.set('max_iri', filters.max_condition);
+  }
+
+  if (selectedRoad) params.set('sel', `${selectedRoad.layer}:${selectedRoad.id}`);
+  if (workPlanId) params.set('plan', workPlanId);
+  if (compareYear) params.set('cmp', compareYear);
+  if (styleMode && styleMode !== 'surface') params.set('color', styleMode);
+  if (classMethod && classMethod !== 'agency') params.set('breaks', classMethod);
+  if (classCount && classCount !== DEFAULT_CLASS_COUNT) params.set('classes', classCount);
+
+  const state = toQueryString(params);
+
+  if (view) {
+    params.set('lat', view.center[0].toFixed(5));
+    params.set('lng', view.center[1].toFixed(5));
+    params.set('z', view.zoom);
+  }
+
+  const search = toQueryString(params);
+  return { search: search ? `?${search}` : '', state };
+};